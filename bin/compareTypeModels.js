@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Report the differences between two IGC type models (each taken live from an environment, or from a saved snapshot), exiting with a non-zero code if any of them are breaking
+ * @license Apache-2.0
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // compares the type model snapshot in ./igc-metadata-11.7.0 with that of the live environment
+ * compareTypeModels -b ./igc-metadata-11.7.0 --afterAuthfile ~/.infosvrauth-upgraded
+ * @example
+ * // compares two snapshots, writing the report as JSON
+ * compareTypeModels -b before.types.json -n after.types.json -f json -r drift.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const prompt = require('prompt');
+prompt.colors = false;
+
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 [-b <path> | --beforeAuthfile <authfile>] [-n <path> | --afterAuthfile <authfile>]')
+    .example('$0 -b ./igc-metadata --afterAuthfile ~/.infosvrauth', 'compares the type model cached in ./igc-metadata with that of a live environment')
+    .alias('b', 'before').nargs('b', 1).describe('b', 'Snapshot of the type model to compare from')
+    .nargs('beforeAuthfile', 1).describe('beforeAuthfile', 'Authorisation file for the environment to compare from (if not using a snapshot)')
+    .nargs('beforePassword', 1).describe('beforePassword', 'Password for invoking REST API of the environment to compare from')
+    .alias('n', 'after').nargs('n', 1).describe('n', 'Snapshot of the type model to compare to')
+    .nargs('afterAuthfile', 1).describe('afterAuthfile', 'Authorisation file for the environment to compare to (if not using a snapshot)')
+    .nargs('afterPassword', 1).describe('afterPassword', 'Password for invoking REST API of the environment to compare to')
+    .alias('f', 'format').nargs('f', 1).choices('f', ['markdown', 'json']).default('f', 'markdown').describe('f', 'Format of the report')
+    .alias('r', 'report').nargs('r', 1).describe('r', 'File into which to write the report (default: standard output)')
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const sides = [ "before", "after" ];
+const envCtxs = {};
+const inputPrompt = { properties: {} };
+
+for (let i = 0; i < sides.length; i++) {
+  const side = sides[i];
+  if (!argv[side]) {
+    envCtxs[side] = new commons.EnvironmentContext(null, argv[side + "Authfile"]);
+    inputPrompt.properties[side + "Password"] = {
+      hidden: true,
+      required: true,
+      message: "Please enter the password for user '" + envCtxs[side].username + "' (" + side + "): "
+    };
+  }
+}
+
+prompt.override = argv;
+prompt.message = "";
+prompt.delimiter = "";
+
+prompt.start();
+prompt.get(inputPrompt, function (err, result) {
+
+  Promise.all(sides.map(function(side) {
+    return argv[side] ? loadSnapshot(argv[side]) : loadLive(envCtxs[side], result[side + "Password"]);
+  })).then(function(allDetails) {
+    const diff = new igcrest.TypeModelDiff(new igcrest.TypeModel(allDetails[0]), new igcrest.TypeModel(allDetails[1]), {
+      before: argv.before || envCtxs.before.username + "@" + envCtxs.before.domain,
+      after: argv.after || envCtxs.after.username + "@" + envCtxs.after.domain
+    });
+    const report = (argv.format === "json") ? JSON.stringify(diff, null, 2) + "\n" : diff.toMarkdown();
+    if (argv.report) {
+      fs.writeFileSync(argv.report, report, 'utf8');
+      console.log(diff.changes.length + " change(s), " + diff.breakingChanges.length + " of them breaking, reported in '" + argv.report + "'.");
+    } else {
+      process.stdout.write(report);
+    }
+    if (diff.hasBreakingChanges()) {
+      process.exitCode = 1;
+    }
+  })
+  .catch(function(err) {
+    console.error(err);
+    // Distinguish being unable to compare from finding breaking changes
+    process.exitCode = 2;
+  });
+
+});
+
+// Retrieve the details of every type from an environment, in a session of its own
+function loadLive(envCtx, password) {
+  const client = igcrest.createClient(envCtx.getRestConnection(password));
+  return client.openSession().then(function() {
+    return client.getAllTypeDetails();
+  }).then(function(allDetails) {
+    return client.closeSession().then(function() {
+      return allDetails;
+    });
+  });
+}
+
+// A snapshot is one of: the metadata cache directory of an earlier run (e.g. from the -c parameter of the other
+// utilities), a directory of JSON files each holding the output of /types/{type}, or a single JSON file holding
+// an array of such outputs (e.g. as from getAllTypeDetails)
+function loadSnapshot(snapshot) {
+  return new Promise(function(resolve, reject) {
+    if (fs.statSync(snapshot).isDirectory() && fs.existsSync(path.join(snapshot, "latest.json"))) {
+      const client = igcrest.createClient(null, { metadataCache: { directory: snapshot, offline: true } });
+      client.getAllTypeDetails().then(resolve, reject);
+      return;
+    }
+    let allDetails = [];
+    const files = fs.statSync(snapshot).isDirectory() ? fs.readdirSync(snapshot).filter(function(file) {
+      return file.endsWith(".json");
+    }).map(function(file) {
+      return path.join(snapshot, file);
+    }) : [ snapshot ];
+    for (let i = 0; i < files.length; i++) {
+      allDetails = allDetails.concat(JSON.parse(fs.readFileSync(files[i], 'utf8')));
+    }
+    allDetails = allDetails.filter(function(details) {
+      return details !== null && typeof details === "object" && details.hasOwnProperty("_id");
+    });
+    if (allDetails.length === 0) {
+      reject(new Error("No type details found in snapshot '" + snapshot + "'."));
+    } else {
+      resolve(allDetails);
+    }
+  });
+}
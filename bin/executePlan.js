@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Make the changes recorded in a plan file (by running findAssets or importRelationships in dry-run mode), exactly as they were recorded
+ * @license Apache-2.0
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // shows the changes recorded in 'deleteMyDbTable.plan.json', without making them
+ * executePlan -f deleteMyDbTable.plan.json -s
+ * @example
+ * // makes the changes recorded in 'deleteMyDbTable.plan.json'
+ * executePlan -f deleteMyDbTable.plan.json -p isadmin
+ */
+
+const fs = require('fs');
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const prompt = require('prompt');
+prompt.colors = false;
+
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -f <path>')
+    .example('$0 -f myChanges.plan.json', 'makes the changes recorded in the plan file myChanges.plan.json')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'Plan file containing the changes to make')
+    .alias('s', 'summary').boolean('s').describe('s', 'Only show a summary of the changes, without making them')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .demandOption(['f'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const plan = igcrest.MutationPlan.fromJSON(fs.readFileSync(argv.file, 'utf8'));
+console.log(plan.summary());
+
+if (!argv.summary && plan.size > 0) {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
+
+    igcrest.setConnection(envCtx.getRestConnection(result.password));
+    igcrest.openSession().then(function() {
+      return igcrest.executePlan(plan).then(function(results) {
+        console.log("Made all " + results.length + " change(s) in '" + argv.file + "'.");
+      }, function(failure) {
+        console.error("Step " + failure.step + " failed (after " + failure.completed.length + " change(s) were made): " + failure.message);
+        process.exitCode = 1;
+      });
+    }).then(function() {
+      return igcrest.closeSession();
+    })
+    .catch(console.error);
+
+  });
+
+}
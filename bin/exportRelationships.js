@@ -86,7 +86,7 @@ if (bConditions) {
   reqJSON.where = {
     "conditions": JSON.parse(argv.conditions),
     "operator": "and"
-  }
+  };
 }
 
 prompt.start();
@@ -95,7 +95,7 @@ prompt.get(inputPrompt, function (err, result) {
   igcrest.setConnection(envCtx.getRestConnection(result.password));
   igcrest.openSession().then(function() {
 
-    const getAllAssets = new Promise(function(resolve, reject) {
+    const getAllAssets = new Promise(function(resolve) {
       console.log("1 - Retrieving all assets of type '" + argv.asset_type + "'...");
       if (bConditions) {
         console.log("    (limited by conditions: " + argv.conditions + " )");
@@ -115,14 +115,14 @@ prompt.get(inputPrompt, function (err, result) {
         console.log("    (limiting only to relationships to asset type '" + argv.limit + "')");
       }
       const exportResult = allAssets.map(function(asset) {
-        return new Promise(function(resolve, reject) {
+        return new Promise(function(resolve) {
           igcrest.getAllPages(asset[argv.relationship].items, asset[argv.relationship].paging).then(function(allRelnForAsset) {
 
             const getRelationshipContext = allRelnForAsset.map(function(relnWithoutCtx) {
               return new Promise(function(resolve, reject) {
                 if (bLimit && argv.limit !== relnWithoutCtx._type) {
                   // Not a type we're interested in, so just resolve
-                  resolveCtx({});
+                  resolve({});
                 } else {
                   igcrest.getContextForItem(relnWithoutCtx._id, relnWithoutCtx._type).then(function(ctx) {
                     for (let i = 0; i < asset[argv.relationship].items.length; i++) {
@@ -90,6 +90,12 @@
  * // }
  * findAssets -f findDbTables.json -p isadmin
  * // ... this command queries IGC for all database tables, and outputs the results into 'findDbTables.json.results', using the password 'isadmin' for the details taken from the default authorisation file (~/.infosvrauth)
+ * @example
+ * findAssets -f deleteMyDbTable.json -d deleteMyDbTable.plan.json
+ * // ... this command works out which database tables would be deleted, and records the deletions into 'deleteMyDbTable.plan.json' (without making them) for review -- the plan can then be run using executePlan
+ * @example
+ * findAssets -f assignTermToMyDbTable.json -j assignTermToMyDbTable.journal
+ * // ... this command makes the updates, journaling the values they replace into 'assignTermToMyDbTable.journal' -- the updates can then be undone using undoJournal
  */
 
 const fs = require('fs');
@@ -106,6 +112,9 @@ const argv = yargs
     .alias('f', 'file').nargs('f', 1).describe('f', 'JSON file containing query and any action to be taken')
     .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
     .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('j', 'journal').nargs('j', 1).describe('j', 'Journal the prior values of anything updated into this file, so the updates can be undone')
+    .alias('d', 'dryrun').nargs('d', 1).describe('d', 'Record any changes into this plan file for review, rather than making them')
+    .alias('c', 'concurrency').nargs('c', 1).number('c').describe('c', 'Maximum number of updates or deletions to run at the same time').default('c', 5)
     .demandOption(['f'])
     .help('h')
     .alias('h', 'help')
@@ -143,12 +152,17 @@ const reqQueryJSON = igcrest.replaceQueryVars(reqJSON.query, process.env);
 const bIsDelete = reqJSON.hasOwnProperty("delete");
 const bIsUpdate = reqJSON.hasOwnProperty("update");
 
-function logActionResult(err, result) {
-  if (err !== null) {
-    console.error("Action failed: " + err);
-  } else {
-    igcrest.logUpdateResults(result);
+function logActionReport(report) {
+  for (let i = 0; i < report.succeeded.length && !argv.dryrun; i++) {
+    igcrest.logUpdateResults(report.succeeded[i].result);
+  }
+  for (let i = 0; i < report.failed.length; i++) {
+    console.error("Action failed for " + report.failed[i].rid + ": " + report.failed[i].error.message);
+  }
+  for (let i = 0; i < report.skipped.length; i++) {
+    console.warn("Skipped " + (report.skipped[i].rid || "item") + ": " + report.skipped[i].reason);
   }
+  console.log("Succeeded: " + report.succeeded.length + ", failed: " + report.failed.length + ", skipped: " + report.skipped.length);
 }
 
 prompt.start();
@@ -157,7 +171,14 @@ prompt.get(inputPrompt, function (err, result) {
   igcrest.setConnection(envCtx.getRestConnection(result.password));
   igcrest.openSession().then(function() {
 
-    const getAllResults = new Promise(function(resolve, reject) {
+    if (argv.dryrun) {
+      igcrest.setDryRun(true);
+    }
+    if (argv.journal) {
+      igcrest.setJournal(argv.journal);
+    }
+
+    const getAllResults = new Promise(function(resolve) {
       igcrest.search(reqQueryJSON).then(function(resSearch) {
         igcrest.getAllPages(resSearch.items, resSearch.paging).then(function(allResults) {
           resolve(allResults);
@@ -167,33 +188,31 @@ prompt.get(inputPrompt, function (err, result) {
 
     getAllResults.then(function(allResults) {
       if (!bIsUpdate && !bIsDelete) {
-        return new Promise(function(resolve, reject) {
+        return new Promise(function(resolve) {
           fs.writeFileSync(outputFile, pd.json(JSON.stringify(allResults)), 'utf8');
           resolve();
         });
       } else {
-        const takeAction = allResults.map(function(itemDetails) {
-          return new Promise(function(resolve, reject) {
-            if (bIsDelete) {
-              igcrest.deleteAssetById(itemDetails._id).then(function(success) {
-                igcrest.logUpdateResults(success);
-                resolve(success);
-              }, function(failure) {
-                reject(failure);
-              });
-            } else if (bIsUpdate) {
-              igcrest.update(itemDetails._id, reqJSON.update.value).then(function(success) {
-                igcrest.logUpdateResults(success);
-                resolve(success);
-              }, function(failure) {
-                reject(failure);
-              });
-            }
-          });
+        let takeAction = null;
+        if (bIsDelete) {
+          takeAction = igcrest.deleteMany(allResults, { concurrency: argv.concurrency });
+        } else {
+          takeAction = igcrest.updateMany(allResults, reqJSON.update.value, { concurrency: argv.concurrency });
+        }
+        return takeAction.then(function(report) {
+          logActionReport(report);
+          if (report.failed.length > 0) {
+            process.exitCode = 1;
+          }
         });
-        return Promise.all(takeAction);
       }
     }).then(function() {
+      if (argv.dryrun) {
+        const plan = igcrest.getPlan();
+        fs.writeFileSync(argv.dryrun, pd.json(JSON.stringify(plan)), 'utf8');
+        console.log(plan.summary());
+        console.log("Plan of changes recorded in '" + argv.dryrun + "' -- no changes have been made.");
+      }
       igcrest.closeSession().then(function() {
         console.log("Completed query and any action in '" + argv.file + "'.");
       }, function(failure) {
@@ -19,7 +19,7 @@
 "use strict";
 
 /**
- * @file This script will generate POJO beans for use with the Java IGC REST Client
+ * @file This script will generate POJO beans for use with the Java IGC REST Client: for each type a class with its properties (using a Java enum for each property with valid values), a builder of the values with which to create it (for types that can be created), and a registry mapping every type to its class
  * @license Apache-2.0
  * @requires underscore
  * @requires ibm-igc-rest
@@ -30,6 +30,10 @@
  * @example
  * // creates a POJO class for each type on the server under src/main/java/com/somewhere/
  * ./generateIGCRESTClientPOJOs.js -n com.somewhere -d src/main/java/com/somewhere/ -p isadmin
+ * @example
+ * // re-generates the POJOs from type metadata cached by an earlier run, without connecting to IGC
+ * ./generateIGCRESTClientPOJOs.js -n com.somewhere -d src/main/java/com/somewhere/ -p isadmin -c ./igc-metadata
+ * ./generateIGCRESTClientPOJOs.js -n com.somewhere -d src/main/java/com/somewhere/ -c ./igc-metadata -o
  */
 
 const fs = require('fs');
@@ -51,14 +55,15 @@ const argv = yargs
     .alias('d', 'directory').nargs('d', 1).describe('d', 'Output directory into which to create the POJO classes')
     .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
     .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('c', 'cache').nargs('c', 1).describe('c', 'Directory in which to cache type metadata between runs')
+    .alias('o', 'offline').boolean('o').describe('o', 'Generate only from the type metadata cache, without connecting to IGC')
+    .implies('o', 'c')
     .demandOption(['d', 'n'])
     .help('h')
     .alias('h', 'help')
     .wrap(yargs.terminalWidth())
     .argv;
 
-const envCtx = new commons.EnvironmentContext(null, argv.authfile);
-
 // Ignore these types and pseudo-types -- they are not actual asset types that can be accessed
 const ignoreTypes = [ "main_object", "information_asset" ];
 //const ignoreProperties = [ "_name", "_type", "_url", "_id", "_context", "name", "short_description", "long_description", "labels", "stewards", "assigned_to_terms", "implements_rules", "governed_by_rules", "created_by", "created_on", "modified_by", "modified_on", "notes" ];
@@ -76,7 +81,7 @@ const reInvalids = new RegExp('[' + invalidNamingCharacters.join('') + ']', 'g')
 const reservedWords = [ 'package', 'final', 'abstract', 'default' ];
 const aliasObjects = {
   "host_(engine)": "host"
-}
+};
 
 // Unfortunately there are some non-unique types in IGC...
 const nonUniqueClassNames = {
@@ -88,47 +93,44 @@ const nonUniqueClassNames = {
   "parameterset": "ParameterSet2",
   "function_call": "FunctionCall",
   "functioncall": "FunctionCall2"
+};
+
+if (argv.cache) {
+  igcrest.setMetadataCache({ directory: argv.cache, offline: argv.offline });
 }
 
-prompt.override = argv;
+if (argv.offline) {
+
+  generatePOJOs().then(function() {
+    console.log("POJOs generated in '" + argv.directory + "' (from cached type metadata).");
+    process.exit(0);
+  })
+  .catch(console.error);
+
+} else {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
 
-const inputPrompt = {
-  properties: {
-    password: {
-      hidden: true,
-      required: true,
-      message: "Please enter the password for user '" + envCtx.username + "': "
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
     }
-  }
-};
-prompt.message = "";
-prompt.delimiter = "";
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
 
-prompt.start();
-prompt.get(inputPrompt, function (err, result) {
-  
-  igcrest.setConnection(envCtx.getRestConnection(result.password));
-  igcrest.openSession().then(function() {
-
-    const igcGetTypes = new Promise(function(resolve, reject) {
-      console.log("1 - getting all types");
-      igcrest.getTypes().then(function(resTypes) {
-        const types = _.pluck(resTypes, "_id");
-        resolve(types);
-      });
-    });
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
 
-    igcGetTypes.then(function(aTypes) {
-      const igcPropertiesForTypes = aTypes.map(function(type) {
-        return new Promise(function(resolve, reject) {
-          igcrest.getOther("/ibm/iis/igc-rest/v1/types/" + encodeURIComponent(type) + "?showViewProperties=true&showCreateProperties=true", 200).then(function(props) {
-            createPOJOForType(props, argv.directory, argv.pkgname);
-            resolve();
-          });
-        });
-      });
-      console.log("2 - getting properties for each type");
-      return Promise.all(igcPropertiesForTypes);
+    igcrest.setConnection(envCtx.getRestConnection(result.password));
+    igcrest.openSession().then(function() {
+      return generatePOJOs();
     }).then(function() {
       igcrest.closeSession().then(function() {
         console.log("POJOs generated in '" + argv.directory + "'.");
@@ -142,12 +144,28 @@ prompt.get(inputPrompt, function (err, result) {
 
   });
 
-});
+}
+
+function generatePOJOs() {
+  console.log("1 - getting all types");
+  return igcrest.getTypes().then(function(resTypes) {
+    const aTypes = _.pluck(resTypes, "_id");
+    console.log("2 - getting properties for each type");
+    return Promise.all(aTypes.map(function(type) {
+      return igcrest.getTypeDetails(type).then(function(props) {
+        createPOJOForType(props, argv.directory, argv.pkgname);
+      });
+    })).then(function() {
+      console.log("3 - creating type registry");
+      createTypeRegistry(aTypes.filter(function(type) { return !ignoreTypes.includes(type); }), argv.directory, argv.pkgname);
+    });
+  });
+}
 
 function getPropertyHeading(propertyId, propertyDisplayName, typeObj, javaType) {
-  let heading = ""
-        + "    /**" + os.EOL
-        + "     * The '" + _.escape(propertyId) + "' property, displayed as '" + _.escape(propertyDisplayName) + "' in the IGC UI." + os.EOL;
+  let heading = "" +
+          "    /**" + os.EOL +
+          "     * The '" + _.escape(propertyId) + "' property, displayed as '" + _.escape(propertyDisplayName) + "' in the IGC UI." + os.EOL;
   if (typeObj.hasOwnProperty("url")) {
     heading += "     * <br><br>" + os.EOL;
     if (javaType === "ReferenceList") {
@@ -158,9 +176,9 @@ function getPropertyHeading(propertyId, propertyDisplayName, typeObj, javaType)
   } else if (typeObj.name === "enum") {
     const validValues = typeObj.validValues;
     if (validValues.length > 0) {
-      heading += "     * <br><br>" + os.EOL
-              + "     * Can be one of the following values:" + os.EOL
-              + "     * <ul>" + os.EOL;
+      heading += "     * <br><br>" + os.EOL +
+                "     * Can be one of the following values:" + os.EOL +
+                "     * <ul>" + os.EOL;
       for (let i = 0; i < validValues.length; i++) {
         heading += "     *     <li>" + validValues[i].id + " (displayed in the UI as '" + validValues[i].displayName + "')</li>" + os.EOL;
       }
@@ -170,7 +188,7 @@ function getPropertyHeading(propertyId, propertyDisplayName, typeObj, javaType)
   return heading + "     */" + os.EOL;
 }
 
-function getPropertyDetailForPOJO(name, typeObj, maxNum, displayName) {
+function getPropertyDetailForPOJO(name, typeObj, maxNum, displayName, enumNames) {
 
   let declMember = "";
   let declGetterSetter = "";
@@ -180,6 +198,8 @@ function getPropertyDetailForPOJO(name, typeObj, maxNum, displayName) {
 
   if (typeObj.hasOwnProperty("url")) {
     nominalType = "Reference";
+  } else if (enumNames.hasOwnProperty(name)) {
+    nominalType = enumNames[name];
   } else if (basicTypeToJavaType.hasOwnProperty(type)) {
     nominalType = basicTypeToJavaType[type];
   } else if (!basicTypeToJavaType.hasOwnProperty(type)) {
@@ -190,7 +210,7 @@ function getPropertyDetailForPOJO(name, typeObj, maxNum, displayName) {
   let javaType = "";
   // When there isn't a maxCardinality specified, there can be multiple;
   // UNLESS the data type is boolean (then there is only one value permitted)
-  if (maxNum != 1) {
+  if (maxNum !== 1) {
     if (nominalType === "Reference") {
       javaType = "ReferenceList";
     } else if (nominalType === "Boolean") {
@@ -223,15 +243,15 @@ function getPropertyDetailForPOJO(name, typeObj, maxNum, displayName) {
   }
 
   const getSetPrepend = "    /** @see #" + propName + " */ @JsonProperty(\"" + name + "\") ";
-  declGetterSetter = getSetPrepend + " public " + javaType + " get" + ccName + "() { return this." + propName + "; }" + os.EOL
-                   + getSetPrepend + " public void set" + ccName + "(" + javaType + " " + propName + ") { this." + propName + " = " + propName + "; }" + os.EOL
-                   + os.EOL;
+  declGetterSetter = getSetPrepend + " public " + javaType + " get" + ccName + "() { return this." + propName + "; }" + os.EOL +
+                     getSetPrepend + " public void set" + ccName + "(" + javaType + " " + propName + ") { this." + propName + " = " + propName + "; }" + os.EOL +
+                     os.EOL;
 
   return { "member": declMember, "getSet": declGetterSetter, "javaType": javaType };
 
 }
 
-function addPropertiesToPOJO(filename, properties) {
+function addPropertiesToPOJO(filename, properties, enumNames) {
 
   const members = [];
   const getterSetters = [];
@@ -250,8 +270,8 @@ function addPropertiesToPOJO(filename, properties) {
       if (properties[i].hasOwnProperty("maxCardinality")) {
         maxNum = properties[i].maxCardinality;
       }
-      const details = getPropertyDetailForPOJO(propName, typeObj, maxNum, properties[i].displayName);
-      if (details != null) {
+      const details = getPropertyDetailForPOJO(propName, typeObj, maxNum, properties[i].displayName, enumNames);
+      if (details !== null) {
         members.push(details.member);
         getterSetters.push(details.getSet);
         hmPropertyLists.allProperties.push(propName);
@@ -280,7 +300,6 @@ function createPOJOForType(jsonProps, directory, packageName) {
   
   const id   = jsonProps._id;
   const name = jsonProps._name;
-  const url  = jsonProps._url;
 
   if (!ignoreTypes.includes(id)) {
 
@@ -296,10 +315,14 @@ function createPOJOForType(jsonProps, directory, packageName) {
     if (!aliasObjects.hasOwnProperty(id)) {
       fs.appendFileSync(filename, "import org.odpi.openmetadata.adapters.repositoryservices.igc.clientlibrary.model.common.*;" + os.EOL);
       fs.appendFileSync(filename, "import com.fasterxml.jackson.annotation.JsonProperty;" + os.EOL);
+      fs.appendFileSync(filename, "import com.fasterxml.jackson.annotation.JsonCreator;" + os.EOL);
+      fs.appendFileSync(filename, "import com.fasterxml.jackson.annotation.JsonValue;" + os.EOL);
       fs.appendFileSync(filename, "import java.util.Arrays;" + os.EOL);
       fs.appendFileSync(filename, "import java.util.Date;" + os.EOL);
       fs.appendFileSync(filename, "import java.util.List;" + os.EOL);
       fs.appendFileSync(filename, "import java.util.ArrayList;" + os.EOL);
+      fs.appendFileSync(filename, "import java.util.Map;" + os.EOL);
+      fs.appendFileSync(filename, "import java.util.LinkedHashMap;" + os.EOL);
     }
     fs.appendFileSync(filename, os.EOL);
     fs.appendFileSync(filename, getClassHeading(name, id));
@@ -316,11 +339,16 @@ function createPOJOForType(jsonProps, directory, packageName) {
     if (!aliasObjects.hasOwnProperty(id)) {
       let hmPropertyLists = [];
       let view = [];
+      let create = [];
       if (jsonProps.hasOwnProperty("viewInfo") && jsonProps.viewInfo.hasOwnProperty("properties")) {
         view = jsonProps.viewInfo.properties;
       }
+      if (jsonProps.hasOwnProperty("createInfo") && jsonProps.createInfo.hasOwnProperty("properties")) {
+        create = jsonProps.createInfo.properties;
+      }
+      const enums = getEnumsForPOJO(className, view.concat(create));
       if (view.length > 0) {
-        hmPropertyLists = addPropertiesToPOJO(filename, view);
+        hmPropertyLists = addPropertiesToPOJO(filename, view, enums.names);
       }
       fs.appendFileSync(filename, "    public static Boolean canBeCreated() { return " + jsonProps.hasOwnProperty("createInfo") + "; }" + os.EOL);
       fs.appendFileSync(filename, "    public static Boolean includesModificationDetails() { return " + (hmPropertyLists.hasOwnProperty("nonRelationship") && hmPropertyLists.nonRelationship.includes("modified_on")) + "; }" + os.EOL);
@@ -357,6 +385,15 @@ function createPOJOForType(jsonProps, directory, packageName) {
       fs.appendFileSync(filename, "    public static List<String> getNonRelationshipProperties() { return NON_RELATIONAL_PROPERTIES; }" + os.EOL);
       fs.appendFileSync(filename, "    public static List<String> getPagedRelationshipProperties() { return PAGED_RELATIONAL_PROPERTIES; }" + os.EOL);
       fs.appendFileSync(filename, "    public static List<String> getAllProperties() { return ALL_PROPERTIES; }" + os.EOL);
+      for (let i = 0; i < enums.declarations.length; i++) {
+        fs.appendFileSync(filename, os.EOL + enums.declarations[i]);
+      }
+      if (jsonProps.hasOwnProperty("createInfo")) {
+        fs.appendFileSync(filename, os.EOL + getBuilderForPOJO(id, create, enums.names));
+      }
+      if (enums.declarations.length > 0 || jsonProps.hasOwnProperty("createInfo")) {
+        fs.appendFileSync(filename, os.EOL);
+      }
     }
 
     fs.appendFileSync(filename, "    public static Boolean is" + className + "(Object obj) { return (obj.getClass() == " + className + ".class); }" + os.EOL);
@@ -368,15 +405,230 @@ function createPOJOForType(jsonProps, directory, packageName) {
 
 }
 
+// Each property with valid values is given a Java enum (nested in the POJO), whose values serialize to their ids
+function getEnumsForPOJO(className, properties) {
+
+  const names = {};
+  const declarations = [];
+  // Nested enums must not shadow the class itself, nor any of the other classes it uses
+  const usedNames = [ className, "Builder", "Reference", "ReferenceList", "String", "Boolean", "Date", "Number", "Object", "List", "ArrayList", "Arrays", "Map", "LinkedHashMap" ];
+
+  for (let i = 0; i < properties.length; i++) {
+    const propName = properties[i].name;
+    const typeObj = properties[i].type;
+    if (ignoreProperties.includes(propName) || names.hasOwnProperty(propName) || typeObj.name !== "enum" || !typeObj.validValues || typeObj.validValues.length === 0) {
+      continue;
+    }
+    const baseName = camelCase(propName.replace(reInvalids, "_"), {pascalCase: true});
+    let enumName = baseName;
+    for (let suffix = 2; usedNames.includes(enumName); suffix++) {
+      enumName = baseName + suffix;
+    }
+    usedNames.push(enumName);
+    names[propName] = enumName;
+
+    const usedConstants = [];
+    let decl = "" +
+          "    /**" + os.EOL +
+          "     * The valid values of the '" + _.escape(propName) + "' property, displayed as '" + _.escape(properties[i].displayName) + "' in the IGC UI." + os.EOL +
+          "     */" + os.EOL +
+          "    public enum " + enumName + " {" + os.EOL + os.EOL;
+    for (let j = 0; j < typeObj.validValues.length; j++) {
+      const validValue = typeObj.validValues[j];
+      decl += "        /** Displayed in the UI as '" + _.escape(validValue.displayName) + "'. */" + os.EOL +
+            "        " + getEnumConstantName(validValue.id, usedConstants) + "(\"" + getJavaStringContent(validValue.id) + "\")" + ((j < typeObj.validValues.length - 1) ? "," : ";") + os.EOL;
+    }
+    decl += os.EOL +
+          "        private final String value;" + os.EOL +
+          "        " + enumName + "(String value) { this.value = value; }" + os.EOL +
+          "        @JsonValue public String getValue() { return value; }" + os.EOL +
+          "        @JsonCreator public static " + enumName + " fromValue(String value) {" + os.EOL +
+          "            for (" + enumName + " candidate : values()) {" + os.EOL +
+          "                if (candidate.value.equals(value)) { return candidate; }" + os.EOL +
+          "            }" + os.EOL +
+          "            throw new IllegalArgumentException(\"Not a valid value for '" + getJavaStringContent(propName) + "': \" + value);" + os.EOL +
+          "        }" + os.EOL +
+          os.EOL +
+          "    }" + os.EOL;
+    declarations.push(decl);
+  }
+
+  return { "names": names, "declarations": declarations };
+
+}
+
+function getEnumConstantName(value, usedConstants) {
+  let constant = value.toUpperCase().replace(/[^A-Z0-9_]/g, "_");
+  if (!/^[A-Z]/.test(constant)) {
+    constant = "VALUE_" + constant;
+  }
+  let unique = constant;
+  for (let suffix = 2; usedConstants.includes(unique); suffix++) {
+    unique = constant + "_" + suffix;
+  }
+  usedConstants.push(unique);
+  return unique;
+}
+
+function getJavaStringContent(value) {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"");
+}
+
+// The builder collects the values with which to create an asset of the type (as the body of a create request),
+// with relationships given by the RIDs of the related assets
+function getBuilderForPOJO(typeId, createProperties, enumNames) {
+
+  const required = [];
+  let methods = "";
+
+  for (let i = 0; i < createProperties.length; i++) {
+    const propName = createProperties[i].name;
+    const typeObj = createProperties[i].type;
+    if (ignoreProperties.includes(propName)) {
+      continue;
+    }
+    let nominalType = null;
+    if (typeObj.hasOwnProperty("url")) {
+      nominalType = "String";
+    } else if (enumNames.hasOwnProperty(propName)) {
+      nominalType = enumNames[propName];
+    } else if (basicTypeToJavaType.hasOwnProperty(typeObj.name)) {
+      nominalType = basicTypeToJavaType[typeObj.name];
+    } else {
+      continue;
+    }
+    let javaType = nominalType;
+    if (!createProperties[i].hasOwnProperty("maxCardinality") && nominalType !== "Boolean") {
+      javaType = "List<" + nominalType + ">";
+    }
+    if (createProperties[i].hasOwnProperty("minCardinality") && createProperties[i].minCardinality !== 0) {
+      required.push(propName);
+    }
+    let description = "The '" + _.escape(propName) + "' property, displayed as '" + _.escape(createProperties[i].displayName) + "' in the IGC UI";
+    if (typeObj.hasOwnProperty("url")) {
+      description += javaType.startsWith("List") ? ", as the RIDs of the related assets" : ", as the RID of the related asset";
+    }
+    methods += "        /** " + description + ". */" + os.EOL +
+             "        public Builder with" + camelCase(propName.replace(reInvalids, "_"), {pascalCase: true}) + "(" + javaType + " value) { values.put(\"" + getJavaStringContent(propName) + "\", value); return this; }" + os.EOL;
+  }
+
+  return "" +
+        "    /**" + os.EOL +
+        "     * Start building the values with which to create a new '" + _.escape(typeId) + "' asset." + os.EOL +
+        "     */" + os.EOL +
+        "    public static Builder builder() { return new Builder(); }" + os.EOL +
+        os.EOL +
+        "    /**" + os.EOL +
+        "     * Builder of the values with which to create a new '" + _.escape(typeId) + "' asset, as the body of a create request" + os.EOL +
+        "     * to IGC's REST API (relationships are given by the RIDs of the related assets)." + os.EOL +
+        "     */" + os.EOL +
+        "    public static class Builder {" + os.EOL +
+        os.EOL +
+        "        private static final List<String> REQUIRED_PROPERTIES = " + ((required.length > 0) ? "Arrays.asList(\"" + required.join("\", \"") + "\")" : "new ArrayList<>()") + ";" + os.EOL +
+        "        private final Map<String, Object> values = new LinkedHashMap<>();" + os.EOL +
+        os.EOL +
+        "        private Builder() { values.put(\"_type\", \"" + getJavaStringContent(typeId) + "\"); }" + os.EOL +
+        os.EOL +
+        methods +
+        os.EOL +
+        "        /**" + os.EOL +
+        "         * @return the values with which to create the asset" + os.EOL +
+        "         * @throws IllegalStateException if any of the properties required for creating the asset have not been given" + os.EOL +
+        "         */" + os.EOL +
+        "        public Map<String, Object> build() {" + os.EOL +
+        "            List<String> missing = new ArrayList<>();" + os.EOL +
+        "            for (String property : REQUIRED_PROPERTIES) {" + os.EOL +
+        "                if (values.get(property) == null) { missing.add(property); }" + os.EOL +
+        "            }" + os.EOL +
+        "            if (!missing.isEmpty()) {" + os.EOL +
+        "                throw new IllegalStateException(\"Missing properties required to create a '" + getJavaStringContent(typeId) + "': \" + missing);" + os.EOL +
+        "            }" + os.EOL +
+        "            return new LinkedHashMap<>(values);" + os.EOL +
+        "        }" + os.EOL +
+        os.EOL +
+        "    }" + os.EOL;
+
+}
+
+// The registry maps every type id to its POJO class (and back), including the types whose ids differ only by
+// underscores (see nonUniqueClassNames) and those that are aliases of others (see aliasObjects)
+function createTypeRegistry(typeIds, directory, packageName) {
+
+  const filename = directory + path.sep + "IGCTypeRegistry.java";
+  const sortedIds = typeIds.slice().sort();
+
+  let entries = "";
+  for (let i = 0; i < sortedIds.length; i++) {
+    entries += "        register(\"" + getJavaStringContent(sortedIds[i]) + "\", " + getClassName(sortedIds[i]) + ".class);" + os.EOL;
+  }
+
+  fs.writeFileSync(filename, "" +
+        "/* SPDX-License-Identifier: Apache-2.0 */" + os.EOL +
+        "/* Copyright Contributors to the ODPi Egeria project. */" + os.EOL +
+        "package " + packageName + ";" + os.EOL +
+        os.EOL +
+        "import org.odpi.openmetadata.adapters.repositoryservices.igc.clientlibrary.model.common.*;" + os.EOL +
+        "import java.util.Collections;" + os.EOL +
+        "import java.util.HashMap;" + os.EOL +
+        "import java.util.Map;" + os.EOL +
+        "import java.util.Set;" + os.EOL +
+        "import java.util.TreeSet;" + os.EOL +
+        os.EOL +
+        "/**" + os.EOL +
+        " * Registry of the POJO class for each asset type in IGC, by the type's id in the REST API." + os.EOL +
+        " * <br><br>" + os.EOL +
+        " * Some types' ids differ only by underscores (e.g. 'valid_value_list' and 'validvaluelist'), so are mapped to" + os.EOL +
+        " * distinct classes (e.g. ValidValueList and ValidValueList2); types that are aliases of others (e.g. 'host_(engine)')" + os.EOL +
+        " * are mapped to their own sub-class of the aliased type's class." + os.EOL +
+        " * <br><br>" + os.EOL +
+        " * (this code has been generated based on out-of-the-box IGC metadata types)" + os.EOL +
+        " */" + os.EOL +
+        "public final class IGCTypeRegistry {" + os.EOL +
+        os.EOL +
+        "    private static final Map<String, Class<? extends Reference>> CLASSES_BY_TYPE = new HashMap<>();" + os.EOL +
+        "    private static final Map<Class<? extends Reference>, String> TYPES_BY_CLASS = new HashMap<>();" + os.EOL +
+        os.EOL +
+        "    static {" + os.EOL +
+        entries +
+        "    }" + os.EOL +
+        os.EOL +
+        "    private IGCTypeRegistry() { }" + os.EOL +
+        os.EOL +
+        "    private static void register(String typeId, Class<? extends Reference> pojoClass) {" + os.EOL +
+        "        CLASSES_BY_TYPE.put(typeId, pojoClass);" + os.EOL +
+        "        TYPES_BY_CLASS.put(pojoClass, typeId);" + os.EOL +
+        "    }" + os.EOL +
+        os.EOL +
+        "    /**" + os.EOL +
+        "     * @param typeId the id of the asset type in the REST API (e.g. 'database_table')" + os.EOL +
+        "     * @return the POJO class for the type, or null if there is none" + os.EOL +
+        "     */" + os.EOL +
+        "    public static Class<? extends Reference> getClassForType(String typeId) { return CLASSES_BY_TYPE.get(typeId); }" + os.EOL +
+        os.EOL +
+        "    /**" + os.EOL +
+        "     * @param pojoClass a POJO class" + os.EOL +
+        "     * @return the id of the asset type in the REST API for the class, or null if it is not the class of any type" + os.EOL +
+        "     */" + os.EOL +
+        "    public static String getTypeForClass(Class<?> pojoClass) { return TYPES_BY_CLASS.get(pojoClass); }" + os.EOL +
+        os.EOL +
+        "    /**" + os.EOL +
+        "     * @return the ids of all of the asset types, sorted" + os.EOL +
+        "     */" + os.EOL +
+        "    public static Set<String> getTypeIds() { return Collections.unmodifiableSet(new TreeSet<>(CLASSES_BY_TYPE.keySet())); }" + os.EOL +
+        os.EOL +
+        "}" + os.EOL, { encoding: 'utf8', mode: 0o644 });
+
+}
+
 function getClassHeading(displayName, typeName) {
-  return ""
-        + "/**" + os.EOL
-        + " * POJO for the '" + typeName + "' asset type in IGC, displayed as '" + displayName + "' in the IGC UI." + os.EOL
-        + " * <br><br>" + os.EOL
-        + " * (this code has been generated based on out-of-the-box IGC metadata types;" + os.EOL
-        + " *  if modifications are needed, eg. to handle custom attributes," + os.EOL
-        + " *  extending from this class in your own custom class is the best approach.)" + os.EOL
-        + " */" + os.EOL;
+  return "" +
+          "/**" + os.EOL +
+          " * POJO for the '" + typeName + "' asset type in IGC, displayed as '" + displayName + "' in the IGC UI." + os.EOL +
+          " * <br><br>" + os.EOL +
+          " * (this code has been generated based on out-of-the-box IGC metadata types;" + os.EOL +
+          " *  if modifications are needed, eg. to handle custom attributes," + os.EOL +
+          " *  extending from this class in your own custom class is the best approach.)" + os.EOL +
+          " */" + os.EOL;
 }
 
 function getClassName(fromName) {
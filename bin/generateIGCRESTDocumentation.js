@@ -27,13 +27,24 @@
  * @requires prompt
  * @requires yargs
  * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @see DocumentationRenderer
  * @example
  * // creates a markdown file containing documentation on all of the data types and their properties
  * ./generateApiDoc.js -f igcRestAPI.md -p isadmin
+ * @example
+ * // re-creates the documentation from type metadata cached by an earlier run, without connecting to IGC
+ * ./generateApiDoc.js -f igcRestAPI.md -p isadmin -c ./igc-metadata
+ * ./generateApiDoc.js -f igcRestAPI.md -c ./igc-metadata -o
+ * @example
+ * // creates a static HTML site documenting the data types, with a page per type, under the igcRestAPI directory
+ * ./generateApiDoc.js -f igcRestAPI -t html -p isadmin
+ * @example
+ * // also creates Mermaid and Graphviz diagrams of the relationships between the data types, under the diagrams directory
+ * ./generateApiDoc.js -f igcRestAPI.md -p isadmin -g mermaid dot
  */
 
 const fs = require('fs');
-const os = require('os');
+const path = require('path');
 const igcrest = require('ibm-igc-rest');
 const commons = require('ibm-iis-commons');
 const _ = require('underscore');
@@ -45,10 +56,15 @@ const yargs = require('yargs');
 const argv = yargs
     .usage('Usage: $0 -f <path> -a <authfile> -p <password>')
     .example('$0 -f igcRestAPI.md -p isadmin', 'creates a markdown file containing documentation on all of the data types and their properties')
-    .alias('f', 'file').nargs('f', 1).describe('f', 'Output file into which to create the documentation')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'Output file into which to create the documentation (or directory, for renderers producing multiple pages)')
     .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
     .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
-    .alias('t', 'type').nargs('t', 1).describe('t', 'Markdown/up type (github, confluence)').default('t', 'github')
+    .alias('t', 'type').nargs('t', 1).describe('t', 'Renderer for the documentation (' + igcrest.DocumentationRenderer.getNames().join(', ') + '), or the path to a module exporting a DocumentationRenderer class').default('t', 'github')
+    .alias('g', 'diagrams').array('g').choices('g', ['mermaid', 'dot']).describe('g', 'Also create diagrams of the relationships between types, in each format given (mermaid, dot)')
+    .alias('d', 'diagramdir').nargs('d', 1).describe('d', 'Directory into which to create any diagrams (default: a diagrams directory alongside the documentation)')
+    .alias('c', 'cache').nargs('c', 1).describe('c', 'Directory in which to cache type metadata between runs')
+    .alias('o', 'offline').boolean('o').describe('o', 'Generate only from the type metadata cache, without connecting to IGC')
+    .implies('o', 'c')
     .demandOption(['f'])
     .help('h')
     .alias('h', 'help')
@@ -56,60 +72,46 @@ const argv = yargs
     .argv;
 
 const filename = argv.file;
-const mdtype = argv.type;
-
-const envCtx = new commons.EnvironmentContext(null, argv.authfile);
-
-const basicTypes = { 'string':0, 'boolean':0, 'datetime':0, 'number':0, 'note':0, 'external_asset_reference':0 };
+const renderer = getRenderer(argv.type);
 
 const documentation = {};
 
-const fd = fs.openSync(filename, 'w', 0o644);
-if (mdtype === "github") {
-  outputIt("# Information Governance Catalog REST API");
-} else if (mdtype === "confluence") {
-  outputIt("h1. Information Governance Catalog REST API");
+if (argv.cache) {
+  igcrest.setMetadataCache({ directory: argv.cache, offline: argv.offline });
 }
 
-prompt.override = argv;
+if (argv.offline) {
 
-const inputPrompt = {
-  properties: {
-    password: {
-      hidden: true,
-      required: true,
-      message: "Please enter the password for user '" + envCtx.username + "': "
-    }
-  }
-};
-prompt.message = "";
-prompt.delimiter = "";
+  documentTypes().then(function() {
+    console.log("REST API documentation generated in '" + argv.file + "' (from cached type metadata).");
+    outputDocumentation();
+  })
+  .catch(console.error);
 
-prompt.start();
-prompt.get(inputPrompt, function (err, result) {
-  
-  igcrest.setConnection(envCtx.getRestConnection(result.password));
-  igcrest.openSession().then(function() {
+} else {
 
-    const igcGetTypes = new Promise(function(resolve, reject) {
-      console.log("1 - getting all types");
-      igcrest.getTypes().then(function(resTypes) {
-        const types = _.pluck(resTypes, "_id");
-        resolve(types);
-      });
-    });
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
 
-    igcGetTypes.then(function(aTypes) {
-      const igcPropertiesForTypes = aTypes.map(function(type) {
-        return new Promise(function(resolve, reject) {
-          igcrest.getOther("/ibm/iis/igc-rest/v1/types/" + encodeURIComponent(type) + "?showEditProperties=true&showViewProperties=true&showCreateProperties=true", 200).then(function(props) {
-            documentation[props._id] = parsePropertiesForType(props);
-            resolve();
-          });
-        });
-      });
-      console.log("2 - getting properties for each type");
-      return Promise.all(igcPropertiesForTypes);
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
+
+    igcrest.setConnection(envCtx.getRestConnection(result.password));
+    igcrest.openSession().then(function() {
+      return documentTypes();
     }).then(function() {
       igcrest.closeSession().then(function() {
         console.log("REST API documentation generated in '" + argv.file + "'.");
@@ -123,146 +125,66 @@ prompt.get(inputPrompt, function (err, result) {
 
   });
 
-});
+}
 
-function outputDocumentation() {
-  const aAlphaKeys = Object.keys(documentation).sort();
-  for (let i = 0; i < aAlphaKeys.length; i++) {
-    const type = aAlphaKeys[i];
-    outputIt(documentation[type]);
+function getRenderer(type) {
+  if (/\.js$/.test(type) || type.indexOf(path.sep) !== -1) {
+    const RendererClass = require(path.resolve(type));
+    return new RendererClass();
   }
-  fs.closeSync(fd);
-  process.exit(0);
+  return igcrest.DocumentationRenderer.create(type);
 }
 
-function outputIt(someString) {
-  fs.appendFileSync(filename, someString + os.EOL);
+function documentTypes() {
+  console.log("1 - getting all types");
+  return igcrest.getTypes().then(function(resTypes) {
+    const aTypes = _.pluck(resTypes, "_id");
+    console.log("2 - getting properties for each type");
+    return Promise.all(aTypes.map(function(type) {
+      return igcrest.getTypeDetails(type).then(function(props) {
+        documentation[props._id] = igcrest.DocumentationRenderer.describeType(props);
+      });
+    }));
+  });
 }
 
-function parsePropertyRow(name, displayName, type, typeObj, maxNum, required) {
-
-  let outputName = name;
-  let outputType = type;
-  let outputDetails = "_\"" + displayName + "\"_";
-
-  if (maxNum > 1) {
-    outputName = "_" + outputName + "_";
-  }
-  if (required) {
-    if (mdtype === "github") {
-      outputName = "**" + outputName + "**";
-    } else if (mdtype === "confluence") {
-      outputName = "_*" + outputName + "*_";
+function outputDocumentation() {
+  const aAlphaKeys = Object.keys(documentation).sort();
+  const output = renderer.render(aAlphaKeys.map(function(type) {
+    return documentation[type];
+  }));
+  if (renderer.multiPage) {
+    const pages = Object.keys(output);
+    for (let i = 0; i < pages.length; i++) {
+      const pageFile = path.join(filename, pages[i]);
+      fs.mkdirSync(path.dirname(pageFile), { recursive: true });
+      fs.writeFileSync(pageFile, output[pages[i]], { encoding: 'utf8', mode: 0o644 });
     }
+  } else {
+    fs.writeFileSync(filename, output, { encoding: 'utf8', mode: 0o644 });
   }
-
-  if (type === "enum") {
-    let valuesString = "";
-    const validVals = typeObj.validValues;
-    for (let i = 0; i < validVals.length; i++) {
-      const valueId = validVals[i].id;
-      if (mdtype === "github") {
-        valuesString += "`" + valueId + "`, ";
-      } else {
-        valuesString += "{{" + valueId + "}}, ";
-      }
-    }
-    outputDetails = outputDetails + ": " + valuesString.substring(0, valuesString.length - 2);
-  } else if (typeObj.hasOwnProperty("url")) {
-    if (mdtype === "github") {
-      outputType = "[" + type + "](#" + type.toLowerCase() + ")";
-    } else if (mdtype === "confluence") {
-      outputType = "[#" + type.toLowerCase() + "]";
-    }
-  } else if (!basicTypes.hasOwnProperty(type)) {
-    if (mdtype === "github") {
-      outputDetails = outputDetails + ": UNKNOWN complexType = `" + JSON.stringify(typeObj, null, 2) + "`";
-    } else if (mdtype === "confluence") {
-      outputDetails = outputDetails + ": UNKNOWN complexType = {{" + JSON.stringify(typeObj, null, 2) + "}}";
-    }
+  if (argv.diagrams && argv.diagrams.length > 0) {
+    outputDiagrams(aAlphaKeys);
   }
-  return "| " + outputName + " | " + outputType + " | " + outputDetails + " |\n";
-
+  process.exit(0);
 }
 
-function parseTableForProperties(sValidity, aProps) {
-
-  let text = "";
-  for (let i = 0; i < aProps.length; i++) {
-    const propName = aProps[i].name;
-    const propType = aProps[i].type.name;
-    const required = aProps[i].hasOwnProperty("minCardinality");
-    let maxNum   = 1;
-    if (aProps[i].hasOwnProperty("maxCardinality")) {
-      maxNum = aProps[i].maxCardinality;
+// Creates a diagram of every type's relationships, and one of the neighbourhood of each type, in each format
+function outputDiagrams(aTypes) {
+  const extensions = { "mermaid": ".mmd", "dot": ".dot" };
+  const directory = argv.diagramdir || (renderer.multiPage ? path.join(filename, "diagrams") : path.join(path.dirname(filename), "diagrams"));
+  const graph = igcrest.TypeGraph.fromTypes(aTypes.map(function(type) {
+    return documentation[type];
+  }));
+  fs.mkdirSync(path.join(directory, "types"), { recursive: true });
+  for (let i = 0; i < argv.diagrams.length; i++) {
+    const format = argv.diagrams[i];
+    const render = (format === "mermaid") ? function(g) { return g.toMermaid(); } : function(g) { return g.toDOT(); };
+    fs.writeFileSync(path.join(directory, "all-types" + extensions[format]), render(graph), 'utf8');
+    for (let j = 0; j < aTypes.length; j++) {
+      const diagramFile = aTypes[j].replace(/[^A-Za-z0-9_.$-]/g, "_") + extensions[format];
+      fs.writeFileSync(path.join(directory, "types", diagramFile), render(graph.getNeighbourhood(aTypes[j])), 'utf8');
     }
-    const propDisplay = aProps[i].displayName;
-    text = text + parsePropertyRow(propName, propDisplay, propType, aProps[i].type, maxNum, required);
-  }
-
-  if (mdtype === "github") {
-    return "\n" +
-      "#### " + sValidity + "\n" +
-      "\n" +
-      "| Name | Type | Details |\n" +
-      "| ---- | ---- | ---- |\n" +
-      text;
-  } else if (mdtype === "confluence") {
-    return "\n" +
-      "h4. " + sValidity + "\n" +
-      "\n" +
-      "|| Name || Type || Details ||\n" +
-      text;
-  }
-
-}
-
-function parsePropertiesForType(jsonProps) {
-  
-  const id   = jsonProps._id;
-  const name = jsonProps._name;
-  const url  = jsonProps._url;
-
-  let text = "\n";
-  if (mdtype === "github") {
-    text +=
-      "## `" + id + "`\n" +
-      "\n" +
-      "- Displayed as: _\"" + name + "\"_\n" +
-      "- Path: [" + url + "](#" + url + ")\n";
-  } else if (mdtype === "confluence") {
-    text +=
-      "h2. {{" + id + "}}\n" +
-      "\n" +
-      "- Displayed as: _\"" + name + "\"_\n" +
-      "- Path: [" + url + "]\n";
-  }
-
-  let create = [];
-  let edit = [];
-  let view = [];
-  if (jsonProps.hasOwnProperty("createInfo") && jsonProps.createInfo.hasOwnProperty("properties")) {
-    create = jsonProps.createInfo.properties;
-  }
-  if (jsonProps.hasOwnProperty("editInfo") && jsonProps.editInfo.hasOwnProperty("properties")) {
-    edit = jsonProps.editInfo.properties;
-  }
-  if (jsonProps.hasOwnProperty("viewInfo") && jsonProps.viewInfo.hasOwnProperty("properties")) {
-    view = jsonProps.viewInfo.properties;
-  }
-
-  if (create.length > 0) {
-    text = text + parseTableForProperties("Properties valid for creation:", create);
   }
-
-  if (edit.length > 0) {
-    text = text + parseTableForProperties("Properties valid for editing:", edit);
-  }
-
-  if (view.length > 0) {
-    text = text + parseTableForProperties("Properties valid for viewing:", view);
-  }
-
-  return text;
-
+  console.log("Relationship diagrams (" + argv.diagrams.join(", ") + ") generated in '" + directory + "'.");
 }
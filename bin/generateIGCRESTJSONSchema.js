@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file This script will generate JSON Schemas (draft 2020-12) for the asset types in IGC: for each type, one for the asset as retrieved and one each for the payloads with which it can be created and updated
+ * @license Apache-2.0
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // creates the schemas for every asset type on the server under schemas/
+ * ./generateIGCRESTJSONSchema.js -d schemas -p isadmin
+ * @example
+ * // re-generates the schemas from type metadata cached by an earlier run, without connecting to IGC, with absolute $ids
+ * ./generateIGCRESTJSONSchema.js -d schemas -u https://schemas.example.com/igc/ -c ./igc-metadata -o
+ */
+
+const fs = require('fs');
+const path = require('path');
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const prompt = require('prompt');
+prompt.colors = false;
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -d <path> -a <authfile> -p <password>')
+    .example('$0 -d schemas -p isadmin', 'creates the schemas for every asset type on the server under schemas/')
+    .alias('d', 'directory').nargs('d', 1).describe('d', 'Output directory into which to create the schemas')
+    .alias('u', 'baseuri').nargs('u', 1).describe('u', 'Base URI for the $id of each schema (by default each $id is relative)').default('u', '')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('c', 'cache').nargs('c', 1).describe('c', 'Directory in which to cache type metadata between runs')
+    .alias('o', 'offline').boolean('o').describe('o', 'Generate only from the type metadata cache, without connecting to IGC')
+    .implies('o', 'c')
+    .demandOption(['d'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const metaSchema = "https://json-schema.org/draft/2020-12/schema";
+const commonSchema = "igc-common.schema.json";
+const basicTypeToSchema = {
+  "string": { "type": "string" },
+  "note": { "type": "string" },
+  "external_asset_reference": { "type": "string" },
+  "boolean": { "type": "boolean" },
+  "datetime": { "type": "integer", "description": "Milliseconds since the epoch" },
+  "number": { "type": "number" }
+};
+
+if (argv.cache) {
+  igcrest.setMetadataCache({ directory: argv.cache, offline: argv.offline });
+}
+
+if (argv.offline) {
+
+  generateSchemas().then(function(count) {
+    console.log(count + " schemas generated in '" + argv.directory + "' (from cached type metadata).");
+    process.exit(0);
+  })
+  .catch(console.error);
+
+} else {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
+
+    igcrest.setConnection(envCtx.getRestConnection(result.password));
+    igcrest.openSession().then(function() {
+      return generateSchemas();
+    }).then(function(count) {
+      igcrest.closeSession().then(function() {
+        console.log(count + " schemas generated in '" + argv.directory + "'.");
+        process.exit(0);
+      }, function(failure) {
+        console.log(count + " schemas generated in '" + argv.directory + "', but unable to close session: " + JSON.stringify(failure));
+        process.exit(1);
+      });
+    })
+    .catch(console.error);
+
+  });
+
+}
+
+function generateSchemas() {
+  console.log("1 - getting all types, and the properties of each");
+  return igcrest.getAllTypeDetails().then(function(allDetails) {
+    console.log("2 - generating schemas");
+    const model = new igcrest.TypeModel(allDetails);
+    fs.mkdirSync(argv.directory, { recursive: true });
+    writeSchema(getCommonSchema());
+    let count = 1;
+    const typeIds = model.getTypeIds();
+    for (let i = 0; i < typeIds.length; i++) {
+      const type = model.getType(typeIds[i]);
+      writeSchema(getViewSchema(model, type));
+      count++;
+      if (type.creatable) {
+        writeSchema(getPayloadSchema(type, "create"));
+        count++;
+      }
+      if (type.edit.length > 0) {
+        writeSchema(getPayloadSchema(type, "edit"));
+        count++;
+      }
+    }
+    return count;
+  });
+}
+
+function writeSchema(schema) {
+  const filename = schema.$id.substring(argv.baseuri.length);
+  fs.writeFileSync(path.join(argv.directory, filename), JSON.stringify(schema, null, 2), 'utf8');
+}
+
+function getSchemaId(filename) {
+  return argv.baseuri + filename;
+}
+
+// Definitions shared by the schemas of every type
+function getCommonSchema() {
+  return {
+    "$schema": metaSchema,
+    "$id": getSchemaId(commonSchema),
+    "title": "Common definitions for IGC assets",
+    "$defs": {
+      "reference": getReferenceSchema(null),
+      "referenceList": getReferenceListSchema("#/$defs/paging"),
+      "paging": {
+        "type": "object",
+        "properties": {
+          "numTotal": { "type": "integer" },
+          "pageSize": { "type": "integer" },
+          "begin": { "type": "integer" },
+          "end": { "type": "integer" },
+          "next": { "type": "string" }
+        },
+        "required": [ "numTotal", "pageSize", "begin", "end" ]
+      },
+      "relationshipList": {
+        "description": "The RIDs of related assets, or an object giving the RIDs and whether to replace or append to any existing relationships",
+        "oneOf": [
+          { "type": "array", "items": { "type": "string" } },
+          {
+            "type": "object",
+            "properties": {
+              "items": { "type": "array", "items": { "type": "string" } },
+              "mode": { "enum": [ "replace", "append" ] }
+            },
+            "required": [ "items" ],
+            "additionalProperties": false
+          }
+        ]
+      }
+    }
+  };
+}
+
+function getReferenceSchema(typeId) {
+  return {
+    "type": "object",
+    "properties": {
+      "_type": (typeId === null) ? { "type": "string" } : { "const": typeId },
+      "_id": { "type": "string" },
+      "_name": { "type": "string" },
+      "_url": { "type": "string" }
+    },
+    "required": [ "_type", "_id" ]
+  };
+}
+
+function getReferenceListSchema(pagingRef) {
+  return {
+    "type": "object",
+    "properties": {
+      "items": { "type": "array", "items": { "$ref": "#/$defs/reference" } },
+      "paging": { "$ref": pagingRef }
+    },
+    "required": [ "items" ]
+  };
+}
+
+// The asset as retrieved: relationships are references to the related type (defined by that type's schema)
+function getViewSchema(model, type) {
+  const properties = {
+    "_type": { "const": type.id },
+    "_id": { "type": "string" },
+    "_name": { "type": "string" },
+    "_url": { "type": "string" },
+    "_context": { "type": "array", "items": { "$ref": commonSchema + "#/$defs/reference" } }
+  };
+  for (let i = 0; i < type.view.length; i++) {
+    const property = type.view[i];
+    if (igcrest.TypeModel.isSystemProperty(property.name)) {
+      continue;
+    }
+    let schema = null;
+    if (property.relationship) {
+      const target = model.isAssetType(property.type) ? property.type + ".schema.json" : commonSchema;
+      schema = { "$ref": target + "#/$defs/" + (property.multiple ? "referenceList" : "reference") };
+    } else {
+      schema = getValueSchema(property);
+    }
+    properties[property.name] = describe(schema, property);
+  }
+  return {
+    "$schema": metaSchema,
+    "$id": getSchemaId(type.id + ".schema.json"),
+    "title": type.name,
+    "description": "The '" + type.id + "' asset type, as retrieved from IGC (only the properties requested are included)",
+    "type": "object",
+    "properties": properties,
+    "required": [ "_type", "_id" ],
+    "$defs": {
+      "reference": getReferenceSchema(type.id),
+      "referenceList": getReferenceListSchema(commonSchema + "#/$defs/paging")
+    }
+  };
+}
+
+// The payload with which to create (or update) an asset: relationships are given by the RIDs of the related assets,
+// and (for updates) any value can be null to remove it
+function getPayloadSchema(type, usage) {
+  const properties = {};
+  const required = [];
+  const list = (usage === "create") ? type.create : type.edit;
+  if (usage === "create") {
+    properties._type = { "const": type.id };
+  }
+  for (let i = 0; i < list.length; i++) {
+    const property = list[i];
+    if (igcrest.TypeModel.isSystemProperty(property.name)) {
+      continue;
+    }
+    let schema = null;
+    if (property.relationship && property.multiple) {
+      schema = { "$ref": commonSchema + "#/$defs/relationshipList" };
+    } else if (property.relationship) {
+      schema = { "type": "string", "description": "The RID of the related '" + property.type + "'" };
+    } else {
+      schema = getValueSchema(property);
+    }
+    if (usage === "edit") {
+      schema = { "anyOf": [ schema, { "type": "null" } ] };
+    }
+    properties[property.name] = describe(schema, property);
+    if (usage === "create" && property.required) {
+      required.push(property.name);
+    }
+  }
+  const schema = {
+    "$schema": metaSchema,
+    "$id": getSchemaId(type.id + "." + usage + ".schema.json"),
+    "title": type.name + (usage === "create" ? " (create)" : " (edit)"),
+    "description": "The values with which to " + (usage === "create" ? "create" : "update") + " an asset of the '" + type.id + "' type",
+    "type": "object",
+    "properties": properties
+  };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  schema.additionalProperties = false;
+  return schema;
+}
+
+function getValueSchema(property) {
+  let schema = {};
+  if (property.type === "enum") {
+    schema = (property.validValues.length > 0) ? { "enum": property.validValues.map(function(validValue) { return validValue.id; }) } : { "type": "string" };
+  } else if (basicTypeToSchema.hasOwnProperty(property.type)) {
+    schema = Object.assign({}, basicTypeToSchema[property.type]);
+  } else {
+    console.log("Found unknown type: " + property.type + " (for property '" + property.name + "')");
+  }
+  if (property.multiple) {
+    schema = { "type": "array", "items": schema };
+  }
+  return schema;
+}
+
+function describe(schema, property) {
+  const described = Object.assign({ "title": property.displayName }, schema);
+  if (property.type === "enum" && property.validValues.some(function(validValue) { return validValue.displayName !== validValue.id; })) {
+    described["x-displayNames"] = {};
+    property.validValues.forEach(function(validValue) {
+      described["x-displayNames"][validValue.id] = validValue.displayName;
+    });
+  }
+  return described;
+}
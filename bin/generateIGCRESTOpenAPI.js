@@ -0,0 +1,609 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file This script will generate an OpenAPI 3 specification of the Information Governance Catalog REST API, combining the end-points used by this module with the asset types of an environment
+ * @license Apache-2.0
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @requires camelcase
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // creates an OpenAPI specification covering every asset type on the server
+ * ./generateIGCRESTOpenAPI.js -f igc-openapi.json -p isadmin
+ * @example
+ * // re-generates the specification from type metadata cached by an earlier run, without connecting to IGC
+ * ./generateIGCRESTOpenAPI.js -f igc-openapi.json -c ./igc-metadata -o
+ */
+
+const fs = require('fs');
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const prompt = require('prompt');
+const camelCase = require('camelcase');
+prompt.colors = false;
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -f <path> -a <authfile> -p <password>')
+    .example('$0 -f igc-openapi.json -p isadmin', 'creates an OpenAPI specification covering every asset type on the server')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'Output file into which to create the specification (JSON)')
+    .alias('s', 'server').nargs('s', 1).describe('s', 'Host and port of the server to include in the specification (default: that of the environment, or a placeholder)')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('c', 'cache').nargs('c', 1).describe('c', 'Directory in which to cache type metadata between runs')
+    .alias('o', 'offline').boolean('o').describe('o', 'Generate only from the type metadata cache, without connecting to IGC')
+    .implies('o', 'c')
+    .demandOption(['f'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const basePath = "/ibm/iis/igc-rest/v1";
+const basicTypeToSchema = {
+  "string": { "type": "string" },
+  "note": { "type": "string" },
+  "external_asset_reference": { "type": "string" },
+  "boolean": { "type": "boolean" },
+  "datetime": { "type": "integer", "format": "int64", "description": "Milliseconds since the epoch" },
+  "number": { "type": "number" }
+};
+const reInvalids = /[^A-Za-z0-9_]/g;
+
+// Schemas common to every type model
+const commonSchemas = {
+  "Reference": {
+    "type": "object",
+    "description": "A reference to an asset",
+    "properties": {
+      "_type": { "type": "string" },
+      "_id": { "type": "string" },
+      "_name": { "type": "string" },
+      "_url": { "type": "string" }
+    },
+    "required": [ "_type", "_id" ]
+  },
+  "Paging": {
+    "type": "object",
+    "description": "Details of a page of results, including the URL of the next page (if there is one)",
+    "properties": {
+      "numTotal": { "type": "integer" },
+      "pageSize": { "type": "integer" },
+      "begin": { "type": "integer" },
+      "end": { "type": "integer" },
+      "next": { "type": "string" }
+    },
+    "required": [ "numTotal", "pageSize", "begin", "end" ]
+  },
+  "ReferenceList": {
+    "type": "object",
+    "description": "A page of references to assets",
+    "properties": {
+      "items": { "type": "array", "items": { "$ref": "#/components/schemas/Reference" } },
+      "paging": { "$ref": "#/components/schemas/Paging" }
+    },
+    "required": [ "items" ]
+  },
+  "RelationshipList": {
+    "description": "The RIDs of related assets, or an object giving the RIDs and whether to replace or append to any existing relationships",
+    "oneOf": [
+      { "type": "array", "items": { "type": "string" } },
+      {
+        "type": "object",
+        "properties": {
+          "items": { "type": "array", "items": { "type": "string" } },
+          "mode": { "type": "string", "enum": [ "replace", "append" ] }
+        },
+        "required": [ "items" ]
+      }
+    ]
+  },
+  "Condition": {
+    "type": "object",
+    "properties": {
+      "property": { "type": "string", "description": "The property to compare (which can be a dotted path through relationships)" },
+      "operator": { "type": "string", "enum": [ "=", "<", ">", "<=", ">=", "like %{0}%", "like {0}%", "like %{0}", "in", "isNull", "between" ] },
+      "value": { "description": "The value to compare against (an array, for the `in` operator)" },
+      "min": { "description": "The lower bound, for the `between` operator" },
+      "max": { "description": "The upper bound, for the `between` operator" },
+      "negated": { "type": "boolean" }
+    },
+    "required": [ "property", "operator" ]
+  },
+  "ConditionGroup": {
+    "type": "object",
+    "properties": {
+      "conditions": {
+        "type": "array",
+        "items": { "oneOf": [ { "$ref": "#/components/schemas/Condition" }, { "$ref": "#/components/schemas/ConditionGroup" } ] }
+      },
+      "operator": { "type": "string", "enum": [ "and", "or" ] },
+      "negated": { "type": "boolean" }
+    },
+    "required": [ "conditions", "operator" ]
+  },
+  "Query": {
+    "type": "object",
+    "properties": {
+      "types": { "type": "array", "items": { "$ref": "#/components/schemas/AssetTypeName" } },
+      "properties": { "type": "array", "items": { "type": "string" } },
+      "where": { "$ref": "#/components/schemas/ConditionGroup" },
+      "sorts": {
+        "type": "array",
+        "items": {
+          "type": "object",
+          "properties": { "property": { "type": "string" }, "ascending": { "type": "boolean" } },
+          "required": [ "property", "ascending" ]
+        }
+      },
+      "pageSize": { "type": "integer" },
+      "begin": { "type": "integer" }
+    },
+    "required": [ "types" ]
+  },
+  "SearchResults": {
+    "type": "object",
+    "description": "A page of search results (any dotted properties requested are included by their full path)",
+    "properties": {
+      "items": { "type": "array", "items": { "$ref": "#/components/schemas/Asset" } },
+      "paging": { "$ref": "#/components/schemas/Paging" }
+    },
+    "required": [ "items", "paging" ]
+  },
+  "TypeSummary": {
+    "type": "object",
+    "properties": {
+      "_id": { "type": "string" },
+      "_name": { "type": "string" },
+      "_url": { "type": "string" }
+    }
+  },
+  "PropertyDetails": {
+    "type": "object",
+    "properties": {
+      "name": { "type": "string" },
+      "displayName": { "type": "string" },
+      "type": {
+        "type": "object",
+        "properties": {
+          "name": { "type": "string" },
+          "url": { "type": "string" },
+          "validValues": { "type": "array", "items": { "type": "object", "properties": { "id": { "type": "string" }, "displayName": { "type": "string" } } } }
+        }
+      },
+      "minCardinality": { "type": "integer" },
+      "maxCardinality": { "type": "integer" }
+    }
+  },
+  "TypeDetails": {
+    "type": "object",
+    "properties": {
+      "_id": { "type": "string" },
+      "_name": { "type": "string" },
+      "_url": { "type": "string" },
+      "viewInfo": { "$ref": "#/components/schemas/PropertyList" },
+      "createInfo": { "$ref": "#/components/schemas/PropertyList" },
+      "editInfo": { "$ref": "#/components/schemas/PropertyList" }
+    }
+  },
+  "PropertyList": {
+    "type": "object",
+    "properties": {
+      "properties": { "type": "array", "items": { "$ref": "#/components/schemas/PropertyDetails" } }
+    }
+  },
+  "CustomAttribute": {
+    "type": "object",
+    "properties": {
+      "id": { "type": "string" },
+      "name": { "type": "string" },
+      "description": { "type": "string" },
+      "attributeType": { "type": "string" },
+      "appliesTo": { "type": "array", "items": { "$ref": "#/components/schemas/AssetTypeName" } },
+      "multipleValues": { "type": "boolean" },
+      "validValues": { "type": "array", "items": { "type": "string" } }
+    },
+    "required": [ "name", "attributeType", "appliesTo" ]
+  },
+  "Error": {
+    "type": "object",
+    "properties": {
+      "message": { "type": "string" }
+    }
+  }
+};
+
+if (argv.cache) {
+  igcrest.setMetadataCache({ directory: argv.cache, offline: argv.offline });
+}
+
+if (argv.offline) {
+
+  generateSpecification(argv.server || "{host}:{port}").then(function() {
+    console.log("OpenAPI specification generated in '" + argv.file + "' (from cached type metadata).");
+    process.exit(0);
+  })
+  .catch(console.error);
+
+} else {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
+
+    const restConnect = envCtx.getRestConnection(result.password);
+    igcrest.setConnection(restConnect);
+    igcrest.openSession().then(function() {
+      return generateSpecification(argv.server || restConnect.baseURL.replace(/^https?:\/\//, ""));
+    }).then(function() {
+      igcrest.closeSession().then(function() {
+        console.log("OpenAPI specification generated in '" + argv.file + "'.");
+        process.exit(0);
+      }, function(failure) {
+        console.log("OpenAPI specification generated in '" + argv.file + "', but unable to close session: " + JSON.stringify(failure));
+        process.exit(1);
+      });
+    })
+    .catch(console.error);
+
+  });
+
+}
+
+function generateSpecification(server) {
+  console.log("1 - getting all types, and the properties of each");
+  return igcrest.getAllTypeDetails().then(function(allDetails) {
+    console.log("2 - generating specification");
+    const model = new igcrest.TypeModel(allDetails);
+    fs.writeFileSync(argv.file, JSON.stringify(getSpecification(model, server), null, 2), 'utf8');
+  });
+}
+
+function getSpecification(model, server) {
+
+  const typeIds = model.getTypeIds();
+  const names = getSchemaNames(typeIds);
+  const schemas = JSON.parse(JSON.stringify(commonSchemas));
+  const views = {};
+  const creates = {};
+  const edits = {};
+
+  schemas.AssetTypeName = { "type": "string", "enum": typeIds };
+  for (let i = 0; i < typeIds.length; i++) {
+    const type = model.getType(typeIds[i]);
+    const name = names[type.id];
+    schemas[name] = getViewSchema(model, type);
+    views[type.id] = "#/components/schemas/" + name;
+    if (type.creatable) {
+      schemas[name + "Create"] = getPayloadSchema(type, "create");
+      creates[type.id] = "#/components/schemas/" + name + "Create";
+    }
+    if (type.edit.length > 0) {
+      schemas[name + "Edit"] = getPayloadSchema(type, "edit");
+      edits[type.id] = "#/components/schemas/" + name + "Edit";
+    }
+  }
+  schemas.Asset = getUnionSchema(views, "Any asset, by its type");
+  schemas.AssetCreate = getUnionSchema(creates, "The values with which to create an asset of any type");
+  // Updates do not identify the type of asset being updated, so cannot be discriminated
+  schemas.AssetEdit = {
+    "description": "The values with which to update an asset (of the type given by its RID)",
+    "anyOf": Object.keys(edits).map(function(typeId) { return { "$ref": edits[typeId] }; })
+  };
+
+  const serverObject = { "url": "https://" + server + basePath };
+  if (server === "{host}:{port}") {
+    serverObject.variables = { "host": { "default": "localhost" }, "port": { "default": "9443" } };
+  }
+
+  return {
+    "openapi": "3.0.3",
+    "info": {
+      "title": "IBM Information Governance Catalog REST API",
+      "description": "The end-points of the IGC REST API used by ibm-igc-rest, with the schemas of the " + typeIds.length + " asset types of the environment from which this was generated.",
+      "version": "v1"
+    },
+    "servers": [ serverObject ],
+    "security": [ { "basicAuth": [] }, { "session": [] } ],
+    "paths": getPaths(),
+    "components": {
+      "securitySchemes": {
+        "basicAuth": { "type": "http", "scheme": "basic" },
+        "session": { "type": "apiKey", "in": "cookie", "name": "JSESSIONID", "description": "The session cookie returned by any request authenticated with basicAuth" }
+      },
+      "schemas": schemas
+    }
+  };
+
+}
+
+// The end-points used by this module
+function getPaths() {
+  const rid = { "name": "rid", "in": "path", "required": true, "description": "The RID of the asset", "schema": { "type": "string" } };
+  const paging = [
+    { "name": "begin", "in": "query", "schema": { "type": "integer", "default": 0 } },
+    { "name": "pageSize", "in": "query", "schema": { "type": "integer", "default": 10 } }
+  ];
+  const xml = { "required": true, "content": { "application/xml": { "schema": { "type": "string" } } } };
+  const bundleFile = {
+    "required": true,
+    "content": {
+      "multipart/form-data": {
+        "schema": { "type": "object", "properties": { "file": { "type": "string", "format": "binary", "description": "The bundle's zip file" } }, "required": [ "file" ] }
+      }
+    }
+  };
+  const paths = {};
+  paths["/search/"] = {
+    "post": operation("search", "Search for assets", jsonBody("Query"), { "200": jsonResponse("The first page of results", "SearchResults") })
+  };
+  paths["/assets"] = {
+    "post": operation("createAsset", "Create an asset", jsonBody("AssetCreate"), {
+      "201": {
+        "description": "The asset was created",
+        "headers": { "Location": { "description": "The URL of the created asset (ending with its RID)", "schema": { "type": "string" } } }
+      }
+    })
+  };
+  paths["/assets/{rid}"] = {
+    "parameters": [ rid ],
+    "get": operation("getAsset", "Retrieve an asset", null, { "200": jsonResponse("The asset", "Asset") }),
+    "put": operation("updateAsset", "Update an asset", jsonBody("AssetEdit"), { "200": jsonResponse("The updated asset", "Asset") }),
+    "delete": operation("deleteAsset", "Delete an asset", null, { "200": { "description": "The asset was deleted" } })
+  };
+  paths["/assets/{rid}/{property}"] = {
+    "parameters": [ rid, { "name": "property", "in": "path", "required": true, "schema": { "type": "string" } } ].concat(paging),
+    "get": operation("getAssetProperty", "Retrieve (a page of) a property of an asset", null, {
+      "200": { "description": "The value of the property: for relationships to many assets, a page of references", "content": { "application/json": { "schema": {} } } }
+    })
+  };
+  paths["/types/"] = {
+    "get": operation("getTypes", "List the asset types", null, {
+      "200": { "description": "Every asset type", "content": { "application/json": { "schema": { "type": "array", "items": { "$ref": "#/components/schemas/TypeSummary" } } } } }
+    })
+  };
+  paths["/types/{type}"] = {
+    "parameters": [
+      { "name": "type", "in": "path", "required": true, "schema": { "$ref": "#/components/schemas/AssetTypeName" } },
+      { "name": "showViewProperties", "in": "query", "schema": { "type": "boolean" } },
+      { "name": "showCreateProperties", "in": "query", "schema": { "type": "boolean" } },
+      { "name": "showEditProperties", "in": "query", "schema": { "type": "boolean" } }
+    ],
+    "get": operation("getTypeDetails", "Retrieve the properties of an asset type", null, { "200": jsonResponse("The details of the type", "TypeDetails") })
+  };
+  paths["/flows/detectFlows/dsjob/{rid}"] = {
+    "parameters": [ rid ],
+    "get": operation("detectLineageForJob", "Detect the lineage flows of a DataStage job", null, { "202": { "description": "Lineage detection has been started" } })
+  };
+  paths["/flows/upload"] = {
+    "post": operation("uploadLineageFlow", "Upload an extended data lineage flow document", xml, { "200": { "description": "The flows were uploaded" } })
+  };
+  paths["/bundles/"] = {
+    "get": operation("getBundles", "List the Open IGC bundles", null, {
+      "200": { "description": "The name of every bundle", "content": { "application/json": { "schema": { "type": "array", "items": { "type": "string" } } } } }
+    })
+  };
+  paths["/bundles"] = {
+    "post": operation("createBundle", "Create an Open IGC bundle", bundleFile, { "200": { "description": "The bundle was created" } }),
+    "put": operation("updateBundle", "Update an Open IGC bundle", bundleFile, { "200": { "description": "The bundle was updated" } })
+  };
+  paths["/bundles/assets"] = {
+    "post": operation("createBundleAssets", "Create (or update) assets of Open IGC bundles from an asset instance document", xml, { "200": { "description": "The assets were created" } })
+  };
+  paths["/administration/attributes/"] = {
+    "parameters": paging,
+    "get": operation("getCustomAttributes", "List the custom attributes", null, {
+      "200": { "description": "The custom attributes", "content": { "application/json": { "schema": { "type": "array", "items": { "$ref": "#/components/schemas/CustomAttribute" } } } } }
+    })
+  };
+  paths["/administration/attributes"] = {
+    "post": operation("createCustomAttribute", "Create a custom attribute", jsonBody("CustomAttribute"), { "200": jsonResponse("The custom attribute", "CustomAttribute") })
+  };
+  paths["/administration/attributes/{id}"] = {
+    "parameters": [ { "name": "id", "in": "path", "required": true, "schema": { "type": "string" } } ],
+    "put": operation("updateCustomAttribute", "Update a custom attribute", jsonBody("CustomAttribute"), { "200": jsonResponse("The custom attribute", "CustomAttribute") })
+  };
+  paths["/logout/"] = {
+    "get": operation("logout", "Close the session", null, { "200": { "description": "The session was closed" } })
+  };
+  return paths;
+}
+
+function operation(operationId, summary, requestBody, responses) {
+  const op = { "operationId": operationId, "summary": summary };
+  if (requestBody !== null) {
+    op.requestBody = requestBody;
+  }
+  op.responses = Object.assign({}, responses, {
+    "400": jsonResponse("The request was invalid", "Error"),
+    "401": { "description": "Authentication is required" },
+    "404": jsonResponse("Not found", "Error")
+  });
+  return op;
+}
+
+function jsonBody(schemaName) {
+  return { "required": true, "content": { "application/json": { "schema": { "$ref": "#/components/schemas/" + schemaName } } } };
+}
+
+function jsonResponse(description, schemaName) {
+  return { "description": description, "content": { "application/json": { "schema": { "$ref": "#/components/schemas/" + schemaName } } } };
+}
+
+function getUnionSchema(refs, description) {
+  const typeIds = Object.keys(refs);
+  return {
+    "description": description,
+    "oneOf": typeIds.map(function(typeId) { return { "$ref": refs[typeId] }; }),
+    "discriminator": { "propertyName": "_type", "mapping": refs }
+  };
+}
+
+// The asset as retrieved: relationships are references to assets of the related type
+function getViewSchema(model, type) {
+  const properties = {
+    "_type": { "type": "string", "enum": [ type.id ] },
+    "_id": { "type": "string" },
+    "_name": { "type": "string" },
+    "_url": { "type": "string" },
+    "_context": { "type": "array", "items": { "$ref": "#/components/schemas/Reference" } }
+  };
+  for (let i = 0; i < type.view.length; i++) {
+    const property = type.view[i];
+    if (igcrest.TypeModel.isSystemProperty(property.name)) {
+      continue;
+    }
+    let schema = null;
+    if (property.relationship) {
+      // Siblings of a $ref are ignored, so the related type is described through allOf
+      schema = {
+        "description": (property.multiple ? "References to assets" : "A reference to an asset") + " of type '" + property.type + "'",
+        "allOf": [ { "$ref": "#/components/schemas/" + (property.multiple ? "ReferenceList" : "Reference") } ]
+      };
+    } else {
+      schema = getValueSchema(property);
+    }
+    properties[property.name] = describe(schema, property);
+  }
+  return {
+    "type": "object",
+    "title": type.name,
+    "description": "The '" + type.id + "' asset type, as retrieved (only the properties requested are included)",
+    "properties": properties,
+    "required": [ "_type", "_id" ]
+  };
+}
+
+// The payload with which to create (or update) an asset: relationships are given by the RIDs of the related assets,
+// and (for updates) any single value can be null to remove it
+function getPayloadSchema(type, usage) {
+  const properties = {};
+  const required = [];
+  const list = (usage === "create") ? type.create : type.edit;
+  if (usage === "create") {
+    properties._type = { "type": "string", "enum": [ type.id ] };
+    required.push("_type");
+  }
+  for (let i = 0; i < list.length; i++) {
+    const property = list[i];
+    if (igcrest.TypeModel.isSystemProperty(property.name)) {
+      continue;
+    }
+    let schema = null;
+    if (property.relationship && property.multiple) {
+      schema = { "allOf": [ { "$ref": "#/components/schemas/RelationshipList" } ] };
+    } else if (property.relationship) {
+      schema = { "type": "string", "description": "The RID of the related '" + property.type + "'" };
+    } else {
+      schema = getValueSchema(property);
+    }
+    if (usage === "edit" && !property.multiple) {
+      schema.nullable = true;
+      if (schema.enum) {
+        schema.enum = schema.enum.concat([ null ]);
+      }
+    }
+    properties[property.name] = describe(schema, property);
+    if (usage === "create" && property.required) {
+      required.push(property.name);
+    }
+  }
+  const schema = {
+    "type": "object",
+    "title": type.name + (usage === "create" ? " (create)" : " (edit)"),
+    "description": "The values with which to " + (usage === "create" ? "create" : "update") + " an asset of the '" + type.id + "' type",
+    "properties": properties
+  };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  schema.additionalProperties = false;
+  return schema;
+}
+
+function getValueSchema(property) {
+  let schema = {};
+  if (property.type === "enum") {
+    schema = (property.validValues.length > 0) ? { "type": "string", "enum": property.validValues.map(function(validValue) { return validValue.id; }) } : { "type": "string" };
+  } else if (basicTypeToSchema.hasOwnProperty(property.type)) {
+    schema = Object.assign({}, basicTypeToSchema[property.type]);
+  } else {
+    console.log("Found unknown type: " + property.type + " (for property '" + property.name + "')");
+  }
+  if (property.multiple) {
+    schema = { "type": "array", "items": schema };
+  }
+  return schema;
+}
+
+function describe(schema, property) {
+  const described = Object.assign({ "title": property.displayName }, schema);
+  if (property.type === "enum" && property.validValues.some(function(validValue) { return validValue.displayName !== validValue.id; })) {
+    described["x-displayNames"] = {};
+    property.validValues.forEach(function(validValue) {
+      described["x-displayNames"][validValue.id] = validValue.displayName;
+    });
+  }
+  return described;
+}
+
+// Some types in IGC differ only by underscores (e.g. 'valid_value_list' and 'validvaluelist'), so any later type
+// whose name would clash (including with the common schemas) is given a numeric suffix
+function getSchemaNames(typeIds) {
+  const names = {};
+  const used = {};
+  Object.keys(commonSchemas).concat([ "AssetTypeName", "Asset", "AssetCreate", "AssetEdit" ]).forEach(function(name) {
+    used[name] = true;
+  });
+  for (let i = 0; i < typeIds.length; i++) {
+    let name = camelCase(typeIds[i].replace(reInvalids, "_"), {pascalCase: true});
+    if (!/^[A-Za-z]/.test(name)) {
+      name = "T" + name;
+    }
+    let unique = name;
+    for (let suffix = 2; used.hasOwnProperty(unique) || used.hasOwnProperty(unique + "Create") || used.hasOwnProperty(unique + "Edit"); suffix++) {
+      unique = name + suffix;
+    }
+    used[unique] = true;
+    used[unique + "Create"] = true;
+    used[unique + "Edit"] = true;
+    names[typeIds[i]] = unique;
+  }
+  return names;
+}
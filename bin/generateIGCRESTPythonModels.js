@@ -0,0 +1,559 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file This script will generate a Python package of dataclasses for the asset types in IGC: a module per type, with an enum for each property with valid values, typed references to the related types, and an index of every type
+ * @license Apache-2.0
+ * @requires underscore
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @requires camelcase
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // creates a Python package with a dataclass for each type on the server under igc_models/
+ * ./generateIGCRESTPythonModels.js -d igc_models -p isadmin
+ * @example
+ * // re-generates the package from type metadata cached by an earlier run, without connecting to IGC
+ * ./generateIGCRESTPythonModels.js -d igc_models -c ./igc-metadata -o
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const _ = require('underscore');
+const prompt = require('prompt');
+const camelCase = require('camelcase');
+prompt.colors = false;
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -d <path> -a <authfile> -p <password>')
+    .example('$0 -d igc_models -p isadmin', 'creates a Python package with a dataclass for each type on the server under igc_models/')
+    .alias('d', 'directory').nargs('d', 1).describe('d', 'Output directory of the Python package into which to create the models')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('c', 'cache').nargs('c', 1).describe('c', 'Directory in which to cache type metadata between runs')
+    .alias('o', 'offline').boolean('o').describe('o', 'Generate only from the type metadata cache, without connecting to IGC')
+    .implies('o', 'c')
+    .demandOption(['d'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+// Ignore these types and pseudo-types -- they are not actual asset types that can be accessed
+const ignoreTypes = [ "main_object", "information_asset" ];
+const ignoreProperties = [ "_name", "_type", "_url", "_id", "_context", "notes" ];
+const basicTypeToPythonType = {
+  "string": "str",
+  "note": "str",
+  "external_asset_reference": "str",
+  "boolean": "bool",
+  "datetime": "datetime",
+  "number": "float",
+  "enum": "str"
+};
+const invalidNamingCharacters = ['\\(', '\\)', '\\/', '&', ' '];
+const reInvalids = new RegExp('[' + invalidNamingCharacters.join('') + ']', 'g');
+// Python only allows letters, digits and underscores in identifiers (IGC also allows e.g. '$' and '-' in type ids)
+const reNonIdentifier = /[^A-Za-z0-9_]/g;
+const reservedWords = [
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+  'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or',
+  'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  // ... and the names used within each model's module, which a field must not shadow
+  'field', 'dataclass', 'datetime', 'Enum', 'ClassVar', 'List', 'Optional', 'TYPE_CHECKING', 'IGCAsset', 'Reference', 'ReferenceList'
+];
+const aliasObjects = {
+  "host_(engine)": "host"
+};
+
+// Unfortunately there are some non-unique types in IGC...
+const nonUniqueClassNames = {
+  "valid_value_list": "ValidValueList",
+  "validvaluelist": "ValidValueList2",
+  "valid_value_range": "ValidValueRange",
+  "validvaluerange": "ValidValueRange2",
+  "parameter_set": "ParameterSet",
+  "parameterset": "ParameterSet2",
+  "function_call": "FunctionCall",
+  "functioncall": "FunctionCall2"
+};
+
+// Classes common to every model, which (unlike the models) do not depend on the environment
+const commonModule = [
+  '"""',
+  'Common classes for the models of IGC asset types: references to assets, pages of references, and the base',
+  'class of every model (which converts assets to and from the JSON of the IGC REST API).',
+  '',
+  '(this code has been generated by ibm-igc-rest)',
+  '"""',
+  'from dataclasses import dataclass, field, fields',
+  'from datetime import datetime, timezone',
+  'from enum import Enum',
+  'from typing import Any, ClassVar, Dict, Generic, List, Optional, TypeVar',
+  '',
+  'T = TypeVar("T")',
+  '',
+  '',
+  '@dataclass',
+  'class Reference(Generic[T]):',
+  '    """A reference to an asset (of the type given by the type parameter)."""',
+  '    igc_type: Optional[str] = None',
+  '    igc_id: Optional[str] = None',
+  '    igc_name: Optional[str] = None',
+  '    igc_url: Optional[str] = None',
+  '',
+  '    @classmethod',
+  '    def from_dict(cls, data: Dict[str, Any]) -> "Reference[T]":',
+  '        return cls(igc_type=data.get("_type"), igc_id=data.get("_id"), igc_name=data.get("_name"), igc_url=data.get("_url"))',
+  '',
+  '    def to_dict(self) -> Dict[str, Any]:',
+  '        return {"_type": self.igc_type, "_id": self.igc_id, "_name": self.igc_name, "_url": self.igc_url}',
+  '',
+  '',
+  '@dataclass',
+  'class Paging:',
+  '    """Details of a page of results, including the URL of the next page (if there is one)."""',
+  '    num_total: int = 0',
+  '    page_size: int = 0',
+  '    begin: int = 0',
+  '    end: int = 0',
+  '    next: Optional[str] = None',
+  '',
+  '    @classmethod',
+  '    def from_dict(cls, data: Dict[str, Any]) -> "Paging":',
+  '        return cls(num_total=data.get("numTotal", 0), page_size=data.get("pageSize", 0), begin=data.get("begin", 0),',
+  '                   end=data.get("end", 0), next=data.get("next"))',
+  '',
+  '    def to_dict(self) -> Dict[str, Any]:',
+  '        paging = {"numTotal": self.num_total, "pageSize": self.page_size, "begin": self.begin, "end": self.end}',
+  '        if self.next is not None:',
+  '            paging["next"] = self.next',
+  '        return paging',
+  '',
+  '',
+  '@dataclass',
+  'class ReferenceList(Generic[T]):',
+  '    """A page of references to assets (of the type given by the type parameter)."""',
+  '    items: List[Reference[T]] = field(default_factory=list)',
+  '    paging: Optional[Paging] = None',
+  '',
+  '    @classmethod',
+  '    def from_dict(cls, data: Dict[str, Any]) -> "ReferenceList[T]":',
+  '        paging = Paging.from_dict(data["paging"]) if data.get("paging") is not None else None',
+  '        return cls(items=[Reference.from_dict(item) for item in data.get("items", [])], paging=paging)',
+  '',
+  '    def to_dict(self) -> Dict[str, Any]:',
+  '        references = {"items": [item.to_dict() for item in self.items]}',
+  '        if self.paging is not None:',
+  '            references["paging"] = self.paging.to_dict()',
+  '        return references',
+  '',
+  '',
+  'def _from_json(metadata: Any, value: Any) -> Any:',
+  '    if value is None:',
+  '        return None',
+  '    if metadata.get("multiple") and isinstance(value, list):',
+  '        return [_from_json(dict(metadata, multiple=False), item) for item in value]',
+  '    kind = metadata.get("kind")',
+  '    if kind == "reference":',
+  '        return Reference.from_dict(value)',
+  '    if kind == "reference_list":',
+  '        return ReferenceList.from_dict(value)',
+  '    if kind == "datetime" and isinstance(value, (int, float)):',
+  '        return datetime.fromtimestamp(value / 1000, tz=timezone.utc)',
+  '    if kind == "enum":',
+  '        try:',
+  '            return metadata["enum"](value)',
+  '        except ValueError:',
+  '            # Keep any value added to IGC since the models were generated',
+  '            return value',
+  '    return value',
+  '',
+  '',
+  'def _to_json(value: Any) -> Any:',
+  '    if isinstance(value, list):',
+  '        return [_to_json(item) for item in value]',
+  '    if isinstance(value, (Reference, ReferenceList)):',
+  '        return value.to_dict()',
+  '    if isinstance(value, datetime):',
+  '        return int(value.timestamp() * 1000)',
+  '    if isinstance(value, Enum):',
+  '        return value.value',
+  '    return value',
+  '',
+  '',
+  '@dataclass',
+  'class IGCAsset:',
+  '    """The base class of the model of every asset type."""',
+  '    TYPE_ID: ClassVar[Optional[str]] = None',
+  '    DISPLAY_NAME: ClassVar[Optional[str]] = None',
+  '    CAN_BE_CREATED: ClassVar[bool] = False',
+  '',
+  '    igc_type: Optional[str] = None',
+  '    igc_id: Optional[str] = None',
+  '    igc_name: Optional[str] = None',
+  '    igc_url: Optional[str] = None',
+  '    igc_context: List[Reference[Any]] = field(default_factory=list)',
+  '',
+  '    @classmethod',
+  '    def from_dict(cls, data: Dict[str, Any]) -> "IGCAsset":',
+  '        """Create the model of an asset from its JSON (as retrieved from the IGC REST API)."""',
+  '        values = {',
+  '            "igc_type": data.get("_type"),',
+  '            "igc_id": data.get("_id"),',
+  '            "igc_name": data.get("_name"),',
+  '            "igc_url": data.get("_url"),',
+  '            "igc_context": [Reference.from_dict(item) for item in data.get("_context", [])],',
+  '        }',
+  '        for model_field in fields(cls):',
+  '            name = model_field.metadata.get("igc")',
+  '            if name is not None and name in data:',
+  '                values[model_field.name] = _from_json(model_field.metadata, data[name])',
+  '        return cls(**values)',
+  '',
+  '    def to_dict(self) -> Dict[str, Any]:',
+  '        """Convert the model of an asset to JSON (with the property names of the IGC REST API), omitting any unset values."""',
+  '        data = {"_type": self.igc_type or self.TYPE_ID}',
+  '        for key, name in (("_id", "igc_id"), ("_name", "igc_name"), ("_url", "igc_url")):',
+  '            if getattr(self, name) is not None:',
+  '                data[key] = getattr(self, name)',
+  '        for model_field in fields(self):',
+  '            name = model_field.metadata.get("igc")',
+  '            value = getattr(self, model_field.name)',
+  '            if name is not None and value is not None:',
+  '                data[name] = _to_json(value)',
+  '        return data',
+  ''
+].join(os.EOL);
+
+if (argv.cache) {
+  igcrest.setMetadataCache({ directory: argv.cache, offline: argv.offline });
+}
+
+if (argv.offline) {
+
+  generateModels().then(function(count) {
+    console.log(count + " models generated in '" + argv.directory + "' (from cached type metadata).");
+    process.exit(0);
+  })
+  .catch(console.error);
+
+} else {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
+
+    igcrest.setConnection(envCtx.getRestConnection(result.password));
+    igcrest.openSession().then(function() {
+      return generateModels();
+    }).then(function(count) {
+      igcrest.closeSession().then(function() {
+        console.log(count + " models generated in '" + argv.directory + "'.");
+        process.exit(0);
+      }, function(failure) {
+        console.log(count + " models generated in '" + argv.directory + "', but unable to close session: " + JSON.stringify(failure));
+        process.exit(1);
+      });
+    })
+    .catch(console.error);
+
+  });
+
+}
+
+function generateModels() {
+  console.log("1 - getting all types");
+  return igcrest.getTypes().then(function(resTypes) {
+    const aTypes = _.pluck(resTypes, "_id").filter(function(type) { return !ignoreTypes.includes(type); });
+    console.log("2 - getting properties for each type");
+    return Promise.all(aTypes.map(function(type) {
+      return igcrest.getTypeDetails(type);
+    }));
+  }).then(function(allDetails) {
+    console.log("3 - generating models");
+    // Every name must be known up-front, for the references between the models
+    const names = getNames(_.pluck(allDetails, "_id").sort());
+    fs.mkdirSync(argv.directory, { recursive: true });
+    fs.writeFileSync(path.join(argv.directory, "_common.py"), commonModule, 'utf8');
+    for (let i = 0; i < allDetails.length; i++) {
+      fs.writeFileSync(path.join(argv.directory, names[allDetails[i]._id].module + ".py"), getModuleForType(allDetails[i], names), 'utf8');
+    }
+    fs.writeFileSync(path.join(argv.directory, "__init__.py"), getModuleIndex(allDetails, names), 'utf8');
+    return allDetails.length;
+  });
+}
+
+// The class and module name for each type: types whose names would clash (beyond those already known to) are given
+// a numeric suffix
+function getNames(typeIds) {
+  const names = {};
+  const usedClasses = [ "IGCAsset", "Reference", "ReferenceList", "Paging" ];
+  const usedModules = [ "_common" ];
+  for (let i = 0; i < typeIds.length; i++) {
+    const id = typeIds[i];
+    let className = getClassName(id);
+    for (let suffix = 2; usedClasses.includes(className); suffix++) {
+      className = getClassName(id) + suffix;
+    }
+    usedClasses.push(className);
+    let moduleName = id.replace(reInvalids, "_").replace(reNonIdentifier, "_").replace(/_+/g, "_").replace(/^_|_$/g, "").toLowerCase();
+    if (moduleName === "" || /^[0-9]/.test(moduleName) || reservedWords.includes(moduleName)) {
+      moduleName = "type_" + moduleName;
+    }
+    const baseModule = moduleName;
+    for (let suffix = 2; usedModules.includes(moduleName); suffix++) {
+      moduleName = baseModule + "_" + suffix;
+    }
+    usedModules.push(moduleName);
+    names[id] = { "class": className, "module": moduleName };
+  }
+  return names;
+}
+
+function getClassName(fromName) {
+  if (nonUniqueClassNames.hasOwnProperty(fromName)) {
+    return nonUniqueClassNames[fromName];
+  }
+  let className = camelCase(fromName.replace(reInvalids, "_"), {pascalCase: true}).replace(reNonIdentifier, "");
+  if (!/^[A-Za-z]/.test(className)) {
+    className = "T" + className;
+  }
+  return className;
+}
+
+function getFieldName(propName, usedFields) {
+  let fieldName = propName.replace(reInvalids, "_").replace(reNonIdentifier, "_").replace(/_+/g, "_").replace(/^_|_$/g, "");
+  if (fieldName === "" || /^[0-9]/.test(fieldName)) {
+    fieldName = "p_" + fieldName;
+  } else if (reservedWords.includes(fieldName)) {
+    fieldName = fieldName + "_";
+  }
+  const baseField = fieldName;
+  for (let suffix = 2; usedFields.includes(fieldName); suffix++) {
+    fieldName = baseField + "_" + suffix;
+  }
+  usedFields.push(fieldName);
+  return fieldName;
+}
+
+function getEnumMemberName(value, usedMembers) {
+  let member = value.toUpperCase().replace(/[^A-Z0-9_]/g, "_");
+  if (!/^[A-Z]/.test(member)) {
+    member = "VALUE_" + member;
+  }
+  let unique = member;
+  for (let suffix = 2; usedMembers.includes(unique); suffix++) {
+    unique = member + "_" + suffix;
+  }
+  usedMembers.push(unique);
+  return unique;
+}
+
+function getPythonString(value) {
+  return JSON.stringify(String(value));
+}
+
+function getModuleForType(jsonProps, names) {
+
+  const id = jsonProps._id;
+  const name = jsonProps._name;
+  const className = names[id].class;
+  const docstring = '"""' + os.EOL +
+    "The '" + id + "' asset type in IGC, displayed as '" + name + "' in the IGC UI." + os.EOL +
+    os.EOL +
+    "(this code has been generated based on the IGC metadata types of an environment; if modifications are needed," + os.EOL +
+    " e.g. to handle custom attributes, extending from this class in your own class is the best approach)" + os.EOL +
+    '"""' + os.EOL;
+
+  // An alias simply extends the model of the type it is an alias for
+  if (aliasObjects.hasOwnProperty(id) && names.hasOwnProperty(aliasObjects[id])) {
+    const aliased = names[aliasObjects[id]];
+    return docstring +
+      "from dataclasses import dataclass" + os.EOL +
+      os.EOL +
+      "from ." + aliased.module + " import " + aliased.class + os.EOL +
+      os.EOL +
+      os.EOL +
+      "@dataclass" + os.EOL +
+      "class " + className + "(" + aliased.class + "):" + os.EOL +
+      "    \"\"\"The '" + id + "' asset type, displayed as '" + name + "' in the IGC UI (an alias of '" + aliasObjects[id] + "').\"\"\"" + os.EOL +
+      "    TYPE_ID = " + getPythonString(id) + os.EOL +
+      "    DISPLAY_NAME = " + getPythonString(name) + os.EOL;
+  }
+
+  let view = [];
+  if (jsonProps.hasOwnProperty("viewInfo") && jsonProps.viewInfo.hasOwnProperty("properties")) {
+    view = jsonProps.viewInfo.properties;
+  }
+
+  const referencedTypes = [];
+  const enums = [];
+  const usedFields = [ "igc_type", "igc_id", "igc_name", "igc_url", "igc_context", "TYPE_ID", "DISPLAY_NAME", "CAN_BE_CREATED" ];
+  const usedEnums = [ className ];
+  let declFields = "";
+
+  for (let i = 0; i < view.length; i++) {
+    const propName = view[i].name;
+    const typeObj = view[i].type;
+    if (ignoreProperties.includes(propName)) {
+      continue;
+    }
+    // When there isn't a maxCardinality specified, there can be multiple;
+    // UNLESS the data type is boolean (then there is only one value permitted)
+    const multiple = !view[i].hasOwnProperty("maxCardinality") || view[i].maxCardinality !== 1;
+    let pythonType = null;
+    let metadata = "";
+    if (typeObj.hasOwnProperty("url")) {
+      let target = "IGCAsset";
+      if (names.hasOwnProperty(typeObj.name)) {
+        target = names[typeObj.name].class;
+        if (typeObj.name !== id && !referencedTypes.includes(typeObj.name)) {
+          referencedTypes.push(typeObj.name);
+        }
+      }
+      pythonType = (multiple ? "ReferenceList[" : "Reference[") + target + "]";
+      metadata = ', "kind": "' + (multiple ? "reference_list" : "reference") + '"';
+    } else if (typeObj.name === "enum" && typeObj.validValues && typeObj.validValues.length > 0) {
+      const baseEnum = className + camelCase(propName.replace(reInvalids, "_"), {pascalCase: true}).replace(reNonIdentifier, "");
+      let enumName = baseEnum;
+      for (let suffix = 2; usedEnums.includes(enumName); suffix++) {
+        enumName = baseEnum + suffix;
+      }
+      usedEnums.push(enumName);
+      enums.push(getEnum(enumName, propName, view[i].displayName, typeObj.validValues));
+      pythonType = (multiple ? "List[" + enumName + "]" : enumName);
+      metadata = ', "kind": "enum", "enum": ' + enumName + (multiple ? ', "multiple": True' : '');
+    } else if (basicTypeToPythonType.hasOwnProperty(typeObj.name)) {
+      const basicType = basicTypeToPythonType[typeObj.name];
+      const listed = multiple && basicType !== "bool";
+      pythonType = (listed ? "List[" + basicType + "]" : basicType);
+      metadata = (typeObj.name === "datetime" ? ', "kind": "datetime"' : '') + (listed ? ', "multiple": True' : '');
+    } else {
+      console.log("Found unknown type: " + typeObj.name + " (" + JSON.stringify(typeObj, null, 2) + ")");
+      continue;
+    }
+    const fieldName = getFieldName(propName, usedFields);
+    declFields += "    " + fieldName + ": Optional[" + pythonType + "] = field(default=None, metadata={\"igc\": " + getPythonString(propName) + metadata + "})" + os.EOL +
+      "    \"\"\"The '" + propName + "' property, displayed as '" + view[i].displayName + "' in the IGC UI.\"\"\"" + os.EOL;
+  }
+
+  let text = docstring +
+    "from __future__ import annotations" + os.EOL +
+    os.EOL +
+    "from dataclasses import dataclass, field" + os.EOL +
+    "from datetime import datetime" + os.EOL +
+    "from enum import Enum" + os.EOL +
+    "from typing import TYPE_CHECKING, ClassVar, List, Optional" + os.EOL +
+    os.EOL +
+    "from ._common import IGCAsset, Reference, ReferenceList" + os.EOL;
+  if (referencedTypes.length > 0) {
+    // Only imported for type checking, as the models of related types refer to each other
+    text += os.EOL + "if TYPE_CHECKING:" + os.EOL;
+    referencedTypes.sort().forEach(function(type) {
+      text += "    from ." + names[type].module + " import " + names[type].class + os.EOL;
+    });
+  }
+  for (let i = 0; i < enums.length; i++) {
+    text += os.EOL + os.EOL + enums[i];
+  }
+  text += os.EOL + os.EOL +
+    "@dataclass" + os.EOL +
+    "class " + className + "(IGCAsset):" + os.EOL +
+    "    \"\"\"The '" + id + "' asset type, displayed as '" + name + "' in the IGC UI.\"\"\"" + os.EOL +
+    "    TYPE_ID: ClassVar[str] = " + getPythonString(id) + os.EOL +
+    "    DISPLAY_NAME: ClassVar[str] = " + getPythonString(name) + os.EOL +
+    "    CAN_BE_CREATED: ClassVar[bool] = " + (jsonProps.hasOwnProperty("createInfo") ? "True" : "False") + os.EOL;
+  if (declFields !== "") {
+    text += os.EOL + declFields;
+  }
+  return text;
+
+}
+
+function getEnum(enumName, propName, displayName, validValues) {
+  const usedMembers = [];
+  let text = "class " + enumName + "(str, Enum):" + os.EOL +
+    "    \"\"\"The valid values of the '" + propName + "' property, displayed as '" + displayName + "' in the IGC UI.\"\"\"" + os.EOL;
+  for (let i = 0; i < validValues.length; i++) {
+    text += "    " + getEnumMemberName(validValues[i].id, usedMembers) + " = " + getPythonString(validValues[i].id) +
+      "  # displayed as '" + String(validValues[i].displayName).replace(/[\r\n]+/g, " ") + "'" + os.EOL;
+  }
+  return text;
+}
+
+// The package's index: every model, and a registry of them by type id
+function getModuleIndex(allDetails, names) {
+  const typeIds = _.pluck(allDetails, "_id").sort();
+  let imports = "";
+  let registry = "";
+  for (let i = 0; i < typeIds.length; i++) {
+    const name = names[typeIds[i]];
+    imports += "from ." + name.module + " import " + name.class + os.EOL;
+    registry += "    " + getPythonString(typeIds[i]) + ": " + name.class + "," + os.EOL;
+  }
+  return '"""' + os.EOL +
+    "Models of the IGC asset types, for use with the IGC REST API." + os.EOL +
+    os.EOL +
+    "Each type's model is in a module of its own; TYPES maps each type id to its model (including the types whose ids" + os.EOL +
+    "differ only by underscores, e.g. 'valid_value_list' and 'validvaluelist'), and from_dict creates the model of" + os.EOL +
+    "any asset from its JSON." + os.EOL +
+    os.EOL +
+    "(this code has been generated based on the IGC metadata types of an environment)" + os.EOL +
+    '"""' + os.EOL +
+    "from typing import Any, Dict, Type" + os.EOL +
+    os.EOL +
+    "from ._common import IGCAsset, Paging, Reference, ReferenceList" + os.EOL +
+    imports +
+    os.EOL +
+    "TYPES: Dict[str, Type[IGCAsset]] = {" + os.EOL +
+    registry +
+    "}" + os.EOL +
+    os.EOL +
+    os.EOL +
+    "def from_dict(data: Dict[str, Any]) -> IGCAsset:" + os.EOL +
+    "    \"\"\"Create the model of an asset from its JSON, using the model of its type (if there is one).\"\"\"" + os.EOL +
+    "    return TYPES.get(data.get(\"_type\"), IGCAsset).from_dict(data)" + os.EOL +
+    os.EOL +
+    os.EOL +
+    "__all__ = [\"IGCAsset\", \"Paging\", \"Reference\", \"ReferenceList\", \"TYPES\", \"from_dict\"] + [model.__name__ for model in TYPES.values()]" + os.EOL;
+}
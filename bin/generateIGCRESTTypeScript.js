@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file This script will generate TypeScript declarations (a .d.ts file) for the asset types in IGC, including typed search, create and update functions for this module
+ * @license Apache-2.0
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @requires camelcase
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // creates declarations for every asset type on the server in types/ibm-igc-rest.d.ts
+ * ./generateIGCRESTTypeScript.js -f types/ibm-igc-rest.d.ts -p isadmin
+ * @example
+ * // re-generates the declarations from type metadata cached by an earlier run, without connecting to IGC
+ * ./generateIGCRESTTypeScript.js -f types/ibm-igc-rest.d.ts -p isadmin -c ./igc-metadata
+ * ./generateIGCRESTTypeScript.js -f types/ibm-igc-rest.d.ts -c ./igc-metadata -o
+ */
+
+const fs = require('fs');
+const os = require('os');
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const prompt = require('prompt');
+const camelCase = require('camelcase');
+prompt.colors = false;
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -f <path> -a <authfile> -p <password>')
+    .example('$0 -f types/ibm-igc-rest.d.ts -p isadmin', 'creates declarations for every asset type on the server in types/ibm-igc-rest.d.ts')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'Output file into which to create the declarations (.d.ts)')
+    .alias('m', 'module').nargs('m', 1).describe('m', 'Name of the module being declared').default('m', 'ibm-igc-rest')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('c', 'cache').nargs('c', 1).describe('c', 'Directory in which to cache type metadata between runs')
+    .alias('o', 'offline').boolean('o').describe('o', 'Generate only from the type metadata cache, without connecting to IGC')
+    .implies('o', 'c')
+    .demandOption(['f'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const basicTypeToTSType = {
+  "string": "string",
+  "note": "string",
+  "external_asset_reference": "string",
+  "boolean": "boolean",
+  "datetime": "number",
+  "number": "number"
+};
+const reInvalids = /[^A-Za-z0-9_]/g;
+const reIdentifier = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Declarations common to every type model, within the namespace of the module
+const commonDeclarations = [
+  "/** The id of any asset type */",
+  "type AssetTypeName = keyof ViewTypes;",
+  "",
+  "/** A reference to an asset */",
+  "interface Reference<T extends AssetTypeName = AssetTypeName> {",
+  "  _type: T;",
+  "  _id: string;",
+  "  _name: string;",
+  "  _url: string;",
+  "}",
+  "",
+  "/** Details of a page of results */",
+  "interface Paging {",
+  "  numTotal: number;",
+  "  pageSize: number;",
+  "  begin: number;",
+  "  end: number;",
+  "  next?: string;",
+  "}",
+  "",
+  "/** A page of references to assets */",
+  "interface ReferenceList<T extends AssetTypeName = AssetTypeName> {",
+  "  items: Array<Reference<T>>;",
+  "  paging: Paging;",
+  "}",
+  "",
+  "/** Relationships to set when creating or updating an asset, by the RIDs of the related assets */",
+  "type RelationshipList = string[] | { items: string[]; mode: \"replace\" | \"append\" };",
+  "",
+  "/** An asset, as retrieved (only the properties requested are included) */",
+  "interface Asset<T extends AssetTypeName = AssetTypeName> extends Reference<T> {",
+  "  _context?: Reference[];",
+  "}",
+  "",
+  "interface Condition {",
+  "  property: string;",
+  "  operator: \"=\" | \"<\" | \">\" | \"<=\" | \">=\" | \"like %{0}%\" | \"like {0}%\" | \"like %{0}\" | \"in\" | \"isNull\" | \"between\";",
+  "  value?: any;",
+  "  min?: any;",
+  "  max?: any;",
+  "  negated?: boolean;",
+  "}",
+  "",
+  "interface ConditionGroup {",
+  "  conditions: Array<Condition | ConditionGroup>;",
+  "  operator: \"and\" | \"or\";",
+  "  negated?: boolean;",
+  "}",
+  "",
+  "interface Sort {",
+  "  property: string;",
+  "  ascending: boolean;",
+  "}",
+  "",
+  "/** A search of assets of the types given */",
+  "interface Query<T extends AssetTypeName = AssetTypeName> {",
+  "  types: T[];",
+  "  properties?: string[];",
+  "  where?: ConditionGroup;",
+  "  sorts?: Sort[];",
+  "  pageSize?: number;",
+  "}",
+  "",
+  "/** A page of search results (any dotted properties requested are included by their full path) */",
+  "interface SearchResults<T extends AssetTypeName = AssetTypeName> {",
+  "  items: Array<ViewTypes[T] & { [path: string]: any }>;",
+  "  paging: Paging;",
+  "}",
+  "",
+  "type Callback = (err: any, result?: any) => void;",
+  "",
+  "/** The functions of this module (or of a client created by it) */",
+  "interface Client {",
+  "  search<T extends AssetTypeName>(query: Query<T>, callback?: Callback): Promise<SearchResults<T>>;",
+  "  search(query: object, callback?: Callback): Promise<SearchResults>;",
+  "  create<T extends keyof CreateTypes>(type: T, value: CreateTypes[T], callback?: Callback): Promise<string>;",
+  "  createClient(restConnect?: any, options?: object): Client;",
+  "  withOptions(options: object): Client;",
+  "  [name: string]: any;",
+  "}"
+];
+
+if (argv.cache) {
+  igcrest.setMetadataCache({ directory: argv.cache, offline: argv.offline });
+}
+
+if (argv.offline) {
+
+  generateDeclarations().then(function() {
+    console.log("TypeScript declarations generated in '" + argv.file + "' (from cached type metadata).");
+    process.exit(0);
+  })
+  .catch(console.error);
+
+} else {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (err, result) {
+
+    igcrest.setConnection(envCtx.getRestConnection(result.password));
+    igcrest.openSession().then(function() {
+      return generateDeclarations();
+    }).then(function() {
+      igcrest.closeSession().then(function() {
+        console.log("TypeScript declarations generated in '" + argv.file + "'.");
+        process.exit(0);
+      }, function(failure) {
+        console.log("TypeScript declarations generated in '" + argv.file + "', but unable to close session: " + JSON.stringify(failure));
+        process.exit(1);
+      });
+    })
+    .catch(console.error);
+
+  });
+
+}
+
+function generateDeclarations() {
+  console.log("1 - getting all types, and the properties of each");
+  return igcrest.getAllTypeDetails().then(function(allDetails) {
+    console.log("2 - generating declarations");
+    const model = new igcrest.TypeModel(allDetails);
+    fs.writeFileSync(argv.file, getDeclarations(model, argv.module), 'utf8');
+  });
+}
+
+function getDeclarations(model, moduleName) {
+
+  const typeIds = model.getTypeIds();
+  const names = getInterfaceNames(typeIds);
+  const body = commonDeclarations.slice();
+  const viewTypes = [];
+  const createTypes = [];
+  const editTypes = [];
+  const updates = [];
+
+  for (let i = 0; i < typeIds.length; i++) {
+    const type = model.getType(typeIds[i]);
+    const name = names[type.id];
+    const key = "  " + JSON.stringify(type.id) + ": ";
+    body.push("");
+    body.push("/** The '" + type.id + "' asset type, displayed as '" + type.name + "' */");
+    body.push("interface " + name + "View extends Asset<" + JSON.stringify(type.id) + "> {");
+    addProperties(body, model, type.view, "view");
+    body.push("}");
+    viewTypes.push(key + name + "View;");
+    if (type.creatable) {
+      body.push("");
+      body.push("/** Values with which to create a '" + type.id + "' */");
+      body.push("interface " + name + "Create {");
+      addProperties(body, model, type.create, "create");
+      body.push("}");
+      createTypes.push(key + name + "Create;");
+    }
+    if (type.edit.length > 0) {
+      body.push("");
+      body.push("/** Values with which to update a '" + type.id + "' */");
+      body.push("interface " + name + "Edit {");
+      addProperties(body, model, type.edit, "edit");
+      body.push("}");
+      editTypes.push(key + name + "Edit;");
+      updates.push("  update(rid: string, value: " + name + "Edit, callback?: Callback): Promise<any>;");
+    }
+  }
+
+  body.push("");
+  body.push("/** The shape of each type of asset, as retrieved, by type id */");
+  body.push("interface ViewTypes {");
+  Array.prototype.push.apply(body, viewTypes);
+  body.push("}");
+  body.push("");
+  body.push("/** The values with which each type of asset can be created, by type id */");
+  body.push("interface CreateTypes {");
+  Array.prototype.push.apply(body, createTypes);
+  body.push("}");
+  body.push("");
+  body.push("/** The values with which each type of asset can be updated, by type id */");
+  body.push("interface EditTypes {");
+  Array.prototype.push.apply(body, editTypes);
+  body.push("}");
+  body.push("");
+  // The type being updated cannot be inferred from a RID alone, so update is overloaded with the values of each type
+  body.push("/** The functions of this module whose signatures depend on the asset types */");
+  body.push("interface Client {");
+  Array.prototype.push.apply(body, updates);
+  body.push("}");
+
+  const lines = [
+    "// Generated by generateIGCRESTTypeScript.js from the asset types of an IGC environment -- do not edit by hand",
+    "",
+    "declare module " + JSON.stringify(moduleName) + " {",
+    "",
+    "  namespace igcrest {",
+    ""
+  ];
+  for (let i = 0; i < body.length; i++) {
+    let line = body[i];
+    if (/^(interface|type) /.test(line)) {
+      line = "export " + line;
+    }
+    lines.push(line === "" ? "" : "    " + line);
+  }
+  lines.push("");
+  lines.push("  }");
+  lines.push("");
+  lines.push("  const igcrest: igcrest.Client;");
+  lines.push("  export = igcrest;");
+  lines.push("");
+  lines.push("}");
+  return lines.join(os.EOL) + os.EOL;
+
+}
+
+function addProperties(lines, model, properties, usage) {
+  for (let i = 0; i < properties.length; i++) {
+    const property = properties[i];
+    if (igcrest.TypeModel.isSystemProperty(property.name)) {
+      continue;
+    }
+    const bOptional = (usage !== "create" || !property.required);
+    lines.push("  /** " + getPropertyComment(property) + " */");
+    lines.push("  " + getPropertyName(property.name) + (bOptional ? "?: " : ": ") + getPropertyType(model, property, usage) + ";");
+  }
+}
+
+function getPropertyComment(property) {
+  let comment = "Displayed as '" + property.displayName + "'";
+  if (property.validValues.length > 0) {
+    comment += "; one of: " + property.validValues.map(function(validValue) {
+      return validValue.id + (validValue.displayName !== validValue.id ? " ('" + validValue.displayName + "')" : "");
+    }).join(", ");
+  }
+  return comment.replace(/\*\//g, "* /");
+}
+
+function getPropertyType(model, property, usage) {
+  if (property.relationship) {
+    if (usage !== "view") {
+      return property.multiple ? "RelationshipList" : (usage === "edit" ? "string | null" : "string");
+    }
+    const target = model.isAssetType(property.type) ? "<" + JSON.stringify(property.type) + ">" : "";
+    return (property.multiple ? "ReferenceList" : "Reference") + target;
+  }
+  let tsType = "any";
+  if (property.type === "enum") {
+    tsType = (property.validValues.length > 0) ? property.validValues.map(function(validValue) {
+      return JSON.stringify(validValue.id);
+    }).join(" | ") : "string";
+  } else if (basicTypeToTSType.hasOwnProperty(property.type)) {
+    tsType = basicTypeToTSType[property.type];
+  } else {
+    console.log("Found unknown type: " + property.type + " (for property '" + property.name + "')");
+  }
+  if (property.multiple) {
+    tsType = "Array<" + tsType + ">";
+  }
+  return (usage === "edit") ? tsType + " | null" : tsType;
+}
+
+function getPropertyName(name) {
+  return reIdentifier.test(name) ? name : JSON.stringify(name);
+}
+
+// Some types in IGC differ only by underscores (e.g. 'valid_value_list' and 'validvaluelist'), so any later type
+// whose name would clash is given a numeric suffix
+function getInterfaceNames(typeIds) {
+  const names = {};
+  const used = {};
+  for (let i = 0; i < typeIds.length; i++) {
+    let name = camelCase(typeIds[i].replace(reInvalids, "_"), {pascalCase: true});
+    if (!/^[A-Za-z]/.test(name)) {
+      name = "T" + name;
+    }
+    let unique = name;
+    for (let suffix = 2; used.hasOwnProperty(unique); suffix++) {
+      unique = name + suffix;
+    }
+    used[unique] = true;
+    names[typeIds[i]] = unique;
+  }
+  return names;
+}
@@ -30,6 +30,15 @@
  * @example
  * // imports all assigned_assets relationships from the file 'all.json', mapping identity characteristics from ???, and batching REST calls in 100 objects at a time
  * ./importRelationships.js -t term -r assigned_assets -i all.json -m '???' -b 100
+ * @example
+ * // records the relationship changes that importing from the file 'all.json' would make into 'all.plan.json', without making them
+ * ./importRelationships.js -t term -r assigned_assets -i all.json -d all.plan.json
+ * @example
+ * // imports the relationships from the file 'all.json', journaling the relationships they replace into 'all.journal' (so that the import can be undone using undoJournal)
+ * ./importRelationships.js -t term -r assigned_assets -i all.json -j all.journal
+ * @example
+ * // imports the relationships from the file 'all.json', and then shows how many requests were made to IGC and how long they took
+ * ./importRelationships.js -t term -r assigned_assets -i all.json -s
  */
 
 const fs = require('fs');
@@ -47,6 +56,9 @@ const argv = yargs
     .alias('i', 'input').nargs('o', 1).describe('i', 'Input file from which to read the relationships')
     .alias('m', 'mapping').nargs('m', 1).describe('m', 'JSON string giving any mapping that should be applied ???')
     .alias('b', 'batchsize').nargs('b', 1).describe('b', 'The number of objects that should be retrieved each REST call')
+    .alias('j', 'journal').nargs('j', 1).describe('j', 'Journal the relationships being replaced into this file, so the import can be undone')
+    .alias('d', 'dryrun').nargs('d', 1).describe('d', 'Record the changes into this plan file for review, rather than making them')
+    .alias('s', 'stats').boolean('s').describe('s', 'Show statistics about the requests made to IGC (counts, errors and latencies) once complete')
     .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
     .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
     .demandOption(['t', 'r', 'i'])
@@ -93,8 +105,15 @@ prompt.get(inputPrompt, function (err, result) {
   igcrest.setConnection(envCtx.getRestConnection(result.password));
   igcrest.openSession().then(function() {
 
+    if (argv.dryrun) {
+      igcrest.setDryRun(true);
+    }
+    if (argv.journal) {
+      igcrest.setJournal(argv.journal);
+    }
+
     const mapAllAssets = allAssets.map(function(asset) {
-      return new Promise(function(resUpdate, rejUpdate) {
+      return new Promise(function(resUpdate) {
 
         if (asset._type === argv.asset_type) {
           //console.log("Determining mapped RID for asset: " + asset._id);
@@ -150,6 +169,15 @@ prompt.get(inputPrompt, function (err, result) {
     //console.log("Results: " + require('util').inspect(mappingResults));
     console.log("    ---> " + mappingResults.length + " " + argv.asset_type + " updates made.");
     console.log("    ---> " + relnCount + " " + argv.relationship + " relationships set.");
+    if (argv.dryrun) {
+      const plan = igcrest.getPlan();
+      fs.writeFileSync(argv.dryrun, JSON.stringify(plan, null, 2), 'utf8');
+      console.log(plan.summary());
+      console.log("Plan of changes recorded in '" + argv.dryrun + "' -- no changes have been made.");
+    }
+    if (argv.stats) {
+      logRequestStats(igcrest.getStats());
+    }
     igcrest.closeSession().then(function() {
       console.log("Relationships loaded from '" + argv.input + "'.");
     }, function(failure) {
@@ -159,3 +187,13 @@ prompt.get(inputPrompt, function (err, result) {
   .catch(console.error);
 
 });
+
+function logRequestStats(stats) {
+  console.log("Requests made to IGC: " + stats.totals.calls + " (" + stats.totals.errors + " failed, " + stats.totals.retries + " retried)");
+  for (let i = 0; i < stats.endpoints.length; i++) {
+    const endpoint = stats.endpoints[i];
+    console.log("  " + endpoint.method + " " + endpoint.endpoint + ": " + endpoint.calls + " call(s), " + endpoint.errors + " failed" +
+      ", IGC latency p50 " + endpoint.latencyMs.p50 + "ms / p90 " + endpoint.latencyMs.p90 + "ms" +
+      ", overall p50 " + endpoint.durationMs.p50 + "ms / p90 " + endpoint.durationMs.p90 + "ms");
+  }
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Undo the changes recorded in a journal file (by running findAssets or importRelationships with a journal), most recent first
+ * @license Apache-2.0
+ * @requires ibm-igc-rest
+ * @requires ibm-iis-commons
+ * @requires prompt
+ * @requires yargs
+ * @see module:ibm-iis-commons~createInfoSvrAuthFile
+ * @example
+ * // restores every property and relationship changed by the import journaled in 'all.journal'
+ * undoJournal -f all.journal -p isadmin
+ */
+
+const igcrest = require('ibm-igc-rest');
+const commons = require('ibm-iis-commons');
+const prompt = require('prompt');
+prompt.colors = false;
+
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -f <path>')
+    .example('$0 -f all.journal', 'undoes the changes recorded in the journal file all.journal')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'Journal file containing the changes to undo')
+    .alias('i', 'includepending').boolean('i').describe('i', 'Also undo changes whose outcome was never recorded (e.g. because the run was interrupted)')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .demandOption(['f'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+prompt.override = argv;
+
+const inputPrompt = {
+  properties: {
+    password: {
+      hidden: true,
+      required: true,
+      message: "Please enter the password for user '" + envCtx.username + "': "
+    }
+  }
+};
+prompt.message = "";
+prompt.delimiter = "";
+
+prompt.start();
+prompt.get(inputPrompt, function (err, result) {
+
+  igcrest.setConnection(envCtx.getRestConnection(result.password));
+  igcrest.openSession().then(function() {
+    return igcrest.undoJournal(argv.file, { includePending: argv.includepending });
+  }).then(function(report) {
+    for (let i = 0; i < report.failed.length; i++) {
+      console.error("Unable to undo change to " + report.failed[i].rid + ": " + report.failed[i].error.message);
+    }
+    console.log("Undone: " + report.succeeded.length + ", failed: " + report.failed.length + ", skipped: " + report.skipped.length);
+    if (report.failed.length > 0) {
+      process.exitCode = 1;
+    }
+    return igcrest.closeSession();
+  })
+  .catch(console.error);
+
+});
@@ -0,0 +1,121 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const DocumentationRenderer = require('./documentation-renderer');
+
+/**
+ * AsciiDocRenderer class -- renders documentation of the asset types as a single AsciiDoc document, with a table of
+ * contents and a cross-reference from each relationship to the type it refers to
+ *
+ * Names and values are rendered as literal (passthrough) text, so that underscores within them are never taken
+ * for formatting.
+ */
+class AsciiDocRenderer extends DocumentationRenderer {
+
+  renderTitle(title) {
+    return "= " + title + "\n" +
+      ":toc: left\n" +
+      ":toclevels: 1";
+  }
+
+  renderTypeHeader(type) {
+    return "\n" +
+      "[[" + AsciiDocRenderer.getAnchor(type.id) + "]]\n" +
+      "== " + this.formatCode(type.id) + "\n" +
+      "\n" +
+      "* Displayed as: _\"" + AsciiDocRenderer.escape(type.name) + "\"_\n" +
+      "* Path: " + this.formatCode(type.url) + "\n";
+  }
+
+  renderSectionHeader(title) {
+    return "\n" +
+      "." + title + "\n" +
+      "[cols=\"1,1,2\",options=\"header\"]\n" +
+      "|===\n" +
+      "| Name | Type | Details\n";
+  }
+
+  renderSectionFooter() {
+    return "|===\n";
+  }
+
+  renderPropertyRow(property) {
+    return "| " + this.renderPropertyName(property) + " | " + this.renderPropertyType(property) + " | " + this.renderPropertyDetails(property) + "\n";
+  }
+
+  renderPropertyName(property) {
+    let name = "+" + property.name + "+";
+    if (property.multiple) {
+      name = this.formatMultiple(name);
+    }
+    if (property.required) {
+      name = this.formatRequired(name);
+    }
+    return name;
+  }
+
+  renderPropertyType(property) {
+    return property.relationship ? this.formatReference(property.type) : this.formatCode(property.type);
+  }
+
+  renderPropertyDetails(property) {
+    let details = "_\"" + AsciiDocRenderer.escape(property.displayName) + "\"_";
+    if (property.type === "enum") {
+      details += ": " + property.validValues.map(this.formatCode, this).join(", ");
+    } else if (property.unknownType !== null) {
+      details += ": UNKNOWN complexType = " + this.formatCode(JSON.stringify(property.unknownType));
+    }
+    return details;
+  }
+
+  formatCode(text) {
+    return "`+" + text + "+`";
+  }
+
+  formatRequired(name) {
+    return "*" + name + "*";
+  }
+
+  formatMultiple(name) {
+    return "_" + name + "_";
+  }
+
+  formatReference(typeId) {
+    return "<<" + AsciiDocRenderer.getAnchor(typeId) + "," + typeId + ">>";
+  }
+
+  /**
+   * @param {string} typeId
+   * @returns {string} the id of the section documenting the type (as AsciiDoc ids must start with a letter or
+   * underscore, and cannot contain some of the characters type ids can)
+   */
+  static getAnchor(typeId) {
+    return "type_" + typeId.replace(/[^A-Za-z0-9_-]/g, "_");
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} the text, with any characters that would break a table cell escaped
+   */
+  static escape(text) {
+    return String(text).replace(/\|/g, "\\|");
+  }
+
+}
+
+module.exports = AsciiDocRenderer;
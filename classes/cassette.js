@@ -0,0 +1,255 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const IGCRestError = require('./igc-rest-error');
+
+const modes = [ "record", "replay" ];
+// Each interaction is a file of its own, named by its (zero-padded) position in the recording
+const reInteractionFile = /^(\d+)\.json$/;
+// Headers whose values are never written to a cassette
+const sensitiveHeaders = [ 'authorization', 'proxy-authorization', 'cookie', 'set-cookie' ];
+const scrubbed = "<scrubbed>";
+
+/**
+ * Cassette class -- a file of the requests sent to IGC and the responses received, which can be recorded from a
+ * real environment once and then replayed (without any environment) as often as needed
+ *
+ * The cassette is stored as a `<name>` sub-directory of its directory, holding a file for each interaction (e.g.
+ * `00001.json`) written as soon as it is recorded; recording replaces anything previously recorded into it. The
+ * values of any credentials and cookies are scrubbed before being written, and paths are stored without the
+ * server's host and port, so that a cassette can be replayed against any connection.
+ *
+ * When replaying, each request is matched to a recorded interaction by its method, path and (normalised) body:
+ * identical requests are given the responses recorded for them in the order they were recorded, and once those
+ * have all been replayed the last of them is replayed again. A request that does not match anything recorded is
+ * rejected with an `unmatched-request` error (IGCUnmatchedRequestError), rather than sent to IGC.
+ */
+class Cassette {
+
+  /**
+   * @param {string} mode - `record` or `replay`
+   * @param {string} directory - the directory holding the cassette
+   * @param {string} [name] - the name of the cassette (default: `default`)
+   */
+  constructor(mode, directory, name) {
+    if (!modes.includes(mode)) {
+      throw new Error("Unknown cassette mode '" + mode + "' -- must be one of: " + modes.join(", "));
+    }
+    this._mode = mode;
+    this._directory = path.join(directory, name || "default");
+    if (mode === "replay") {
+      if (!fs.existsSync(this._directory)) {
+        throw new Error("Unable to replay cassette '" + this._directory + "': it has not been recorded.");
+      }
+      const self = this;
+      try {
+        this._interactions = this._listInteractionFiles().map(function(file) {
+          return JSON.parse(fs.readFileSync(path.join(self._directory, file), 'utf8'));
+        });
+      } catch (e) {
+        throw new Error("Unable to read cassette '" + this._directory + "': " + e.message);
+      }
+      this._replayed = this._interactions.map(function() { return false; });
+    } else {
+      fs.mkdirSync(this._directory, { recursive: true });
+      // Replace anything previously recorded (leaving any other files in the directory alone)
+      const files = this._listInteractionFiles();
+      for (let i = 0; i < files.length; i++) {
+        fs.unlinkSync(path.join(this._directory, files[i]));
+      }
+      this._interactions = [];
+    }
+  }
+
+  /**
+   * @returns {string} `record` or `replay`
+   */
+  get mode() {
+    return this._mode;
+  }
+
+  /**
+   * @returns {string} the directory holding the cassette's interactions
+   */
+  get directory() {
+    return this._directory;
+  }
+
+  /**
+   * Record a request and the response received for it
+   *
+   * @param {Object} req - the request as sent, with its `method`, `uri`, `headers`, `body` and `contentType`
+   * @param {Object} res - the full response object, with its body already parsed
+   */
+  record(req, res) {
+    const interaction = {
+      recordedAt: new Date().toISOString(),
+      request: {
+        method: req.method,
+        path: Cassette.normalizePath(req.uri),
+        headers: Cassette._scrubHeaders(req.headers),
+        body: Cassette._describeBody(req.body, req.contentType)
+      },
+      response: {
+        statusCode: res.statusCode,
+        headers: Cassette._scrubHeaders(res.headers),
+        body: res.body
+      }
+    };
+    this._interactions.push(interaction);
+    // Written synchronously as each interaction is recorded, so that the cassette is complete even if the process dies
+    const file = String(this._interactions.length).padStart(5, "0") + ".json";
+    fs.writeFileSync(path.join(this._directory, file), JSON.stringify(interaction, null, 2), 'utf8');
+  }
+
+  /**
+   * Find the recorded response to a request
+   *
+   * @param {Object} req - the request to be sent, with its `method`, `uri`, `body` and `contentType`
+   * @returns {Object} a copy of the recorded response, with its `statusCode`, `headers` and `body`
+   * @throws {IGCUnmatchedRequestError} if nothing recorded in the cassette matches the request
+   */
+  replay(req) {
+    const requestPath = Cassette.normalizePath(req.uri);
+    const body = Cassette.normalizeBody(Cassette._describeBody(req.body, req.contentType));
+    let samePath = 0;
+    let match = -1;
+    for (let i = 0; i < this._interactions.length; i++) {
+      const recorded = this._interactions[i].request;
+      if (recorded.method !== req.method || recorded.path !== requestPath) {
+        continue;
+      }
+      samePath++;
+      if (Cassette.normalizeBody(recorded.body) === body) {
+        match = i;
+        if (!this._replayed[i]) {
+          break;
+        }
+      }
+    }
+    if (match === -1) {
+      let message = "No interaction recorded in cassette '" + this._directory + "' matches the request (" + req.method + " " + requestPath + ") with body: " + (body === "" ? "(none)" : body);
+      if (samePath > 0) {
+        message += " -- " + samePath + " recorded for the same method and path, but with a different body";
+      }
+      throw new IGCRestError.IGCUnmatchedRequestError(message, { method: req.method, path: requestPath, body: body });
+    }
+    this._replayed[match] = true;
+    return JSON.parse(JSON.stringify(this._interactions[match].response));
+  }
+
+  /**
+   * Normalise the URI of a request to its path (and any query string), without the scheme, host or port
+   *
+   * @param {string} uri
+   * @returns {string}
+   */
+  static normalizePath(uri) {
+    return uri.replace(/^[a-z]+:\/\/[^\/]*/i, "");
+  }
+
+  /**
+   * Normalise the body of a request for matching: objects are serialised with their keys sorted, and text is
+   * trimmed of surrounding whitespace
+   *
+   * @param {Object|string} body
+   * @returns {string}
+   */
+  static normalizeBody(body) {
+    if (body === undefined || body === null) {
+      return "";
+    } else if (typeof body === "string") {
+      return body.trim();
+    }
+    return JSON.stringify(Cassette._sortKeys(body));
+  }
+
+  /**
+   * @private
+   */
+  static _sortKeys(value) {
+    if (Array.isArray(value)) {
+      return value.map(Cassette._sortKeys);
+    } else if (value !== null && typeof value === "object") {
+      const sorted = {};
+      Object.keys(value).sort().forEach(function(key) {
+        sorted[key] = Cassette._sortKeys(value[key]);
+      });
+      return sorted;
+    }
+    return value;
+  }
+
+  /**
+   * Describe the body of a request as it should be recorded -- uploaded files by their names alone
+   * @private
+   */
+  static _describeBody(body, contentType) {
+    if (body === undefined || body === null) {
+      return null;
+    } else if (contentType !== "multipart/form-data") {
+      return body;
+    }
+    const described = {};
+    Object.keys(body).forEach(function(field) {
+      const value = body[field];
+      if (value && value.options && value.options.filename) {
+        described[field] = "<file:" + value.options.filename + ">";
+      } else if (value && typeof value.path === "string") {
+        described[field] = "<file:" + path.basename(value.path) + ">";
+      } else {
+        described[field] = String(value);
+      }
+    });
+    return described;
+  }
+
+  /**
+   * @private
+   */
+  static _scrubHeaders(headers) {
+    const scrubbedHeaders = {};
+    Object.keys(headers || {}).forEach(function(name) {
+      if (!sensitiveHeaders.includes(name.toLowerCase())) {
+        scrubbedHeaders[name] = headers[name];
+      } else if (Array.isArray(headers[name])) {
+        scrubbedHeaders[name] = headers[name].map(function() { return scrubbed; });
+      } else {
+        scrubbedHeaders[name] = scrubbed;
+      }
+    });
+    return scrubbedHeaders;
+  }
+
+  /**
+   * @returns {string[]} the files of the interactions in the cassette's directory, in the order they were recorded
+   * @private
+   */
+  _listInteractionFiles() {
+    return fs.readdirSync(this._directory).filter(function(file) {
+      return reInteractionFile.test(file);
+    }).sort(function(a, b) {
+      return parseInt(reInteractionFile.exec(a)[1], 10) - parseInt(reInteractionFile.exec(b)[1], 10);
+    });
+  }
+
+}
+
+module.exports = Cassette;
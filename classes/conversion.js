@@ -16,9 +16,6 @@
 
 "use strict";
 
-const path = require('path');
-const fs = require('fs');
-
 /**
  * Conversion class -- for encapsulating mapping / transformation information between REST concepts and other representations
  */
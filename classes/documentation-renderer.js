@@ -0,0 +1,319 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const os = require('os');
+
+const basicTypes = { 'string':0, 'boolean':0, 'datetime':0, 'number':0, 'note':0, 'external_asset_reference':0 };
+
+// Renderers provided by this module, loaded only when first used
+const builtInRenderers = {
+  "github": "./github-renderer",
+  "confluence": "./confluence-renderer",
+  "asciidoc": "./asciidoc-renderer",
+  "html": "./html-renderer"
+};
+const registeredRenderers = {};
+
+/**
+ * DocumentationRenderer class -- the base class for rendering documentation of the asset types (as produced by
+ * `generateIGCRESTDocumentation`) in a particular markup
+ *
+ * Renderers are given the types to document as described by `describeType`, sorted by id. A single-page renderer
+ * (the default) renders all of them into one document, for which it need only implement the `renderTitle`,
+ * `renderTypeHeader`, `renderSectionHeader`, `formatCode`, `formatRequired`, `formatMultiple` and `formatReference`
+ * methods (and override any others whose markup differs); a multi-page renderer instead overrides `multiPage` and
+ * `render` to produce a set of pages.
+ *
+ * @example
+ * // a plain-text renderer
+ * class TextRenderer extends DocumentationRenderer {
+ *   renderTitle(title) { return title.toUpperCase(); }
+ *   renderTypeHeader(type) { return "\n" + type.id + " (" + type.name + ")\n"; }
+ *   renderSectionHeader(title) { return "\n" + title + "\n"; }
+ *   formatCode(text) { return text; }
+ *   formatRequired(text) { return text + " (required)"; }
+ *   formatMultiple(text) { return text + " (multiple)"; }
+ *   formatReference(typeId) { return typeId; }
+ * }
+ * DocumentationRenderer.register("text", TextRenderer);
+ */
+class DocumentationRenderer {
+
+  /**
+   * @param {Object} [options] - any options specific to the renderer
+   */
+  constructor(options) {
+    this.options = options || {};
+  }
+
+  /**
+   * Register a renderer, so that it can be created by name
+   *
+   * @param {string} name
+   * @param {function} RendererClass - a sub-class of DocumentationRenderer
+   */
+  static register(name, RendererClass) {
+    registeredRenderers[name] = RendererClass;
+  }
+
+  /**
+   * @returns {string[]} the names of all of the renderers that can be created
+   */
+  static getNames() {
+    return Object.keys(builtInRenderers).concat(Object.keys(registeredRenderers).filter(function(name) {
+      return !builtInRenderers.hasOwnProperty(name);
+    }));
+  }
+
+  /**
+   * Create a renderer by name
+   *
+   * @param {string} name - the name of a built-in (github, confluence, asciidoc, html) or registered renderer
+   * @param {Object} [options] - any options specific to the renderer
+   * @returns {DocumentationRenderer}
+   * @throws will throw an error if there is no renderer with the name
+   */
+  static create(name, options) {
+    if (registeredRenderers.hasOwnProperty(name)) {
+      return new registeredRenderers[name](options);
+    } else if (builtInRenderers.hasOwnProperty(name)) {
+      const RendererClass = require(builtInRenderers[name]);
+      return new RendererClass(options);
+    }
+    throw new Error("Unknown documentation renderer '" + name + "' -- expected one of: " + DocumentationRenderer.getNames().join(", "));
+  }
+
+  /**
+   * Describe a type for documenting, from its details (as from `getTypeDetails`)
+   *
+   * The type is described by its `id`, `name` (as displayed), `url`, and `sections` of properties -- those valid
+   * for creation, editing and viewing (in that order, where the type has any). Each section has a `usage` (`create`,
+   * `edit` or `view`), `title` and `properties`, and each property is given by its:
+   * - `name` and `displayName`
+   * - `type`: the name of its data type, or for a relationship the type of asset it refers to
+   * - `relationship`: whether it is a relationship to other assets
+   * - `multiple`: whether IGC gives it a maximum cardinality greater than one
+   * - `required`: whether IGC gives it a minimum cardinality
+   * - `minCardinality` and `maxCardinality`: as given by IGC (or null where it does not give them)
+   * - `validValues`: for an enum, the ids of its valid values
+   * - `unknownType`: for a data type that is not recognised, IGC's full description of the type (otherwise null)
+   *
+   * @param {Object} details
+   * @returns {Object}
+   */
+  static describeType(details) {
+    const usages = [
+      { usage: "create", info: "createInfo", title: "Properties valid for creation:" },
+      { usage: "edit", info: "editInfo", title: "Properties valid for editing:" },
+      { usage: "view", info: "viewInfo", title: "Properties valid for viewing:" }
+    ];
+    const sections = [];
+    for (let i = 0; i < usages.length; i++) {
+      const usage = usages[i];
+      if (details.hasOwnProperty(usage.info) && details[usage.info].hasOwnProperty("properties") && details[usage.info].properties.length > 0) {
+        sections.push({
+          usage: usage.usage,
+          title: usage.title,
+          properties: details[usage.info].properties.map(DocumentationRenderer._describeProperty)
+        });
+      }
+    }
+    return {
+      id: details._id,
+      name: details._name,
+      url: details._url,
+      sections: sections
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _describeProperty(property) {
+    const typeObj = property.type;
+    const relationship = typeObj.hasOwnProperty("url");
+    return {
+      name: property.name,
+      displayName: property.displayName,
+      type: typeObj.name,
+      relationship: relationship,
+      multiple: property.hasOwnProperty("maxCardinality") && property.maxCardinality > 1,
+      required: property.hasOwnProperty("minCardinality"),
+      minCardinality: property.hasOwnProperty("minCardinality") ? property.minCardinality : null,
+      maxCardinality: property.hasOwnProperty("maxCardinality") ? property.maxCardinality : null,
+      validValues: (typeObj.name === "enum") ? (typeObj.validValues || []).map(function(validValue) { return validValue.id; }) : [],
+      unknownType: (typeObj.name !== "enum" && !relationship && !basicTypes.hasOwnProperty(typeObj.name)) ? typeObj : null
+    };
+  }
+
+  /**
+   * @returns {boolean} whether the renderer produces multiple pages (into a directory), rather than a single document
+   */
+  get multiPage() {
+    return false;
+  }
+
+  /**
+   * Render the documentation
+   *
+   * @param {Object[]} types - the types to document, as from `describeType`
+   * @returns {string|Object} the document -- or for a multi-page renderer, an object keyed by the (relative) filename of each page, with the content of that page as its value
+   */
+  render(types) {
+    let text = this.renderTitle("Information Governance Catalog REST API") + os.EOL;
+    for (let i = 0; i < types.length; i++) {
+      text += this.renderType(types[i]) + os.EOL;
+    }
+    return text;
+  }
+
+  /**
+   * @param {string} title
+   * @returns {string}
+   */
+  renderTitle(title) {
+    throw new Error("Renderer does not implement renderTitle: " + title);
+  }
+
+  /**
+   * @param {Object} type
+   * @returns {string} the type, with all of its sections
+   */
+  renderType(type) {
+    let text = this.renderTypeHeader(type);
+    for (let i = 0; i < type.sections.length; i++) {
+      text += this.renderSection(type.sections[i]);
+    }
+    return text;
+  }
+
+  /**
+   * @param {Object} type
+   * @returns {string} the heading and summary of the type
+   */
+  renderTypeHeader(type) {
+    throw new Error("Renderer does not implement renderTypeHeader: " + type.id);
+  }
+
+  /**
+   * @param {Object} section
+   * @returns {string} the section, with a row for each of its properties
+   */
+  renderSection(section) {
+    let text = this.renderSectionHeader(section.title);
+    for (let i = 0; i < section.properties.length; i++) {
+      text += this.renderPropertyRow(section.properties[i]);
+    }
+    return text + this.renderSectionFooter();
+  }
+
+  /**
+   * @param {string} title
+   * @returns {string} the heading of the section, and of its table of properties
+   */
+  renderSectionHeader(title) {
+    throw new Error("Renderer does not implement renderSectionHeader: " + title);
+  }
+
+  /**
+   * @returns {string} anything needed to close the section's table of properties
+   */
+  renderSectionFooter() {
+    return "";
+  }
+
+  /**
+   * @param {Object} property
+   * @returns {string}
+   */
+  renderPropertyRow(property) {
+    return "| " + this.renderPropertyName(property) + " | " + this.renderPropertyType(property) + " | " + this.renderPropertyDetails(property) + " |\n";
+  }
+
+  /**
+   * @param {Object} property
+   * @returns {string} the name of the property, marked up according to its cardinality
+   */
+  renderPropertyName(property) {
+    let name = property.name;
+    if (property.multiple) {
+      name = this.formatMultiple(name);
+    }
+    if (property.required) {
+      name = this.formatRequired(name);
+    }
+    return name;
+  }
+
+  /**
+   * @param {Object} property
+   * @returns {string} the type of the property, linked to the documentation of the type for a relationship
+   */
+  renderPropertyType(property) {
+    return property.relationship ? this.formatReference(property.type) : property.type;
+  }
+
+  /**
+   * @param {Object} property
+   * @returns {string} the display name of the property, and its valid values (if it is an enum)
+   */
+  renderPropertyDetails(property) {
+    let details = "_\"" + property.displayName + "\"_";
+    if (property.type === "enum") {
+      details += ": " + property.validValues.map(this.formatCode, this).join(", ");
+    } else if (property.unknownType !== null) {
+      details += ": UNKNOWN complexType = " + this.formatCode(JSON.stringify(property.unknownType, null, 2));
+    }
+    return details;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} the text, marked up as code
+   */
+  formatCode(text) {
+    throw new Error("Renderer does not implement formatCode: " + text);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string} the name of a property, marked up as required
+   */
+  formatRequired(name) {
+    throw new Error("Renderer does not implement formatRequired: " + name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string} the name of a property, marked up as able to hold multiple values
+   */
+  formatMultiple(name) {
+    throw new Error("Renderer does not implement formatMultiple: " + name);
+  }
+
+  /**
+   * @param {string} typeId
+   * @returns {string} a link to the documentation of the type
+   */
+  formatReference(typeId) {
+    throw new Error("Renderer does not implement formatReference: " + typeId);
+  }
+
+}
+
+module.exports = DocumentationRenderer;
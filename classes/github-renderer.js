@@ -0,0 +1,64 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const DocumentationRenderer = require('./documentation-renderer');
+
+/**
+ * GithubRenderer class -- renders documentation of the asset types as a single GitHub-flavoured markdown document
+ */
+class GithubRenderer extends DocumentationRenderer {
+
+  renderTitle(title) {
+    return "# " + title;
+  }
+
+  renderTypeHeader(type) {
+    return "\n" +
+      "## `" + type.id + "`\n" +
+      "\n" +
+      "- Displayed as: _\"" + type.name + "\"_\n" +
+      "- Path: [" + type.url + "](#" + type.url + ")\n";
+  }
+
+  renderSectionHeader(title) {
+    return "\n" +
+      "#### " + title + "\n" +
+      "\n" +
+      "| Name | Type | Details |\n" +
+      "| ---- | ---- | ---- |\n";
+  }
+
+  formatCode(text) {
+    return "`" + text + "`";
+  }
+
+  formatRequired(name) {
+    return "**" + name + "**";
+  }
+
+  formatMultiple(name) {
+    return "_" + name + "_";
+  }
+
+  formatReference(typeId) {
+    return "[" + typeId + "](#" + typeId.toLowerCase() + ")";
+  }
+
+}
+
+module.exports = GithubRenderer;
@@ -0,0 +1,264 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const DocumentationRenderer = require('./documentation-renderer');
+
+const title = "Information Governance Catalog REST API";
+
+const style = [
+  "body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 72em; padding: 1em 2em; color: #1f2328; }",
+  "a { color: #0969da; text-decoration: none; } a:hover { text-decoration: underline; }",
+  "code { font-family: SFMono-Regular, Consolas, Menlo, monospace; background: #f3f4f6; padding: 0.1em 0.3em; border-radius: 3px; }",
+  "table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }",
+  "th, td { border: 1px solid #d0d7de; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }",
+  "th { background: #f6f8fa; }",
+  "input[type=search] { width: 100%; box-sizing: border-box; padding: 0.5em; font-size: 1em; margin-bottom: 1em; }",
+  ".required { font-weight: bold; } .multiple { font-style: italic; }",
+  ".legend, .summary { color: #57606a; }",
+  "nav { margin-bottom: 1em; }"
+].join("\n");
+
+// Hides the rows of any table whose data-search attribute does not contain all of the words typed into the filter
+const filterScript = [
+  "document.getElementById('filter').addEventListener('input', function(e) {",
+  "  var words = e.target.value.toLowerCase().split(/\\s+/).filter(function(w) { return w.length > 0; });",
+  "  var rows = document.querySelectorAll('tr[data-search]');",
+  "  for (var i = 0; i < rows.length; i++) {",
+  "    var text = rows[i].getAttribute('data-search');",
+  "    rows[i].style.display = words.every(function(w) { return text.indexOf(w) !== -1; }) ? '' : 'none';",
+  "  }",
+  "});"
+].join("\n");
+
+/**
+ * HTMLRenderer class -- renders documentation of the asset types as a self-contained static HTML site: an index
+ * of every type (which can be filtered by type, display name or property name), and a page per type with its
+ * properties, links to the types it refers to and a list of the types that refer to it
+ *
+ * Every page is standalone (its style and script are inline), so the site can be browsed straight from the
+ * filesystem or served from anywhere.
+ */
+class HTMLRenderer extends DocumentationRenderer {
+
+  get multiPage() {
+    return true;
+  }
+
+  /**
+   * @param {Object[]} types - the types to document, as from `describeType`
+   * @returns {Object} the pages, keyed by filename: `index.html`, and `types/<type>.html` for each type
+   */
+  render(types) {
+    const pages = {};
+    const documented = {};
+    const referencedBy = {};
+    for (let i = 0; i < types.length; i++) {
+      documented[types[i].id] = true;
+      referencedBy[types[i].id] = [];
+    }
+    for (let i = 0; i < types.length; i++) {
+      const referenced = HTMLRenderer._getReferencedTypes(types[i]);
+      for (let j = 0; j < referenced.length; j++) {
+        if (referencedBy.hasOwnProperty(referenced[j]) && !referencedBy[referenced[j]].includes(types[i].id)) {
+          referencedBy[referenced[j]].push(types[i].id);
+        }
+      }
+    }
+    this._documented = documented;
+    pages["index.html"] = this.renderIndex(types);
+    for (let i = 0; i < types.length; i++) {
+      pages["types/" + HTMLRenderer.getPageName(types[i].id)] = this.renderTypePage(types[i], referencedBy[types[i].id]);
+    }
+    return pages;
+  }
+
+  /**
+   * @param {Object[]} types
+   * @returns {string} the index page, listing every type
+   */
+  renderIndex(types) {
+    let rows = "";
+    for (let i = 0; i < types.length; i++) {
+      const type = types[i];
+      const search = [ type.id, type.name ].concat(HTMLRenderer._getPropertyNames(type)).join(" ").toLowerCase();
+      const view = type.sections.find(function(section) { return section.usage === "view"; });
+      const usages = type.sections.map(function(section) { return section.usage; }).join(", ");
+      rows += "<tr data-search=\"" + HTMLRenderer.escape(search) + "\">" +
+        "<td><a href=\"types/" + encodeURIComponent(HTMLRenderer.getPageName(type.id)) + "\"><code>" + HTMLRenderer.escape(type.id) + "</code></a></td>" +
+        "<td>" + HTMLRenderer.escape(type.name) + "</td>" +
+        "<td>" + (view ? view.properties.length : 0) + "</td>" +
+        "<td>" + usages + "</td></tr>\n";
+    }
+    const body = "<h1>" + title + "</h1>\n" +
+      "<p class=\"summary\">" + types.length + " asset types.</p>\n" +
+      "<input type=\"search\" id=\"filter\" placeholder=\"Filter by type, display name or property name...\" autofocus>\n" +
+      "<table>\n<thead><tr><th>Type</th><th>Displayed as</th><th>Properties</th><th>Properties for</th></tr></thead>\n<tbody>\n" + rows + "</tbody>\n</table>\n";
+    return HTMLRenderer._renderPage(title, body);
+  }
+
+  /**
+   * @param {Object} type
+   * @param {string[]} referencedBy - the ids of the types with relationships to this type
+   * @returns {string} the page documenting the type
+   */
+  renderTypePage(type, referencedBy) {
+    let body = "<nav><a href=\"../index.html\">&larr; All types</a></nav>\n" +
+      "<h1><code>" + HTMLRenderer.escape(type.id) + "</code></h1>\n" +
+      "<ul>\n" +
+      "<li>Displayed as: <em>\"" + HTMLRenderer.escape(type.name) + "\"</em></li>\n" +
+      "<li>Path: <code>" + HTMLRenderer.escape(type.url) + "</code></li>\n" +
+      "</ul>\n" +
+      "<p class=\"legend\">Property names in <span class=\"required\">bold</span> are required; those in <span class=\"multiple\">italics</span> can hold multiple values.</p>\n" +
+      "<input type=\"search\" id=\"filter\" placeholder=\"Filter properties...\">\n";
+    for (let i = 0; i < type.sections.length; i++) {
+      body += this.renderSection(type.sections[i]);
+    }
+    if (referencedBy.length > 0) {
+      body += "<h2>Referred to by</h2>\n<ul>\n" + referencedBy.sort().map(function(typeId) {
+        return "<li>" + this.formatReference(typeId) + "</li>";
+      }, this).join("\n") + "\n</ul>\n";
+    }
+    return HTMLRenderer._renderPage(type.id + " - " + title, body);
+  }
+
+  renderSectionHeader(sectionTitle) {
+    return "<h2>" + HTMLRenderer.escape(sectionTitle) + "</h2>\n" +
+      "<table>\n<thead><tr><th>Name</th><th>Type</th><th>Details</th></tr></thead>\n<tbody>\n";
+  }
+
+  renderSectionFooter() {
+    return "</tbody>\n</table>\n";
+  }
+
+  renderPropertyRow(property) {
+    const search = [ property.name, property.displayName, property.type ].join(" ").toLowerCase();
+    return "<tr data-search=\"" + HTMLRenderer.escape(search) + "\">" +
+      "<td>" + this.renderPropertyName(property) + "</td>" +
+      "<td>" + this.renderPropertyType(property) + "</td>" +
+      "<td>" + this.renderPropertyDetails(property) + "</td></tr>\n";
+  }
+
+  renderPropertyName(property) {
+    const classes = [];
+    if (property.required) {
+      classes.push("required");
+    }
+    if (property.multiple) {
+      classes.push("multiple");
+    }
+    const name = HTMLRenderer.escape(property.name);
+    return (classes.length > 0) ? "<span class=\"" + classes.join(" ") + "\">" + name + "</span>" : name;
+  }
+
+  renderPropertyType(property) {
+    return property.relationship ? this.formatReference(property.type) : HTMLRenderer.escape(property.type);
+  }
+
+  renderPropertyDetails(property) {
+    let details = "<em>\"" + HTMLRenderer.escape(property.displayName) + "\"</em>";
+    if (property.type === "enum") {
+      details += ": " + property.validValues.map(this.formatCode, this).join(", ");
+    } else if (property.unknownType !== null) {
+      details += ": UNKNOWN complexType = " + this.formatCode(JSON.stringify(property.unknownType));
+    }
+    return details;
+  }
+
+  formatCode(text) {
+    return "<code>" + HTMLRenderer.escape(text) + "</code>";
+  }
+
+  formatRequired(name) {
+    return "<span class=\"required\">" + name + "</span>";
+  }
+
+  formatMultiple(name) {
+    return "<span class=\"multiple\">" + name + "</span>";
+  }
+
+  formatReference(typeId) {
+    // Pseudo-types (such as main_object) are not documented themselves, so cannot be linked to
+    if (this._documented && !this._documented.hasOwnProperty(typeId)) {
+      return HTMLRenderer.escape(typeId);
+    }
+    return "<a href=\"" + encodeURIComponent(HTMLRenderer.getPageName(typeId)) + "\">" + HTMLRenderer.escape(typeId) + "</a>";
+  }
+
+  /**
+   * @param {string} typeId
+   * @returns {string} the filename of the page documenting the type
+   */
+  static getPageName(typeId) {
+    return typeId.replace(/[^A-Za-z0-9_.$-]/g, "_") + ".html";
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} the text, escaped for including in HTML
+   */
+  static escape(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  /**
+   * @private
+   */
+  static _renderPage(pageTitle, body) {
+    return "<!DOCTYPE html>\n" +
+      "<html lang=\"en\">\n<head>\n" +
+      "<meta charset=\"utf-8\">\n" +
+      "<title>" + HTMLRenderer.escape(pageTitle) + "</title>\n" +
+      "<style>\n" + style + "\n</style>\n" +
+      "</head>\n<body>\n" + body +
+      "<script>\n" + filterScript + "\n</script>\n" +
+      "</body>\n</html>\n";
+  }
+
+  /**
+   * @private
+   */
+  static _getPropertyNames(type) {
+    const names = [];
+    type.sections.forEach(function(section) {
+      section.properties.forEach(function(property) {
+        if (!names.includes(property.name)) {
+          names.push(property.name);
+        }
+      });
+    });
+    return names;
+  }
+
+  /**
+   * @private
+   */
+  static _getReferencedTypes(type) {
+    const referenced = [];
+    type.sections.forEach(function(section) {
+      section.properties.forEach(function(property) {
+        if (property.relationship && !referenced.includes(property.type)) {
+          referenced.push(property.type);
+        }
+      });
+    });
+    return referenced;
+  }
+
+}
+
+module.exports = HTMLRenderer;
@@ -0,0 +1,301 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+// Request headers that should never be exposed through an error
+const sensitiveHeaders = [ 'authorization', 'cookie', 'proxy-authorization' ];
+const maxBodyLength = 2000;
+
+/**
+ * IGCRestError class -- the base of all errors raised by interacting with IGC's REST API, providing:
+ * - `kind`: one of [ `not-found`, `auth`, `validation`, `server`, `network`, `timeout`, `cancelled`, `unmatched-request` ], or `unexpected` for anything else
+ * - `statusCode`: the HTTP status code of the response (if one was received)
+ * - `igcMessage`: the error message given by IGC (if any)
+ * - `method` and `path`: of the request that failed
+ * - `request`: the request that failed, with any credentials and the content of its body removed
+ * @example
+ * igcrest.getAssetById(rid).catch(function(err) {
+ *   if (err.kind === 'not-found') {
+ *     // ... create it instead
+ *   }
+ * });
+ */
+class IGCRestError extends Error {
+
+  /**
+   * @param {string} message - a description of the error
+   * @param {Object} [details]
+   * @param {string} [details.kind] - the kind of error (default: `unexpected`)
+   * @param {integer} [details.statusCode] - the HTTP status code of the response
+   * @param {string} [details.igcMessage] - the error message given by IGC
+   * @param {string} [details.method] - the method of the request that failed
+   * @param {string} [details.path] - the path of the request that failed
+   * @param {Object} [details.request] - the (already redacted) request that failed
+   * @param {Error} [details.cause] - any underlying error
+   */
+  constructor(message, details) {
+    super(message);
+    details = details || {};
+    this.name = this.constructor.name;
+    this.kind = details.kind || 'unexpected';
+    this.statusCode = details.statusCode || null;
+    this.igcMessage = details.igcMessage || null;
+    this.method = details.method || null;
+    this.path = details.path || null;
+    this.request = details.request || null;
+    if (details.hasOwnProperty("cause")) {
+      this.cause = details.cause;
+    }
+  }
+
+  /**
+   * Creates the most specific error for an unsuccessful response
+   *
+   * @param {Object} res - the full response object from the request
+   * @returns {IGCRestError}
+   */
+  static fromResponse(res) {
+    const req = res.request || {};
+    const details = {
+      statusCode: res.statusCode,
+      igcMessage: this.parseIGCMessage(res.body),
+      method: req.method,
+      path: (req.uri ? req.uri.path : req.path),
+      request: this.redactRequest(req)
+    };
+    let message = "Unsuccessful request " + res.statusCode + " (" + details.method + " " + details.path + ")";
+    if (details.igcMessage !== null) {
+      message += ": " + details.igcMessage;
+    }
+    const kind = this.kindForStatus(res.statusCode);
+    if (kind === 'not-found') {
+      return new IGCNotFoundError(message, details);
+    } else if (kind === 'auth') {
+      return new IGCAuthError(message, details);
+    } else if (kind === 'validation') {
+      return new IGCValidationError(message, details);
+    } else if (kind === 'server') {
+      return new IGCServerError(message, details);
+    }
+    return new IGCRestError(message, details);
+  }
+
+  /**
+   * Determines the kind of error for an unsuccessful response, from its status code
+   *
+   * @param {integer} status - the status code of the response
+   * @returns {string} the kind of error, as in `kind`
+   */
+  static kindForStatus(status) {
+    if (status === 404) {
+      return 'not-found';
+    } else if (status === 401 || status === 403) {
+      return 'auth';
+    } else if (status === 400 || status === 409 || status === 422) {
+      return 'validation';
+    } else if (status >= 500) {
+      return 'server';
+    }
+    return 'unexpected';
+  }
+
+  /**
+   * Creates an error for a request that failed before any response was received
+   *
+   * @param {Error} err - the underlying (socket) error
+   * @param {string} method - the method of the request that failed
+   * @param {string} path - the path of the request that failed
+   * @returns {IGCNetworkError}
+   */
+  static fromRequestError(err, method, path) {
+    return new IGCNetworkError("Request failed (" + method + " " + path + "): " + err.message, {
+      method: method,
+      path: path,
+      cause: err
+    });
+  }
+
+  /**
+   * Retrieves the error message from the body of an IGC error response
+   *
+   * @param {string|Object} body - the body of the response
+   * @returns {string} the message, or null if there is none
+   */
+  static parseIGCMessage(body) {
+    if (body === undefined || body === null || body === "") {
+      return null;
+    }
+    let json = body;
+    if (typeof body === "string") {
+      try {
+        json = JSON.parse(body);
+      } catch (e) {
+        return body.trim().substring(0, maxBodyLength);
+      }
+    }
+    if (json !== null && typeof json === "object") {
+      if (Object.keys(json).length === 0) {
+        // e.g. an empty response, which has already been parsed
+        return null;
+      }
+      const keys = [ "message", "errorMessage", "error" ];
+      for (let i = 0; i < keys.length; i++) {
+        if (typeof json[keys[i]] === "string") {
+          return json[keys[i]];
+        }
+      }
+      if (Array.isArray(json.messages) && json.messages.length > 0) {
+        return json.messages.join(" ");
+      }
+    }
+    return JSON.stringify(json).substring(0, maxBodyLength);
+  }
+
+  /**
+   * Produces a copy of the key details of a request, with any credentials removed -- the body may itself hold
+   * sensitive values (e.g. the properties of an asset being updated), so its content is removed like credentials
+   *
+   * @param {Object} req - the request (as sent by the request module)
+   * @returns {Object} with `method`, `uri`, `headers` and `body` (`<redacted>` if the request had one, otherwise null)
+   */
+  static redactRequest(req) {
+    const headers = {};
+    const reqHeaders = req.headers || {};
+    for (const name in reqHeaders) {
+      if (reqHeaders.hasOwnProperty(name)) {
+        headers[name] = sensitiveHeaders.includes(name.toLowerCase()) ? "<redacted>" : reqHeaders[name];
+      }
+    }
+    const body = (req.body !== undefined && req.body !== null) ? "<redacted>" : null;
+    return {
+      method: req.method,
+      uri: (req.uri ? req.uri.protocol + "//" + req.uri.host + req.uri.path : null),
+      headers: headers,
+      body: body
+    };
+  }
+
+  /**
+   * @returns {Object} a representation of the error suitable for JSON serialisation
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      kind: this.kind,
+      message: this.message,
+      statusCode: this.statusCode,
+      igcMessage: this.igcMessage,
+      method: this.method,
+      path: this.path,
+      request: this.request
+    };
+  }
+
+}
+
+/**
+ * IGCNotFoundError class -- the requested asset (or end-point) does not exist
+ */
+class IGCNotFoundError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'not-found';
+  }
+}
+
+/**
+ * IGCAuthError class -- the credentials were rejected, or lack the authority for the request
+ */
+class IGCAuthError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'auth';
+  }
+}
+
+/**
+ * IGCValidationError class -- the request was rejected as invalid (e.g. unknown properties or bad values)
+ */
+class IGCValidationError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'validation';
+  }
+}
+
+/**
+ * IGCServerError class -- IGC failed to process the request
+ */
+class IGCServerError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'server';
+  }
+}
+
+/**
+ * IGCNetworkError class -- no response was received (the underlying socket error is given by `cause`)
+ */
+class IGCNetworkError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'network';
+    this.code = (this.cause ? this.cause.code : null);
+  }
+}
+
+/**
+ * IGCTimeoutError class -- the request did not complete within its timeout (and has been abandoned)
+ */
+class IGCTimeoutError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'timeout';
+  }
+}
+
+/**
+ * IGCCancelError class -- the request was cancelled by its AbortSignal (any reason given is the `cause`)
+ */
+class IGCCancelError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'cancelled';
+  }
+}
+
+/**
+ * IGCUnmatchedRequestError class -- while replaying a cassette, the request did not match any that was recorded (the
+ * normalised body of the request is given by `body`)
+ */
+class IGCUnmatchedRequestError extends IGCRestError {
+  constructor(message, details) {
+    super(message, details);
+    this.kind = 'unmatched-request';
+    this.body = (details && details.hasOwnProperty("body")) ? details.body : null;
+  }
+}
+
+module.exports = IGCRestError;
+module.exports.IGCNotFoundError = IGCNotFoundError;
+module.exports.IGCAuthError = IGCAuthError;
+module.exports.IGCValidationError = IGCValidationError;
+module.exports.IGCServerError = IGCServerError;
+module.exports.IGCNetworkError = IGCNetworkError;
+module.exports.IGCTimeoutError = IGCTimeoutError;
+module.exports.IGCCancelError = IGCCancelError;
+module.exports.IGCUnmatchedRequestError = IGCUnmatchedRequestError;
@@ -0,0 +1,107 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * Interceptors class -- built-in interceptors for the chain through which every request to IGC is sent
+ *
+ * @see module:ibm-igc-rest.use
+ * @example
+ * igcrest.use(igcrest.Interceptors.headers({ "X-Forwarded-Host": "igc.example.com" }));
+ * igcrest.use(igcrest.Interceptors.logging());
+ */
+class Interceptors {
+
+  constructor() { }
+
+  /**
+   * Add headers to every request
+   *
+   * @param {Object|Function} headers - the headers to add, or a function that is given each request and returns the headers to add to it (e.g. to give each request its own correlation ID)
+   * @returns {interceptor}
+   * @example
+   * const crypto = require('crypto');
+   * igcrest.use(igcrest.Interceptors.headers(function(req) {
+   *   return { "X-Correlation-ID": crypto.randomBytes(8).toString('hex') };
+   * }));
+   */
+  static headers(headers) {
+    return function(req, next) {
+      const toAdd = (typeof headers === "function") ? headers(req) : headers;
+      req.headers = Object.assign({}, req.headers, toAdd);
+      return next(req);
+    };
+  }
+
+  /**
+   * Log every request, and the status of its response (or the reason it failed) and how long it took
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.log] - the function with which to log each line (defaults to `console.log`)
+   * @param {boolean} [options.headers] - whether to also log the headers of each request (other than any authorisation)
+   * @param {boolean} [options.bodies] - whether to also log the body of each request and response
+   * @returns {interceptor}
+   */
+  static logging(options) {
+    options = options || {};
+    const log = options.log || console.log;
+    return function(req, next) {
+      const label = req.method + " " + req.uri + (req.attempt > 1 ? " (attempt " + req.attempt + ")" : "");
+      log("IGC request: " + label);
+      if (options.headers) {
+        log("  headers: " + JSON.stringify(Interceptors._redactHeaders(req.headers)));
+      }
+      if (options.bodies && req.body !== undefined && req.body !== null && req.contentType !== "multipart/form-data") {
+        log("  body: " + Interceptors._describeBody(req.body));
+      }
+      const started = Date.now();
+      return next(req).then(function(res) {
+        log("IGC response: " + res.statusCode + " to " + label + " in " + (Date.now() - started) + "ms");
+        if (options.bodies) {
+          log("  body: " + Interceptors._describeBody(res.body));
+        }
+        return res;
+      }, function(err) {
+        log("IGC request failed: " + label + " after " + (Date.now() - started) + "ms: " + err.message);
+        throw err;
+      });
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _redactHeaders(headers) {
+    const redacted = {};
+    const keys = Object.keys(headers || {});
+    for (let i = 0; i < keys.length; i++) {
+      redacted[keys[i]] = /^(authorization|cookie)$/i.test(keys[i]) ? "<redacted>" : headers[keys[i]];
+    }
+    return redacted;
+  }
+
+  /**
+   * @private
+   */
+  static _describeBody(body) {
+    const text = (typeof body === "string") ? body : JSON.stringify(body);
+    return (text !== undefined && text.length > 1000) ? text.substring(0, 1000) + "..." : text;
+  }
+
+}
+
+module.exports = Interceptors;
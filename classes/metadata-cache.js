@@ -0,0 +1,238 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * MetadataCache class -- for caching IGC type metadata (the list of types, and the details of each type), either
+ * in-memory or on-disk (as a directory of JSON files) so that it can be re-used across runs, and even offline
+ *
+ * Entries are kept separately for each version of the type model, so that when the server's type model changes
+ * (e.g. through an upgrade, or deploying an Open IGC bundle) entries cached for the old version are no longer used;
+ * entries also expire after a time-to-live. On disk, each version is a sub-directory:
+ *
+ * ```
+ * <directory>/latest.json              (the version most recently used online)
+ * <directory>/<version>/types.json     (the list of types)
+ * <directory>/<version>/type-<id>.json (the details of each type)
+ * ```
+ */
+class MetadataCache {
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - directory in which to persist the cache (default: in-memory only)
+   * @param {integer} [options.ttl] - milliseconds for which entries remain valid (default: 24 hours; 0 to never expire)
+   * @param {string} [options.version] - the version of the type model (default: in-memory caches use a single version, on-disk caches must be given one through `setVersion`)
+   * @param {boolean} [options.offline] - whether the cache is being used offline, in which case entries never expire and the latest version on disk is used
+   */
+  constructor(options) {
+    options = options || {};
+    this._directory = options.directory || null;
+    this._ttl = options.hasOwnProperty("ttl") ? options.ttl : 24 * 60 * 60 * 1000;
+    this._offline = (options.offline === true);
+    this._entries = {};
+    this._version = null;
+    if (this._offline && this._directory === null) {
+      throw new Error("An offline metadata cache requires a directory.");
+    }
+    if (options.hasOwnProperty("version")) {
+      this.setVersion(options.version);
+    } else if (this._directory === null) {
+      this.setVersion("default");
+    } else if (this._offline) {
+      this.setVersion(this.getLatestVersion());
+    }
+  }
+
+  /**
+   * @returns {boolean} true iff the cache is persisted on disk
+   */
+  get persistent() {
+    return (this._directory !== null);
+  }
+
+  /**
+   * @returns {boolean} true iff the cache is being used offline
+   */
+  get offline() {
+    return this._offline;
+  }
+
+  /**
+   * @returns {string} the version of the type model currently in use (or null if it is not yet known)
+   */
+  get version() {
+    return this._version;
+  }
+
+  /**
+   * Set the version of the type model, so that only entries cached for that version are used
+   *
+   * @param {string} version
+   */
+  setVersion(version) {
+    if (version === null || version === undefined || version === "") {
+      throw new Error("A version must be provided for the metadata cache.");
+    }
+    this._version = version;
+    if (this.persistent && !this._offline) {
+      fs.mkdirSync(this._versionDirectory(), { recursive: true });
+      this._writeJSON(path.join(this._directory, "latest.json"), { version: version, storedAt: Date.now() });
+    }
+  }
+
+  /**
+   * Retrieve the version of the type model most recently used with an on-disk cache
+   *
+   * @returns {string}
+   * @throws will throw an error if there is no version in the cache
+   */
+  getLatestVersion() {
+    const latest = this._readJSON(path.join(this._directory, "latest.json"));
+    if (latest === null) {
+      throw new Error("No cached type metadata found in '" + this._directory + "' -- run once online to populate it.");
+    }
+    return latest.version;
+  }
+
+  /**
+   * Retrieve a cached entry
+   *
+   * @param {string} key
+   * @returns {*} the cached value, or undefined if there is no (unexpired) entry for the key
+   */
+  get(key) {
+    if (this._version === null) {
+      return undefined;
+    }
+    const id = this._entryId(key);
+    let entry = this._entries[id];
+    if (entry === undefined && this.persistent) {
+      entry = this._readJSON(this._entryFile(key));
+      if (entry !== null) {
+        this._entries[id] = entry;
+      }
+    }
+    if (entry === undefined || entry === null) {
+      return undefined;
+    }
+    if (!this._offline && this._ttl > 0 && (Date.now() - entry.storedAt) > this._ttl) {
+      delete this._entries[id];
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Cache an entry
+   *
+   * @param {string} key
+   * @param {*} value - any JSON-serialisable value
+   */
+  set(key, value) {
+    if (this._version === null) {
+      throw new Error("The version of the type model must be set before caching.");
+    }
+    const entry = { storedAt: Date.now(), value: value };
+    this._entries[this._entryId(key)] = entry;
+    if (this.persistent) {
+      this._writeJSON(this._entryFile(key), entry);
+    }
+  }
+
+  /**
+   * Remove all entries cached for the current version of the type model
+   */
+  clear() {
+    this._entries = {};
+    if (this.persistent && this._version !== null && fs.existsSync(this._versionDirectory())) {
+      const files = fs.readdirSync(this._versionDirectory());
+      for (let i = 0; i < files.length; i++) {
+        fs.unlinkSync(path.join(this._versionDirectory(), files[i]));
+      }
+    }
+  }
+
+  /**
+   * Calculate a version for a type model from its list of types and its custom attributes (which change whenever
+   * types are added or removed, e.g. by an upgrade or the deployment of an Open IGC bundle, and whenever custom
+   * attributes are added, removed or renamed)
+   *
+   * Other changes to the properties of a type (e.g. by a fix pack that leaves the list of types unchanged) are not
+   * reflected, and are only picked up once the cache expires or is refreshed -- or by providing a version explicitly.
+   *
+   * @param {Object[]} types - the list of types (as from `/types/`)
+   * @param {Object[]} [attributes] - the list of custom attributes (as from `/administration/attributes/`)
+   * @returns {string}
+   */
+  static fingerprint(types, attributes) {
+    const ids = types.map(function(type) { return type._id + "=" + type._name; }).sort();
+    const attributeIds = (attributes || []).map(function(attribute) { return JSON.stringify(attribute); }).sort();
+    return "types-" + crypto.createHash('sha1').update(ids.concat(attributeIds).join("\n")).digest('hex').substring(0, 12);
+  }
+
+  /**
+   * @private
+   */
+  _entryId(key) {
+    return this._version + "/" + key;
+  }
+
+  /**
+   * @private
+   */
+  _versionDirectory() {
+    return path.join(this._directory, encodeURIComponent(this._version));
+  }
+
+  /**
+   * @private
+   */
+  _entryFile(key) {
+    return path.join(this._versionDirectory(), encodeURIComponent(key.replace("/", "-")) + ".json");
+  }
+
+  /**
+   * @private
+   */
+  _readJSON(filename) {
+    if (!fs.existsSync(filename)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (e) {
+      // Treat a corrupted entry the same as a missing one
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _writeJSON(filename, json) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    fs.writeFileSync(filename, JSON.stringify(json), 'utf8');
+  }
+
+}
+
+module.exports = MetadataCache;
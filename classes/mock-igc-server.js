@@ -0,0 +1,1209 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const commons = require('ibm-iis-commons');
+
+const apiPath = "/ibm/iis/igc-rest/v1";
+const primitiveTypes = [ "string", "note", "number", "boolean", "datetime", "enum" ];
+
+// Types of custom attribute, and the data type of the property each adds to the types it applies to
+const attributeDataTypes = {
+  "STRING": "string",
+  "TEXT": "note",
+  "NUMBER": "number",
+  "DATE": "datetime",
+  "BOOLEAN": "boolean",
+  "ENUM": "enum"
+};
+
+// A small slice of IGC's type model, which can be extended (or overridden) through the `types` option; each type
+// lists its properties (a data type, or an object with the `type` and optionally whether there can be `multiple`,
+// its `validValues` if an enum, or the relationship it is the `inverseOf`) and the property (if any) that gives the
+// asset's container, from which `_context` is generated
+const defaultTypes = {
+  "main_object": {
+    name: "Main Object",
+    abstract: true,
+    properties: { name: "string", short_description: "string" }
+  },
+  "host": {
+    name: "Host",
+    properties: {
+      name: "string",
+      short_description: "string",
+      databases: { type: "database", multiple: true, inverseOf: "host" }
+    }
+  },
+  "database": {
+    name: "Database",
+    context: "host",
+    properties: {
+      name: "string",
+      short_description: "string",
+      host: { type: "host" },
+      database_schemas: { type: "database_schema", multiple: true, inverseOf: "database" }
+    }
+  },
+  "database_schema": {
+    name: "Database Schema",
+    context: "database",
+    properties: {
+      name: "string",
+      short_description: "string",
+      database: { type: "database" },
+      database_tables: { type: "database_table", multiple: true, inverseOf: "database_schema" }
+    }
+  },
+  "database_table": {
+    name: "Database Table",
+    context: "database_schema",
+    properties: {
+      name: "string",
+      short_description: "string",
+      database_schema: { type: "database_schema" },
+      database_columns: { type: "database_column", multiple: true, inverseOf: "database_table_or_view" },
+      assigned_to_terms: { type: "term", multiple: true, inverseOf: "assigned_assets" },
+      labels: { type: "label", multiple: true },
+      modified_on: "datetime"
+    }
+  },
+  "database_column": {
+    name: "Database Column",
+    context: "database_table_or_view",
+    properties: {
+      name: "string",
+      short_description: "string",
+      data_type: "string",
+      length: "number",
+      position: "number",
+      allows_null_values: "boolean",
+      database_table_or_view: { type: "database_table" },
+      assigned_to_terms: { type: "term", multiple: true, inverseOf: "assigned_assets" },
+      labels: { type: "label", multiple: true }
+    }
+  },
+  "category": {
+    name: "Category",
+    context: "parent_category",
+    properties: {
+      name: "string",
+      short_description: "string",
+      long_description: "note",
+      parent_category: { type: "category" },
+      subcategories: { type: "category", multiple: true, inverseOf: "parent_category" },
+      terms: { type: "term", multiple: true, inverseOf: "parent_category" }
+    }
+  },
+  "term": {
+    name: "Term",
+    context: "parent_category",
+    properties: {
+      name: "string",
+      short_description: "string",
+      long_description: "note",
+      status: { type: "enum", validValues: [ "CANDIDATE", "ACCEPTED", "STANDARD", "DEPRECATED" ] },
+      parent_category: { type: "category" },
+      assigned_assets: { type: "main_object", multiple: true },
+      labels: { type: "label", multiple: true },
+      modified_on: "datetime"
+    }
+  },
+  "label": {
+    name: "Label",
+    properties: {
+      name: "string",
+      description: "string",
+      labeled_assets: { type: "main_object", multiple: true, inverseOf: "labels" }
+    }
+  }
+};
+
+/**
+ * MockIGCServer class -- a local stand-in for IGC's REST API, serving an in-memory graph of assets over HTTP, for
+ * testing without an Information Server
+ *
+ * Implements searches (with paging, sorting, every `where` operator -- including nested and negated conditions, and
+ * dotted relationship paths -- and `_context` for every item), creating, retrieving, updating and deleting assets,
+ * type metadata, sessions (including logging out), Open IGC bundles (which are recorded, but not interpreted) and
+ * custom attributes (which add a `custom_<name>` property to each type they apply to). Every request must be
+ * authenticated, either with the server's credentials or a session cookie issued in response to them.
+ * @example
+ * // in a mocha suite
+ * const igcrest = require('ibm-igc-rest');
+ * const MockIGCServer = require('ibm-igc-rest/mock');
+ * const server = new MockIGCServer({
+ *   assets: [
+ *     { _id: "cat1", _type: "category", name: "Finance" },
+ *     { _type: "term", name: "Revenue", parent_category: "cat1", status: "ACCEPTED" }
+ *   ]
+ * });
+ * before(function() {
+ *   return server.start().then(function() {
+ *     igcrest.setConnection(server.getConnection());
+ *     return igcrest.openSession();
+ *   });
+ * });
+ * after(function() {
+ *   return server.stop();
+ * });
+ */
+class MockIGCServer {
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.types] - definitions of further types (or replacements for the built-in ones), keyed by type name (e.g. `{ "$MyBundle-Thing": { name: "Thing", properties: { name: "string", things: { type: "$MyBundle-Thing", multiple: true } } } }`)
+   * @param {Object[]} [options.assets] - fixtures with which to seed the server (as for `seed`), re-seeded whenever it is `reset`
+   * @param {integer} [options.pageSize] - number of items in each page of results, when not specified by the request (default: 10)
+   * @param {Object} [options.credentials] - the `username` and `password` that must be used to authenticate (default: isadmin / isadmin)
+   */
+  constructor(options) {
+    options = options || {};
+    this._typeDefinitions = Object.assign({}, defaultTypes, options.types);
+    this._fixtures = options.assets || [];
+    this._pageSize = options.pageSize || 10;
+    this._credentials = options.credentials || { username: "isadmin", password: "isadmin" };
+    this._server = null;
+    this._port = null;
+    this.reset();
+  }
+
+  /**
+   * Start listening for requests
+   *
+   * @param {integer} [port] - the port on which to listen (default: any free port)
+   * @returns {Promise} when resolved contains this server, once it is listening
+   */
+  start(port) {
+    const self = this;
+    return new Promise(function(resolve, reject) {
+      self._server = http.createServer(function(req, res) {
+        self._handle(req, res);
+      });
+      self._server.on('error', reject);
+      self._server.listen(port || 0, "127.0.0.1", function() {
+        self._port = self._server.address().port;
+        resolve(self);
+      });
+    });
+  }
+
+  /**
+   * Stop listening for requests (closing any open connections)
+   *
+   * @returns {Promise} resolved once the server has stopped
+   */
+  stop() {
+    const self = this;
+    return new Promise(function(resolve) {
+      if (self._server === null) {
+        return resolve();
+      }
+      self._server.close(function() {
+        self._server = null;
+        resolve();
+      });
+      if (typeof self._server.closeAllConnections === "function") {
+        self._server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * @returns {integer} the port on which the server is listening
+   */
+  get port() {
+    return this._port;
+  }
+
+  /**
+   * @returns {string} the base URL of the server (e.g. `http://127.0.0.1:53517`)
+   */
+  get baseURL() {
+    return "http://127.0.0.1:" + this._port;
+  }
+
+  /**
+   * @returns {Object[]} every request received since the server was last reset, each with its `method`, `path`, `query` and (parsed) `body`
+   */
+  get requests() {
+    return this._requests.slice();
+  }
+
+  /**
+   * Create a connection to the server, to provide to `setConnection` (the server must first have been started)
+   *
+   * @param {string} [username] - defaults to the server's credentials
+   * @param {string} [password] - defaults to the server's credentials
+   * @returns {RestConnection}
+   */
+  getConnection(username, password) {
+    if (this._port === null) {
+      throw new Error("The server must be started before connecting to it.");
+    }
+    const connection = new commons.RestConnection(username || this._credentials.username, password || this._credentials.password, "127.0.0.1", this._port);
+    // RestConnections are always over HTTPS, whereas the server is plain HTTP
+    Object.defineProperty(connection, "baseURL", { value: this.baseURL });
+    Object.defineProperty(connection, "agent", { value: new http.Agent({ keepAlive: false }) });
+    return connection;
+  }
+
+  /**
+   * Discard every asset, session, bundle, custom attribute and request received, and re-seed the server with the
+   * fixtures it was created with
+   */
+  reset() {
+    this._types = MockIGCServer._normalizeTypes(this._typeDefinitions);
+    this._assets = new Map();
+    this._sessions = new Set();
+    this._bundles = [];
+    this._attributes = new Map();
+    this._requests = [];
+    this._sequence = 0;
+    this.seed(this._fixtures);
+  }
+
+  /**
+   * Add assets to the server
+   *
+   * Each fixture is given as it would be to create the asset, along with its `_type` and optionally its `_id`
+   * (otherwise a RID is generated); relationships are given by the `_id`s of the related assets, which may be
+   * amongst the same fixtures (in any order).
+   *
+   * @param {Object[]} assets
+   * @returns {string[]} the RIDs of the assets, in the same order
+   * @example
+   * server.seed([
+   *   { _id: "host1", _type: "host", name: "INFOSVR" },
+   *   { _id: "db1", _type: "database", name: "SALES", host: "host1" }
+   * ]);
+   */
+  seed(assets) {
+    const self = this;
+    const rids = assets.map(function(fixture) {
+      if (!self._types.hasOwnProperty(fixture._type) || self._types[fixture._type].abstract) {
+        throw new Error("Unknown type '" + fixture._type + "' for fixture: " + JSON.stringify(fixture));
+      }
+      const rid = fixture._id || self._newRID(fixture._type);
+      if (self._assets.has(rid)) {
+        throw new Error("There is already an asset with RID '" + rid + "'.");
+      }
+      self._assets.set(rid, { _type: fixture._type, _id: rid });
+      return rid;
+    });
+    for (let i = 0; i < assets.length; i++) {
+      this._assets.set(rids[i], this._applyValues(this._assets.get(rids[i]), assets[i]));
+    }
+    return rids;
+  }
+
+  /**
+   * Retrieve the stored values of an asset (relationships as RIDs)
+   *
+   * @param {string} rid
+   * @returns {Object} a copy of the asset, or null if there is no such asset
+   */
+  getAsset(rid) {
+    return this._assets.has(rid) ? JSON.parse(JSON.stringify(this._assets.get(rid))) : null;
+  }
+
+  /**
+   * Expire every session, so that the next request using one is rejected (e.g. to test that sessions are renewed)
+   */
+  expireSessions() {
+    this._sessions.clear();
+  }
+
+  /**
+   * @private
+   */
+  _handle(req, res) {
+    const self = this;
+    let body = "";
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) {
+      body += chunk;
+    });
+    req.on('end', function() {
+      const parsed = url.parse(req.url, true);
+      const request = { method: req.method, path: parsed.pathname, query: parsed.query, body: body };
+      let response = null;
+      try {
+        const headers = {};
+        if (!self._authenticate(req, headers)) {
+          throw MockIGCServer._error(401, "Authentication is required.");
+        }
+        if (body !== "" && /json/.test(req.headers['content-type'] || "")) {
+          try {
+            request.body = JSON.parse(body);
+          } catch (e) {
+            throw MockIGCServer._error(400, "Unable to parse the request as JSON: " + e.message);
+          }
+        }
+        self._requests.push(request);
+        response = self._route(request, req);
+        response.headers = Object.assign(headers, response.headers);
+      } catch (err) {
+        // Anything unexpected is a server error, rather than an exception that would end the process hosting the server
+        const status = err.hasOwnProperty("statusCode") ? err.statusCode : 500;
+        response = { status: status, body: { message: err.message } };
+      }
+      const text = (response.body === undefined) ? "" : JSON.stringify(response.body);
+      res.writeHead(response.status, Object.assign({
+        "Content-Type": "application/json;charset=utf-8",
+        "Content-Length": Buffer.byteLength(text)
+      }, response.headers));
+      res.end(text);
+    });
+  }
+
+  /**
+   * Check the request has a valid session, or valid credentials (in which case a session is opened)
+   * @private
+   */
+  _authenticate(req, headers) {
+    const cookie = /(?:^|;\s*)JSESSIONID=([^;]+)/.exec(req.headers.cookie || "");
+    if (cookie !== null && this._sessions.has(cookie[1])) {
+      return true;
+    }
+    const auth = /^Basic (.+)$/.exec(req.headers.authorization || "");
+    if (auth !== null) {
+      const credentials = Buffer.from(auth[1], 'base64').toString('utf8');
+      if (credentials === this._credentials.username + ":" + this._credentials.password) {
+        const session = crypto.randomBytes(16).toString('hex');
+        this._sessions.add(session);
+        headers["Set-Cookie"] = "JSESSIONID=" + session + "; Path=/; HttpOnly";
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _route(request, req) {
+    if (request.path.indexOf(apiPath + "/") !== 0) {
+      throw MockIGCServer._error(404, "Not found: " + request.path);
+    }
+    const segments = request.path.substring(apiPath.length + 1).split("/").filter(function(segment) {
+      return segment !== "";
+    }).map(decodeURIComponent);
+    const method = request.method;
+    const resource = segments.join("/");
+    if (segments[0] === "search" && segments.length === 1) {
+      if (method === "POST") {
+        return { status: 200, body: this._search(request.body, request.body.begin || 0) };
+      } else if (method === "GET") {
+        // The next page of an earlier search
+        if (typeof request.query.query !== "string") {
+          throw MockIGCServer._error(400, "The search to page through must be given by the 'query' parameter.");
+        }
+        let query = null;
+        try {
+          query = JSON.parse(request.query.query);
+        } catch (e) {
+          throw MockIGCServer._error(400, "Unable to parse the 'query' parameter as JSON: " + e.message);
+        }
+        if (query !== null && typeof query === "object" && request.query.pageSize !== undefined) {
+          query.pageSize = parseInt(request.query.pageSize, 10);
+        }
+        return { status: 200, body: this._search(query, parseInt(request.query.begin, 10) || 0) };
+      }
+    } else if (segments[0] === "assets") {
+      if (segments.length === 1 && method === "POST") {
+        const rid = this._createAsset(request.body);
+        return { status: 201, headers: { "Location": this.baseURL + apiPath + "/assets/" + rid } };
+      } else if (segments.length === 2 && method === "GET") {
+        return { status: 200, body: this._presentAsset(this._getAsset(segments[1])) };
+      } else if (segments.length === 2 && method === "PUT") {
+        const updated = this._applyValues(this._getAsset(segments[1]), request.body);
+        this._assets.set(updated._id, updated);
+        return { status: 200, body: this._presentAsset(updated) };
+      } else if (segments.length === 2 && method === "DELETE") {
+        this._deleteAsset(this._getAsset(segments[1]));
+        return { status: 200 };
+      } else if (segments.length === 3 && method === "GET") {
+        return { status: 200, body: this._presentPropertyPage(this._getAsset(segments[1]), segments[2], request.query) };
+      }
+    } else if (segments[0] === "types" && method === "GET") {
+      if (segments.length === 1) {
+        return { status: 200, body: this._listTypes() };
+      } else if (segments.length === 2) {
+        return { status: 200, body: this._presentType(segments[1]) };
+      }
+    } else if (resource === "logout" && method === "GET") {
+      const cookie = /(?:^|;\s*)JSESSIONID=([^;]+)/.exec(req.headers.cookie || "");
+      if (cookie !== null) {
+        this._sessions.delete(cookie[1]);
+      }
+      return { status: 200 };
+    } else if (resource === "bundles") {
+      if (method === "GET") {
+        return { status: 200, body: this._bundles.slice() };
+      } else if (method === "POST" || method === "PUT") {
+        return { status: 200, body: this._uploadBundle(request.body, method === "PUT") };
+      }
+    } else if (resource === "bundles/assets" && method === "POST") {
+      // Accepted, but the flow document is not interpreted
+      return { status: 200, body: {} };
+    } else if (segments[0] === "administration" && segments[1] === "attributes") {
+      if (segments.length === 2 && method === "GET") {
+        return { status: 200, body: this._listAttributes(request.query) };
+      } else if (segments.length === 2 && method === "POST") {
+        return { status: 200, body: this._saveAttribute(null, request.body) };
+      } else if (segments.length === 3 && method === "PUT") {
+        return { status: 200, body: this._saveAttribute(segments[2], request.body) };
+      }
+    } else {
+      throw MockIGCServer._error(404, "Not found: " + request.path);
+    }
+    throw MockIGCServer._error(405, "Method " + method + " is not supported for: " + request.path);
+  }
+
+  /**
+   * @private
+   */
+  _search(query, begin) {
+    const self = this;
+    if (query === null || typeof query !== "object" || !Array.isArray(query.types) || query.types.length === 0) {
+      throw MockIGCServer._error(400, "The search must specify at least one type.");
+    }
+    for (let i = 0; i < query.types.length; i++) {
+      if (!this._types.hasOwnProperty(query.types[i])) {
+        throw MockIGCServer._error(400, "Unknown type '" + query.types[i] + "'.");
+      }
+    }
+    const bAnyType = query.types.some(function(type) { return self._types[type].abstract; });
+    const properties = query.properties || [];
+    const sorts = query.sorts || [];
+    properties.forEach(function(property) { self._checkProperty(property, query.types); });
+    sorts.forEach(function(sort) { self._checkProperty(sort.property, query.types); });
+    if (query.where) {
+      this._checkConditions(query.where, query.types);
+    }
+
+    let matched = [];
+    this._assets.forEach(function(asset) {
+      if ((bAnyType || query.types.includes(asset._type)) && (!query.where || self._matchesGroup(asset, query.where))) {
+        matched.push(asset);
+      }
+    });
+    if (sorts.length > 0) {
+      matched = matched.map(function(asset, index) {
+        return { asset: asset, index: index, keys: sorts.map(function(sort) { return self._resolvePath(asset, sort.property).values[0]; }) };
+      }).sort(function(a, b) {
+        for (let i = 0; i < sorts.length; i++) {
+          const order = MockIGCServer._compare(a.keys[i], b.keys[i]);
+          if (order !== 0) {
+            return (sorts[i].ascending === false) ? -order : order;
+          }
+        }
+        return a.index - b.index;
+      }).map(function(entry) {
+        return entry.asset;
+      });
+    }
+
+    const pageSize = query.pageSize || this._pageSize;
+    const items = matched.slice(begin, begin + pageSize).map(function(asset) {
+      const item = self._reference(asset);
+      item._context = self._context(asset);
+      properties.forEach(function(property) {
+        const value = self._presentPath(asset, property, pageSize);
+        if (value !== undefined) {
+          item[property] = value;
+        }
+      });
+      return item;
+    });
+    const nextQuery = Object.assign({}, query);
+    delete nextQuery.begin;
+    delete nextQuery.pageSize;
+    const next = this.baseURL + apiPath + "/search/?" + querystring.stringify({ begin: begin + pageSize, pageSize: pageSize, query: JSON.stringify(nextQuery) });
+    return { items: items, paging: MockIGCServer._paging(matched.length, begin, pageSize, items.length, next) };
+  }
+
+  /**
+   * Check that the first step of a property path exists on at least one of the types being searched
+   * @private
+   */
+  _checkProperty(path, types) {
+    const self = this;
+    if (typeof path !== "string" || path === "") {
+      throw MockIGCServer._error(400, "A property must be specified.");
+    }
+    const first = path.split(".")[0];
+    if (first.indexOf("_") === 0) {
+      return;
+    }
+    const bExists = types.some(function(type) {
+      if (self._types[type].abstract) {
+        return Object.keys(self._types).some(function(any) { return self._types[any].properties.hasOwnProperty(first); });
+      }
+      return self._types[type].properties.hasOwnProperty(first);
+    });
+    if (!bExists) {
+      throw MockIGCServer._error(400, "Property '" + first + "' does not exist on any of the types searched (" + types.join(", ") + ").");
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checkConditions(group, types) {
+    if (!Array.isArray(group.conditions)) {
+      throw MockIGCServer._error(400, "The conditions of a search must be an array.");
+    }
+    for (let i = 0; i < group.conditions.length; i++) {
+      const condition = group.conditions[i];
+      if (condition.hasOwnProperty("conditions")) {
+        this._checkConditions(condition, types);
+      } else {
+        this._checkProperty(condition.property, types);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _matchesGroup(asset, group) {
+    const self = this;
+    const results = group.conditions.map(function(condition) {
+      return condition.hasOwnProperty("conditions") ? self._matchesGroup(asset, condition) : self._matchesCondition(asset, condition);
+    });
+    const result = (group.operator === "or") ? results.some(Boolean) : results.every(Boolean);
+    return group.negated ? !result : result;
+  }
+
+  /**
+   * A condition on a path that reaches several values (e.g. through a relationship to many assets) is met if any
+   * of those values meets it
+   * @private
+   */
+  _matchesCondition(asset, condition) {
+    const values = this._resolvePath(asset, condition.property).values;
+    const expected = condition.value;
+    let result = false;
+    const any = function(test) {
+      return values.some(test);
+    };
+    switch (condition.operator) {
+      case "=":
+        result = any(function(value) { return MockIGCServer._equals(value, expected); });
+        break;
+      case "<":
+        result = any(function(value) { return MockIGCServer._compare(value, expected) < 0; });
+        break;
+      case ">":
+        result = any(function(value) { return MockIGCServer._compare(value, expected) > 0; });
+        break;
+      case "<=":
+        result = any(function(value) { return MockIGCServer._compare(value, expected) <= 0; });
+        break;
+      case ">=":
+        result = any(function(value) { return MockIGCServer._compare(value, expected) >= 0; });
+        break;
+      case "between":
+        result = any(function(value) { return MockIGCServer._compare(value, condition.min) >= 0 && MockIGCServer._compare(value, condition.max) <= 0; });
+        break;
+      case "in":
+        if (!Array.isArray(expected)) {
+          throw MockIGCServer._error(400, "Operator 'in' requires an array of values.");
+        }
+        result = any(function(value) { return expected.some(function(candidate) { return MockIGCServer._equals(value, candidate); }); });
+        break;
+      case "isNull":
+        result = (values.length === 0);
+        break;
+      case "like %{0}%":
+        result = any(function(value) { return String(value).toLowerCase().indexOf(String(expected).toLowerCase()) !== -1; });
+        break;
+      case "like {0}%":
+        result = any(function(value) { return String(value).toLowerCase().startsWith(String(expected).toLowerCase()); });
+        break;
+      case "like %{0}":
+        result = any(function(value) { return String(value).toLowerCase().endsWith(String(expected).toLowerCase()); });
+        break;
+      default:
+        throw MockIGCServer._error(400, "Unknown operator '" + condition.operator + "'.");
+    }
+    return condition.negated ? !result : result;
+  }
+
+  /**
+   * Follow a (possibly dotted) property path from an asset
+   * @private
+   * @returns {Object} with the `values` reached (RIDs, if the path ends with a relationship), whether there can be
+   *  `multiple` values, and whether the path ends with a `relationship`
+   */
+  _resolvePath(asset, path) {
+    const self = this;
+    const segments = path.split(".");
+    let current = [ asset ];
+    let bMultiple = false;
+    let bRelationship = false;
+    segments.forEach(function(segment, index) {
+      const bLast = (index === segments.length - 1);
+      const next = [];
+      bRelationship = false;
+      current.forEach(function(from) {
+        if (segment === "_id" || segment === "_type") {
+          next.push(from[segment]);
+          return;
+        } else if (segment === "_name") {
+          next.push(from.name || "");
+          return;
+        }
+        const spec = self._types[from._type].properties[segment];
+        if (spec === undefined) {
+          return;
+        }
+        const value = self._getValue(from, segment);
+        if (MockIGCServer._isRelationship(spec)) {
+          bMultiple = bMultiple || spec.multiple;
+          const rids = spec.multiple ? value : (value ? [ value ] : []);
+          if (bLast) {
+            Array.prototype.push.apply(next, rids);
+            bRelationship = true;
+          } else {
+            rids.forEach(function(rid) { next.push(self._assets.get(rid)); });
+          }
+        } else if (bLast && value !== undefined && value !== null) {
+          next.push(value);
+        }
+      });
+      current = next;
+    });
+    return { values: current, multiple: bMultiple, relationship: bRelationship };
+  }
+
+  /**
+   * Retrieve the stored value of a property, or derive it for the inverse of a relationship
+   * @private
+   */
+  _getValue(asset, property) {
+    const spec = this._types[asset._type].properties[property];
+    if (spec.inverseOf === null) {
+      return (spec.multiple && asset[property] === undefined) ? [] : asset[property];
+    }
+    const self = this;
+    const related = [];
+    this._assets.forEach(function(other) {
+      if (spec.type !== "main_object" && other._type !== spec.type) {
+        return;
+      }
+      const otherSpec = self._types[other._type].properties[spec.inverseOf];
+      if (otherSpec === undefined) {
+        return;
+      }
+      const value = other[spec.inverseOf];
+      if ((otherSpec.multiple && Array.isArray(value) && value.includes(asset._id)) || value === asset._id) {
+        related.push(other._id);
+      }
+    });
+    return related;
+  }
+
+  /**
+   * @private
+   */
+  _getAsset(rid) {
+    if (!this._assets.has(rid)) {
+      throw MockIGCServer._error(404, "No asset found with RID '" + rid + "'.");
+    }
+    return this._assets.get(rid);
+  }
+
+  /**
+   * @private
+   */
+  _createAsset(values) {
+    if (values === null || typeof values !== "object" || !this._types.hasOwnProperty(values._type) || this._types[values._type].abstract) {
+      throw MockIGCServer._error(400, "Unknown type '" + (values ? values._type : undefined) + "'.");
+    }
+    if (this._types[values._type].properties.hasOwnProperty("name") && (typeof values.name !== "string" || values.name === "")) {
+      throw MockIGCServer._error(400, "A name is required to create an asset of type '" + values._type + "'.");
+    }
+    const asset = this._applyValues({ _type: values._type, _id: this._newRID(values._type) }, values);
+    this._assets.set(asset._id, asset);
+    return asset._id;
+  }
+
+  /**
+   * Apply a set of values to (a copy of) an asset, as for a create or update -- either every value is valid and
+   * applied, or none are
+   * @private
+   */
+  _applyValues(asset, values) {
+    const self = this;
+    const type = this._types[asset._type];
+    const updated = Object.assign({}, asset);
+    if (values === null || typeof values !== "object") {
+      throw MockIGCServer._error(400, "The values to apply must be an object.");
+    }
+    Object.keys(values).forEach(function(property) {
+      if (property.indexOf("_") === 0) {
+        return;
+      }
+      const spec = type.properties[property];
+      if (spec === undefined) {
+        throw MockIGCServer._error(400, "Property '" + property + "' does not exist on type '" + asset._type + "'.");
+      } else if (spec.inverseOf !== null) {
+        throw MockIGCServer._error(400, "Property '" + property + "' of type '" + asset._type + "' cannot be changed directly (it is the inverse of '" + spec.inverseOf + "').");
+      }
+      const value = values[property];
+      if (MockIGCServer._isRelationship(spec)) {
+        self._applyRelationship(updated, property, spec, value);
+      } else if (value === null) {
+        delete updated[property];
+      } else {
+        updated[property] = MockIGCServer._convertValue(property, spec, value);
+      }
+    });
+    return updated;
+  }
+
+  /**
+   * @private
+   */
+  _applyRelationship(asset, property, spec, value) {
+    const self = this;
+    let rids = [];
+    let mode = "replace";
+    if (value === null) {
+      rids = [];
+    } else if (typeof value === "string") {
+      rids = [ value ];
+    } else if (Array.isArray(value)) {
+      rids = value;
+    } else if (typeof value === "object" && Array.isArray(value.items)) {
+      rids = value.items;
+      mode = value.mode || "append";
+    } else {
+      throw MockIGCServer._error(400, "Relationship '" + property + "' must be given as RID(s), or an object with 'items' (and optionally a 'mode').");
+    }
+    rids.forEach(function(rid) {
+      const related = self._assets.get(rid);
+      if (related === undefined) {
+        throw MockIGCServer._error(400, "No asset found with RID '" + rid + "' (for relationship '" + property + "').");
+      } else if (spec.type !== "main_object" && related._type !== spec.type) {
+        throw MockIGCServer._error(400, "Relationship '" + property + "' must be to assets of type '" + spec.type + "', not '" + related._type + "'.");
+      }
+    });
+    if (!spec.multiple) {
+      if (rids.length > 1) {
+        throw MockIGCServer._error(400, "Relationship '" + property + "' can only be to a single asset.");
+      } else if (rids.length === 0) {
+        delete asset[property];
+      } else {
+        asset[property] = rids[0];
+      }
+    } else {
+      const existing = (mode === "append" && Array.isArray(asset[property])) ? asset[property] : [];
+      asset[property] = existing.concat(rids.filter(function(rid, index) {
+        return !existing.includes(rid) && rids.indexOf(rid) === index;
+      }));
+    }
+  }
+
+  /**
+   * Delete an asset, along with any relationships to it
+   * @private
+   */
+  _deleteAsset(asset) {
+    const self = this;
+    this._assets.delete(asset._id);
+    this._assets.forEach(function(other) {
+      const properties = self._types[other._type].properties;
+      Object.keys(properties).forEach(function(property) {
+        if (other[property] === asset._id) {
+          delete other[property];
+        } else if (properties[property].multiple && Array.isArray(other[property])) {
+          other[property] = other[property].filter(function(rid) { return rid !== asset._id; });
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _reference(asset) {
+    return {
+      "_type": asset._type,
+      "_id": asset._id,
+      "_name": asset.name || "",
+      "_url": apiPath + "/assets/" + asset._id
+    };
+  }
+
+  /**
+   * The containers of an asset, outermost first
+   * @private
+   */
+  _context(asset) {
+    const context = [];
+    const visited = [ asset._id ];
+    let current = asset;
+    while (this._types[current._type].context !== null) {
+      const containerRID = current[this._types[current._type].context];
+      if (!containerRID || visited.includes(containerRID) || !this._assets.has(containerRID)) {
+        break;
+      }
+      visited.push(containerRID);
+      current = this._assets.get(containerRID);
+      context.unshift(this._reference(current));
+    }
+    return context;
+  }
+
+  /**
+   * @private
+   */
+  _presentAsset(asset) {
+    const self = this;
+    const presented = this._reference(asset);
+    presented._context = this._context(asset);
+    Object.keys(this._types[asset._type].properties).forEach(function(property) {
+      const value = self._presentPath(asset, property, self._pageSize);
+      if (value !== undefined) {
+        presented[property] = value;
+      }
+    });
+    return presented;
+  }
+
+  /**
+   * Present the value(s) at the end of a property path, as they would appear in results
+   * @private
+   */
+  _presentPath(asset, path, pageSize) {
+    const self = this;
+    if (path === "_context") {
+      return this._context(asset);
+    }
+    const spec = (path.indexOf(".") === -1) ? this._types[asset._type].properties[path] : undefined;
+    const resolved = this._resolvePath(asset, path);
+    let values = resolved.values;
+    if (resolved.relationship) {
+      values = values.map(function(rid) { return self._reference(self._assets.get(rid)); });
+    }
+    if (spec !== undefined && spec.multiple && resolved.relationship) {
+      // Relationships to many assets are paged
+      const next = this.baseURL + apiPath + "/assets/" + asset._id + "/" + path + "?" + querystring.stringify({ begin: pageSize, pageSize: pageSize });
+      return { items: values.slice(0, pageSize), paging: MockIGCServer._paging(values.length, 0, pageSize, Math.min(values.length, pageSize), next) };
+    } else if (resolved.multiple) {
+      return values;
+    }
+    return values.length > 0 ? values[0] : undefined;
+  }
+
+  /**
+   * @private
+   */
+  _presentPropertyPage(asset, property, query) {
+    const spec = this._types[asset._type].properties[property];
+    if (spec === undefined) {
+      throw MockIGCServer._error(400, "Property '" + property + "' does not exist on type '" + asset._type + "'.");
+    }
+    if (!spec.multiple || !MockIGCServer._isRelationship(spec)) {
+      const value = this._presentPath(asset, property, this._pageSize);
+      return (value === undefined) ? null : value;
+    }
+    const self = this;
+    const begin = parseInt(query.begin || 0, 10);
+    const pageSize = parseInt(query.pageSize || this._pageSize, 10);
+    const rids = this._getValue(asset, property);
+    const items = rids.slice(begin, begin + pageSize).map(function(rid) { return self._reference(self._assets.get(rid)); });
+    const next = this.baseURL + apiPath + "/assets/" + asset._id + "/" + property + "?" + querystring.stringify({ begin: begin + pageSize, pageSize: pageSize });
+    return { items: items, paging: MockIGCServer._paging(rids.length, begin, pageSize, items.length, next) };
+  }
+
+  /**
+   * @private
+   */
+  _listTypes() {
+    const self = this;
+    return Object.keys(this._types).filter(function(type) {
+      return !self._types[type].abstract;
+    }).sort().map(function(type) {
+      return { "_id": type, "_name": self._types[type].name, "_url": apiPath + "/types/" + type };
+    });
+  }
+
+  /**
+   * Present a type's details, as from `/types/{type}?showViewProperties=true&showCreateProperties=true&showEditProperties=true`
+   * @private
+   */
+  _presentType(typeName) {
+    if (!this._types.hasOwnProperty(typeName)) {
+      throw MockIGCServer._error(404, "Unknown type '" + typeName + "'.");
+    }
+    const type = this._types[typeName];
+    const view = [];
+    const edit = [];
+    Object.keys(type.properties).forEach(function(name) {
+      const spec = type.properties[name];
+      const property = { "name": name, "displayName": spec.displayName || MockIGCServer._displayName(name) };
+      if (MockIGCServer._isRelationship(spec)) {
+        property.type = { "name": spec.type, "url": apiPath + "/types/" + spec.type };
+      } else if (spec.type === "enum") {
+        property.type = { "name": "enum", "validValues": (spec.validValues || []).map(function(valid) {
+          return { "id": valid, "displayName": valid };
+        }) };
+      } else {
+        property.type = { "name": spec.type };
+      }
+      if (!spec.multiple) {
+        property.maxCardinality = 1;
+      }
+      if (name === "name") {
+        property.minCardinality = 1;
+      }
+      view.push(property);
+      if (spec.inverseOf === null) {
+        edit.push(property);
+      }
+    });
+    return {
+      "_id": typeName,
+      "_name": type.name,
+      "_url": apiPath + "/types/" + typeName,
+      "viewInfo": { "properties": view },
+      "createInfo": { "properties": edit },
+      "editInfo": { "properties": edit }
+    };
+  }
+
+  /**
+   * Record an uploaded bundle, by the name of the file uploaded
+   * @private
+   */
+  _uploadBundle(body, bUpdate) {
+    const file = /filename="([^"]+)"/.exec(typeof body === "string" ? body : "");
+    if (file === null) {
+      throw MockIGCServer._error(400, "No bundle file was uploaded.");
+    }
+    const bundle = "$" + file[1].replace(/^.*[\\\/]/, "").replace(/\.zip$/i, "");
+    const bExists = this._bundles.includes(bundle);
+    if (bExists && !bUpdate) {
+      throw MockIGCServer._error(400, "Bundle '" + bundle + "' already exists.");
+    } else if (!bExists && bUpdate) {
+      throw MockIGCServer._error(404, "Bundle '" + bundle + "' does not exist.");
+    } else if (!bExists) {
+      this._bundles.push(bundle);
+    }
+    return { "bundle": bundle };
+  }
+
+  /**
+   * @private
+   */
+  _listAttributes(query) {
+    const begin = parseInt(query.begin || 0, 10);
+    const pageSize = parseInt(query.pageSize || this._pageSize, 10);
+    return Array.from(this._attributes.values()).slice(begin, begin + pageSize);
+  }
+
+  /**
+   * Create (or replace) a custom attribute, adding a `custom_<name>` property to each type it applies to
+   * @private
+   */
+  _saveAttribute(id, definition) {
+    const self = this;
+    if (definition === null || typeof definition !== "object" || typeof definition.name !== "string" || !Array.isArray(definition.appliesTo)) {
+      throw MockIGCServer._error(400, "A custom attribute requires a 'name' and the types it 'appliesTo'.");
+    }
+    definition.appliesTo.forEach(function(type) {
+      if (!self._types.hasOwnProperty(type)) {
+        throw MockIGCServer._error(400, "Unknown type '" + type + "'.");
+      }
+    });
+    if (id === null) {
+      id = this._newRID("custom_attribute");
+    } else if (!this._attributes.has(id)) {
+      throw MockIGCServer._error(404, "No custom attribute found with id '" + id + "'.");
+    } else {
+      // Remove the properties of the attribute's previous definition
+      Object.keys(this._types).forEach(function(type) {
+        const properties = self._types[type].properties;
+        Object.keys(properties).forEach(function(property) {
+          if (properties[property].customAttribute === id) {
+            delete properties[property];
+          }
+        });
+      });
+    }
+    const attribute = Object.assign({}, definition, { "id": id, "attributeType": definition.attributeType || "STRING" });
+    this._attributes.set(id, attribute);
+    const property = "custom_" + attribute.name.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+    attribute.appliesTo.forEach(function(type) {
+      self._types[type].properties[property] = MockIGCServer._normalizeProperty({
+        type: attributeDataTypes[attribute.attributeType] || "string",
+        multiple: attribute.multipleValues === true,
+        validValues: attribute.validValues,
+        displayName: attribute.name,
+        customAttribute: id
+      });
+    });
+    return attribute;
+  }
+
+  /**
+   * @private
+   */
+  _newRID(type) {
+    this._sequence++;
+    const typeHash = crypto.createHash('md5').update(type).digest('hex').substring(0, 8);
+    return typeHash + ".e1b1ec6c." + ("0000000" + this._sequence.toString(36)).slice(-8);
+  }
+
+  /**
+   * @private
+   */
+  static _normalizeTypes(definitions) {
+    const types = {};
+    Object.keys(definitions).forEach(function(name) {
+      const definition = definitions[name];
+      const properties = {};
+      Object.keys(definition.properties || {}).forEach(function(property) {
+        properties[property] = MockIGCServer._normalizeProperty(definition.properties[property]);
+      });
+      types[name] = {
+        name: definition.name || MockIGCServer._displayName(name),
+        abstract: definition.abstract === true,
+        context: definition.context || null,
+        properties: properties
+      };
+    });
+    return types;
+  }
+
+  /**
+   * @private
+   */
+  static _normalizeProperty(spec) {
+    if (typeof spec === "string") {
+      spec = { type: spec };
+    }
+    return {
+      type: spec.type,
+      multiple: spec.multiple === true,
+      validValues: spec.validValues || null,
+      inverseOf: spec.inverseOf || null,
+      displayName: spec.displayName || null,
+      customAttribute: spec.customAttribute || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _isRelationship(spec) {
+    return !primitiveTypes.includes(spec.type);
+  }
+
+  /**
+   * @private
+   */
+  static _convertValue(property, spec, value) {
+    if (spec.type === "number") {
+      if (isNaN(Number(value))) {
+        throw MockIGCServer._error(400, "Value '" + value + "' is not a number, as required by property '" + property + "'.");
+      }
+      return Number(value);
+    } else if (spec.type === "boolean") {
+      if (value !== true && value !== false && value !== "true" && value !== "false") {
+        throw MockIGCServer._error(400, "Value '" + value + "' is not a boolean, as required by property '" + property + "'.");
+      }
+      return (value === true || value === "true");
+    } else if (spec.type === "datetime") {
+      const time = (typeof value === "number") ? value : Date.parse(value);
+      if (isNaN(time)) {
+        throw MockIGCServer._error(400, "Value '" + value + "' is not a date-time, as required by property '" + property + "'.");
+      }
+      return time;
+    } else if (spec.type === "enum" && Array.isArray(spec.validValues) && !spec.validValues.includes(value)) {
+      throw MockIGCServer._error(400, "Value '" + value + "' is not valid for property '" + property + "' -- must be one of: " + spec.validValues.join(", ") + ".");
+    }
+    return String(value);
+  }
+
+  /**
+   * @private
+   */
+  static _paging(numTotal, begin, pageSize, count, next) {
+    const paging = { "numTotal": numTotal, "pageSize": pageSize, "begin": begin, "end": (count > 0 ? begin + count - 1 : begin) };
+    if (begin + count < numTotal) {
+      paging.next = next;
+    }
+    return paging;
+  }
+
+  /**
+   * @private
+   */
+  static _equals(value, expected) {
+    if (typeof value === "number" || typeof expected === "number") {
+      return Number(value) === Number(expected);
+    }
+    return String(value) === String(expected);
+  }
+
+  /**
+   * @private
+   */
+  static _compare(a, b) {
+    if (a === undefined || a === null) {
+      return (b === undefined || b === null) ? 0 : -1;
+    } else if (b === undefined || b === null) {
+      return 1;
+    } else if (typeof a === "number" || typeof b === "number") {
+      return Number(a) - Number(b);
+    }
+    a = String(a);
+    b = String(b);
+    return (a < b) ? -1 : (a > b ? 1 : 0);
+  }
+
+  /**
+   * @private
+   */
+  static _displayName(name) {
+    return name.split("_").map(function(word) {
+      return word.charAt(0).toUpperCase() + word.substring(1);
+    }).join(" ");
+  }
+
+  /**
+   * @private
+   */
+  static _error(statusCode, message) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
+
+}
+
+module.exports = MockIGCServer;
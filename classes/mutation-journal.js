@@ -0,0 +1,134 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+
+let _sequence = 0;
+
+/**
+ * MutationJournal class -- an append-only file recording the values of an asset's properties before and after
+ * each change made to them, so that the changes can later be undone
+ *
+ * Each line of the file is a JSON object for one phase of one mutation (all phases of a mutation share its `id`):
+ * - `before`: written before the change is sent, with the `rid` and `type` of the asset, the `before` values of the
+ *   properties being changed (in the form of an update that would restore them) and the `after` values being set
+ * - `applied` or `failed`: written once IGC has responded to the change
+ * - `undone`: written once the change has been undone
+ */
+class MutationJournal {
+
+  /**
+   * @param {string} file - the journal file (created if it does not exist, otherwise appended to)
+   */
+  constructor(file) {
+    this._file = file;
+  }
+
+  /**
+   * @returns {string} the journal file
+   */
+  get file() {
+    return this._file;
+  }
+
+  /**
+   * Record the values of an asset's properties before they are changed
+   *
+   * @param {string} rid - the RID of the asset being changed
+   * @param {string} type - the type of the asset being changed
+   * @param {Object} before - an update that would restore the properties to their current values
+   * @param {Object} after - the update being made
+   * @returns {string} the id of the mutation (for recording its outcome)
+   */
+  begin(rid, type, before, after) {
+    _sequence++;
+    const id = Date.now().toString(36) + "-" + process.pid + "-" + _sequence;
+    this._append({ id: id, phase: "before", rid: rid, type: type, before: before, after: after });
+    return id;
+  }
+
+  /**
+   * Record that a mutation was made
+   *
+   * @param {string} id - the id of the mutation (from `begin`)
+   */
+  applied(id) {
+    this._append({ id: id, phase: "applied" });
+  }
+
+  /**
+   * Record that a mutation was not made
+   *
+   * @param {string} id - the id of the mutation (from `begin`)
+   * @param {Error} error - the reason it was not made
+   */
+  failed(id, error) {
+    this._append({ id: id, phase: "failed", error: (error && error.message ? error.message : String(error)) });
+  }
+
+  /**
+   * Record that a mutation has been undone
+   *
+   * @param {string} id - the id of the mutation (from `begin`)
+   */
+  undone(id) {
+    this._append({ id: id, phase: "undone" });
+  }
+
+  /**
+   * Read the mutations recorded in a journal file
+   *
+   * @param {string} file - the journal file
+   * @returns {Object[]} the mutations in the order they began, each with its `id`, `rid`, `type`, `before` and `after` values, and its `status` (one of `pending` -- outcome unknown, `applied`, `failed` or `undone`)
+   */
+  static read(file) {
+    const lines = fs.readFileSync(file, 'utf8').split("\n");
+    const mutations = [];
+    const byId = {};
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === "") {
+        continue;
+      }
+      let entry = null;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (e) {
+        throw new Error("Unable to parse line " + (i + 1) + " of journal '" + file + "': " + e.message);
+      }
+      if (entry.phase === "before") {
+        byId[entry.id] = { id: entry.id, rid: entry.rid, type: entry.type, before: entry.before, after: entry.after, status: "pending" };
+        mutations.push(byId[entry.id]);
+      } else if (byId.hasOwnProperty(entry.id)) {
+        byId[entry.id].status = entry.phase;
+      }
+    }
+    return mutations;
+  }
+
+  /**
+   * @private
+   */
+  _append(entry) {
+    entry.at = new Date().toISOString();
+    // Written synchronously, so that the journal is complete even if the process dies mid-run
+    fs.appendFileSync(this._file, JSON.stringify(entry) + "\n", 'utf8');
+  }
+
+}
+
+module.exports = MutationJournal;
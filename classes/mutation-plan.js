@@ -0,0 +1,348 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+
+const PLACEHOLDER_PREFIX = "dryrun-";
+
+/**
+ * MutationPlan class -- the requests that would have changed IGC (creates, updates, deletes, bundle and custom
+ * attribute changes, lineage uploads), recorded in order while in dry-run mode rather than being sent
+ *
+ * Assets that would have been created are given placeholder RIDs (`dryrun-<n>`), so that later steps can refer to
+ * them; when the plan is executed each placeholder is replaced by the RID of the asset actually created -- wherever
+ * a RID is given: as a segment of a request's path, or in a body as an `_id`, an entry of a relationship's `items`,
+ * or the whole value of a property (a single relationship). Placeholders within any other text are left as they are.
+ * @example
+ * igcrest.setDryRun(true);
+ * igcrest.update(rid, { "short_description": "..." }).then(function() {
+ *   const plan = igcrest.getPlan();
+ *   console.log(plan.summary());
+ *   fs.writeFileSync("changes.plan.json", JSON.stringify(plan, null, 2));
+ * });
+ */
+class MutationPlan {
+
+  /**
+   * @param {Object[]} [requests] - previously recorded requests (as in the `requests` of the plan's JSON)
+   */
+  constructor(requests) {
+    this._requests = (requests || []).slice();
+    this._createdAt = new Date().toISOString();
+  }
+
+  /**
+   * Re-create a plan from its JSON (e.g. as previously saved to a file)
+   *
+   * @param {Object|string} json - the plan, as an object or a string of JSON
+   * @returns {MutationPlan}
+   */
+  static fromJSON(json) {
+    if (typeof json === "string") {
+      json = JSON.parse(json);
+    }
+    if (json === null || typeof json !== "object" || !Array.isArray(json.requests)) {
+      throw new Error("Not a valid plan: expected an object with an array of 'requests'.");
+    }
+    const plan = new MutationPlan(json.requests);
+    if (json.hasOwnProperty("createdAt")) {
+      plan._createdAt = json.createdAt;
+    }
+    return plan;
+  }
+
+  /**
+   * @returns {Object[]} the requests in the plan, in the order they would be sent
+   */
+  get requests() {
+    return this._requests.slice();
+  }
+
+  /**
+   * @returns {integer} the number of requests in the plan
+   */
+  get size() {
+    return this._requests.length;
+  }
+
+  /**
+   * Record a request in the plan, rather than sending it
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {*} [input] - the un-prepared input for the request (object, string or multipart form data)
+   * @param {string} [contentType]
+   * @returns {Object} a simulated response for the request, with `statusCode`, `headers`, `body` and `dryRun` (true)
+   */
+  record(method, path, input, contentType) {
+    const step = this._requests.length + 1;
+    const request = {
+      step: step,
+      method: method,
+      path: path,
+      expectedStatus: MutationPlan._expectedStatus(method, path),
+      description: MutationPlan.describe(method, path, input, contentType)
+    };
+    if (contentType !== undefined && contentType !== null) {
+      request.contentType = contentType;
+    }
+    if (input !== undefined && input !== null) {
+      request.body = (contentType === "multipart/form-data") ? MutationPlan._serializeFormData(input, true) : JSON.parse(JSON.stringify(input));
+    }
+    this._requests.push(request);
+
+    const response = {
+      statusCode: request.expectedStatus,
+      headers: {},
+      body: { "dryRun": true, "step": step },
+      request: { method: method, path: path },
+      dryRun: true
+    };
+    if (request.expectedStatus === 201) {
+      request.placeholder = PLACEHOLDER_PREFIX + step;
+      response.headers.location = path + "/" + request.placeholder;
+    }
+    return response;
+  }
+
+  /**
+   * Determine whether a response is one simulated by recording its request into a plan, rather than from IGC
+   *
+   * @param {Object} res - the full response object from a request
+   * @returns {boolean}
+   */
+  static isSimulated(res) {
+    return (res !== null && typeof res === "object" && res.dryRun === true);
+  }
+
+  /**
+   * Produce a human-readable summary of the plan, one line per request
+   *
+   * @returns {string}
+   */
+  summary() {
+    if (this._requests.length === 0) {
+      return "No changes would be made.";
+    }
+    const lines = [ this._requests.length + " change(s) would be made:" ];
+    for (let i = 0; i < this._requests.length; i++) {
+      lines.push("  " + this._requests[i].step + ". " + this._requests[i].description);
+    }
+    return lines.join("\n");
+  }
+
+  toString() {
+    return this.summary();
+  }
+
+  /**
+   * @returns {Object} the plan as JSON, which can be saved and later re-loaded through `fromJSON`
+   */
+  toJSON() {
+    return {
+      "createdAt": this._createdAt,
+      "summary": this.summary(),
+      "requests": this._requests
+    };
+  }
+
+  /**
+   * Re-create the input for a recorded request (re-opening any files to be uploaded), replacing any placeholder
+   * RIDs with the RIDs of the assets that have since been created
+   *
+   * @param {Object} request - one of the plan's requests
+   * @param {Object} createdRIDs - dictionary of actual RIDs, keyed by placeholder
+   * @returns {Object} with the `path` and `input` to send
+   */
+  static prepareRequest(request, createdRIDs) {
+    const path = request.path.split("/").map(function(segment) {
+      return MutationPlan._replacePlaceholder(segment, createdRIDs);
+    }).join("/");
+    let input = null;
+    if (request.hasOwnProperty("body")) {
+      if (request.contentType === "multipart/form-data") {
+        input = MutationPlan._deserializeFormData(request.body);
+      } else if (request.body !== null && typeof request.body === "object" && !Array.isArray(request.body)) {
+        input = {};
+        const keys = Object.keys(request.body);
+        for (let i = 0; i < keys.length; i++) {
+          input[keys[i]] = MutationPlan._replaceInRelationship(request.body[keys[i]], createdRIDs);
+        }
+      } else {
+        input = JSON.parse(JSON.stringify(request.body));
+      }
+    }
+    return { path: path, input: input };
+  }
+
+  /**
+   * Describe what a request would change, in human-readable form
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {*} [input]
+   * @param {string} [contentType]
+   * @returns {string}
+   */
+  static describe(method, path, input, contentType) {
+    const relative = path.replace(/^.*\/igc-rest\/v1/, "");
+    const segments = relative.split("/").filter(function(segment) { return segment !== ""; });
+    const target = segments.length > 1 ? segments[segments.length - 1] : null;
+    const props = (input !== null && typeof input === "object" && contentType !== "multipart/form-data") ? MutationPlan._describeProperties(input) : "";
+    if (segments[0] === "assets") {
+      if (method === "POST") {
+        return "Create " + (input && input._type ? input._type : "asset") + props;
+      } else if (method === "PUT") {
+        return "Update asset " + target + props;
+      } else if (method === "DELETE") {
+        return "Delete asset " + target;
+      }
+    } else if (segments[0] === "bundles") {
+      if (segments[1] === "assets") {
+        return "Create Open IGC bundle assets (" + MutationPlan._describeSize(input) + ")";
+      }
+      const file = (contentType === "multipart/form-data") ? MutationPlan._serializeFormData(input, false).file : null;
+      const from = (file && file.path) ? " from " + file.path : "";
+      return (method === "POST" ? "Create" : "Update") + " Open IGC bundle" + from;
+    } else if (segments[0] === "administration" && segments[1] === "attributes") {
+      if (method === "POST") {
+        return "Create custom attribute" + (input && input.name ? " '" + input.name + "'" : "") + props;
+      }
+      return "Update custom attribute " + target + props;
+    } else if (segments[0] === "flows") {
+      if (segments[1] === "detectFlows") {
+        return "Detect lineage for job " + target;
+      }
+      return "Upload lineage flow (" + MutationPlan._describeSize(input) + ")";
+    }
+    return method + " " + path;
+  }
+
+  /**
+   * @private
+   */
+  static _describeProperties(input) {
+    const parts = [];
+    const keys = Object.keys(input).filter(function(key) { return key !== "_type"; });
+    for (let i = 0; i < keys.length; i++) {
+      const value = input[keys[i]];
+      if (value !== null && typeof value === "object" && value.hasOwnProperty("items")) {
+        const mode = (value.mode === "replace") ? "replace with" : "add";
+        parts.push(keys[i] + " (" + mode + " " + value.items.length + " relationship(s))");
+      } else {
+        parts.push(keys[i] + " = " + JSON.stringify(value));
+      }
+    }
+    return (parts.length > 0) ? ": " + parts.join(", ") : "";
+  }
+
+  /**
+   * @private
+   */
+  static _describeSize(input) {
+    return (typeof input === "string") ? input.length + " characters" : "no content";
+  }
+
+  /**
+   * @private
+   */
+  static _isCreate(method, path) {
+    return (method === "POST" && /\/igc-rest\/v1\/assets\/?$/.test(path));
+  }
+
+  /**
+   * @private
+   */
+  static _expectedStatus(method, path) {
+    if (MutationPlan._isCreate(method, path)) {
+      return 201;
+    } else if (method === "GET" && path.indexOf("/igc-rest/v1/flows/detectFlows/") !== -1) {
+      return 202;
+    }
+    return 200;
+  }
+
+  /**
+   * Replace uploaded file streams by the location of the file (optionally closing the streams, as they will not be sent)
+   * @private
+   */
+  static _serializeFormData(formData, bClose) {
+    const serialized = {};
+    const keys = Object.keys(formData || {});
+    for (let i = 0; i < keys.length; i++) {
+      const field = formData[keys[i]];
+      if (field !== null && typeof field === "object" && field.value && typeof field.value.path === "string") {
+        if (bClose && typeof field.value.destroy === "function") {
+          field.value.destroy();
+        }
+        serialized[keys[i]] = { "path": field.value.path, "options": field.options };
+      } else {
+        serialized[keys[i]] = field;
+      }
+    }
+    return serialized;
+  }
+
+  /**
+   * @private
+   */
+  static _deserializeFormData(serialized) {
+    const formData = {};
+    const keys = Object.keys(serialized);
+    for (let i = 0; i < keys.length; i++) {
+      const field = serialized[keys[i]];
+      if (field !== null && typeof field === "object" && typeof field.path === "string") {
+        formData[keys[i]] = { value: fs.createReadStream(field.path), options: field.options };
+      } else {
+        formData[keys[i]] = field;
+      }
+    }
+    return formData;
+  }
+
+  /**
+   * @private
+   */
+  static _replacePlaceholder(value, createdRIDs) {
+    return (typeof value === "string" && createdRIDs.hasOwnProperty(value)) ? createdRIDs[value] : value;
+  }
+
+  /**
+   * Replace placeholders in the positions of a value that hold RIDs: the value itself (when it is a single RID), or
+   * the `_id` and `items` of a relationship
+   * @private
+   */
+  static _replaceInRelationship(value, createdRIDs) {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      const replaced = JSON.parse(JSON.stringify(value));
+      if (replaced.hasOwnProperty("_id")) {
+        replaced._id = MutationPlan._replacePlaceholder(replaced._id, createdRIDs);
+      }
+      if (Array.isArray(replaced.items)) {
+        replaced.items = replaced.items.map(function(item) {
+          return MutationPlan._replaceInRelationship(item, createdRIDs);
+        });
+      }
+      return replaced;
+    }
+    return (typeof value === "string") ? MutationPlan._replacePlaceholder(value, createdRIDs) : JSON.parse(JSON.stringify(value));
+  }
+
+}
+
+module.exports = MutationPlan;
@@ -0,0 +1,348 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const operators = [ '=', '<', '>', '<=', '>=', 'like %{0}%', 'like {0}%', 'like %{0}', 'in', 'isNull', 'between' ];
+
+/**
+ * A variable within a query, replaced by the value bound to it when the query is built
+ * @private
+ */
+class QueryVariable {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * QueryBuilder class -- for fluently constructing the JSON of an IGC search
+ *
+ * Conditions are combined from left to right: `where(a).and(b).or(c)` is `(a AND b) OR c`; to group conditions
+ * differently, pass a function to `where`, `and` or `or`, which will be given a new builder for the group. Variables
+ * are created by `QueryBuilder.variable`, and replaced by the value bound to them (see `bind`) when the query is built;
+ * every other value (including strings that start with `$`) is searched for exactly as given.
+ * @example
+ * // database tables whose name starts with CUST, in a particular schema (or with no description)
+ * const query = igcrest.query('database_table')
+ *   .select('name', 'database_schema.name')
+ *   .where('name', 'like {0}%', 'CUST')
+ *   .and(function(group) {
+ *     group.where('database_schema.name', '=', igcrest.QueryBuilder.variable('schema')).or('short_description', 'isNull');
+ *   })
+ *   .sortBy('name')
+ *   .pageSize(100)
+ *   .bind({ schema: 'DB2INST1' });
+ * igcrest.search(query.build()).then(function(results) {
+ *   // ...
+ * });
+ */
+class QueryBuilder {
+
+  /**
+   * @param {string|string[]} [types] - the IGC REST type(s) to search
+   */
+  constructor(types) {
+    this._types = [];
+    this._properties = [];
+    this._sorts = [];
+    this._pageSize = null;
+    this._bindings = {};
+    this._group = { operator: null, conditions: [] };
+    if (types !== undefined && types !== null) {
+      this._types = this._types.concat(types);
+    }
+  }
+
+  /**
+   * @returns {string[]} the operators that can be used in conditions
+   */
+  static get operators() {
+    return operators.slice();
+  }
+
+  /**
+   * Create a variable, to use as (or within) the value of a condition in place of a value bound later
+   *
+   * @param {string} name - the name of the variable, by which its value is bound
+   * @returns {Object} the variable
+   * @see QueryBuilder#bind
+   */
+  static variable(name) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("A variable must be given a name.");
+    }
+    return new QueryVariable(name);
+  }
+
+  /**
+   * Add to the types to search
+   *
+   * @param {...string} types - the IGC REST type(s) to search
+   * @returns {QueryBuilder}
+   */
+  types() {
+    this._types = this._types.concat(Array.prototype.slice.call(arguments));
+    return this;
+  }
+
+  /**
+   * Add to the properties to retrieve for each result (including dotted relationship paths, e.g. `database_schema.name`)
+   *
+   * @param {...string} properties
+   * @returns {QueryBuilder}
+   */
+  select() {
+    const args = Array.prototype.slice.call(arguments);
+    for (let i = 0; i < args.length; i++) {
+      this._properties = this._properties.concat(args[i]);
+    }
+    return this;
+  }
+
+  /**
+   * Set the first condition of the query (if there are already conditions, this is the same as `and`)
+   *
+   * @param {string|Function} property - the property to compare, or a function that will be given a new builder with which to define a group of conditions
+   * @param {string} [operator] - one of the `operators`
+   * @param {*} [value] - the value to compare against: an array for `in`, and a two-element array (min, max) for `between`
+   * @returns {QueryBuilder}
+   */
+  where(property, operator, value) {
+    return this._combine("and", this._condition(property, operator, value, false));
+  }
+
+  /**
+   * As `where`, but negating the condition (or group)
+   *
+   * @returns {QueryBuilder}
+   */
+  whereNot(property, operator, value) {
+    return this._combine("and", this._condition(property, operator, value, true));
+  }
+
+  /**
+   * Require both the conditions so far and the provided condition (or group) to be met
+   *
+   * @param {string|Function} property - the property to compare, or a function that will be given a new builder with which to define a group of conditions
+   * @param {string} [operator] - one of the `operators`
+   * @param {*} [value] - the value to compare against
+   * @returns {QueryBuilder}
+   */
+  and(property, operator, value) {
+    return this._combine("and", this._condition(property, operator, value, false));
+  }
+
+  /**
+   * As `and`, but negating the condition (or group)
+   *
+   * @returns {QueryBuilder}
+   */
+  andNot(property, operator, value) {
+    return this._combine("and", this._condition(property, operator, value, true));
+  }
+
+  /**
+   * Require either the conditions so far or the provided condition (or group) to be met
+   *
+   * @param {string|Function} property - the property to compare, or a function that will be given a new builder with which to define a group of conditions
+   * @param {string} [operator] - one of the `operators`
+   * @param {*} [value] - the value to compare against
+   * @returns {QueryBuilder}
+   */
+  or(property, operator, value) {
+    return this._combine("or", this._condition(property, operator, value, false));
+  }
+
+  /**
+   * As `or`, but negating the condition (or group)
+   *
+   * @returns {QueryBuilder}
+   */
+  orNot(property, operator, value) {
+    return this._combine("or", this._condition(property, operator, value, true));
+  }
+
+  /**
+   * Add a property by which to sort the results (sorts are applied in the order they are added)
+   *
+   * @param {string} property
+   * @param {boolean} [ascending] - false to sort in descending order (default: true)
+   * @returns {QueryBuilder}
+   */
+  sortBy(property, ascending) {
+    this._sorts.push({ "property": property, "ascending": (ascending !== false) });
+    return this;
+  }
+
+  /**
+   * Set the number of results to retrieve per page
+   *
+   * @param {integer} size
+   * @returns {QueryBuilder}
+   */
+  pageSize(size) {
+    this._pageSize = size;
+    return this;
+  }
+
+  /**
+   * Bind values to the variables used in the query
+   *
+   * @param {Object} variables - a dictionary indexed by variable name
+   * @returns {QueryBuilder}
+   */
+  bind(variables) {
+    Object.assign(this._bindings, variables);
+    return this;
+  }
+
+  /**
+   * Build the JSON for the query, as expected by `search`
+   *
+   * @param {Object} [variables] - further variable values to use (only for this build)
+   * @returns {Object}
+   * @throws will throw an error if a variable has no value bound to it
+   */
+  build(variables) {
+    const bindings = Object.assign({}, this._bindings, variables);
+    const json = {};
+    if (this._properties.length > 0) {
+      json.properties = this._properties.slice();
+    }
+    json.types = this._types.slice();
+    if (this._group.conditions.length > 0) {
+      json.where = QueryBuilder._buildGroup(this._group, bindings);
+    }
+    if (this._sorts.length > 0) {
+      json.sorts = this._sorts.map(function(sort) { return Object.assign({}, sort); });
+    }
+    if (this._pageSize !== null) {
+      json.pageSize = this._pageSize;
+    }
+    return json;
+  }
+
+  /**
+   * @returns {Object} the JSON for the query (so that the builder can be passed directly to `search`)
+   */
+  toJSON() {
+    return this.build();
+  }
+
+  /**
+   * @private
+   */
+  _condition(property, operator, value, negated) {
+    let condition = null;
+    if (typeof property === "function") {
+      const nested = new QueryBuilder();
+      property(nested);
+      if (nested._group.conditions.length === 0) {
+        throw new Error("A group of conditions must contain at least one condition.");
+      }
+      condition = { group: nested._group };
+    } else {
+      if (!operators.includes(operator)) {
+        throw new Error("Unknown operator '" + operator + "' -- must be one of: " + operators.join(", "));
+      }
+      condition = { "property": property, "operator": operator };
+      if (operator === "between") {
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw new Error("The 'between' operator requires an array of [ min, max ] values.");
+        }
+        condition.min = value[0];
+        condition.max = value[1];
+      } else if (operator === "in") {
+        if (!Array.isArray(value) && !QueryBuilder._isVariable(value)) {
+          throw new Error("The 'in' operator requires an array of values.");
+        }
+        condition.value = value;
+      } else if (operator !== "isNull") {
+        condition.value = value;
+      }
+    }
+    if (negated) {
+      condition.negated = true;
+    }
+    return condition;
+  }
+
+  /**
+   * @private
+   */
+  _combine(operator, condition) {
+    const group = this._group;
+    if (group.conditions.length <= 1 || group.operator === operator) {
+      group.operator = operator;
+      group.conditions.push(condition);
+    } else {
+      // Switching between and / or, so everything so far becomes the left-hand side
+      this._group = { operator: operator, conditions: [ { group: group }, condition ] };
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  static _buildGroup(group, bindings) {
+    const conditions = group.conditions.map(function(condition) {
+      let built = null;
+      if (condition.hasOwnProperty("group")) {
+        built = QueryBuilder._buildGroup(condition.group, bindings);
+      } else {
+        built = { "property": condition.property, "operator": condition.operator };
+        const keys = [ "value", "min", "max" ];
+        for (let i = 0; i < keys.length; i++) {
+          if (condition.hasOwnProperty(keys[i])) {
+            built[keys[i]] = QueryBuilder._bindValue(condition[keys[i]], bindings);
+          }
+        }
+      }
+      if (condition.negated) {
+        built.negated = true;
+      }
+      return built;
+    });
+    return { "conditions": conditions, "operator": group.operator || "and" };
+  }
+
+  /**
+   * @private
+   */
+  static _isVariable(value) {
+    return (value instanceof QueryVariable);
+  }
+
+  /**
+   * @private
+   */
+  static _bindValue(value, bindings) {
+    if (Array.isArray(value)) {
+      return value.map(function(v) { return QueryBuilder._bindValue(v, bindings); });
+    } else if (QueryBuilder._isVariable(value)) {
+      if (!bindings.hasOwnProperty(value.name)) {
+        throw new Error("No value has been bound to the variable '" + value.name + "'.");
+      }
+      return bindings[value.name];
+    }
+    return value;
+  }
+
+}
+
+module.exports = QueryBuilder;
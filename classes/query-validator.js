@@ -0,0 +1,337 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+// Properties that every asset has, but that are not necessarily listed amongst a type's properties
+const systemProperties = {
+  "_id": { "name": "string" },
+  "_name": { "name": "string" },
+  "_type": { "name": "string" },
+  "_url": { "name": "string" },
+  "_context": { "name": "_context" }
+};
+
+// The data types to which each operator can be applied (operators not listed apply to any data type)
+const operatorDataTypes = {
+  "like %{0}%": [ "string", "note" ],
+  "like {0}%": [ "string", "note" ],
+  "like %{0}": [ "string", "note" ],
+  "<": [ "number", "datetime" ],
+  ">": [ "number", "datetime" ],
+  "<=": [ "number", "datetime" ],
+  ">=": [ "number", "datetime" ],
+  "between": [ "number", "datetime" ]
+};
+
+/**
+ * QueryValidator class -- for checking an IGC search against the type metadata of the types it searches,
+ * before it is sent to IGC: that every property (including dotted relationship paths) exists, that each
+ * condition's operator suits the data type of its property, and that enumerated values are valid
+ */
+class QueryValidator {
+
+  /**
+   * @param {Function} getTypeDetails - function that takes a type name, returning a Promise of that type's details (as from `/types/{type}?showViewProperties=true`)
+   */
+  constructor(getTypeDetails) {
+    this._getTypeDetails = getTypeDetails;
+  }
+
+  /**
+   * Validate a query
+   *
+   * @param {Object|QueryBuilder} query - the search to validate (as a JSON object, or a query builder)
+   * @returns {Promise} when resolved contains an object with `valid` (boolean) and `errors` (array of objects, each with `location` within the query and `message`)
+   */
+  validate(query) {
+    const self = this;
+    if (typeof query.toJSON === "function") {
+      query = query.toJSON();
+    }
+    const errors = [];
+    if (!Array.isArray(query.types) || query.types.length === 0) {
+      errors.push({ location: "types", message: "The query must specify at least one type to search." });
+      return Promise.resolve({ valid: false, errors: errors });
+    }
+
+    // Collect every property reference in the query, so all type details can be retrieved up-front
+    const checks = [];
+    const properties = query.properties || [];
+    for (let i = 0; i < properties.length; i++) {
+      checks.push({ location: "properties[" + i + "]", property: properties[i] });
+    }
+    if (query.hasOwnProperty("where")) {
+      this._collectConditions(query.where, "where", checks, errors);
+    }
+    const sorts = query.sorts || [];
+    for (let i = 0; i < sorts.length; i++) {
+      checks.push({ location: "sorts[" + i + "].property", property: sorts[i].property });
+    }
+
+    return Promise.all(query.types.map(function(type) {
+      return self._getTypeDetails(type).then(function(details) {
+        return details;
+      }, function(failure) {
+        if (failure.kind === 'not-found') {
+          errors.push({ location: "types", message: "Unknown type '" + type + "'." });
+          return null;
+        }
+        throw failure;
+      });
+    })).then(function(allDetails) {
+      const types = allDetails.filter(function(details) { return details !== null; });
+      if (types.length === 0) {
+        return { valid: false, errors: errors };
+      }
+      return Promise.all(checks.map(function(check) {
+        return self._checkProperty(check, types);
+      })).then(function(results) {
+        for (let i = 0; i < results.length; i++) {
+          Array.prototype.push.apply(errors, results[i]);
+        }
+        return { valid: (errors.length === 0), errors: errors };
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _collectConditions(group, location, checks, errors) {
+    if (!Array.isArray(group.conditions)) {
+      errors.push({ location: location + ".conditions", message: "Conditions must be provided as an array." });
+      return;
+    }
+    if (group.operator !== "and" && group.operator !== "or") {
+      errors.push({ location: location + ".operator", message: "Conditions must be combined with an operator of 'and' or 'or' (not '" + group.operator + "')." });
+    }
+    for (let i = 0; i < group.conditions.length; i++) {
+      const condition = group.conditions[i];
+      const conditionLocation = location + ".conditions[" + i + "]";
+      if (condition.hasOwnProperty("conditions")) {
+        this._collectConditions(condition, conditionLocation, checks, errors);
+      } else {
+        checks.push({ location: conditionLocation, property: condition.property, condition: condition });
+      }
+    }
+  }
+
+  /**
+   * Check a single property reference against each of the types being searched -- it need only be valid for one of them
+   * @private
+   */
+  _checkProperty(check, types) {
+    const self = this;
+    return Promise.all(types.map(function(details) {
+      return self._resolvePath(check.property, details);
+    })).then(function(resolutions) {
+      let resolved = null;
+      for (let i = 0; i < resolutions.length; i++) {
+        if (resolutions[i].error === null) {
+          resolved = resolutions[i];
+          break;
+        }
+      }
+      if (resolved === null) {
+        return resolutions.map(function(resolution) {
+          return { location: check.location, message: resolution.error };
+        }).filter(function(error, index, all) {
+          return all.findIndex(function(other) { return other.message === error.message; }) === index;
+        });
+      } else if (check.hasOwnProperty("condition")) {
+        return self._checkCondition(check, resolved.dataType);
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Walk a (possibly dotted) property path from the provided type
+   * @private
+   */
+  _resolvePath(path, details) {
+    const self = this;
+    if (typeof path !== "string" || path === "") {
+      return Promise.resolve({ error: "A property must be specified." });
+    }
+    const segments = path.split(".");
+    const resolveSegment = function(typeDetails, index) {
+      const segment = segments[index];
+      const property = QueryValidator._findProperty(typeDetails, segment);
+      if (property === null) {
+        let message = "Property '" + segment + "' does not exist on type '" + typeDetails._id + "'";
+        if (segments.length > 1) {
+          message += " (in path '" + path + "')";
+        }
+        const suggestion = QueryValidator._suggest(segment, QueryValidator._propertyNames(typeDetails));
+        if (suggestion !== null) {
+          message += " -- did you mean '" + suggestion + "'?";
+        } else {
+          message += ".";
+        }
+        return Promise.resolve({ error: message });
+      }
+      if (index === segments.length - 1) {
+        return Promise.resolve({ error: null, dataType: property.type });
+      }
+      if (!property.type.hasOwnProperty("url")) {
+        return Promise.resolve({ error: "Property '" + segment + "' of type '" + typeDetails._id + "' is not a relationship, so cannot be followed (in path '" + path + "')." });
+      }
+      return self._getTypeDetails(property.type.name).then(function(related) {
+        return resolveSegment(related, index + 1);
+      });
+    };
+    return resolveSegment(details, 0);
+  }
+
+  /**
+   * Check a condition's operator and value(s) against the data type of its property
+   * @private
+   */
+  _checkCondition(check, dataType) {
+    const condition = check.condition;
+    const operator = condition.operator;
+    const errors = [];
+    const typeName = dataType.hasOwnProperty("url") ? "reference" : dataType.name;
+    const addError = function(message) {
+      errors.push({ location: check.location, message: message });
+    };
+
+    if (operatorDataTypes.hasOwnProperty(operator) && !operatorDataTypes[operator].includes(typeName)) {
+      addError("Operator '" + operator + "' cannot be used with property '" + check.property + "', which is of type '" + typeName + "' (only with: " + operatorDataTypes[operator].join(", ") + ").");
+      return errors;
+    }
+
+    let values = [];
+    if (operator === "between") {
+      if (!condition.hasOwnProperty("min") || !condition.hasOwnProperty("max")) {
+        addError("Operator 'between' requires both a 'min' and a 'max' value.");
+      }
+      values = [ condition.min, condition.max ];
+    } else if (operator === "in") {
+      if (!Array.isArray(condition.value) && !QueryValidator._isVariable(condition.value)) {
+        addError("Operator 'in' requires an array of values.");
+      } else if (Array.isArray(condition.value)) {
+        values = condition.value;
+      }
+    } else if (operator !== "isNull") {
+      if (!condition.hasOwnProperty("value")) {
+        addError("Operator '" + operator + "' requires a value.");
+      }
+      values = [ condition.value ];
+    }
+
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (value === undefined || value === null || QueryValidator._isVariable(value)) {
+        continue;
+      }
+      if (typeName === "enum" && Array.isArray(dataType.validValues)) {
+        const validIds = dataType.validValues.map(function(valid) { return valid.id; });
+        if (!validIds.includes(value)) {
+          addError("Value '" + value + "' is not valid for property '" + check.property + "' -- must be one of: " + validIds.join(", ") + ".");
+        }
+      } else if (typeName === "number" && isNaN(Number(value))) {
+        addError("Value '" + value + "' is not a number, as required by property '" + check.property + "'.");
+      } else if (typeName === "boolean" && value !== true && value !== false && value !== "true" && value !== "false") {
+        addError("Value '" + value + "' is not a boolean, as required by property '" + check.property + "'.");
+      } else if (typeName === "datetime" && typeof value !== "number" && isNaN(Date.parse(value))) {
+        addError("Value '" + value + "' is not a date-time (milliseconds since the epoch), as required by property '" + check.property + "'.");
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  static _findProperty(typeDetails, name) {
+    const properties = QueryValidator._properties(typeDetails);
+    for (let i = 0; i < properties.length; i++) {
+      if (properties[i].name === name) {
+        return properties[i];
+      }
+    }
+    if (systemProperties.hasOwnProperty(name)) {
+      return { name: name, type: systemProperties[name] };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static _properties(typeDetails) {
+    if (typeDetails.hasOwnProperty("viewInfo") && typeDetails.viewInfo.hasOwnProperty("properties")) {
+      return typeDetails.viewInfo.properties;
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  static _propertyNames(typeDetails) {
+    return QueryValidator._properties(typeDetails).map(function(property) { return property.name; });
+  }
+
+  /**
+   * @private
+   */
+  static _isVariable(value) {
+    return (typeof value === "string" && value.indexOf("$") === 0);
+  }
+
+  /**
+   * Find the closest candidate to a mis-typed name (if any is close enough to be a likely typo)
+   * @private
+   */
+  static _suggest(name, candidates) {
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+    for (let i = 0; i < candidates.length; i++) {
+      const distance = QueryValidator._editDistance(name, candidates[i]);
+      if (distance < bestDistance) {
+        best = candidates[i];
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  static _editDistance(a, b) {
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+      previous.push(j);
+    }
+    for (let i = 1; i <= a.length; i++) {
+      const current = [ i ];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = (a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1;
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+}
+
+module.exports = QueryValidator;
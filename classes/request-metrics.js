@@ -0,0 +1,312 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const IGCRestError = require('./igc-rest-error');
+
+// Matches the RIDs of assets (e.g. 'b1c497ce.54bd3a08.001mts4ib.pss3ckt.3e2bpa.cs9ejsb1fj7u0le0obc0i')
+const ridPattern = /^[0-9a-z]+(\.[0-9a-z_-]+){2,}$/i;
+// The paths whose every segment after a fixed prefix identifies something (an asset, type, property, ...) rather
+// than an end-point, and the placeholders by which those segments are replaced (the last for any further segments)
+const parameterisedPaths = [
+  { prefix: [ "assets" ], placeholders: [ "{rid}", "{property}" ] },
+  { prefix: [ "types" ], placeholders: [ "{type}", "{param}" ] },
+  { prefix: [ "administration", "attributes" ], placeholders: [ "{rid}", "{param}" ] },
+  { prefix: [ "flows", "detectFlows", "dsjob" ], placeholders: [ "{rid}", "{param}" ] }
+];
+const quantiles = [ 0.5, 0.9, 0.99 ];
+
+/**
+ * RequestMetrics class -- for collecting statistics about the requests made to IGC, per end-point (the method and
+ * path of the request, with every segment of the path that identifies an asset, type or property replaced by a
+ * placeholder such as `{rid}`, and any query string removed -- so that the number of end-points stays bounded):
+ * - `calls`, and how many of those were `errors` (a response of 400 or more, or no response at all)
+ * - the number of each `statusCodes` received, and of each kind of error (`errorKinds`) for every call that failed:
+ *   either by the status of its response (e.g. `not-found` or `server`) or without a usable response (e.g.
+ *   `network`, `timeout` or `cancelled`)
+ * - the number of `retries`, and of `bytesSent` and `bytesReceived` (by all attempts)
+ * - `latencyMs`: how long each attempt took from being sent to IGC until its response was received
+ * - `durationMs`: how long each call took overall (including any time spent queued, and any retries)
+ *
+ * Percentiles of latency and duration are calculated over (at most) the most recent `sampleSize` of each.
+ */
+class RequestMetrics {
+
+  /**
+   * @param {Object} [options]
+   * @param {integer} [options.sampleSize] - number of most recent latencies and durations from which to calculate percentiles (default: 1000)
+   */
+  constructor(options) {
+    options = options || {};
+    this._sampleSize = options.sampleSize || 1000;
+    this.reset();
+  }
+
+  /**
+   * Discard all statistics collected so far
+   */
+  reset() {
+    this._endpoints = new Map();
+    this._since = new Date().toISOString();
+  }
+
+  /**
+   * Determine the end-point against which to collect statistics for a request
+   *
+   * @param {string} method
+   * @param {string} path - the path (or full URI) of the request
+   * @returns {string} e.g. `GET /assets/{rid}/{property}`
+   */
+  static getEndpoint(method, path) {
+    const relative = path.replace(/^.*\/igc-rest\/v1/, "").replace(/[?#].*$/, "");
+    const segments = relative.split("/");
+    const parameterised = parameterisedPaths.find(function(candidate) {
+      return candidate.prefix.every(function(fixed, i) { return segments[i + 1] === fixed; });
+    });
+    for (let i = 1; i < segments.length; i++) {
+      if (segments[i] === "") {
+        continue;
+      } else if (parameterised !== undefined && i > parameterised.prefix.length) {
+        const placeholders = parameterised.placeholders;
+        segments[i] = placeholders[Math.min(i - parameterised.prefix.length, placeholders.length) - 1];
+      } else if (ridPattern.test(segments[i])) {
+        segments[i] = "{rid}";
+      }
+    }
+    return method + " " + (segments.join("/") || "/");
+  }
+
+  /**
+   * Record an attempt at sending a request to IGC
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {integer} latency - milliseconds from sending the request until its response was received (or it failed)
+   * @param {integer} bytesSent - size of the body of the request
+   * @param {integer} bytesReceived - size of the body of the response
+   */
+  recordAttempt(method, path, latency, bytesSent, bytesReceived) {
+    const stats = this._getEndpointStats(method, path);
+    RequestMetrics._addSample(stats.latency, latency, this._sampleSize);
+    stats.bytesSent += bytesSent;
+    stats.bytesReceived += bytesReceived;
+  }
+
+  /**
+   * Record the outcome of a call, once it has succeeded or failed (after any retries)
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} outcome
+   * @param {integer} outcome.duration - milliseconds from the request being made until its outcome was known
+   * @param {integer} outcome.retries - the number of times the request was retried
+   * @param {integer} [outcome.statusCode] - the status code of the final response (if one was received)
+   * @param {string} [outcome.errorKind] - the kind of error (if the call failed without a usable response), as in IGCRestError
+   */
+  recordCall(method, path, outcome) {
+    const stats = this._getEndpointStats(method, path);
+    stats.calls++;
+    stats.retries += outcome.retries;
+    RequestMetrics._addSample(stats.duration, outcome.duration, this._sampleSize);
+    if (outcome.statusCode) {
+      stats.statusCodes[outcome.statusCode] = (stats.statusCodes[outcome.statusCode] || 0) + 1;
+    }
+    if (outcome.errorKind || outcome.statusCode >= 400) {
+      const kind = outcome.errorKind || IGCRestError.kindForStatus(outcome.statusCode);
+      stats.errorKinds[kind] = (stats.errorKinds[kind] || 0) + 1;
+      stats.errors++;
+    }
+  }
+
+  /**
+   * Retrieve the statistics collected so far
+   *
+   * @returns {Object} with the time collection started (`since`), the `totals` across all end-points, and the statistics for each of the `endpoints`
+   */
+  getStats() {
+    const totals = { calls: 0, errors: 0, errorRate: 0, retries: 0, bytesSent: 0, bytesReceived: 0 };
+    const endpoints = [];
+    const keys = Array.from(this._endpoints.keys()).sort();
+    for (let i = 0; i < keys.length; i++) {
+      const stats = this._endpoints.get(keys[i]);
+      endpoints.push({
+        method: stats.method,
+        endpoint: stats.endpoint,
+        calls: stats.calls,
+        errors: stats.errors,
+        errorRate: RequestMetrics._rate(stats.errors, stats.calls),
+        retries: stats.retries,
+        bytesSent: stats.bytesSent,
+        bytesReceived: stats.bytesReceived,
+        statusCodes: Object.assign({}, stats.statusCodes),
+        errorKinds: Object.assign({}, stats.errorKinds),
+        latencyMs: RequestMetrics._summarize(stats.latency),
+        durationMs: RequestMetrics._summarize(stats.duration)
+      });
+      totals.calls += stats.calls;
+      totals.errors += stats.errors;
+      totals.retries += stats.retries;
+      totals.bytesSent += stats.bytesSent;
+      totals.bytesReceived += stats.bytesReceived;
+    }
+    totals.errorRate = RequestMetrics._rate(totals.errors, totals.calls);
+    return { since: this._since, totals: totals, endpoints: endpoints };
+  }
+
+  /**
+   * Retrieve the statistics collected so far in Prometheus' text exposition format
+   *
+   * @param {string} [prefix] - prefix for the name of each metric (default: `igc_rest`)
+   * @returns {string}
+   */
+  toPrometheus(prefix) {
+    prefix = prefix || "igc_rest";
+    const metrics = {
+      requests: { type: "counter", help: "Calls to IGC's REST API, by the status code of their final response", lines: [] },
+      errors: { type: "counter", help: "Calls to IGC's REST API that failed (by the status of their response, or without one), by the kind of error", lines: [] },
+      retries: { type: "counter", help: "Retries of calls to IGC's REST API", lines: [] },
+      sent_bytes: { type: "counter", help: "Bytes sent in the bodies of requests to IGC's REST API", lines: [] },
+      received_bytes: { type: "counter", help: "Bytes received in the bodies of responses from IGC's REST API", lines: [] },
+      latency_seconds: { type: "summary", help: "Time from sending each attempt at a request to IGC's REST API until its response was received", lines: [] },
+      duration_seconds: { type: "summary", help: "Time taken by each call to IGC's REST API overall, including queueing and retries", lines: [] }
+    };
+    const self = this;
+    this._endpoints.forEach(function(stats) {
+      const labels = 'method="' + stats.method + '",endpoint="' + RequestMetrics._escapeLabel(stats.endpoint) + '"';
+      const codes = Object.keys(stats.statusCodes);
+      for (let i = 0; i < codes.length; i++) {
+        metrics.requests.lines.push("{" + labels + ',status="' + codes[i] + '"} ' + stats.statusCodes[codes[i]]);
+      }
+      const kinds = Object.keys(stats.errorKinds);
+      for (let i = 0; i < kinds.length; i++) {
+        metrics.errors.lines.push("{" + labels + ',kind="' + kinds[i] + '"} ' + stats.errorKinds[kinds[i]]);
+      }
+      metrics.retries.lines.push("{" + labels + "} " + stats.retries);
+      metrics.sent_bytes.lines.push("{" + labels + "} " + stats.bytesSent);
+      metrics.received_bytes.lines.push("{" + labels + "} " + stats.bytesReceived);
+      self._addSummaryLines(metrics.latency_seconds.lines, labels, stats.latency);
+      self._addSummaryLines(metrics.duration_seconds.lines, labels, stats.duration);
+    });
+    const text = [];
+    const names = Object.keys(metrics);
+    for (let i = 0; i < names.length; i++) {
+      const metric = metrics[names[i]];
+      const name = prefix + "_" + names[i] + (metric.type === "counter" ? "_total" : "");
+      text.push("# HELP " + name + " " + metric.help);
+      text.push("# TYPE " + name + " " + metric.type);
+      for (let j = 0; j < metric.lines.length; j++) {
+        // Each line starts with its labels (or, for a summary's sum and count, the suffix of the metric's name)
+        text.push(name + metric.lines[j]);
+      }
+    }
+    return text.join("\n") + "\n";
+  }
+
+  /**
+   * @private
+   */
+  _getEndpointStats(method, path) {
+    const endpoint = RequestMetrics.getEndpoint(method, path);
+    if (!this._endpoints.has(endpoint)) {
+      this._endpoints.set(endpoint, {
+        method: method,
+        endpoint: endpoint.substring(method.length + 1),
+        calls: 0,
+        errors: 0,
+        retries: 0,
+        bytesSent: 0,
+        bytesReceived: 0,
+        statusCodes: {},
+        errorKinds: {},
+        latency: { count: 0, sum: 0, min: null, max: null, recent: [] },
+        duration: { count: 0, sum: 0, min: null, max: null, recent: [] }
+      });
+    }
+    return this._endpoints.get(endpoint);
+  }
+
+  /**
+   * @private
+   */
+  _addSummaryLines(lines, labels, samples) {
+    const sorted = samples.recent.slice().sort(function(a, b) { return a - b; });
+    for (let i = 0; i < quantiles.length; i++) {
+      const value = RequestMetrics._percentile(sorted, quantiles[i]);
+      lines.push("{" + labels + ',quantile="' + quantiles[i] + '"} ' + (value === null ? "NaN" : value / 1000));
+    }
+    lines.push("_sum{" + labels + "} " + samples.sum / 1000);
+    lines.push("_count{" + labels + "} " + samples.count);
+  }
+
+  /**
+   * @private
+   */
+  static _addSample(samples, value, sampleSize) {
+    samples.count++;
+    samples.sum += value;
+    samples.min = (samples.min === null) ? value : Math.min(samples.min, value);
+    samples.max = (samples.max === null) ? value : Math.max(samples.max, value);
+    samples.recent.push(value);
+    if (samples.recent.length > sampleSize) {
+      samples.recent.shift();
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _summarize(samples) {
+    const sorted = samples.recent.slice().sort(function(a, b) { return a - b; });
+    return {
+      count: samples.count,
+      min: samples.min,
+      max: samples.max,
+      mean: (samples.count > 0) ? Math.round(samples.sum / samples.count) : null,
+      p50: RequestMetrics._percentile(sorted, 0.5),
+      p90: RequestMetrics._percentile(sorted, 0.9),
+      p99: RequestMetrics._percentile(sorted, 0.99)
+    };
+  }
+
+  /**
+   * Nearest-rank percentile of already-sorted values
+   * @private
+   */
+  static _percentile(sorted, quantile) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    return sorted[Math.max(0, Math.ceil(quantile * sorted.length) - 1)];
+  }
+
+  /**
+   * @private
+   */
+  static _rate(count, total) {
+    return (total > 0) ? count / total : 0;
+  }
+
+  /**
+   * @private
+   */
+  static _escapeLabel(value) {
+    return value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+  }
+
+}
+
+module.exports = RequestMetrics;
@@ -0,0 +1,186 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * RequestScheduler class -- for queueing work so that only a limited number of tasks are in-flight at once
+ * (and, optionally, that tasks are started no faster than a given rate); queued tasks with a higher priority
+ * are started before those with a lower priority, and tasks of equal priority are started in the order they were queued
+ */
+class RequestScheduler {
+
+  /**
+   * @param {Object} [options]
+   * @param {integer} [options.maxInFlight] - maximum number of tasks that may run concurrently (default: 10)
+   * @param {number} [options.requestsPerSecond] - maximum rate at which tasks may be started (default: 0, unlimited)
+   */
+  constructor(options) {
+    this._maxInFlight = 10;
+    this._requestsPerSecond = 0;
+    this._queue = [];
+    this._inFlight = 0;
+    this._sequence = 0;
+    this._nextStartAt = 0;
+    this._timer = null;
+    this._totalScheduled = 0;
+    this._totalCompleted = 0;
+    this._peakQueued = 0;
+    this._totalWaitMs = 0;
+    this.configure(options || {});
+  }
+
+  /**
+   * Change the limits of the scheduler (any that are not provided are left as they are)
+   *
+   * @param {Object} options
+   * @param {integer} [options.maxInFlight] - maximum number of tasks that may run concurrently
+   * @param {number} [options.requestsPerSecond] - maximum rate at which tasks may be started (0 for unlimited)
+   */
+  configure(options) {
+    if (options.hasOwnProperty("maxInFlight")) {
+      if (typeof options.maxInFlight !== "number" || options.maxInFlight < 1) {
+        throw new Error("maxInFlight must be at least 1.");
+      }
+      this._maxInFlight = options.maxInFlight;
+    }
+    if (options.hasOwnProperty("requestsPerSecond")) {
+      if (typeof options.requestsPerSecond !== "number" || options.requestsPerSecond < 0) {
+        throw new Error("requestsPerSecond cannot be negative.");
+      }
+      this._requestsPerSecond = options.requestsPerSecond;
+    }
+    this._pump();
+  }
+
+  /**
+   * Queue a task to be run once there is capacity for it
+   *
+   * @param {Function} task - function that starts the work and returns a Promise that settles when the work is complete
+   * @param {integer} [priority] - higher priority tasks are started first (default: 0)
+   * @param {Object} [handle] - if provided, is given a `cancel(reason)` function that removes the task from the queue
+   *  (if it has not yet been started) and rejects with the reason; `cancel` returns false if the task had already started
+   * @returns {Promise} settles with the outcome of the task's Promise
+   */
+  schedule(task, priority, handle) {
+    const self = this;
+    return new Promise(function(resolve, reject) {
+      const entry = {
+        task: task,
+        priority: priority || 0,
+        sequence: self._sequence++,
+        queuedAt: Date.now(),
+        resolve: resolve,
+        reject: reject
+      };
+      // Keep the queue ordered by priority (descending), then by arrival
+      let i = self._queue.length;
+      while (i > 0 && self._queue[i - 1].priority < entry.priority) {
+        i--;
+      }
+      self._queue.splice(i, 0, entry);
+      if (handle) {
+        handle.cancel = function(reason) {
+          const index = self._queue.indexOf(entry);
+          if (index === -1) {
+            return false;
+          }
+          self._queue.splice(index, 1);
+          self._totalScheduled--;
+          reject(reason);
+          return true;
+        };
+      }
+      self._totalScheduled++;
+      self._peakQueued = Math.max(self._peakQueued, self._queue.length);
+      self._pump();
+    });
+  }
+
+  /**
+   * Retrieve statistics about the current state of the queue
+   *
+   * @returns {Object} with `inFlight`, `queued`, `queuedByPriority` (count keyed by priority), `maxInFlight`,
+   *  `requestsPerSecond`, `totalScheduled`, `totalCompleted`, `peakQueued` and `averageWaitMs` (time spent queued)
+   */
+  getStats() {
+    const queuedByPriority = {};
+    for (let i = 0; i < this._queue.length; i++) {
+      const priority = this._queue[i].priority;
+      queuedByPriority[priority] = (queuedByPriority[priority] || 0) + 1;
+    }
+    const started = this._totalScheduled - this._queue.length;
+    return {
+      inFlight: this._inFlight,
+      queued: this._queue.length,
+      queuedByPriority: queuedByPriority,
+      maxInFlight: this._maxInFlight,
+      requestsPerSecond: this._requestsPerSecond,
+      totalScheduled: this._totalScheduled,
+      totalCompleted: this._totalCompleted,
+      peakQueued: this._peakQueued,
+      averageWaitMs: (started > 0 ? Math.round(this._totalWaitMs / started) : 0)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _pump() {
+    const self = this;
+    while (this._queue.length > 0 && this._inFlight < this._maxInFlight && this._timer === null) {
+      const now = Date.now();
+      if (this._requestsPerSecond > 0 && now < this._nextStartAt) {
+        this._timer = setTimeout(function() {
+          self._timer = null;
+          self._pump();
+        }, this._nextStartAt - now);
+        return;
+      }
+      if (this._requestsPerSecond > 0) {
+        this._nextStartAt = now + (1000 / this._requestsPerSecond);
+      }
+      const entry = this._queue.shift();
+      this._inFlight++;
+      this._totalWaitMs += (now - entry.queuedAt);
+      let running = null;
+      try {
+        running = Promise.resolve(entry.task());
+      } catch (err) {
+        running = Promise.reject(err);
+      }
+      running.then(function(result) {
+        self._finish();
+        entry.resolve(result);
+      }, function(err) {
+        self._finish();
+        entry.reject(err);
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _finish() {
+    this._inFlight--;
+    this._totalCompleted++;
+    this._pump();
+  }
+
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,176 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const Readable = require('stream').Readable;
+
+/**
+ * SearchIterator class -- for walking through the results of a search one item at a time, only ever holding a
+ * single page of results in memory; pages are retrieved (by following `paging.next`) as they are needed
+ * @example
+ * // with Node v10+, iterate through the results using for await
+ * for await (const column of igcrest.searchIterator(query, { maxItems: 5000 })) {
+ *   // do something with each column
+ * }
+ * @example
+ * // or step through the results explicitly
+ * const it = igcrest.searchIterator(query);
+ * it.next().then(function(result) {
+ *   if (!result.done) {
+ *     // do something with result.value
+ *   }
+ * });
+ */
+class SearchIterator {
+
+  /**
+   * @param {Function} search - function that runs a search, returning a Promise of the first page of results
+   * @param {Function} getNextPage - function that takes a `paging` object, returning a Promise of the next page of results
+   * @param {Object|QueryBuilder} query - the search to run against IGC (as a JSON object, or a query builder)
+   * @param {Object} [options]
+   * @param {integer} [options.maxItems] - stop after this many items (default: all items)
+   * @param {progressCallback} [options.onProgress] - invoked each time a page of results has been retrieved
+   */
+  constructor(search, getNextPage, query, options) {
+    options = options || {};
+    this._search = search;
+    this._getNextPage = getNextPage;
+    this._query = (typeof query.toJSON === "function") ? query.toJSON() : query;
+    this._maxItems = options.hasOwnProperty("maxItems") ? options.maxItems : Infinity;
+    this._onProgress = options.onProgress || null;
+    this._buffer = [];
+    this._paging = null;
+    this._started = false;
+    this._finished = false;
+    this._returned = 0;
+    this._fetched = 0;
+    this._pages = 0;
+    this._pending = Promise.resolve();
+    // No point retrieving pages larger than the number of items we will return
+    if (this._maxItems !== Infinity && (!this._query.hasOwnProperty("pageSize") || this._query.pageSize > this._maxItems)) {
+      this._query = Object.assign({}, this._query, { pageSize: Math.max(1, this._maxItems) });
+    }
+  }
+
+  /**
+   * Retrieve the next item from the search results
+   *
+   * @returns {Promise} when resolved contains an object with `value` (the next item) and `done` (true once there are no more items)
+   */
+  next() {
+    const self = this;
+    // Serialise calls, so that concurrent callers cannot retrieve the same page twice
+    const result = this._pending.then(function() {
+      return self._nextItem();
+    });
+    this._pending = result.then(function() {}, function() {});
+    return result;
+  }
+
+  /**
+   * Stop iterating -- no further pages will be retrieved
+   *
+   * @returns {Promise} when resolved contains an object with `done` set to true
+   */
+  return() {
+    this._finished = true;
+    this._buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Provide the search results as a Readable stream in object mode (one item per object); destroying the
+   * stream stops any further pages from being retrieved
+   *
+   * @returns {Readable}
+   */
+  toStream() {
+    const self = this;
+    return new Readable({
+      objectMode: true,
+      read: function() {
+        const stream = this;
+        self.next().then(function(result) {
+          stream.push(result.done ? null : result.value);
+        }, function(err) {
+          stream.destroy(err);
+        });
+      },
+      destroy: function(err, callback) {
+        self.return();
+        callback(err);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _nextItem() {
+    const self = this;
+    if (this._finished || this._returned >= this._maxItems) {
+      return this.return();
+    }
+    if (this._buffer.length > 0) {
+      this._returned++;
+      return Promise.resolve({ value: this._buffer.shift(), done: false });
+    }
+    let nextPage = null;
+    if (!this._started) {
+      this._started = true;
+      nextPage = this._search(this._query);
+    } else if (this._paging !== null && this._paging.hasOwnProperty("next")) {
+      nextPage = this._getNextPage(this._paging);
+    } else {
+      return this.return();
+    }
+    return nextPage.then(function(results) {
+      if (self._finished) {
+        return self.return();
+      }
+      const items = results.items || [];
+      self._paging = results.paging || null;
+      self._pages++;
+      self._fetched += items.length;
+      if (self._onProgress !== null) {
+        self._onProgress({
+          fetched: self._fetched,
+          numTotal: (self._paging !== null ? self._paging.numTotal : self._fetched),
+          pages: self._pages
+        });
+      }
+      if (items.length === 0) {
+        return self.return();
+      }
+      self._buffer = items;
+      return self._nextItem();
+    });
+  }
+
+}
+
+/**
+ * This callback is invoked each time a page of search results has been retrieved.
+ * @callback progressCallback
+ * @param {Object} progress - with `fetched` (number of items retrieved so far), `numTotal` (total number of items the search matched) and `pages` (number of pages retrieved so far)
+ */
+
+module.exports = SearchIterator;
@@ -0,0 +1,177 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * TypeGraph class -- the relationships between asset types, as a graph whose edges lead from each type to the types
+ * its relationship properties refer to, for rendering as Mermaid or Graphviz DOT diagrams
+ *
+ * Each edge is given by the `from` and `to` type ids, the `property` (name) and `displayName` of the relationship,
+ * and its `cardinality` (e.g. `0..1`, `1..1` or `0..*`): IGC only gives a maximum cardinality for relationships to
+ * a single asset, so any relationship without one can refer to many.
+ *
+ * @example
+ * const types = allDetails.map(DocumentationRenderer.describeType);
+ * const graph = TypeGraph.fromTypes(types);
+ * fs.writeFileSync("all-types.dot", graph.toDOT());
+ * fs.writeFileSync("database_table.mmd", graph.getNeighbourhood("database_table").toMermaid());
+ */
+class TypeGraph {
+
+  /**
+   * @param {Object[]} edges
+   * @param {string} [focus] - the id of the type at the centre of the graph (if any), which is highlighted
+   */
+  constructor(edges, focus) {
+    this._edges = edges;
+    this._focus = focus || null;
+  }
+
+  /**
+   * Build the graph of every relationship between the types
+   *
+   * @param {Object[]} types - the types, as from `DocumentationRenderer.describeType`
+   * @returns {TypeGraph}
+   */
+  static fromTypes(types) {
+    const edges = [];
+    for (let i = 0; i < types.length; i++) {
+      const type = types[i];
+      // The same relationship is usually listed for viewing, creation and editing: it is only an edge once
+      const seen = {};
+      for (let j = 0; j < type.sections.length; j++) {
+        const properties = type.sections[j].properties;
+        for (let k = 0; k < properties.length; k++) {
+          const property = properties[k];
+          if (property.relationship && !seen.hasOwnProperty(property.name)) {
+            seen[property.name] = true;
+            edges.push({
+              from: type.id,
+              to: property.type,
+              property: property.name,
+              displayName: property.displayName,
+              cardinality: TypeGraph.getCardinality(property)
+            });
+          }
+        }
+      }
+    }
+    return new TypeGraph(edges);
+  }
+
+  /**
+   * @param {Object} property - a property, as from `DocumentationRenderer.describeType`
+   * @returns {string} the cardinality of the property, in UML notation
+   */
+  static getCardinality(property) {
+    const min = (property.minCardinality === null) ? 0 : property.minCardinality;
+    const max = (property.maxCardinality === null || property.maxCardinality < 0) ? "*" : property.maxCardinality;
+    return min + ".." + max;
+  }
+
+  /**
+   * @returns {Object[]} every edge in the graph
+   */
+  get edges() {
+    return this._edges.slice();
+  }
+
+  /**
+   * @returns {string[]} the ids of every type in the graph, sorted
+   */
+  get nodes() {
+    const nodes = {};
+    if (this._focus !== null) {
+      nodes[this._focus] = true;
+    }
+    for (let i = 0; i < this._edges.length; i++) {
+      nodes[this._edges[i].from] = true;
+      nodes[this._edges[i].to] = true;
+    }
+    return Object.keys(nodes).sort();
+  }
+
+  /**
+   * Retrieve the neighbourhood of a type: its relationships to other types, and theirs to it
+   *
+   * @param {string} typeId
+   * @returns {TypeGraph}
+   */
+  getNeighbourhood(typeId) {
+    return new TypeGraph(this._edges.filter(function(edge) {
+      return edge.from === typeId || edge.to === typeId;
+    }), typeId);
+  }
+
+  /**
+   * @returns {string} the graph as a Mermaid class diagram
+   */
+  toMermaid() {
+    const ids = {};
+    const used = {};
+    const nodes = this.nodes;
+    let text = "classDiagram\n";
+    // Mermaid only allows alphanumeric class names, so any others are given a label with the type id
+    for (let i = 0; i < nodes.length; i++) {
+      let id = nodes[i].replace(/[^A-Za-z0-9_]/g, "_");
+      while (used.hasOwnProperty(id)) {
+        id = id + "_";
+      }
+      used[id] = true;
+      ids[nodes[i]] = id;
+      text += "  class " + id + ((id !== nodes[i]) ? "[\"" + nodes[i].replace(/"/g, "'") + "\"]" : "") + "\n";
+    }
+    for (let i = 0; i < this._edges.length; i++) {
+      const edge = this._edges[i];
+      text += "  " + ids[edge.from] + " --> \"" + edge.cardinality + "\" " + ids[edge.to] + " : " + edge.property + "\n";
+    }
+    if (this._focus !== null) {
+      text += "  style " + ids[this._focus] + " fill:#ffe8a3,stroke:#b08800,stroke-width:2px\n";
+    }
+    return text;
+  }
+
+  /**
+   * @returns {string} the graph as a Graphviz DOT digraph
+   */
+  toDOT() {
+    const nodes = this.nodes;
+    let text = "digraph \"" + TypeGraph._escapeDOT(this._focus === null ? "igc_types" : this._focus) + "\" {\n" +
+      "  rankdir=LR;\n" +
+      "  node [shape=box, fontname=\"Helvetica\"];\n" +
+      "  edge [fontname=\"Helvetica\", fontsize=10];\n";
+    for (let i = 0; i < nodes.length; i++) {
+      text += "  \"" + TypeGraph._escapeDOT(nodes[i]) + "\"" + ((nodes[i] === this._focus) ? " [style=\"bold,filled\", fillcolor=\"#ffe8a3\"]" : "") + ";\n";
+    }
+    for (let i = 0; i < this._edges.length; i++) {
+      const edge = this._edges[i];
+      text += "  \"" + TypeGraph._escapeDOT(edge.from) + "\" -> \"" + TypeGraph._escapeDOT(edge.to) + "\"" +
+        " [label=\"" + TypeGraph._escapeDOT(edge.property) + "\", headlabel=\"" + edge.cardinality + "\"];\n";
+    }
+    return text + "}\n";
+  }
+
+  /**
+   * @private
+   */
+  static _escapeDOT(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/"/g, "\\\"");
+  }
+
+}
+
+module.exports = TypeGraph;
@@ -0,0 +1,285 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const TypeModel = require('./type-model');
+
+const usages = [ "view", "create", "edit" ];
+const usageDescriptions = { "view": "viewable", "create": "creatable", "edit": "editable" };
+
+/**
+ * TypeModelDiff class -- the differences between two type models (e.g. before and after an upgrade, or the
+ * deployment of an Open IGC bundle), each classified as breaking or not
+ *
+ * Each change is given by its:
+ * - `change`: the kind of change -- `typeAdded`, `typeRemoved`, `creatableChanged`, `propertyAdded`,
+ *   `propertyRemoved`, `propertyRenamed`, `usageAdded`, `usageRemoved` (a property that can now, or can no longer, be
+ *   viewed, given on creation or edited), `dataTypeChanged`, `cardinalityChanged`, `requiredChanged`,
+ *   `validValuesAdded` or `validValuesRemoved`
+ * - `type` and `property` (null for changes to the type itself)
+ * - `breaking`: whether code written against the first model could fail against the second
+ * - `before` and `after`: the values that changed (where relevant)
+ * - `description`: a human-readable description of the change
+ *
+ * A property removed from a type and another added to it with the same display name are reported as a rename.
+ *
+ * @example
+ * const diff = new TypeModelDiff(new TypeModel(beforeDetails), new TypeModel(afterDetails));
+ * if (diff.hasBreakingChanges()) {
+ *   console.log(diff.toMarkdown());
+ * }
+ */
+class TypeModelDiff {
+
+  /**
+   * @param {TypeModel} before - the type model to compare from
+   * @param {TypeModel} after - the type model to compare to
+   * @param {Object} [labels] - how to refer to each model in reports
+   * @param {string} [labels.before]
+   * @param {string} [labels.after]
+   */
+  constructor(before, after, labels) {
+    labels = labels || {};
+    this._labels = { before: labels.before || "before", after: labels.after || "after" };
+    this._changes = [];
+    const beforeIds = before.getTypeIds();
+    const afterIds = after.getTypeIds();
+    const allIds = beforeIds.concat(afterIds.filter(function(id) { return !beforeIds.includes(id); })).sort();
+    for (let i = 0; i < allIds.length; i++) {
+      const id = allIds[i];
+      if (!afterIds.includes(id)) {
+        this._add("typeRemoved", id, null, true, null, null, "Type removed");
+      } else if (!beforeIds.includes(id)) {
+        this._add("typeAdded", id, null, false, null, null, "Type added");
+      } else {
+        this._compareTypes(before.getType(id), after.getType(id));
+      }
+    }
+  }
+
+  /**
+   * @returns {Object[]} every change, ordered by type and property
+   */
+  get changes() {
+    return this._changes.slice();
+  }
+
+  /**
+   * @returns {Object[]} only the breaking changes
+   */
+  get breakingChanges() {
+    return this._changes.filter(function(change) { return change.breaking; });
+  }
+
+  /**
+   * @returns {boolean} true iff any change could break code written against the first model
+   */
+  hasBreakingChanges() {
+    return this.breakingChanges.length > 0;
+  }
+
+  /**
+   * Produce a Markdown report of the changes, the breaking changes first
+   *
+   * @returns {string}
+   */
+  toMarkdown() {
+    const breaking = this.breakingChanges;
+    const others = this._changes.filter(function(change) { return !change.breaking; });
+    let md = "# IGC type model changes\n\n";
+    md += "From `" + this._labels.before + "` to `" + this._labels.after + "`: ";
+    if (this._changes.length === 0) {
+      return md + "no changes.\n";
+    }
+    md += this._changes.length + " change(s), " + breaking.length + " of them breaking.\n";
+    if (breaking.length > 0) {
+      md += "\n## Breaking changes\n\n" + TypeModelDiff._getMarkdownTable(breaking);
+    }
+    if (others.length > 0) {
+      md += "\n## Non-breaking changes\n\n" + TypeModelDiff._getMarkdownTable(others);
+    }
+    return md;
+  }
+
+  /**
+   * @returns {Object} the labels of the models, a summary of the number of (breaking) changes, and every change
+   */
+  toJSON() {
+    return {
+      "before": this._labels.before,
+      "after": this._labels.after,
+      "summary": { "changes": this._changes.length, "breaking": this.breakingChanges.length },
+      "changes": this._changes
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _getMarkdownTable(changes) {
+    let table = "| Type | Property | Change |\n| --- | --- | --- |\n";
+    for (let i = 0; i < changes.length; i++) {
+      const change = changes[i];
+      table += "| `" + change.type + "` | " + (change.property === null ? "" : "`" + change.property + "`") + " | " + change.description.replace(/\|/g, "\\|") + " |\n";
+    }
+    return table;
+  }
+
+  /**
+   * @private
+   */
+  _add(change, type, property, breaking, before, after, description) {
+    this._changes.push({
+      change: change,
+      type: type,
+      property: property,
+      breaking: breaking,
+      before: before,
+      after: after,
+      description: description
+    });
+  }
+
+  /**
+   * @private
+   */
+  _compareTypes(before, after) {
+    if (before.creatable !== after.creatable) {
+      this._add("creatableChanged", before.id, null, before.creatable, before.creatable, after.creatable, after.creatable ? "Type can now be created" : "Type can no longer be created");
+    }
+    const beforeProps = TypeModelDiff._mergeProperties(before);
+    const afterProps = TypeModelDiff._mergeProperties(after);
+    const removed = Object.keys(beforeProps).filter(function(name) { return !afterProps.hasOwnProperty(name); });
+    const added = Object.keys(afterProps).filter(function(name) { return !beforeProps.hasOwnProperty(name); });
+    const renamedTo = TypeModelDiff._findRenames(beforeProps, afterProps, removed, added);
+    const names = Object.keys(beforeProps).concat(added).sort();
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      if (renamedTo.hasOwnProperty(name)) {
+        this._add("propertyRenamed", before.id, name, true, name, renamedTo[name], "Property renamed to `" + renamedTo[name] + "`");
+      } else if (removed.includes(name)) {
+        this._add("propertyRemoved", before.id, name, true, null, null, "Property removed");
+      } else if (added.includes(name)) {
+        if (!Object.values(renamedTo).includes(name)) {
+          // A new property that must be given on creation breaks any existing code creating the type
+          const required = afterProps[name].usages.hasOwnProperty("create") && afterProps[name].usages.create.required;
+          this._add("propertyAdded", before.id, name, required && before.creatable, null, null, required ? "Property added (required on creation)" : "Property added");
+        }
+      } else {
+        this._compareProperties(before.id, beforeProps[name], afterProps[name]);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _compareProperties(typeId, before, after) {
+    const name = before.property.name;
+    for (let i = 0; i < usages.length; i++) {
+      const usage = usages[i];
+      if (before.usages[usage] && !after.usages[usage]) {
+        this._add("usageRemoved", typeId, name, true, usage, null, "No longer " + usageDescriptions[usage]);
+      } else if (!before.usages[usage] && after.usages[usage]) {
+        this._add("usageAdded", typeId, name, false, null, usage, "Now " + usageDescriptions[usage]);
+      }
+    }
+    // Compare the details of the property as the first kind of usage they share (i.e. as viewed, if possible)
+    const shared = usages.find(function(usage) { return before.usages[usage] && after.usages[usage]; });
+    const from = before.usages[shared];
+    const to = after.usages[shared];
+    if (from.type !== to.type || from.relationship !== to.relationship) {
+      this._add("dataTypeChanged", typeId, name, true, from.type, to.type, "Type changed from `" + from.type + "` to `" + to.type + "`");
+    }
+    if (from.multiple !== to.multiple) {
+      const fromCardinality = from.multiple ? "multiple" : "single";
+      const toCardinality = to.multiple ? "multiple" : "single";
+      this._add("cardinalityChanged", typeId, name, true, fromCardinality, toCardinality, "Cardinality changed from " + fromCardinality + " to " + toCardinality + " value(s)");
+    }
+    if (before.usages.create && after.usages.create && before.usages.create.required !== after.usages.create.required) {
+      const required = after.usages.create.required;
+      this._add("requiredChanged", typeId, name, required, !required, required, required ? "Now required on creation" : "No longer required on creation");
+    }
+    if (from.type === "enum" && to.type === "enum") {
+      const fromValues = from.validValues.map(function(validValue) { return validValue.id; });
+      const toValues = to.validValues.map(function(validValue) { return validValue.id; });
+      const removedValues = fromValues.filter(function(value) { return !toValues.includes(value); });
+      const addedValues = toValues.filter(function(value) { return !fromValues.includes(value); });
+      if (removedValues.length > 0) {
+        this._add("validValuesRemoved", typeId, name, true, removedValues, null, "Valid values removed: " + TypeModelDiff._listValues(removedValues));
+      }
+      if (addedValues.length > 0) {
+        this._add("validValuesAdded", typeId, name, false, null, addedValues, "Valid values added: " + TypeModelDiff._listValues(addedValues));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _listValues(values) {
+    return values.map(function(value) { return "`" + value + "`"; }).join(", ");
+  }
+
+  /**
+   * Merge the properties of a type across its usages, keyed by name (excluding those IGC gives every asset)
+   * @private
+   */
+  static _mergeProperties(type) {
+    const merged = {};
+    for (let i = 0; i < usages.length; i++) {
+      const usage = usages[i];
+      const properties = type[usage];
+      for (let j = 0; j < properties.length; j++) {
+        const property = properties[j];
+        if (TypeModel.isSystemProperty(property.name)) {
+          continue;
+        }
+        if (!merged.hasOwnProperty(property.name)) {
+          merged[property.name] = { property: property, usages: {} };
+        }
+        merged[property.name].usages[usage] = property;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Pair removed and added properties that have the same display name (and are both, or both not, relationships)
+   * @private
+   */
+  static _findRenames(beforeProps, afterProps, removed, added) {
+    const renamedTo = {};
+    const available = added.slice();
+    const isSameProperty = function(from, name) {
+      const to = afterProps[name].property;
+      return to.displayName.toLowerCase() === from.displayName.toLowerCase() && to.relationship === from.relationship;
+    };
+    for (let i = 0; i < removed.length; i++) {
+      const from = beforeProps[removed[i]].property;
+      const index = available.findIndex(isSameProperty.bind(null, from));
+      if (index !== -1) {
+        renamedTo[from.name] = available[index];
+        available.splice(index, 1);
+      }
+    }
+    return renamedTo;
+  }
+
+}
+
+module.exports = TypeModelDiff;
@@ -0,0 +1,129 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+// Pseudo-types that relationships can refer to, but that are not themselves asset types
+const pseudoTypes = [ "main_object", "information_asset" ];
+
+/**
+ * TypeModel class -- the details of every asset type (as retrieved by `getAllTypeDetails`), with the properties of
+ * each normalised for generating code, schemas and documentation from them
+ *
+ * Each property is given by its:
+ * - `name` and `displayName`
+ * - `type`: the data type (e.g. `string`, `number`, `boolean`, `datetime`, `note` or `enum`), or for a relationship
+ *   the type of asset it refers to (which may be a pseudo-type such as `main_object`, i.e. any asset)
+ * - `relationship`: whether it is a relationship to other assets
+ * - `multiple`: whether it can hold multiple values -- IGC only gives a `maxCardinality` for properties that cannot
+ *   (booleans aside)
+ * - `required`: whether a value must be given (i.e. it has a `minCardinality`)
+ * - `validValues`: for an enum, the `id` and `displayName` of each of its values
+ *
+ * @example
+ * igcrest.getAllTypeDetails().then(function(allDetails) {
+ *   const model = new TypeModel(allDetails);
+ *   model.getTypeIds().forEach(function(typeId) {
+ *     console.log(typeId + ": " + model.getType(typeId).view.length + " properties");
+ *   });
+ * });
+ */
+class TypeModel {
+
+  /**
+   * @param {Object[]} allTypeDetails - the details of each type, as from `getTypeDetails`
+   */
+  constructor(allTypeDetails) {
+    this._types = {};
+    for (let i = 0; i < allTypeDetails.length; i++) {
+      const details = allTypeDetails[i];
+      this._types[details._id] = {
+        id: details._id,
+        name: details._name,
+        url: details._url,
+        creatable: details.hasOwnProperty("createInfo"),
+        view: TypeModel._normalizeProperties(details.viewInfo),
+        create: TypeModel._normalizeProperties(details.createInfo),
+        edit: TypeModel._normalizeProperties(details.editInfo)
+      };
+    }
+  }
+
+  /**
+   * @returns {string[]} the ids of all of the asset types in the model (excluding pseudo-types), sorted
+   */
+  getTypeIds() {
+    return Object.keys(this._types).filter(function(id) {
+      return !pseudoTypes.includes(id);
+    }).sort();
+  }
+
+  /**
+   * Retrieve a type in the model
+   *
+   * @param {string} id - the id of the type (e.g. `database_table`)
+   * @returns {Object} the type's `id`, `name` (as displayed), `url`, whether it is `creatable`, and the normalised properties that can be viewed (`view`), given on creation (`create`) and edited (`edit`) -- or null if there is no such type
+   */
+  getType(id) {
+    return this._types.hasOwnProperty(id) ? this._types[id] : null;
+  }
+
+  /**
+   * Determine whether a type is an asset type in the model (rather than a pseudo-type, or a type that is unknown)
+   *
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isAssetType(id) {
+    return this._types.hasOwnProperty(id) && !pseudoTypes.includes(id);
+  }
+
+  /**
+   * Determine whether a property is one of those IGC gives every asset (e.g. `_id`, `_name` or `_context`)
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isSystemProperty(name) {
+    return name.indexOf("_") === 0;
+  }
+
+  /**
+   * @private
+   */
+  static _normalizeProperties(info) {
+    if (!info || !Array.isArray(info.properties)) {
+      return [];
+    }
+    return info.properties.map(function(property) {
+      const type = property.type || {};
+      return {
+        name: property.name,
+        displayName: property.displayName || property.name,
+        type: type.name,
+        relationship: type.hasOwnProperty("url"),
+        multiple: property.hasOwnProperty("maxCardinality") ? property.maxCardinality !== 1 : type.name !== "boolean",
+        required: property.hasOwnProperty("minCardinality") && property.minCardinality !== 0,
+        validValues: (type.validValues || []).map(function(validValue) {
+          return { id: validValue.id, displayName: validValue.displayName || validValue.id };
+        })
+      };
+    });
+  }
+
+}
+
+module.exports = TypeModel;
@@ -16,12 +16,27 @@
 
 "use strict";
 
-const request = require('request').defaults({jar: true});
+const request = require('request');
 const fs = require('fs');
 const path = require('path');
-const util = require('util');
+const EventEmitter = require('events');
 const _ = require('underscore');
 const Conversion = require('./classes/conversion');
+const RequestScheduler = require('./classes/request-scheduler');
+const IGCRestError = require('./classes/igc-rest-error');
+const SearchIterator = require('./classes/search-iterator');
+const QueryBuilder = require('./classes/query-builder');
+const QueryValidator = require('./classes/query-validator');
+const MetadataCache = require('./classes/metadata-cache');
+const MutationPlan = require('./classes/mutation-plan');
+const MutationJournal = require('./classes/mutation-journal');
+const Interceptors = require('./classes/interceptors');
+const RequestMetrics = require('./classes/request-metrics');
+const Cassette = require('./classes/cassette');
+const TypeModel = require('./classes/type-model');
+const TypeModelDiff = require('./classes/type-model-diff');
+const DocumentationRenderer = require('./classes/documentation-renderer');
+const TypeGraph = require('./classes/type-graph');
 
 /**
  * Re-usable functions for interacting with IBM Information Governance Catalog's REST API
@@ -37,8 +52,151 @@ const Conversion = require('./classes/conversion');
  * igcrest.getTypes(function(err, resTypes) {
  *   // do something with the types within resTypes object
  * });
+ * @example
+ * // compares the number of terms in two different environments, each through its own client
+ * var dev = igcrest.createClient(new commons.RestConnection("isadmin", "isadmin", "devhost", "9445"));
+ * var prod = igcrest.createClient(new commons.RestConnection("isadmin", "isadmin", "prodhost", "9445"));
+ * var q = { "types": ["term"], "properties": ["name"], "pageSize": 1 };
+ * Promise.all([ dev.search(q), prod.search(q) ]).then(function(results) {
+ *   console.log("DEV: " + results[0].paging.numTotal + ", PROD: " + results[1].paging.numTotal);
+ * });
+ */
+
+/**
+ * Create an independent client for IGC's REST API -- each client has its own connection, session, cookie jar
+ * and settings, so that multiple environments can be used side-by-side within the same process (the functions
+ * of this module itself are those of a default client)
+ *
+ * @param {RestConnection} [restConnect] - RestConnection object, from ibm-iis-commons (can also be set later through `setConnection`)
+ * @param {Object} [options]
+ * @param {Object} [options.retry] - retry settings for the client, as for `setRetryPolicy`
+ * @param {Object} [options.concurrency] - concurrency settings for the client, as for `setConcurrency`
+ * @param {boolean} [options.strict] - whether to validate every search before sending it, as for `setStrictMode`
+ * @param {Object} [options.metadataCache] - type metadata cache settings for the client, as for `setMetadataCache`
+ * @param {boolean} [options.dryRun] - whether to start the client in dry-run mode, as for `setDryRun`
+ * @param {string} [options.journal] - file into which to journal changes, as for `setJournal`
+ * @param {integer} [options.timeout] - default milliseconds within which each request must complete, as for `setRequestTimeout`
+ * @param {Object} [options.cassette] - cassette into which to record (or from which to replay) requests, as for `setCassette`
+ * @returns {Object} a client, providing all of the functions of this module
+ */
+const createClient = function(restConnect, options) {
+
+  options = options || {};
+
+  const client = _buildClient(_createState(restConnect), {});
+
+  if (options.hasOwnProperty("retry")) {
+    client.setRetryPolicy(options.retry);
+  }
+  if (options.hasOwnProperty("concurrency")) {
+    client.setConcurrency(options.concurrency);
+  }
+  if (options.hasOwnProperty("strict")) {
+    client.setStrictMode(options.strict);
+  }
+  if (options.hasOwnProperty("metadataCache")) {
+    client.setMetadataCache(options.metadataCache);
+  }
+  if (options.hasOwnProperty("dryRun")) {
+    client.setDryRun(options.dryRun);
+  }
+  if (options.hasOwnProperty("journal")) {
+    client.setJournal(options.journal);
+  }
+  if (options.hasOwnProperty("timeout")) {
+    client.setRequestTimeout(options.timeout);
+  }
+  if (options.hasOwnProperty("cassette")) {
+    client.setCassette(options.cassette);
+  }
+
+  return client;
+
+};
+
+/**
+ * Create everything particular to a client: its connection (and therefore session), cookie jar and settings
+ *
+ * @param {RestConnection} [restConnect]
+ * @returns {Object}
+ * @private
  */
-const RestIGC = (function() {
+const _createState = function(restConnect) {
+
+  // Socket-level errors that indicate a transient failure worth retrying
+  const _transientErrorCodes = [ 'ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN' ];
+
+  return {
+    restConnect: restConnect || null,
+    request: request.defaults({ jar: request.jar() }),
+    // Mutating requests are only retried when we can be confident the server did not
+    // process them (refused connections, throttling, unavailability)
+    retryPolicies: {
+      idempotent: {
+        retries: 3,
+        minDelay: 500,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0.5,
+        retryOnStatus: [ 429, 502, 503, 504 ],
+        retryOnErrors: _transientErrorCodes
+      },
+      mutating: {
+        retries: 2,
+        minDelay: 500,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0.5,
+        retryOnStatus: [ 429, 503 ],
+        retryOnErrors: [ 'ECONNREFUSED' ]
+      }
+    },
+    onRetry: null,
+    // Every request is queued through the scheduler, so bulk operations cannot flood the server
+    scheduler: new RequestScheduler({ maxInFlight: 10 }),
+    requestPriorities: {
+      read: 0,
+      write: 1
+    },
+    // Type metadata is only cached once a cache has been configured
+    metadataCache: null,
+    // Whether the version of the type model must be detected from the server (rather than being known)
+    detectMetadataVersion: false,
+    // Promise of the version of the type model, once detection from the server has started
+    metadataVersion: null,
+    // Metadata currently being retrieved, keyed by cache key (so that concurrent requests share one retrieval)
+    pendingMetadata: {},
+    strict: false,
+    // When in dry-run mode, the plan into which requests that would change IGC are recorded (instead of being sent)
+    plan: null,
+    // When journaling, the journal into which the prior values of everything updated are recorded
+    journal: null,
+    events: new EventEmitter(),
+    // Promise of a new session while the session is being renewed (shared by every request that needs it)
+    sessionRenewal: null,
+    // Incremented on each renewal, so requests sent with an older session do not trigger another renewal
+    sessionGeneration: 0,
+    // Default milliseconds within which each request must complete (0 for no limit)
+    timeout: 0,
+    // Chain through which every request is sent, outermost first
+    interceptors: [],
+    metrics: new RequestMetrics(),
+    // When recording or replaying, the cassette of requests and their responses
+    cassette: null
+  };
+
+};
+
+/**
+ * Build the functions of a client around its state -- clients derived through `withOptions` share the state of the
+ * client they are derived from, differing only in the options applied to each of their requests
+ *
+ * @param {Object} _state - the state of the client (from `_createState`)
+ * @param {Object} _callOptions - options applied to every request made through the client, e.g. `timeout` and `signal`
+ * @returns {Object} the client
+ * @private
+ */
+const _buildClient = function(_state, _callOptions) {
 
   const hmDataContainerTypesToChildren = {
     "database_table": "database_columns",
@@ -49,7 +207,6 @@ const RestIGC = (function() {
     "data_file_field": "data_file_record"
   };
   
-  let _restConnect = null;
   
   /**
    * Set the connection for the REST API
@@ -57,12 +214,385 @@ const RestIGC = (function() {
    * @param {RestConnection} restConnect - RestConnection object, from ibm-iis-commons
    */
   const setConnection = function(restConnect) {
-    _restConnect = restConnect;
+    _state.restConnect = restConnect;
+  };
+
+  /**
+   * Configure how transient failures are retried by `makeRequest`
+   *
+   * Idempotent requests (GETs and searches) and mutating requests (creates, updates, deletes, etc) each have
+   * their own policy; any settings not provided are left as they are. Retries back-off exponentially
+   * (`minDelay * factor^attempt`, capped at `maxDelay`) with random jitter, unless the server sends a `Retry-After`
+   * (which is honoured, but also capped at `maxDelay`).
+   *
+   * @param {Object} options
+   * @param {RetryPolicy} [options.idempotent] - policy for GET requests and searches
+   * @param {RetryPolicy} [options.mutating] - policy for all other requests
+   * @param {retryCallback} [options.onRetry] - invoked before each retry attempt (null to remove)
+   * @example
+   * // retry searches up to 5 times, never retry updates, and log each retry
+   * igcrest.setRetryPolicy({
+   *   idempotent: { retries: 5 },
+   *   mutating: { retries: 0 },
+   *   onRetry: function(info) { console.log("Retrying " + info.method + " " + info.path + " in " + info.delay + "ms"); }
+   * });
+   */
+  const setRetryPolicy = function(options) {
+    if (options.hasOwnProperty("idempotent")) {
+      _.extend(_state.retryPolicies.idempotent, options.idempotent);
+    }
+    if (options.hasOwnProperty("mutating")) {
+      _.extend(_state.retryPolicies.mutating, options.mutating);
+    }
+    if (options.hasOwnProperty("onRetry")) {
+      _state.onRetry = options.onRetry;
+    }
+  };
+
+  /**
+   * Configure how many requests may be in-flight against IGC at once, and how quickly they may be sent
+   *
+   * All requests made through `makeRequest` (and therefore all functions in this module) are queued
+   * and only sent when there is capacity; any settings not provided are left as they are.
+   *
+   * @param {Object} options
+   * @param {integer} [options.maxInFlight] - maximum number of concurrent requests (default: 10)
+   * @param {number} [options.requestsPerSecond] - maximum rate at which requests are sent (default: 0, unlimited)
+   * @param {integer} [options.readPriority] - queue priority for GET requests and searches (default: 0)
+   * @param {integer} [options.writePriority] - queue priority for all other requests (default: 1); higher priorities are sent first
+   * @see module:ibm-igc-rest.getQueueStats
+   * @example
+   * // allow at most 4 concurrent requests, no more than 20 per second
+   * igcrest.setConcurrency({ maxInFlight: 4, requestsPerSecond: 20 });
+   */
+  const setConcurrency = function(options) {
+    _state.scheduler.configure(options);
+    if (options.hasOwnProperty("readPriority")) {
+      _state.requestPriorities.read = options.readPriority;
+    }
+    if (options.hasOwnProperty("writePriority")) {
+      _state.requestPriorities.write = options.writePriority;
+    }
+  };
+
+  /**
+   * Set the default time within which each request must complete -- measured from when it is first sent, so
+   * excluding any time spent waiting in the queue, but including any retries -- after which it is abandoned and
+   * rejected with a `timeout` error (IGCTimeoutError)
+   *
+   * @see module:ibm-igc-rest.withOptions
+   * @param {integer} timeout - milliseconds (0 for no limit, the default)
+   */
+  const setRequestTimeout = function(timeout) {
+    if (typeof timeout !== "number" || timeout < 0) {
+      throw new Error("The timeout must be a number of milliseconds (0 for no limit).");
+    }
+    _state.timeout = timeout;
+  };
+
+  /**
+   * Derive a client that applies the provided options to every request it makes, while sharing everything else
+   * (connection, session, settings and queue) with this client -- e.g. to give particular calls their own timeout,
+   * or a way of cancelling them (to apply options to a single request, see the `options` of `makeRequest`)
+   *
+   * Cancelling (or timing out) a request removes it from the queue, aborts it if it has already been sent, and stops
+   * any further retries; the request is then rejected with a `cancelled` error (IGCCancelError) or a `timeout` error
+   * (IGCTimeoutError). Functions that make several requests (e.g. `getAllPages`, or `addRelationshipToAsset` with
+   * `REPLACE_SOME`) stop at the first request that is cancelled.
+   *
+   * @param {Object} options
+   * @param {integer} [options.timeout] - milliseconds within which each request must complete once sent, overriding the default from `setRequestTimeout` (0 for no limit)
+   * @param {AbortSignal} [options.signal] - signal with which to cancel every request made through the derived client
+   * @returns {Object} the derived client, providing all of the functions of this module
+   * @example
+   * // retrieve all of the terms, giving up if any page takes more than a minute -- or if cancelled
+   * const controller = new AbortController();
+   * igcrest.withOptions({ timeout: 60000, signal: controller.signal }).getAllPages(results.items, results.paging).then(function(allTerms) {
+   *   // ...
+   * }, function(err) {
+   *   if (err.kind === 'timeout' || err.kind === 'cancelled') {
+   *     // ...
+   *   }
+   * });
+   * // ... and elsewhere, when no longer needed
+   * controller.abort();
+   */
+  const withOptions = function(options) {
+    return _buildClient(_state, _.extend({}, _callOptions, options));
+  };
+
+  /**
+   * Retrieve statistics about the queue of requests to IGC
+   *
+   * @see module:ibm-igc-rest.setConcurrency
+   * @returns {Object} with `inFlight`, `queued`, `queuedByPriority` (count keyed by priority), `maxInFlight`,
+   *  `requestsPerSecond`, `totalScheduled`, `totalCompleted`, `peakQueued` and `averageWaitMs` (time spent queued)
+   */
+  const getQueueStats = function() {
+    return _state.scheduler.getStats();
+  };
+
+  /**
+   * Retrieve statistics about the requests made to IGC, per end-point (method and path, with any RIDs, types and
+   * properties in the path replaced by placeholders such as `{rid}`, and without any query string): the number of
+   * calls, errors (by kind), retries and bytes sent and received, the status codes of the responses, and percentiles
+   * of both the latency of IGC (per attempt) and the overall duration of each call (including any time spent queued
+   * or retrying)
+   *
+   * Each call's statistics are also emitted as a `request` event as soon as it completes.
+   *
+   * @see module:ibm-igc-rest.on
+   * @see module:ibm-igc-rest.getQueueStats
+   * @param {string} [format] - `prometheus` to retrieve the statistics in Prometheus' text exposition format, rather than as an object
+   * @returns {Object|string} with the time collection started (`since`), the `totals` across all end-points, and the statistics for each of the `endpoints`
+   * @example
+   * igcrest.getAllPages(results.items, results.paging).then(function(allTerms) {
+   *   const stats = igcrest.getStats();
+   *   stats.endpoints.forEach(function(endpoint) {
+   *     console.log(endpoint.method + " " + endpoint.endpoint + ": " + endpoint.calls + " calls, p90 latency " + endpoint.latencyMs.p90 + "ms");
+   *   });
+   * });
+   */
+  const getStats = function(format) {
+    if (format === "prometheus") {
+      return _state.metrics.toPrometheus();
+    }
+    return _state.metrics.getStats();
+  };
+
+  /**
+   * Discard all of the statistics collected so far about the requests made to IGC
+   *
+   * @see module:ibm-igc-rest.getStats
+   */
+  const resetStats = function() {
+    _state.metrics.reset();
+  };
+
+  /**
+   * Turn strict mode on or off: in strict mode, every search is first validated against the type metadata of
+   * the types it searches, and rejected (with a `validation` error listing each problem) if it is invalid
+   * (configure a metadata cache through `setMetadataCache`, so that the type metadata is not retrieved again for
+   * every search)
+   *
+   * @see module:ibm-igc-rest.validateQuery
+   * @see module:ibm-igc-rest.setMetadataCache
+   * @param {boolean} bStrict
+   */
+  const setStrictMode = function(bStrict) {
+    _state.strict = bStrict;
+  };
+
+  /**
+   * Configure the cache of type metadata, used by `getTypes`, `getTypeDetails` and everything that depends on them
+   * (NOTE: type metadata is only cached once this has been called -- by default, it is retrieved from the server
+   * every time it is needed)
+   *
+   * An on-disk cache keeps the metadata of each version of the server's type model separately: unless a `version`
+   * is provided, the version is detected from the list of types and custom attributes on the server (which change
+   * on upgrade, when Open IGC bundles are deployed, and when custom attributes are defined). Any other change to
+   * the types (e.g. through a fix pack) is only picked up once the cache expires, or by `refreshMetadataCache`.
+   * An offline cache never contacts the server, instead using the version most recently cached on disk.
+   *
+   * @see module:ibm-igc-rest.refreshMetadataCache
+   * @param {Object} [options] - or null to stop caching type metadata
+   * @param {string} [options.directory] - directory in which to persist the cache (default: in-memory only)
+   * @param {integer} [options.ttl] - milliseconds for which cached metadata remains valid (default: 24 hours; 0 to never expire)
+   * @param {string} [options.version] - explicit version of the type model to cache against
+   * @param {boolean} [options.offline] - work entirely from the on-disk cache, without contacting the server
+   * @example
+   * // re-use type metadata across runs, and refresh it explicitly after deploying a bundle
+   * igcrest.setMetadataCache({ directory: "./.igc-metadata" });
+   * igcrest.createBundle("MyBundle.zip").then(function() {
+   *   return igcrest.refreshMetadataCache();
+   * });
+   */
+  const setMetadataCache = function(options) {
+    _state.metadataCache = (options === null) ? null : new MetadataCache(options);
+    _state.detectMetadataVersion = (_state.metadataCache !== null && _state.metadataCache.version === null);
+    _state.metadataVersion = null;
+    _state.pendingMetadata = {};
+  };
+
+  /**
+   * Turn dry-run mode on or off: in dry-run mode, every request that would change IGC (creating, updating and
+   * deleting assets, relationships, bundles, custom attributes and lineage flows, and detecting lineage) is recorded into a plan rather
+   * than being sent, and succeeds with a simulated response; requests that only read from IGC (including
+   * searches) are still sent, so that the changes can be worked out as they otherwise would be
+   *
+   * Turning dry-run mode on starts a new (empty) plan.
+   *
+   * @see module:ibm-igc-rest.getPlan
+   * @see module:ibm-igc-rest.executePlan
+   * @param {boolean} bDryRun
+   * @example
+   * igcrest.setDryRun(true);
+   * igcrest.deleteMany(results.items).then(function() {
+   *   console.log(igcrest.getPlan().summary());
+   * });
+   */
+  const setDryRun = function(bDryRun) {
+    if (bDryRun) {
+      _state.plan = new MutationPlan();
+    } else {
+      _state.plan = null;
+    }
+  };
+
+  /**
+   * Retrieve the plan of changes recorded so far in dry-run mode
+   *
+   * @see module:ibm-igc-rest.setDryRun
+   * @returns {MutationPlan} the plan, or null if not in dry-run mode
+   */
+  const getPlan = function() {
+    return _state.plan;
+  };
+
+  /**
+   * Start (or stop) journaling changes: while journaling, before each update (including those made by
+   * `addRelationshipToAsset` and `updateMany`) the current values of the properties being updated are retrieved
+   * and appended to the journal file along with the new values, so that the changes can later be undone
+   *
+   * Changes made in dry-run mode are not journaled, as they are not actually made.
+   *
+   * @see module:ibm-igc-rest.undoJournal
+   * @param {string} file - the journal file (created if it does not exist, otherwise appended to), or null to stop journaling
+   * @example
+   * igcrest.setJournal("./import-20190301.journal");
+   * igcrest.addRelationshipToAsset(term, columnRIDs, "assigned_assets", "REPLACE_ALL").then(function() {
+   *   // ... and if this turns out to have been a mistake:
+   *   return igcrest.undoJournal("./import-20190301.journal");
+   * });
+   */
+  const setJournal = function(file) {
+    if (file === null || file === undefined) {
+      _state.journal = null;
+    } else {
+      _state.journal = new MutationJournal(file);
+    }
+  };
+
+  /**
+   * Start (or stop) recording every request sent to IGC, along with its response, into a cassette -- or replaying
+   * the responses recorded in a cassette instead of sending requests to IGC at all, e.g. to capture real
+   * interactions with an environment once and then replay them deterministically in tests
+   *
+   * Credentials and cookies are scrubbed from everything recorded. When replaying, each request is matched to
+   * one that was recorded by its method, path and body (regardless of the order of the body's keys); a request that
+   * does not match anything recorded is rejected with an `unmatched-request` error (IGCUnmatchedRequestError) giving
+   * its method, path and normalised body. A connection must still be set, though nothing is sent through it while
+   * replaying.
+   *
+   * @see module:ibm-igc-rest.MockIGCServer
+   * @param {Object} options - or null to stop recording or replaying
+   * @param {string} options.mode - `record` (replacing anything already recorded in the cassette) or `replay`
+   * @param {string} options.directory - the directory holding the cassette
+   * @param {string} [options.name] - the name of the cassette, stored as a `<name>` sub-directory of the directory with a file per interaction (default: `default`)
+   * @example
+   * // record the interactions of a test once against a real environment...
+   * igcrest.setCassette({ mode: 'record', directory: './test/cassettes', name: 'find-terms' });
+   * // ... and from then on replay them, without needing the environment
+   * igcrest.setConnection(new commons.RestConnection("isadmin", "unused", "igc.example.com", 9443));
+   * igcrest.setCassette({ mode: 'replay', directory: './test/cassettes', name: 'find-terms' });
+   */
+  const setCassette = function(options) {
+    if (options === null || options === undefined) {
+      _state.cassette = null;
+    } else {
+      _state.cassette = new Cassette(options.mode, options.directory, options.name);
+    }
+  };
+
+  /**
+   * Add an interceptor to the chain through which every request to IGC is sent (including each retry), e.g. to add
+   * headers, log requests, or rewrite responses
+   *
+   * Interceptors are run in the order they were added: each is given the request and a `next` function that passes
+   * the request on to the rest of the chain (and ultimately to IGC), and returns the response (or a Promise of it).
+   * An interceptor can change the request before calling `next`, change the response returned by `next`, or return
+   * a response of its own without calling `next` at all.
+   *
+   * Requests recorded in dry-run mode are not sent, so are not intercepted.
+   *
+   * @see module:ibm-igc-rest.Interceptors
+   * @param {interceptor} interceptor
+   * @example
+   * // add a header for the reverse proxy, and strip an unwanted property from every response
+   * igcrest.use(function(req, next) {
+   *   req.headers["X-Proxy-Route"] = "igc";
+   *   return next(req).then(function(res) {
+   *     if (res.body !== null && typeof res.body === 'object') {
+   *       delete res.body._url;
+   *     }
+   *     return res;
+   *   });
+   * });
+   */
+  const use = function(interceptor) {
+    if (typeof interceptor !== "function") {
+      throw new Error("An interceptor must be a function.");
+    }
+    _state.interceptors.push(interceptor);
+  };
+
+  /**
+   * Remove an interceptor from the chain through which requests are sent
+   *
+   * @see module:ibm-igc-rest.use
+   * @param {interceptor} interceptor - the interceptor previously provided to `use`
+   */
+  const removeInterceptor = function(interceptor) {
+    const index = _state.interceptors.indexOf(interceptor);
+    if (index >= 0) {
+      _state.interceptors.splice(index, 1);
+    }
+  };
+
+  /**
+   * Listen for events from this client:
+   * - `session-renewed`: the session expired (or became invalid) and has been re-opened, with the `method` and `path`
+   *   of the request that found it had expired, and the `generation` of the new session (1 for the first renewal)
+   * - `request`: a request to IGC has completed (after any retries), with its `method`, `path` and `endpoint` (as in
+   *   `getStats`), the `statusCode` of its final response (if any), the `errorKind` if it failed, its `durationMs`,
+   *   the number of `attempts` and `retries`, and the `bytesSent` and `bytesReceived`
+   *
+   * @param {string} event - the name of the event
+   * @param {Function} listener - invoked with the details of each event
+   */
+  const on = function(event, listener) {
+    _state.events.on(event, listener);
+  };
+
+  /**
+   * Listen for only the next occurrence of an event from this client
+   *
+   * @see module:ibm-igc-rest.on
+   * @param {string} event - the name of the event
+   * @param {Function} listener - invoked with the details of the event
+   */
+  const once = function(event, listener) {
+    _state.events.once(event, listener);
+  };
+
+  /**
+   * Stop listening for an event from this client
+   *
+   * @see module:ibm-igc-rest.on
+   * @param {string} event - the name of the event
+   * @param {Function} listener - the listener previously provided to `on` or `once`
+   */
+  const off = function(event, listener) {
+    _state.events.removeListener(event, listener);
   };
 
   /**
    * Setup a re-usable session against the IGC REST API -- a connection must first
    * be setup
+   *
+   * Should the session later expire (or otherwise become invalid), it is transparently renewed: the request that
+   * found it had expired (and any others made in the meantime) is sent again once a new session has been opened.
+   *
    * @see module:ibm-igc-rest.setConnection
    * @see module:ibm-igc-rest.closeSession
    *
@@ -72,12 +602,17 @@ const RestIGC = (function() {
     return new Promise(function(resolve, reject) {
       // basically we'll setup a new session by running a very simple search,
       // and picking up the session cookie from the returned response
-      makeRequest('POST', "/ibm/iis/igc-rest/v1/search/", {"types":['label'],"properties":['name']}, 'application/json').then(function(results) {
-        if (results.res.hasOwnProperty("headers") && results.res.headers.hasOwnProperty("set-cookie")) {
-          _restConnect.markSessionOpen();
+      _sendRequest('POST', "/ibm/iis/igc-rest/v1/search/", {"types":['label'],"properties":['name']}, 'application/json', null, null, { sessionBootstrap: true }).then(function(results) {
+        // (headers is not an own property of responses in more recent versions of Node)
+        if (results.res.headers && results.res.headers.hasOwnProperty("set-cookie")) {
+          _state.restConnect.markSessionOpen();
           resolve();
         } else {
-          reject("ERROR: Unable to open a session.");
+          reject(new IGCRestError.IGCAuthError("Unable to open a session: no session cookie was returned.", {
+            statusCode: results.res.statusCode,
+            method: 'POST',
+            path: "/ibm/iis/igc-rest/v1/search/"
+          }));
         }
       }, function(failure) {
         reject(failure);
@@ -85,6 +620,30 @@ const RestIGC = (function() {
     });
   };
 
+  /**
+   * Re-open an expired session (only once, however many requests find that it has expired)
+   *
+   * @param {string} method - the method of the request that found the session had expired
+   * @param {string} path - the path of the request that found the session had expired
+   * @returns {Promise} resolved once the new session is open
+   */
+  const _renewSession = function(method, path) {
+    if (_state.sessionRenewal === null) {
+      _state.restConnect.markSessionClosed();
+      // Discard the expired session cookie
+      _state.request = request.defaults({ jar: request.jar() });
+      _state.sessionRenewal = openSession().then(function() {
+        _state.sessionRenewal = null;
+        _state.sessionGeneration++;
+        _state.events.emit('session-renewed', { method: method, path: path, generation: _state.sessionGeneration });
+      }, function(failure) {
+        _state.sessionRenewal = null;
+        throw failure;
+      });
+    }
+    return _state.sessionRenewal;
+  };
+
   /**
    * Logout of (close) a re-usable session against the IGC REST API
    * @see module:ibm-igc-rest.setConnection
@@ -94,35 +653,61 @@ const RestIGC = (function() {
    */
   const closeSession = function() {
     return new Promise(function(resolve, reject) {
-      getOther("/ibm/iis/igc-rest/v1/logout/", 200).then(function(success) {
-        _restConnect.markSessionClosed();
+      getOther("/ibm/iis/igc-rest/v1/logout/", 200).then(function() {
+        _state.restConnect.markSessionClosed();
         resolve();
       }, function(failure) {
-        reject("ERROR: Unable to close session -- " + JSON.stringify(failure));
+        reject(failure);
       });
     });
   };
 
   /**
-   * Replace any variables (text that starts with `$`) that show up in a query
+   * Replace any variables (text that starts with `$`) that show up in a query, including
+   * within nested groups of conditions
    *
+   * @see module:ibm-igc-rest.query
    * @param {Object} json - the query (as a JSON object)
    * @param {Dict} variables - a dictionary indexed by variable name
    * @returns {Object}
    */
   const replaceQueryVars = function(json, variables) {
     if (json.hasOwnProperty("where")) {
-      for (let i = 0; i < json.where.conditions.length; i++ ) {
-        if (json.where.conditions[i].hasOwnProperty("value")) {
-          let value = json.where.conditions[i].value;
-          if (value.indexOf("$") === 0) {
-            value = value.substring(1, value.length);
-            json.where.conditions[i].value = variables[value];
+      _replaceConditionVars(json.where, variables);
+    }
+    return json;
+  };
+
+  const _replaceConditionVars = function(group, variables) {
+    for (let i = 0; i < group.conditions.length; i++ ) {
+      const condition = group.conditions[i];
+      if (condition.hasOwnProperty("conditions")) {
+        _replaceConditionVars(condition, variables);
+      } else {
+        const keys = [ "value", "min", "max" ];
+        for (let j = 0; j < keys.length; j++) {
+          const value = condition[keys[j]];
+          if (typeof value === "string" && value.indexOf("$") === 0) {
+            condition[keys[j]] = variables[value.substring(1, value.length)];
           }
         }
       }
     }
-    return json;
+  };
+
+  /**
+   * Start building a query, for use with `search` (or `searchIterator`, `searchStream`)
+   *
+   * @see QueryBuilder
+   * @param {...string} types - the IGC REST type(s) to search
+   * @returns {QueryBuilder}
+   * @example
+   * igcrest.search(igcrest.query('term').select('name').where('name', 'like %{0}%', 'Customer').pageSize(50)).then(function(results) {
+   *   // ...
+   * });
+   */
+  const query = function() {
+    return new QueryBuilder(Array.prototype.slice.call(arguments));
   };
   
   /**
@@ -163,14 +748,12 @@ const RestIGC = (function() {
    * @param {Object} res - the full response object from the request
    * @param {integer} statusCodeSuccess - the numeric status code that indicates success
    * @param {Function} reject - the reject function of the promise being handled
-   * @returns {string} a description of the error (if not using Promises)
+   * @returns {IGCRestError} the error (if not using Promises), or null if the request was successful
    */
   const _checkRequestError = function(res, statusCodeSuccess, reject) {
     let err = null;
     if (res.statusCode !== statusCodeSuccess) {
-      err = 'Unsuccessful request ' + res.statusCode;
-      err += '\n   response: ' + res.body;
-      err += '\n   request : ' + res.request.body;
+      err = IGCRestError.fromResponse(res);
       reject(err);
     }
     return err;
@@ -181,13 +764,13 @@ const RestIGC = (function() {
    *
    * @param {Object} json - the data returned from a query (as a JSON object)
    * @returns {Object} the single item returned
-   * @throws will throw an error if either no item or multiple items are found
+   * @throws {IGCRestError} will throw an error if either no item (`not-found`) or multiple items (`validation`) are found
    */
   const verifySingleItem = function(json) {
     if (json.items.length === 0) {
-      throw new Error("Did not find the entry to update.");
+      throw new IGCRestError.IGCNotFoundError("Did not find the entry to update.");
     } else if (json.items.length > 1) {
-      throw new Error("Found multiple entries to update.");
+      throw new IGCRestError.IGCValidationError("Found multiple entries to update.");
     }
     return json.items[0];
   };
@@ -197,11 +780,11 @@ const RestIGC = (function() {
    *
    * @param {Object} json - the data returned from a query (as a JSON object)
    * @returns {Object}
-   * @throws will throw an error if no items are found
+   * @throws {IGCRestError} will throw a `not-found` error if no items are found
    */
   const getSingleItem = function(json) {
     if (json.items.length === 0) {
-      throw new Error("Did not find the entry to update.");
+      throw new IGCRestError.IGCNotFoundError("Did not find the entry to update.");
     }
     return json.items[0];
   };
@@ -393,7 +976,7 @@ const RestIGC = (function() {
         let ctxType = ctxEntry._type;
         let ctxValue = ctxEntry._name;
         if (ctxType === 'data_file_folder') {
-          folderPath = ctxValue + "/" + folderPath
+          folderPath = ctxValue + "/" + folderPath;
         } else {
           if (replacements.hasOwnProperty(ctxType)) {
             ctxValue = replacements[ctxType];
@@ -434,13 +1017,15 @@ const RestIGC = (function() {
           console.log("WARN: Multiple items found with query -- returning first item.  " + JSON.stringify(q));
           resolve(resSearch.items[0]._id);
         } else {
-          reject("No items found with query: " + JSON.stringify(q));
+          reject(new IGCRestError.IGCNotFoundError("No items found with query: " + JSON.stringify(q)));
         }
+      }, function(failure) {
+        reject(failure);
       });
 
     });
 
-  }
+  };
 
   /**
    * Retrieves an asset's `_context` based on its RID and type
@@ -471,13 +1056,13 @@ const RestIGC = (function() {
           console.log("WARN: Multiple items found with RID '" + rid + "' -- returning first item.");
           resolve(itemWithCtx.items[0]._context);
         } else {
-          reject("No items found with RID: " + rid);
+          reject(new IGCRestError.IGCNotFoundError("No items found with RID: " + rid));
         }
       }, function(failure) {
         reject(failure);
       });
     });
-  }
+  };
 
   /**
    * Adds a relationship to the provided asset
@@ -511,7 +1096,7 @@ const RestIGC = (function() {
       "properties": [ "name" ],
       "types": [ replaceType ],
       "where": {
-        "conditions": conditions,
+        "conditions": (conditions ? conditions.slice() : []),
         "operator": "and"
       },
       "pageSize": (batch ? batch : 100)
@@ -522,8 +1107,14 @@ const RestIGC = (function() {
       return new Promise(function(resolve, reject) {
         //console.log("Querying all items with: " + JSON.stringify(qAll));
         search(qAll).then(function(resItem) {
+          let item = null;
+          try {
+            item = getSingleItem(resItem);
+          } catch (err) {
+            return reject(err);
+          }
           // First get all of the existing relationships
-          getAllPages(resItem[relnProperty].items, resItem[relnProperty].paging).then(function(allRelns) {
+          getAllPages(item[relnProperty].items, item[relnProperty].paging).then(function(allRelns) {
             // Focus only on the subset of these that have the type we need to replace
             const aReplacementTypeRIDs = [];
             const aAllRelnRIDs = [];
@@ -534,7 +1125,7 @@ const RestIGC = (function() {
               aAllRelnRIDs.push(allRelns[i]._id);
             }
             // Further restrict replacement search by these RIDs
-            qReplace.conditions.push({
+            qReplace.where.conditions.push({
               "value": aReplacementTypeRIDs,
               "operator": "in",
               "property": "_id"
@@ -549,17 +1140,17 @@ const RestIGC = (function() {
                   "mode": "replace"
                 };
                 const aRIDsToDrop = _.pluck(allReplace, "_id");
-                u[relnProperty].items = _.difference(aAllRelnRIDs, aRIDsToDrop);
+                u[relnProperty].items = _.union(_.difference(aAllRelnRIDs, aRIDsToDrop), toAssetRIDs);
                 //console.log(" --> would update '" + fromAsset._id + "' with: " + JSON.stringify(u));
                 update(fromAsset._id, u).then(function(updateResult) {
                   resolve(updateResult);
                 }, function (failure) {
                   reject(failure);
                 });
-              });
-            });
-          });
-        });
+              }, reject);
+            }, reject);
+          }, reject);
+        }, reject);
       });
     } else {
       // If a simple append or replace all, just do the update directly
@@ -572,11 +1163,82 @@ const RestIGC = (function() {
       return update(fromAsset._id, u);
     }
 
-  }
+  };
+
+  /**
+   * Close any files that were to be uploaded by a multipart request that will not be sent
+   *
+   * @param {Object} formData
+   */
+  const _closeUploads = function(formData) {
+    _.each(formData, function(field) {
+      if (field && field.value && typeof field.value.destroy === 'function') {
+        field.value.destroy();
+      }
+    });
+  };
+
+  /**
+   * Determines whether a request can safely be repeated (GETs and searches) -- other than the GET that starts
+   * lineage detection for a job, which does work on the server (so is recorded in dry-run mode, and retried only
+   * as a mutating request)
+   *
+   * @param {string} method
+   * @param {string} path
+   * @returns {boolean}
+   */
+  const _isIdempotentRequest = function(method, path) {
+    if (method === 'GET') {
+      return (path.indexOf("/igc-rest/v1/flows/detectFlows/") === -1);
+    }
+    return (method === 'POST' && path.indexOf("/igc-rest/v1/search") !== -1);
+  };
+
+  /**
+   * Determines whether the outcome of a request is a transient failure that the policy allows to be retried
+   *
+   * @param {RetryPolicy} policy
+   * @param {Object} error - any error from the request
+   * @param {Object} response - the full response object from the request
+   * @returns {boolean}
+   */
+  const _isRetryable = function(policy, error, response) {
+    if (error !== null) {
+      return policy.retryOnErrors.includes(error.code);
+    }
+    return policy.retryOnStatus.includes(response.statusCode);
+  };
+
+  /**
+   * Calculates how long to wait before the next attempt, honouring any `Retry-After` from the server (though
+   * never waiting longer than the policy's `maxDelay`)
+   *
+   * @param {RetryPolicy} policy
+   * @param {integer} attempt - the number of the attempt that just failed (starting at 1)
+   * @param {Object} [response] - the full response object from the failed attempt
+   * @returns {integer} the number of milliseconds to wait
+   */
+  const _getRetryDelay = function(policy, attempt, response) {
+    if (response && response.headers && response.headers.hasOwnProperty("retry-after")) {
+      const retryAfter = response.headers["retry-after"];
+      if (/^\d+$/.test(retryAfter)) {
+        return Math.min(policy.maxDelay, parseInt(retryAfter, 10) * 1000);
+      }
+      const retryAt = Date.parse(retryAfter);
+      if (!isNaN(retryAt)) {
+        return Math.min(policy.maxDelay, Math.max(0, retryAt - Date.now()));
+      }
+    }
+    const backoff = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+    return Math.round(backoff * (1 - policy.jitter * Math.random()));
+  };
 
   /**
    * Make a request against IGC's REST API
    *
+   * Requests are queued according to the configured concurrency limits, and transient failures are retried
+   * according to the configured retry policies.
+   *
    * @see module:ibm-igc-rest.setServer
    * @see module:ibm-igc-rest.setAuth
    * @param {string} method - type of request, one of [`GET`, `PUT`, `POST`, `DELETE`]
@@ -585,76 +1247,450 @@ const RestIGC = (function() {
    * @param {string} [contentType] - the type of content, e.g. `application/json` or `application/xml`
    * @param {string} [drillDown] - the key into which to drill-down within the response
    * @param {requestCallback} callback - callback that handles the response
+   * @param {Object} [options] - options for this request alone, as for `withOptions` (e.g. its own `timeout` or `signal`)
    * @throws will throw an error if connectivity details are incomplete or there is a fatal error during the request
+   * @see module:ibm-igc-rest.setConcurrency
+   * @see module:ibm-igc-rest.setRetryPolicy
+   * @see module:ibm-igc-rest.use
+   * @see module:ibm-igc-rest.withOptions
    */
-  const makeRequest = function(method, path, input, contentType, drillDown, callback) {
+  const makeRequest = function(method, path, input, contentType, drillDown, callback, options) {
+    if (typeof options !== 'undefined' && options !== null) {
+      return withOptions(options).makeRequest(method, path, input, contentType, drillDown, callback);
+    }
+    if (_state.plan !== null && !_isIdempotentRequest(method, path)) {
+      return _recordRequest(method, path, input, contentType, drillDown, callback);
+    }
+    return _sendRequest(method, path, input, contentType, drillDown, callback);
+  };
 
+  /**
+   * Record a request into the dry-run plan rather than sending it, responding as IGC would to a successful request
+   * @private
+   */
+  const _recordRequest = function(method, path, input, contentType, drillDown, callback) {
     callback = callback || function () {};
-    return new Promise(function(resolve, reject) {
+    const res = _state.plan.record(method, path, input, contentType);
+    const body = (typeof drillDown !== 'undefined' && drillDown !== null) ? res.body[drillDown] : res.body;
+    callback(res, body);
+    return Promise.resolve({ res: res, body: body });
+  };
+
+  /**
+   * Pass a request through the chain of interceptors, and finally to the provided function to send it
+   * @private
+   */
+  const _intercept = function(req, transmit) {
+    const interceptors = _state.interceptors.slice();
+    const dispatch = function(index, req) {
+      if (index >= interceptors.length) {
+        return transmit(req);
+      }
+      return Promise.resolve().then(function() {
+        return interceptors[index](req, function(nextReq) {
+          return dispatch(index + 1, nextReq || req);
+        });
+      }).then(function(res) {
+        if (res === undefined || res === null) {
+          throw new IGCRestError("An interceptor did not return a response (" + req.method + " " + req.uri + ").", { method: req.method });
+        }
+        return res;
+      });
+    };
+    return dispatch(0, req);
+  };
+
+  /**
+   * Send a request to IGC (queued according to the configured concurrency limits, retried according to the
+   * configured retry policies, and passed through any interceptors)
+   *
+   * @param {Object} [settings]
+   * @param {boolean} [settings.sessionBootstrap] - whether this is the request that opens a session
+   * @private
+   */
+  const _sendRequest = function(method, path, input, contentType, drillDown, callback, settings) {
+
+    callback = callback || function () {};
+    settings = settings || {};
+    return new Promise(function(resolvePromise, rejectPromise) {
+
+      const signal = _callOptions.signal || null;
+      const timeout = _callOptions.hasOwnProperty("timeout") ? _callOptions.timeout : _state.timeout;
+      // Once the request has settled (including by timing out or being cancelled) any later outcome is ignored
+      let bSettled = false;
+      let timeoutTimer = null;
+      let backoffTimer = null;
+      // The scheduler's handle on the attempt while it is queued, and the attempt while it is being sent
+      let queued = null;
+      let inFlight = null;
+      const metrics = { started: Date.now(), attempts: 0, retries: 0, bytesSent: 0, bytesReceived: 0 };
+
+      const record = function(statusCode, errorKind) {
+        const duration = Date.now() - metrics.started;
+        _state.metrics.recordCall(method, path, { duration: duration, retries: metrics.retries, statusCode: statusCode, errorKind: errorKind });
+        _state.events.emit('request', {
+          method: method,
+          path: path,
+          endpoint: RequestMetrics.getEndpoint(method, path),
+          statusCode: statusCode,
+          errorKind: errorKind,
+          durationMs: duration,
+          attempts: metrics.attempts,
+          retries: metrics.retries,
+          bytesSent: metrics.bytesSent,
+          bytesReceived: metrics.bytesReceived
+        });
+      };
+      const settle = function() {
+        bSettled = true;
+        clearTimeout(timeoutTimer);
+        clearTimeout(backoffTimer);
+        if (signal !== null) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const resolve = function(value) {
+        settle();
+        record(value.res.statusCode, null);
+        resolvePromise(value);
+      };
+      const reject = function(err) {
+        settle();
+        record(err.statusCode, err.kind || 'unexpected');
+        rejectPromise(err);
+      };
+      const fail = function(err) {
+        if (!bSettled) {
+          reject(err);
+          callback(err);
+        }
+      };
+      const abandon = function(err) {
+        if (bSettled) {
+          return;
+        }
+        if (queued !== null) {
+          queued.cancel(err);
+        }
+        if (inFlight !== null) {
+          if (inFlight.request !== null) {
+            inFlight.request.abort();
+          }
+          inFlight.done({ abandoned: true });
+        }
+        if (contentType === 'multipart/form-data') {
+          _closeUploads(input);
+        }
+        fail(err);
+      };
+      const onAbort = function() {
+        const details = { method: method, path: path };
+        if (signal.reason !== undefined) {
+          details.cause = signal.reason;
+        }
+        abandon(new IGCRestError.IGCCancelError("Request cancelled (" + method + " " + path + ").", details));
+      };
 
       const bInput = (typeof input !== 'undefined' && input !== null);
       const bDrillDown = (typeof drillDown !== 'undefined' && drillDown !== null);
-      
-      if (bInput) {
-        input = _prepValue(input, contentType);
-      }
     
-      if (typeof _restConnect === 'undefined' || _restConnect === undefined || _restConnect === null) {
-        reject(new Error("Setup incomplete: no connection found."));
-        return callback("Setup incomplete: no connection found.");
+      if (typeof _state.restConnect === 'undefined' || _state.restConnect === undefined || _state.restConnect === null) {
+        const err = new IGCRestError("Setup incomplete: no connection found.", { method: method, path: path });
+        reject(err);
+        return callback(err);
       }
   
       // Only pre-pend the base REST URL if the path is not already a fully-qualified URI
-      const uri = path.startsWith('http') ? path : _restConnect.baseURL + path;
+      const uri = path.startsWith('http') ? path : _state.restConnect.baseURL + path;
 
-      const opts = {
-        uri: uri,
-        method: method,
-        strictSSL: false,
-        agent: _restConnect.agent
+      // Send the request as it stands at the end of the chain of interceptors, resolving to the response with its
+      // body parsed
+      const transmit = function(req, bUsingSession) {
+        if (bSettled) {
+          return Promise.reject(new IGCRestError("Request abandoned (" + method + " " + path + ").", { method: method, path: path }));
+        }
+        const opts = {
+          uri: req.uri,
+          method: req.method,
+          headers: _.extend({}, req.headers),
+          strictSSL: false,
+          agent: _state.restConnect.agent
+        };
+        if (!bUsingSession) {
+          // Authorisation header should only be included the first time
+          // (when session has not been created); if a session exists, use it instead
+          opts.auth = _state.restConnect.auth;
+        }
+        if (typeof req.body !== 'undefined' && req.body !== null) {
+          if (req.contentType !== 'multipart/form-data') {
+            const prepped = _prepValue(req.body, req.contentType);
+            opts.headers['Content-Type'] = req.contentType;
+            opts.headers['Content-Length'] = Buffer.byteLength(prepped);
+            opts.body = prepped;
+          } else {
+            opts.formData = req.body;
+          }
+        }
+        const bytesSent = (typeof opts.body !== 'undefined') ? Buffer.byteLength(opts.body) : 0;
+        const sentAt = Date.now();
+        metrics.attempts++;
+        if (_state.cassette !== null && _state.cassette.mode === 'replay') {
+          return new Promise(function(resolveResponse) {
+            // Respond as recorded, rather than sending the request to IGC
+            if (req.contentType === 'multipart/form-data') {
+              _closeUploads(req.body);
+            }
+            const response = _state.cassette.replay(req);
+            const bytesReceived = Buffer.byteLength(JSON.stringify(response.body));
+            metrics.bytesSent += bytesSent;
+            metrics.bytesReceived += bytesReceived;
+            _state.metrics.recordAttempt(method, path, Date.now() - sentAt, bytesSent, bytesReceived);
+            resolveResponse(response);
+          });
+        }
+        return new Promise(function(resolveResponse, rejectResponse) {
+          const sent = _state.request(opts, function(error, response, body) {
+            const bytesReceived = (typeof body === 'string' || Buffer.isBuffer(body)) ? Buffer.byteLength(body) : 0;
+            metrics.bytesSent += bytesSent;
+            metrics.bytesReceived += bytesReceived;
+            _state.metrics.recordAttempt(method, path, Date.now() - sentAt, bytesSent, bytesReceived);
+            if (error !== null) {
+              return rejectResponse(error);
+            } else if (body === "") {
+              response.body = {};
+            } else {
+              try {
+                response.body = JSON.parse(body);
+              } catch (e) {
+                if (response.statusCode < 400) {
+                  return rejectResponse(new IGCRestError("Unable to parse response as JSON: " + e.message, {
+                    statusCode: response.statusCode,
+                    method: method,
+                    path: path
+                  }));
+                }
+                // Leave unparseable error responses (e.g. HTML error pages) for the caller to report
+                response.body = body;
+              }
+            }
+            if (_state.cassette !== null && _state.cassette.mode === 'record') {
+              _state.cassette.record(req, response);
+            }
+            resolveResponse(response);
+          });
+          if (inFlight !== null) {
+            inFlight.request = sent;
+          }
+        });
       };
 
-      if (!_restConnect.sessionStatus) {
-        // Authorisation header should only be included the first time
-        // (when session has not been created); if a session exists, use it instead
-        opts.auth = _restConnect.auth;
-      }
+      const bIdempotent = _isIdempotentRequest(method, path);
+      const policy = bIdempotent ? _state.retryPolicies.idempotent : _state.retryPolicies.mutating;
+      const priority = bIdempotent ? _state.requestPriorities.read : _state.requestPriorities.write;
+      // Uploaded files are streamed, so cannot be re-sent
+      const bCanRetry = (contentType !== 'multipart/form-data');
+      let bRenewed = false;
 
-      if (bInput) {
-        if (contentType !== 'multipart/form-data') {
-          opts.headers = {
-            'Content-Type': contentType,
-            'Content-Length': input.length
-          };
-          opts.body = input;
-        } else {
-          opts.formData = input;
+      const attemptRequest = function(attempt) {
+
+        if (bSettled) {
+          return;
         }
-      }
 
-      request(opts, function(error, response, body) {
-
-        let retVal = {};
-        retVal.res = response;
-        if (error !== null) {
-          reject(error);
-          return callback(error);
-        } else if (body === "") {
-          retVal.body = {};
-        } else if (bDrillDown) {
-          retVal.body = JSON.parse(body)[drillDown];
-        } else {
-          retVal.body = JSON.parse(body);
+        if (_state.sessionRenewal !== null && !settings.sessionBootstrap) {
+          // Wait for the new session, rather than opening yet another one with the authorisation header
+          _state.sessionRenewal.then(function() {
+            attemptRequest(attempt);
+          }, fail);
+          return;
         }
-        resolve(retVal);
-        return callback(retVal.res, retVal.body);
-  
-      });
+
+        let bUsingSession = false;
+        let generation = _state.sessionGeneration;
+        queued = {};
+
+        // Each attempt is intercepted afresh, from the request as originally made
+        const req = {
+          method: method,
+          uri: uri,
+          headers: {},
+          body: (bInput && contentType !== 'multipart/form-data' && typeof input === 'object') ? JSON.parse(JSON.stringify(input)) : (bInput ? input : null),
+          contentType: contentType,
+          attempt: attempt
+        };
+
+        // Retries are re-queued, so that requests waiting to back-off do not hold up others
+        _state.scheduler.schedule(function() {
+          queued = null;
+          if (_state.sessionRenewal !== null && !settings.sessionBootstrap) {
+            // The session started being renewed while this request was queued
+            return Promise.resolve({ deferred: true });
+          }
+          if (timeout > 0 && timeoutTimer === null) {
+            // The time allowed runs from when the request is first sent (not while it waits in the queue), across any retries
+            timeoutTimer = setTimeout(function() {
+              abandon(new IGCRestError.IGCTimeoutError("Request timed out after " + timeout + "ms (" + method + " " + path + ").", { method: method, path: path }));
+            }, timeout);
+          }
+          bUsingSession = _state.restConnect.sessionStatus;
+          generation = _state.sessionGeneration;
+          return new Promise(function(done) {
+            inFlight = { request: null, done: done };
+            _intercept(req, function(finalReq) {
+              return transmit(finalReq, bUsingSession);
+            }).then(function(response) {
+              inFlight = null;
+              done({ error: null, response: response });
+            }, function(error) {
+              inFlight = null;
+              done({ error: error, response: null });
+            });
+          });
+        }, priority, queued).then(function(outcome) {
+
+          if (bSettled || outcome.abandoned) {
+            return;
+          } else if (outcome.deferred) {
+            return attemptRequest(attempt);
+          }
+
+          const error = outcome.error;
+          const response = outcome.response;
+
+          if (error === null && response.statusCode === 401 && bUsingSession && bCanRetry && !bRenewed) {
+            // The session has expired: renew it (unless another request already has) and send this request again
+            bRenewed = true;
+            const renewal = (generation === _state.sessionGeneration) ? _renewSession(method, path) : Promise.resolve();
+            renewal.then(function() {
+              attemptRequest(attempt);
+            }, fail);
+            return;
+          }
+
+          if (bCanRetry && attempt <= policy.retries && _isRetryable(policy, error, response)) {
+            const delay = _getRetryDelay(policy, attempt, response);
+            if (_state.onRetry !== null) {
+              _state.onRetry({
+                method: method,
+                path: path,
+                attempt: attempt,
+                delay: delay,
+                error: error,
+                statusCode: (response ? response.statusCode : null)
+              });
+            }
+            metrics.retries++;
+            backoffTimer = setTimeout(function() { attemptRequest(attempt + 1); }, delay);
+            return;
+          }
+
+          if (error !== null) {
+            const err = (error instanceof IGCRestError) ? error : IGCRestError.fromRequestError(error, method, path);
+            reject(err);
+            return callback(err);
+          }
+
+          // Responses provided by an interceptor need only have a status code
+          _.defaults(response, { headers: {}, body: {}, request: { method: method, path: path } });
+          let retVal = {};
+          retVal.res = response;
+          if (bDrillDown && response.body !== null && typeof response.body === 'object' && !_.isEmpty(response.body)) {
+            retVal.body = response.body[drillDown];
+          } else {
+            retVal.body = response.body;
+          }
+          resolve(retVal);
+          return callback(retVal.res, retVal.body);
+
+        }, function() {
+          // Removed from the queue by timing out or being cancelled, which has already settled the request
+        });
+
+      };
+
+      if (signal !== null) {
+        if (signal.aborted) {
+          return onAbort();
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+      attemptRequest(1);
 
     });
   
   };
   
+  /**
+   * Execute a plan of changes previously recorded in dry-run mode, sending each of its requests in order and
+   * stopping at the first that fails; placeholder RIDs for assets created by the plan are replaced by the RIDs
+   * of the assets actually created
+   *
+   * Each request is sent as the function that recorded it would have sent it, so updates are journaled (while
+   * journaling), and in dry-run mode the requests are recorded into the current plan rather than being sent.
+   *
+   * @see module:ibm-igc-rest.setDryRun
+   * @param {MutationPlan|Object|string} plan - the plan (or its JSON, e.g. as previously saved to a file)
+   * @param {requestCallback} [callback] - optional callback that handles the response (if not using Promises)
+   * @returns {Promise} when resolved contains an array with the `step`, `statusCode` and `body` of each request (and the `rid` of any asset created); when rejected the IGCRestError has the `step` that failed and the results of the steps `completed` before it
+   * @example
+   * const plan = igcrest.MutationPlan.fromJSON(fs.readFileSync("changes.plan.json", "utf8"));
+   * igcrest.executePlan(plan).then(function(results) {
+   *   console.log("Made " + results.length + " changes.");
+   * });
+   */
+  const executePlan = function(plan, callback) {
+    callback = callback || function() {};
+    return new Promise(function(resolve, reject) {
+      try {
+        if (!(plan instanceof MutationPlan)) {
+          plan = MutationPlan.fromJSON(plan);
+        }
+      } catch (e) {
+        const err = new IGCRestError.IGCValidationError(e.message, { cause: e });
+        reject(err);
+        return callback(err);
+      }
+      const requests = plan.requests;
+      const completed = [];
+      const createdRIDs = {};
+      const fail = function(err, request) {
+        err.step = request.step;
+        err.completed = completed;
+        reject(err);
+        return callback(err);
+      };
+      const executeNext = function(index) {
+        if (index >= requests.length) {
+          resolve(completed);
+          return callback(null, completed);
+        }
+        const request = requests[index];
+        const prepared = MutationPlan.prepareRequest(request, createdRIDs);
+        const send = function() {
+          return makeRequest(request.method, prepared.path, prepared.input, request.contentType);
+        };
+        const updated = (request.method === 'PUT') ? /\/igc-rest\/v1\/assets\/([^\/?]+)$/.exec(prepared.path) : null;
+        const sent = (updated !== null && _state.journal !== null && _state.plan === null) ? _journalUpdate(_state.journal, updated[1], prepared.input, send) : send();
+        sent.then(function(results) {
+          if (results.res.statusCode !== request.expectedStatus) {
+            return fail(IGCRestError.fromResponse(results.res), request);
+          }
+          const result = { step: request.step, statusCode: results.res.statusCode, body: results.body };
+          if (request.hasOwnProperty("placeholder") && results.res.headers.hasOwnProperty("location")) {
+            const location = results.res.headers.location;
+            result.rid = location.substring(location.lastIndexOf("/") + 1);
+            createdRIDs[request.placeholder] = result.rid;
+          }
+          completed.push(result);
+          executeNext(index + 1);
+        }, function(failure) {
+          fail(failure, request);
+        });
+      };
+      executeNext(0);
+    });
+  };
+
   /**
    * Create an asset
    *
@@ -698,7 +1734,11 @@ const RestIGC = (function() {
   const update = function(rid, value, callback) {
     callback = callback || function() {};
     return new Promise(function(resolve, reject) {
-      makeRequest('PUT', "/ibm/iis/igc-rest/v1/assets/" + rid, value, 'application/json').then(function(results) {
+      const send = function() {
+        return makeRequest('PUT', "/ibm/iis/igc-rest/v1/assets/" + rid, value, 'application/json');
+      };
+      const sent = (_state.journal !== null && _state.plan === null) ? _journalUpdate(_state.journal, rid, value, send) : send();
+      sent.then(function(results) {
         const err = _checkRequestError(results.res, 200, reject);
         resolve(results.body);
         return callback(err, results.body);
@@ -709,17 +1749,275 @@ const RestIGC = (function() {
     });
   };
   
+  /**
+   * Journal an update: record the prior values of the properties being updated, send the update, and record its outcome
+   * @private
+   */
+  const _journalUpdate = function(journal, rid, value, send) {
+    return _capturePriorValues(rid, value).then(function(prior) {
+      const id = journal.begin(rid, prior.type, prior.before, value);
+      return send().then(function(results) {
+        if (results.res.statusCode === 200) {
+          journal.applied(id);
+        } else {
+          journal.failed(id, IGCRestError.fromResponse(results.res));
+        }
+        return results;
+      }, function(failure) {
+        journal.failed(id, failure);
+        throw failure;
+      });
+    });
+  };
+
+  /**
+   * Retrieve the current values of the properties an update will change, in the form of an update that would restore
+   * them (relationships are captured in full, across all pages, to be restored by replacement)
+   * @private
+   */
+  const _capturePriorValues = function(rid, value) {
+    const properties = Object.keys(value).filter(function(property) { return property.indexOf("_") !== 0; });
+    return _getAssetType(rid, value).then(function(type) {
+      if (properties.length === 0) {
+        return { type: type, before: {} };
+      }
+      return getAssetPropertiesById(rid, type, properties, 100, false).then(function(current) {
+        const before = {};
+        return Promise.all(properties.map(function(property) {
+          const updating = value[property];
+          const prior = current[property];
+          if (updating !== null && typeof updating === "object" && updating.hasOwnProperty("items")) {
+            const allRelns = (prior && Array.isArray(prior.items)) ? getAllPages(prior.items, prior.paging || {}) : Promise.resolve([]);
+            return allRelns.then(function(relns) {
+              before[property] = { "items": _.pluck(relns, "_id"), "mode": "replace" };
+            });
+          } else if (prior !== null && typeof prior === "object" && prior.hasOwnProperty("_id")) {
+            // a single related asset
+            before[property] = prior._id;
+          } else {
+            before[property] = (prior === undefined) ? null : prior;
+          }
+        })).then(function() {
+          return { type: type, before: before };
+        });
+      });
+    });
+  };
+
+  /**
+   * Determine the type of an asset: from the `_type` of an update to it where one is given, otherwise by searching
+   * for only its type (rather than retrieving the entire asset)
+   * @private
+   */
+  const _getAssetType = function(rid, value) {
+    if (typeof value._type === "string" && value._type !== "") {
+      return Promise.resolve(value._type);
+    }
+    return search({
+      "properties": [],
+      "types": [ "main_object" ],
+      "where": {
+        "conditions": [{
+          "property": "_id",
+          "operator": "=",
+          "value": rid
+        }],
+        "operator": "and"
+      },
+      "pageSize": 1
+    }).then(function(results) {
+      if (results.items.length === 0) {
+        throw new IGCRestError.IGCNotFoundError("No asset found with RID: " + rid);
+      }
+      return results.items[0]._type;
+    });
+  };
+
+  /**
+   * Undo the changes recorded in a journal, most recent first, by restoring the values each property had before it
+   * was changed (re-creating any relationships that were removed, and removing any that were added)
+   *
+   * Changes that failed or have already been undone are skipped, as are those whose outcome is unknown (e.g. because
+   * the process died before IGC responded) unless `includePending` is set; each change undone is marked as such in the
+   * journal, so the same journal can safely be undone again.
+   *
+   * @see module:ibm-igc-rest.setJournal
+   * @param {string} file - the journal file
+   * @param {Object} [options]
+   * @param {boolean} [options.includePending] - also undo changes whose outcome is unknown (default: false)
+   * @param {bulkProgressCallback} [options.onProgress] - invoked each time a change has been processed
+   * @param {bulkCallback} [callback] - optional callback that handles the report (if not using Promises)
+   * @returns {Promise} when resolved contains a BulkReport of the RIDs whose changes were undone, could not be undone, or were skipped
+   */
+  const undoJournal = function(file, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    callback = callback || function() {};
+    let mutations = null;
+    try {
+      mutations = MutationJournal.read(file).reverse();
+    } catch (e) {
+      const err = new IGCRestError.IGCValidationError("Unable to read journal '" + file + "': " + e.message, { cause: e });
+      callback(err);
+      return Promise.reject(err);
+    }
+    const journal = new MutationJournal(file);
+    const undoable = { "applied": true, "pending": (options.includePending === true) };
+    // One at a time, as later changes to the same asset must be undone before earlier ones
+    return _runBulk(mutations, { concurrency: 1, onProgress: options.onProgress }, callback, function(mutation) {
+      if (!undoable[mutation.status]) {
+        return { skipped: "The change was " + mutation.status + "." };
+      }
+      return makeRequest('PUT', "/ibm/iis/igc-rest/v1/assets/" + mutation.rid, mutation.before, 'application/json').then(function(results) {
+        if (results.res.statusCode !== 200) {
+          throw IGCRestError.fromResponse(results.res);
+        }
+        if (_state.plan === null) {
+          journal.undone(mutation.id);
+        }
+        return { result: results.body };
+      });
+    }, function(mutation) {
+      return mutation.rid;
+    });
+  };
+
+  /**
+   * Update many assets, with at most a bounded number of updates in progress at any one time; a failure
+   * to update one asset does not stop the others from being updated
+   *
+   * @see module:ibm-igc-rest.deleteMany
+   * @param {Object[]|string[]} items - the assets to update (as RIDs, or objects with an `_id`, such as search results)
+   * @param {Object|Function} valueOrFn - the set of data with which to update every asset, or a function that is given each item (and its RID) and returns the data with which to update it (or a Promise of that data) -- returning null or undefined skips the item
+   * @param {Object} [options]
+   * @param {integer} [options.concurrency] - maximum number of updates to have in progress at any one time (default: 5)
+   * @param {bulkProgressCallback} [options.onProgress] - invoked each time an item has been processed
+   * @param {bulkCallback} [callback] - optional callback that handles the report (if not using Promises)
+   * @returns {Promise} when resolved contains a BulkReport of the RIDs that succeeded, failed and were skipped (it is only ever rejected if the arguments are invalid)
+   * @example
+   * igcrest.updateMany(results.items, function(item) {
+   *   return { "short_description": "Table " + item._name };
+   * }, { concurrency: 10 }).then(function(report) {
+   *   report.failed.forEach(function(failure) { console.error(failure.rid + ": " + failure.error.message); });
+   * });
+   */
+  const updateMany = function(items, valueOrFn, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const getValue = (typeof valueOrFn === "function") ? valueOrFn : function() { return valueOrFn; };
+    return _runBulk(items, options, callback, function(item, rid) {
+      return Promise.resolve(getValue(item, rid)).then(function(value) {
+        if (value === null || value === undefined) {
+          return { skipped: "No update provided for the item." };
+        }
+        return update(rid, value).then(function(result) {
+          return { result: result };
+        });
+      });
+    });
+  };
+
+  /**
+   * Run an action against many items with bounded concurrency, collecting the outcome of each into a report; by
+   * default items are assets (or RIDs) and each asset is only processed once, otherwise `getRID` identifies the
+   * asset each item is about and every item is processed
+   * @private
+   */
+  const _runBulk = function(items, options, callback, action, getRID) {
+    const bUnique = (typeof getRID !== "function");
+    getRID = getRID || function(item) {
+      return (typeof item === "string") ? item : (item !== null && typeof item === "object" ? item._id : undefined);
+    };
+    options = options || {};
+    callback = callback || function() {};
+    const concurrency = options.hasOwnProperty("concurrency") ? options.concurrency : 5;
+    const onProgress = options.onProgress || null;
+    return new Promise(function(resolve, reject) {
+      if (!Array.isArray(items)) {
+        const err = new IGCRestError("The items to process must be provided as an array.");
+        reject(err);
+        return callback(err);
+      }
+      if (typeof concurrency !== "number" || concurrency < 1) {
+        const err = new IGCRestError("The concurrency must be a number of at least 1.");
+        reject(err);
+        return callback(err);
+      }
+      const report = { succeeded: [], failed: [], skipped: [] };
+      const seen = {};
+      let next = 0;
+      let processed = 0;
+      let active = 0;
+      const record = function(outcome, entry) {
+        report[outcome].push(entry);
+        processed++;
+        if (onProgress !== null) {
+          onProgress({ processed: processed, total: items.length, succeeded: report.succeeded.length, failed: report.failed.length, skipped: report.skipped.length });
+        }
+      };
+      const launch = function(item, rid) {
+        active++;
+        let outcome = null;
+        try {
+          outcome = Promise.resolve(action(item, rid));
+        } catch (e) {
+          outcome = Promise.reject(e);
+        }
+        outcome.then(function(done) {
+          if (done.hasOwnProperty("skipped")) {
+            record("skipped", { rid: rid, reason: done.skipped });
+          } else {
+            record("succeeded", { rid: rid, result: done.result });
+          }
+        }, function(failure) {
+          record("failed", { rid: rid, error: failure });
+        }).then(function() {
+          active--;
+          startNext();
+        });
+      };
+      const startNext = function() {
+        while (active < concurrency && next < items.length) {
+          const item = items[next++];
+          const rid = getRID(item);
+          if (_callOptions.signal && _callOptions.signal.aborted) {
+            record("skipped", { rid: rid, reason: "Cancelled." });
+          } else if (rid === undefined || rid === null || rid === "") {
+            record("skipped", { rid: null, item: item, reason: "The item has no RID." });
+          } else if (bUnique && seen.hasOwnProperty(rid)) {
+            record("skipped", { rid: rid, reason: "The item appears earlier in the list." });
+          } else {
+            seen[rid] = true;
+            launch(item, rid);
+          }
+        }
+        if (active === 0 && next >= items.length) {
+          resolve(report);
+          callback(null, report);
+        }
+      };
+      startNext();
+    });
+  };
+
   /**
    * Search IGC
    *
-   * @param {Object} query - the search to run against IGC (as a JSON object)
+   * @param {Object|QueryBuilder} query - the search to run against IGC (as a JSON object, or a query builder)
    * @param {requestCallback} [callback] - optional callback that handles the response (if not using Promises)
    * @returns {Promise} when resolved contains the results of the search
    */
   const search = function(query, callback) {
     callback = callback || function() {};
     return new Promise(function(resolve, reject) {
-      makeRequest('POST', "/ibm/iis/igc-rest/v1/search/", query, 'application/json').then(function(results) {
+      _validateIfStrict(query).then(function() {
+        return makeRequest('POST', "/ibm/iis/igc-rest/v1/search/", query, 'application/json');
+      }).then(function(results) {
         const err = _checkRequestError(results.res, 200, reject);
         resolve(results.body);
         return callback(err, results.body);
@@ -730,6 +2028,56 @@ const RestIGC = (function() {
     });
   };
   
+  /**
+   * Validate a query against the type metadata of the types it searches (retrieving, and caching, the details
+   * of each type it needs), checking:
+   * - that every property exists, including each step of dotted relationship paths (e.g. `database_schema.name`)
+   * - that each condition's operator can be used with the data type of its property
+   * - that values are of the right data type, and enumerated values are amongst the property's `validValues`
+   *
+   * @see module:ibm-igc-rest.setStrictMode
+   * @param {Object|QueryBuilder} query - the search to validate (as a JSON object, or a query builder)
+   * @param {requestCallback} [callback] - optional callback that handles the response (if not using Promises)
+   * @returns {Promise} when resolved contains an object with `valid` (boolean) and `errors` (array of objects, each with `location` within the query and `message`)
+   * @example
+   * igcrest.validateQuery({ "types": ["database_table"], "properties": ["database_schema.nmae"] }).then(function(result) {
+   *   // result.errors[0].message: "Property 'nmae' does not exist on type 'database_schema' (in path 'database_schema.nmae') -- did you mean 'name'?"
+   * });
+   */
+  const validateQuery = function(query, callback) {
+    callback = callback || function() {};
+    return new Promise(function(resolve, reject) {
+      new QueryValidator(getTypeDetails).validate(query).then(function(result) {
+        resolve(result);
+        return callback(null, result);
+      }, function(failure) {
+        reject(failure);
+        return callback(failure);
+      });
+    });
+  };
+
+  /**
+   * @param {Object|QueryBuilder} query
+   * @returns {Promise} resolved if not in strict mode or the query is valid, otherwise rejected with a `validation` error
+   */
+  const _validateIfStrict = function(query) {
+    if (!_state.strict) {
+      return Promise.resolve();
+    }
+    return validateQuery(query).then(function(result) {
+      if (!result.valid) {
+        const messages = _.map(result.errors, function(error) { return error.location + ": " + error.message; });
+        const err = new IGCRestError.IGCValidationError("Invalid query --\n  " + messages.join("\n  "), {
+          method: 'POST',
+          path: "/ibm/iis/igc-rest/v1/search/"
+        });
+        err.validationErrors = result.errors;
+        throw err;
+      }
+    });
+  };
+
   /**
    * Get a list of all of the IGC asset types
    *
@@ -739,10 +2087,178 @@ const RestIGC = (function() {
   const getTypes = function(callback) {
     callback = callback || function() {};
     return new Promise(function(resolve, reject) {
-      makeRequest('GET', "/ibm/iis/igc-rest/v1/types/").then(function(results) {
-        const err = _checkRequestError(results.res, 200, reject);
-        resolve(results.body);
-        return callback(err, results.body);
+      _getCachedMetadata("types", _fetchTypes).then(function(types) {
+        resolve(types);
+        return callback(null, types);
+      }, function(failure) {
+        reject(failure);
+        return callback(failure);
+      });
+    });
+  };
+
+  const _fetchTypes = function() {
+    return getOther("/ibm/iis/igc-rest/v1/types/", 200);
+  };
+
+  const _fetchTypeDetails = function(type) {
+    return getOther("/ibm/iis/igc-rest/v1/types/" + encodeURIComponent(type) + "?showViewProperties=true&showCreateProperties=true&showEditProperties=true", 200);
+  };
+
+  /**
+   * Retrieve the custom attributes defined on the server, for detecting the version of the type model (treating
+   * them as none if the user is not permitted to list them)
+   *
+   * @returns {Promise} when resolved contains the list of custom attributes
+   */
+  const _fetchAttributesForVersion = function() {
+    return getOther("/ibm/iis/igc-rest/v1/administration/attributes/?begin=0&pageSize=10000", 200).then(function(attributes) {
+      return Array.isArray(attributes) ? attributes : (attributes.items || []);
+    }, function(failure) {
+      if (failure.kind === 'auth') {
+        return [];
+      }
+      // Anything else (e.g. a transient failure) must not be mistaken for there being no custom attributes
+      throw failure;
+    });
+  };
+
+  /**
+   * Detect the version of the type model from the server's list of types and custom attributes
+   *
+   * @returns {Promise} when resolved contains the `version`, and the list of `types` it was detected from
+   */
+  const _detectMetadataVersion = function() {
+    return Promise.all([ _fetchTypes(), _fetchAttributesForVersion() ]).then(function(results) {
+      return { version: MetadataCache.fingerprint(results[0], results[1]), types: results[0] };
+    });
+  };
+
+  /**
+   * Determine the version of the type model against which metadata is cached (detecting it from
+   * the server, if it has not been provided)
+   *
+   * @returns {Promise} when resolved contains the version
+   */
+  const _resolveMetadataVersion = function() {
+    const cache = _state.metadataCache;
+    if (!_state.detectMetadataVersion) {
+      return Promise.resolve(cache.version);
+    }
+    if (_state.metadataVersion === null) {
+      _state.metadataVersion = _detectMetadataVersion().then(function(detected) {
+        cache.setVersion(detected.version);
+        cache.set("types", detected.types);
+        return cache.version;
+      }, function(failure) {
+        _state.metadataVersion = null;
+        throw failure;
+      });
+    }
+    return _state.metadataVersion;
+  };
+
+  /**
+   * Retrieve type metadata from the cache, or (if not cached) from the server -- caching it
+   *
+   * @param {string} key - the key of the metadata in the cache
+   * @param {Function} fetch - function that retrieves the metadata from the server, returning a Promise
+   * @returns {Promise} when resolved contains the metadata
+   */
+  const _getCachedMetadata = function(key, fetch) {
+    if (_state.metadataCache === null) {
+      return fetch();
+    }
+    if (!_state.pendingMetadata.hasOwnProperty(key)) {
+      const cache = _state.metadataCache;
+      const pending = _resolveMetadataVersion().then(function() {
+        const cached = cache.get(key);
+        if (cached !== undefined) {
+          return cached;
+        } else if (cache.offline) {
+          throw new IGCRestError.IGCNotFoundError("No type metadata for '" + key + "' found in the metadata cache (working offline).");
+        }
+        return fetch().then(function(value) {
+          cache.set(key, value);
+          return value;
+        });
+      });
+      const settled = function() {
+        if (_state.pendingMetadata[key] === pending) {
+          delete _state.pendingMetadata[key];
+        }
+      };
+      pending.then(settled, settled);
+      _state.pendingMetadata[key] = pending;
+    }
+    return _state.pendingMetadata[key];
+  };
+
+  /**
+   * Discard all cached type metadata (for the current version of the type model) -- e.g. once the model
+   * has been changed by deploying a bundle or custom attribute
+   */
+  const _invalidateMetadata = function() {
+    if (_state.metadataCache !== null && !_state.metadataCache.offline) {
+      _state.metadataCache.clear();
+      // ... and as the change may also have changed the version of the type model, detect it again
+      _state.metadataVersion = null;
+    }
+  };
+
+  /**
+   * Re-retrieve all type metadata from the server: the list of types, and the details of every type
+   * (replacing anything already in the metadata cache, if one has been configured)
+   *
+   * @see module:ibm-igc-rest.setMetadataCache
+   * @param {requestCallback} [callback] - optional callback that handles the response (if not using Promises)
+   * @returns {Promise} when resolved contains the details of every type
+   */
+  const refreshMetadataCache = function(callback) {
+    callback = callback || function() {};
+    return new Promise(function(resolve, reject) {
+      const cache = _state.metadataCache;
+      if (cache !== null && cache.offline) {
+        const err = new IGCRestError("Unable to refresh the metadata cache while working offline.");
+        reject(err);
+        return callback(err);
+      }
+      _state.pendingMetadata = {};
+      let fetched = null;
+      if (_state.detectMetadataVersion) {
+        // A detected version must be re-detected, as the type model may have changed
+        const detection = _detectMetadataVersion();
+        _state.metadataVersion = detection.then(function(detected) {
+          cache.setVersion(detected.version);
+          return detected.version;
+        }, function(failure) {
+          _state.metadataVersion = null;
+          throw failure;
+        });
+        fetched = _state.metadataVersion.then(function() {
+          return detection;
+        }).then(function(detected) {
+          return detected.types;
+        });
+      } else {
+        fetched = _fetchTypes();
+      }
+      fetched.then(function(types) {
+        if (cache !== null) {
+          cache.clear();
+          cache.set("types", types);
+        }
+        return Promise.all(types.map(function(type) {
+          return _fetchTypeDetails(type._id).then(function(details) {
+            if (cache !== null) {
+              cache.set("type/" + type._id, details);
+            }
+            return details;
+          });
+        }));
+      }).then(function(allDetails) {
+        resolve(allDetails);
+        return callback(null, allDetails);
       }, function(failure) {
         reject(failure);
         return callback(failure);
@@ -775,6 +2291,54 @@ const RestIGC = (function() {
     });
   };
   
+  /**
+   * Get the details of an asset type, including all of the properties that can be viewed, created and edited
+   * (the details of each type are cached in the metadata cache)
+   *
+   * @see module:ibm-igc-rest.setMetadataCache
+   * @param {string} type - the IGC REST type (e.g. `database_table`)
+   * @param {requestCallback} [callback] - optional callback that handles the response (if not using Promises)
+   * @returns {Promise} when resolved contains the type's details, with `viewInfo`, `createInfo` and `editInfo` properties
+   */
+  const getTypeDetails = function(type, callback) {
+    callback = callback || function() {};
+    return new Promise(function(resolve, reject) {
+      _getCachedMetadata("type/" + type, function() {
+        return _fetchTypeDetails(type);
+      }).then(function(details) {
+        resolve(details);
+        return callback(null, details);
+      }, function(failure) {
+        reject(failure);
+        return callback(failure);
+      });
+    });
+  };
+
+  /**
+   * Get the details of every asset type (as for `getTypeDetails`)
+   *
+   * @see module:ibm-igc-rest.getTypeDetails
+   * @param {requestCallback} [callback] - optional callback that handles the response (if not using Promises)
+   * @returns {Promise} when resolved contains an array of the details of every type
+   */
+  const getAllTypeDetails = function(callback) {
+    callback = callback || function() {};
+    return new Promise(function(resolve, reject) {
+      getTypes().then(function(types) {
+        return Promise.all(types.map(function(type) {
+          return getTypeDetails(type._id);
+        }));
+      }).then(function(allDetails) {
+        resolve(allDetails);
+        return callback(null, allDetails);
+      }, function(failure) {
+        reject(failure);
+        return callback(failure);
+      });
+    });
+  };
+
   /**
    * Make a general GET request against IGC's REST API
    *
@@ -818,9 +2382,34 @@ const RestIGC = (function() {
     });
   };
   
+  /**
+   * Delete many assets, with at most a bounded number of deletions in progress at any one time; a failure
+   * to delete one asset does not stop the others from being deleted
+   *
+   * @see module:ibm-igc-rest.updateMany
+   * @param {Object[]|string[]} items - the assets to delete (as RIDs, or objects with an `_id`, such as search results)
+   * @param {Object} [options]
+   * @param {integer} [options.concurrency] - maximum number of deletions to have in progress at any one time (default: 5)
+   * @param {bulkProgressCallback} [options.onProgress] - invoked each time an item has been processed
+   * @param {bulkCallback} [callback] - optional callback that handles the report (if not using Promises)
+   * @returns {Promise} when resolved contains a BulkReport of the RIDs that succeeded, failed and were skipped (it is only ever rejected if the arguments are invalid)
+   */
+  const deleteMany = function(items, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    return _runBulk(items, options, callback, function(item, rid) {
+      return deleteAssetById(rid).then(function(result) {
+        return { result: result };
+      });
+    });
+  };
+
   /**
    * Request IGC to detect lineage for a specific job (requires v11.5.0.1 GOVRUP3 or higher)
    * - Actual status comes from the "message" within the callback results: starts with SUCCESS, WARNING or FAILURE
+   * - In dry-run mode the request is recorded into the plan rather than sent
    *
    * @param {string} rid - the RID of the job for which to detect lineage
    * @param {requestCallback} [callback] - optional callback that handles the response (when not using Promises)
@@ -884,6 +2473,10 @@ const RestIGC = (function() {
       };
       makeRequest('POST', "/ibm/iis/igc-rest/v1/bundles", formData, 'multipart/form-data').then(function(results) {
         const err = _checkRequestError(results.res, 200, reject);
+        if (err === null && !MutationPlan.isSimulated(results.res)) {
+          // The type model has changed, so any cached type metadata is out-of-date
+          _invalidateMetadata();
+        }
         resolve(results.body);
         return callback(err, results.body);
       }, function(failure) {
@@ -917,6 +2510,10 @@ const RestIGC = (function() {
       };
       makeRequest('PUT', "/ibm/iis/igc-rest/v1/bundles", formData, 'multipart/form-data').then(function(results) {
         const err = _checkRequestError(results.res, 200, reject);
+        if (err === null && !MutationPlan.isSimulated(results.res)) {
+          // The type model has changed, so any cached type metadata is out-of-date
+          _invalidateMetadata();
+        }
         resolve(results.body);
         return callback(err, results.body);
       }, function(failure) {
@@ -961,6 +2558,10 @@ const RestIGC = (function() {
     return new Promise(function(resolve, reject) {
       makeRequest('POST', "/ibm/iis/igc-rest/v1/administration/attributes", json, 'application/json').then(function(results) {
         const err = _checkRequestError(results.res, 200, reject);
+        if (err === null && !MutationPlan.isSimulated(results.res)) {
+          // The type model has changed, so any cached type metadata is out-of-date
+          _invalidateMetadata();
+        }
         resolve(results.body);
         return callback(err, results.body);
       }, function(failure) {
@@ -985,6 +2586,10 @@ const RestIGC = (function() {
     return new Promise(function(resolve, reject) {
       makeRequest('PUT', "/ibm/iis/igc-rest/v1/administration/attributes/" + rid, json, 'application/json').then(function(results) {
         const err = _checkRequestError(results.res, 200, reject);
+        if (err === null && !MutationPlan.isSimulated(results.res)) {
+          // The type model has changed, so any cached type metadata is out-of-date
+          _invalidateMetadata();
+        }
         resolve(results.body);
         return callback(err, results.body);
       }, function(failure) {
@@ -1038,21 +2643,20 @@ const RestIGC = (function() {
       };
       search(json).then(function(results) {
         let assets = [];
-        let err = null;
+        // These are only warnings (the promise still resolves), so are logged rather than passed as an error
         if (results.items.length > 1) {
-          err = "WARN: Found more than one collection called '" + collectionName + "' -- only taking assets from the first one.";
-          console.warn(err);
+          console.warn("WARN: Found more than one collection called '" + collectionName + "' -- only taking assets from the first one.");
         }
         if (results.items.length > 0) {
           assets = results.items[0].assets.items;
         } else {
-          err = "WARN: No assets found in the collection '" + collectionName + "'.";
-          console.warn(err);
+          console.warn("WARN: No assets found in the collection '" + collectionName + "'.");
         }
         resolve(assets);
-        return callback(err, assets);
+        return callback(null, assets);
       }, function(error) {
         reject(error);
+        return callback(error);
       });
     });
   };
@@ -1126,10 +2730,8 @@ const RestIGC = (function() {
 
       search(json).then(function(results) {
         let toReturn = {};
-        let err = null;
         if (results.items.length > 1) {
-          err = "WARN: Found more than one asset with RID '" + rid + "' -- only returning the first one.";
-          console.warn(err);
+          console.warn("WARN: Found more than one asset with RID '" + rid + "' -- only returning the first one.");
         }
         if (results.items.length > 0) {
           if (bIncludeContext) {
@@ -1142,9 +2744,10 @@ const RestIGC = (function() {
           }
         }
         resolve(toReturn);
-        return callback(err, toReturn);
+        return callback(null, toReturn);
       }, function(error) {
-        reject(new Error("No assets found with RID '" + rid + "'.\n" + error));
+        reject(error);
+        return callback(error);
       });
 
     });
@@ -1202,6 +2805,41 @@ const RestIGC = (function() {
 
   };
 
+  /**
+   * Search IGC, iterating through the results one item at a time (retrieving further pages only as they are
+   * needed, so that very large result sets never need to be held in memory)
+   *
+   * @see module:ibm-igc-rest.searchStream
+   * @param {Object|QueryBuilder} query - the search to run against IGC (as a JSON object, or a query builder)
+   * @param {Object} [options]
+   * @param {integer} [options.maxItems] - stop after this many items (default: all items)
+   * @param {progressCallback} [options.onProgress] - invoked each time a page of results has been retrieved
+   * @returns {SearchIterator} an async iterable of the items matched by the search
+   * @example
+   * // with Node v10+
+   * for await (const column of igcrest.searchIterator({ "types": ["database_column"], "properties": ["name"] })) {
+   *   // do something with each column
+   * }
+   */
+  const searchIterator = function(query, options) {
+    return new SearchIterator(search, getNextPage, query, options);
+  };
+
+  /**
+   * Search IGC, streaming the results one item at a time (retrieving further pages only as they are
+   * needed, so that very large result sets never need to be held in memory)
+   *
+   * @see module:ibm-igc-rest.searchIterator
+   * @param {Object|QueryBuilder} query - the search to run against IGC (as a JSON object, or a query builder)
+   * @param {Object} [options]
+   * @param {integer} [options.maxItems] - stop after this many items (default: all items)
+   * @param {progressCallback} [options.onProgress] - invoked each time a page of results has been retrieved
+   * @returns {Readable} an object-mode stream of the items matched by the search
+   */
+  const searchStream = function(query, options) {
+    return searchIterator(query, options).toStream();
+  };
+
   /**
    * @returns true iff the provided type is a data container
    */
@@ -1219,29 +2857,98 @@ const RestIGC = (function() {
   /**
    * This callback is invoked as the result of obtaining a set of items, providing an array of items.
    * @callback itemSetCallback
-   * @param {string} errorMessage - any error message, or null if no errors
+   * @param {IGCRestError} error - any error, or null if no errors
    * @param {Object[]} itemArray - an array of JSON objects, each being an item
    */
 
   /**
    * This callback is invoked as the result of an IGC REST API call, providing the response of that request.
    * @callback requestCallback
-   * @param {string} errorMessage - any error message, or null if no errors
+   * @param {IGCRestError} error - any error, or null if no errors
    * @param {Object} responseObject - the JSON object containing the response
    */
   
   /**
    * This callback is invoked as the result of obtaining an object's identity, providing the response of that request.
    * @callback identityCallback
-   * @param {string} errorMessage - any error message, or null if no errors
+   * @param {IGCRestError} error - any error, or null if no errors
    * @param {Object} identityObject - the JSON object containing the identity
    */
 
+  /**
+   * The outcome of processing many items (e.g. through updateMany or deleteMany)
+   * @typedef {Object} BulkReport
+   * @property {Object[]} succeeded - each with the `rid` and the `result` of processing it
+   * @property {Object[]} failed - each with the `rid` and the `error` (IGCRestError) that prevented it from being processed
+   * @property {Object[]} skipped - each with the `rid` (null if the item has none) and the `reason` it was not processed
+   */
+
+  /**
+   * This callback is invoked once all of the items have been processed.
+   * @callback bulkCallback
+   * @param {IGCRestError} error - any error with the arguments, or null if no errors
+   * @param {BulkReport} report - the outcome of processing each item
+   */
+
+  /**
+   * This callback is invoked each time one of many items has been processed.
+   * @callback bulkProgressCallback
+   * @param {Object} progress - with `processed` and `total` numbers of items, and the numbers `succeeded`, `failed` and `skipped` so far
+   */
+
+  /**
+   * A policy for retrying transient failures
+   * @typedef {Object} RetryPolicy
+   * @property {integer} retries - maximum number of retries (0 to disable retrying)
+   * @property {integer} minDelay - milliseconds to wait before the first retry
+   * @property {integer} maxDelay - maximum milliseconds to wait between any two attempts (including when the server sends a `Retry-After`)
+   * @property {number} factor - multiplier applied to the delay for each subsequent retry
+   * @property {number} jitter - fraction (0-1) of the delay that may be randomly shaved off
+   * @property {integer[]} retryOnStatus - HTTP status codes that should be retried
+   * @property {string[]} retryOnErrors - socket error codes (e.g. `ECONNRESET`) that should be retried
+   */
+
+  /**
+   * This callback is invoked before each retry of a request.
+   * @callback retryCallback
+   * @param {Object} info - details of the retry: `method`, `path`, `attempt` (the attempt that failed), `delay` (ms before the next attempt), `error` (socket error, if any) and `statusCode` (if a response was received)
+   */
+
+  /**
+   * An interceptor, through which each request to IGC is sent.
+   * @callback interceptor
+   * @param {Object} req - the request, whose `method`, `uri`, `headers`, `body` (as provided, before being serialised) and `contentType` can be changed; also the `attempt` (starting at 1)
+   * @param {Function} next - passes the request (or a replacement for it) on through the rest of the chain, returning a Promise of the response
+   * @returns {Object|Promise} the response (or a Promise of it), with its `statusCode`, `headers` and `body` (already parsed from JSON)
+   */
+
   return {
     setConnection: setConnection,
+    setRetryPolicy: setRetryPolicy,
+    setConcurrency: setConcurrency,
+    setStrictMode: setStrictMode,
+    setMetadataCache: setMetadataCache,
+    setDryRun: setDryRun,
+    getPlan: getPlan,
+    executePlan: executePlan,
+    setJournal: setJournal,
+    setCassette: setCassette,
+    on: on,
+    once: once,
+    off: off,
+    undoJournal: undoJournal,
+    refreshMetadataCache: refreshMetadataCache,
+    getQueueStats: getQueueStats,
+    getStats: getStats,
+    resetStats: resetStats,
+    use: use,
+    removeInterceptor: removeInterceptor,
+    setRequestTimeout: setRequestTimeout,
+    withOptions: withOptions,
     openSession: openSession,
     closeSession: closeSession,
     replaceQueryVars: replaceQueryVars,
+    query: query,
     replaceRelatedUpdateVars: replaceRelatedUpdateVars,
     verifySingleItem: verifySingleItem,
     getSingleItem: getSingleItem,
@@ -1257,11 +2964,16 @@ const RestIGC = (function() {
     makeRequest: makeRequest,
     create: create,
     update: update,
+    updateMany: updateMany,
     search: search,
+    validateQuery: validateQuery,
     getTypes: getTypes,
     getAssetTypeNamesToIds: getAssetTypeNamesToIds,
+    getTypeDetails: getTypeDetails,
+    getAllTypeDetails: getAllTypeDetails,
     getOther: getOther,
     deleteAssetById: deleteAssetById,
+    deleteMany: deleteMany,
     detectLineageForJob: detectLineageForJob,
     uploadLineageFlow: uploadLineageFlow,
     getBundles: getBundles,
@@ -1277,13 +2989,41 @@ const RestIGC = (function() {
     getAssetPropertiesById: getAssetPropertiesById,
     getNextPage: getNextPage,
     getAllPages: getAllPages,
+    searchIterator: searchIterator,
+    searchStream: searchStream,
     isDataContainer: isDataContainer,
     getDataContainerChildTypes: getDataContainerChildTypes
   };
 
-})();
+};
+
+const RestIGC = createClient(null);
 
 module.exports = RestIGC;
+module.exports.createClient = createClient;
+module.exports.QueryBuilder = QueryBuilder;
+module.exports.MutationPlan = MutationPlan;
+module.exports.Interceptors = Interceptors;
+// Loaded only when used, so that applications do not pull in the mock server (and its dependencies) at runtime
+Object.defineProperty(module.exports, 'MockIGCServer', {
+  enumerable: true,
+  get: function() {
+    return require('./classes/mock-igc-server');
+  }
+});
+module.exports.TypeModel = TypeModel;
+module.exports.TypeModelDiff = TypeModelDiff;
+module.exports.DocumentationRenderer = DocumentationRenderer;
+module.exports.TypeGraph = TypeGraph;
+module.exports.IGCRestError = IGCRestError;
+module.exports.IGCNotFoundError = IGCRestError.IGCNotFoundError;
+module.exports.IGCAuthError = IGCRestError.IGCAuthError;
+module.exports.IGCValidationError = IGCRestError.IGCValidationError;
+module.exports.IGCServerError = IGCRestError.IGCServerError;
+module.exports.IGCNetworkError = IGCRestError.IGCNetworkError;
+module.exports.IGCTimeoutError = IGCRestError.IGCTimeoutError;
+module.exports.IGCCancelError = IGCRestError.IGCCancelError;
+module.exports.IGCUnmatchedRequestError = IGCRestError.IGCUnmatchedRequestError;
 
 if (typeof require === 'function') {
   module.exports.Conversion = Conversion;
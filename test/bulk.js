@@ -0,0 +1,177 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Bulk operations', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "t1", _type: "term", name: "Revenue" },
+      { _id: "t2", _type: "term", name: "Cost" },
+      { _id: "t3", _type: "term", name: "Margin" },
+      { _id: "t4", _type: "term", name: "Profit" },
+      { _id: "t5", _type: "term", name: "Loss" },
+      { _id: "t6", _type: "term", name: "Tax" }
+    ]
+  });
+  let client = null;
+
+  function rids(entries) {
+    return entries.map(function(entry) { return entry.rid; });
+  }
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('updates every asset with the same value', function() {
+    return client.updateMany([ "t1", { _id: "t2", _name: "Cost" } ], { short_description: "Finance" }).then(function(report) {
+      assert.deepStrictEqual(rids(report.succeeded).sort(), [ "t1", "t2" ]);
+      assert.deepStrictEqual(report.failed, []);
+      assert.deepStrictEqual(report.skipped, []);
+      assert.strictEqual(server.getAsset("t1").short_description, "Finance");
+      assert.strictEqual(server.getAsset("t2").short_description, "Finance");
+      assert.strictEqual(server.getAsset("t3").short_description, undefined);
+    });
+  });
+
+  it('updates each asset with the value returned for it, skipping those for which none is returned', function() {
+    const items = [ { _id: "t1", _name: "Revenue" }, { _id: "t2", _name: "Cost" } ];
+    return client.updateMany(items, function(item, rid) {
+      return (rid === "t2") ? null : Promise.resolve({ short_description: "About " + item._name });
+    }).then(function(report) {
+      assert.deepStrictEqual(rids(report.succeeded), [ "t1" ]);
+      assert.deepStrictEqual(report.skipped, [ { rid: "t2", reason: "No update provided for the item." } ]);
+      assert.strictEqual(server.getAsset("t1").short_description, "About Revenue");
+      assert.strictEqual(server.getAsset("t2").short_description, undefined);
+    });
+  });
+
+  it('carries on past failures, reporting each of them', function() {
+    return client.updateMany([ "t1", "missing", "t2" ], function(item, rid) {
+      if (rid === "t2") {
+        throw new Error("Cannot work out an update.");
+      }
+      return { short_description: "Finance" };
+    }).then(function(report) {
+      assert.deepStrictEqual(rids(report.succeeded), [ "t1" ]);
+      assert.deepStrictEqual(rids(report.failed).sort(), [ "missing", "t2" ]);
+      const failures = {};
+      report.failed.forEach(function(failure) { failures[failure.rid] = failure.error; });
+      assert.strictEqual(failures.missing.kind, "not-found");
+      assert.strictEqual(failures.t2.message, "Cannot work out an update.");
+      assert.strictEqual(server.getAsset("t1").short_description, "Finance");
+    });
+  });
+
+  it('skips items without a RID, and items that appear earlier in the list', function() {
+    return client.updateMany([ "t1", { _name: "No RID" }, { _id: "t1" } ], { short_description: "Finance" }).then(function(report) {
+      assert.deepStrictEqual(rids(report.succeeded), [ "t1" ]);
+      assert.deepStrictEqual(report.skipped, [
+        { rid: null, item: { _name: "No RID" }, reason: "The item has no RID." },
+        { rid: "t1", reason: "The item appears earlier in the list." }
+      ]);
+      assert.strictEqual(server.requests.filter(function(request) { return request.method === 'PUT'; }).length, 1);
+    });
+  });
+
+  it('has no more than the given number of items in progress at any one time', function() {
+    let inProgress = 0;
+    let mostInProgress = 0;
+    client.use(function(req, next) {
+      if (req.method !== 'PUT') {
+        return next();
+      }
+      return new Promise(function(resolve) { setTimeout(resolve, 10); }).then(function() {
+        return next();
+      }).then(function(res) {
+        inProgress--;
+        return res;
+      });
+    });
+    return client.updateMany([ "t1", "t2", "t3", "t4", "t5", "t6" ], function() {
+      inProgress++;
+      mostInProgress = Math.max(mostInProgress, inProgress);
+      return { short_description: "Finance" };
+    }, { concurrency: 2 }).then(function(report) {
+      assert.strictEqual(report.succeeded.length, 6);
+      assert.strictEqual(mostInProgress, 2);
+      assert.strictEqual(inProgress, 0);
+    });
+  });
+
+  it('reports progress as each item is processed', function() {
+    const progress = [];
+    return client.updateMany([ "t1", "t1", "missing" ], { short_description: "Finance" }, {
+      concurrency: 1,
+      onProgress: function(p) { progress.push(p); }
+    }).then(function() {
+      assert.deepStrictEqual(progress, [
+        { processed: 1, total: 3, succeeded: 1, failed: 0, skipped: 0 },
+        { processed: 2, total: 3, succeeded: 1, failed: 0, skipped: 1 },
+        { processed: 3, total: 3, succeeded: 1, failed: 1, skipped: 1 }
+      ]);
+    });
+  });
+
+  it('rejects invalid arguments', function() {
+    return client.updateMany("t1", {}).then(function() {
+      assert.fail('expected the items to be rejected');
+    }, function(err) {
+      assert.strictEqual(err.message, "The items to process must be provided as an array.");
+      return client.deleteMany([ "t1" ], { concurrency: 0 });
+    }).then(function() {
+      assert.fail('expected the concurrency to be rejected');
+    }, function(err) {
+      assert.strictEqual(err.message, "The concurrency must be a number of at least 1.");
+      assert.ok(server.getAsset("t1"));
+    });
+  });
+
+  it('deletes many assets, carrying on past failures', function() {
+    return client.deleteMany([ { _id: "t1" }, "missing", "t2" ], { concurrency: 1 }).then(function(report) {
+      assert.deepStrictEqual(rids(report.succeeded), [ "t1", "t2" ]);
+      assert.deepStrictEqual(rids(report.failed), [ "missing" ]);
+      assert.strictEqual(report.failed[0].error.kind, "not-found");
+      assert.ok(!server.getAsset("t1"));
+      assert.ok(!server.getAsset("t2"));
+      assert.ok(server.getAsset("t3"));
+    });
+  });
+
+  it('provides the report to a callback', function(done) {
+    client.deleteMany([ "t1" ], function(err, report) {
+      assert.strictEqual(err, null);
+      assert.deepStrictEqual(rids(report.succeeded), [ "t1" ]);
+      done();
+    });
+  });
+
+});
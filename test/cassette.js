@@ -0,0 +1,118 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Cassettes', function() {
+
+  const server = new MockIGCServer({ assets: [ { _id: "t1", _type: "term", name: "Revenue", status: "CANDIDATE" } ] });
+  let directory = null;
+  let cassette = null;
+
+  const newClient = function(mode) {
+    return igcrest.createClient(server.getConnection(), { cassette: { mode: mode, directory: directory, name: cassette } });
+  };
+
+  // The interactions of the test: reading a term before and after changing it, and searching for it
+  const interact = function(client) {
+    const names = [];
+    return client.getAssetById("t1").then(function(asset) {
+      names.push(asset.name);
+      return client.update("t1", { _type: "term", name: "Turnover" });
+    }).then(function() {
+      return client.getAssetById("t1");
+    }).then(function(asset) {
+      names.push(asset.name);
+      return client.search({ types: [ "term" ], properties: [ "name", "status" ] });
+    }).then(function(results) {
+      names.push(results.items[0].name);
+      return names;
+    });
+  };
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "igc-cassettes-"));
+    return server.start();
+  });
+  beforeEach(function() {
+    cassette = "cassette-" + Date.now();
+    return interact(newClient('record')).then(function() {
+      server.reset();
+    });
+  });
+  after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+    return server.stop();
+  });
+
+  it('records each interaction into its own file, without credentials or cookies', function() {
+    const files = fs.readdirSync(path.join(directory, cassette)).sort();
+    assert.deepStrictEqual(files, [ "00001.json", "00002.json", "00003.json", "00004.json" ]);
+    const basic = Buffer.from("isadmin:isadmin").toString("base64");
+    for (let i = 0; i < files.length; i++) {
+      const text = fs.readFileSync(path.join(directory, cassette, files[i]), 'utf8');
+      assert.ok(text.indexOf(basic) === -1, files[i] + " contains credentials");
+      assert.ok(!/JSESSIONID=[0-9a-f]/.test(text), files[i] + " contains a session cookie");
+    }
+    const first = JSON.parse(fs.readFileSync(path.join(directory, cassette, files[0]), 'utf8'));
+    assert.strictEqual(first.request.method, "GET");
+    assert.strictEqual(first.request.path, "/ibm/iis/igc-rest/v1/assets/t1");
+    assert.strictEqual(first.response.statusCode, 200);
+  });
+
+  it('replays the recorded responses in order, without sending any requests', function() {
+    return interact(newClient('replay')).then(function(names) {
+      assert.deepStrictEqual(names, [ "Revenue", "Turnover", "Turnover" ]);
+      assert.strictEqual(server.requests.length, 0);
+      assert.strictEqual(server.getAsset("t1").name, "Revenue");
+    });
+  });
+
+  it('matches request bodies regardless of the order of their keys', function() {
+    return newClient('replay').search({ properties: [ "name", "status" ], types: [ "term" ] }).then(function(results) {
+      assert.strictEqual(results.items[0].name, "Turnover");
+    });
+  });
+
+  it('rejects a request that was not recorded, giving its method, path and body', function() {
+    return newClient('replay').search({ types: [ "term" ], properties: [ "short_description" ] }).then(function() {
+      assert.fail("The request should not have matched.");
+    }, function(err) {
+      assert.ok(err instanceof igcrest.IGCUnmatchedRequestError);
+      assert.strictEqual(err.kind, 'unmatched-request');
+      assert.strictEqual(err.method, "POST");
+      assert.strictEqual(err.path, "/ibm/iis/igc-rest/v1/search/");
+      assert.deepStrictEqual(JSON.parse(err.body).properties, [ "short_description" ]);
+      assert.ok(/1 recorded for the same method and path, but with a different body/.test(err.message));
+      assert.strictEqual(server.requests.length, 0);
+    });
+  });
+
+  it('replaces what was recorded when recording again', function() {
+    const client = newClient('record');
+    return client.getAssetById("t1").then(function() {
+      assert.deepStrictEqual(fs.readdirSync(path.join(directory, cassette)), [ "00001.json" ]);
+    });
+  });
+
+});
@@ -0,0 +1,147 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Clients', function() {
+
+  const dev = new MockIGCServer({
+    assets: [ { _id: "t1", _type: "term", name: "Revenue (dev)" } ]
+  });
+  const prod = new MockIGCServer({
+    assets: [ { _id: "t1", _type: "term", name: "Revenue (prod)" } ]
+  });
+
+  // Fails the first attempt at each request with a 503, passing on any later attempts
+  const failFirstAttempt = function(req, next) {
+    if (req.attempt === 1) {
+      return { statusCode: 503, headers: {}, body: "" };
+    }
+    return next(req);
+  };
+
+  before(function() {
+    return Promise.all([ dev.start(), prod.start() ]);
+  });
+  afterEach(function() {
+    dev.reset();
+    prod.reset();
+  });
+  after(function() {
+    return Promise.all([ dev.stop(), prod.stop() ]);
+  });
+
+  it('can be used against different environments side-by-side', function() {
+    const devClient = igcrest.createClient(dev.getConnection());
+    const prodClient = igcrest.createClient(prod.getConnection());
+    return Promise.all([ devClient.getAssetById("t1"), prodClient.getAssetById("t1") ]).then(function(assets) {
+      assert.strictEqual(assets[0].name, "Revenue (dev)");
+      assert.strictEqual(assets[1].name, "Revenue (prod)");
+    });
+  });
+
+  it('change connection independently', function() {
+    const first = igcrest.createClient(dev.getConnection());
+    const second = igcrest.createClient(dev.getConnection());
+    second.setConnection(prod.getConnection());
+    return Promise.all([ first.getAssetById("t1"), second.getAssetById("t1") ]).then(function(assets) {
+      assert.strictEqual(assets[0].name, "Revenue (dev)");
+      assert.strictEqual(assets[1].name, "Revenue (prod)");
+    });
+  });
+
+  it('have sessions of their own', function() {
+    const first = igcrest.createClient(dev.getConnection());
+    const second = igcrest.createClient(dev.getConnection());
+    const renewed = [];
+    first.on('session-renewed', function() { renewed.push("first"); });
+    second.on('session-renewed', function() { renewed.push("second"); });
+    return Promise.all([ first.openSession(), second.openSession() ]).then(function() {
+      return first.closeSession();
+    }).then(function() {
+      return Promise.all([ first.getAssetById("t1"), second.getAssetById("t1") ]);
+    }).then(function(assets) {
+      assert.strictEqual(assets[0].name, "Revenue (dev)");
+      assert.strictEqual(assets[1].name, "Revenue (dev)");
+      dev.expireSessions();
+      return second.getAssetById("t1");
+    }).then(function() {
+      assert.deepStrictEqual(renewed, [ "second" ]);
+    });
+  });
+
+  it('are given their settings when created', function() {
+    const dryRun = igcrest.createClient(dev.getConnection(), { dryRun: true, strict: true });
+    const live = igcrest.createClient(dev.getConnection());
+    return dryRun.update("t1", { short_description: "Planned" }).then(function() {
+      assert.strictEqual(dryRun.getPlan().size, 1);
+      assert.strictEqual(live.getPlan(), null);
+      assert.strictEqual(igcrest.getPlan(), null);
+      assert.strictEqual(dev.getAsset("t1").short_description, undefined);
+      return dryRun.search({ types: [ "term" ], properties: [ "nmae" ] }).then(function() {
+        assert.fail('expected the search to be rejected in strict mode');
+      }, function(err) {
+        assert.strictEqual(err.kind, 'validation');
+        assert.strictEqual(err.validationErrors.length, 1);
+        return live.search({ types: [ "term" ], properties: [ "nmae" ] });
+      }).then(function() {
+        assert.fail('expected the search to be rejected by IGC');
+      }, function(err) {
+        // Only rejected once sent to IGC, as the other client is not in strict mode
+        assert.strictEqual(err.statusCode, 400);
+        assert.strictEqual(err.validationErrors, undefined);
+      });
+    });
+  });
+
+  it('have retry policies and interceptors of their own', function() {
+    const patient = igcrest.createClient(dev.getConnection(), { retry: { idempotent: { retries: 1, minDelay: 1, maxDelay: 1 } } });
+    const impatient = igcrest.createClient(dev.getConnection(), { retry: { idempotent: { retries: 0 } } });
+    const unaffected = igcrest.createClient(dev.getConnection(), { retry: { idempotent: { retries: 0 } } });
+    patient.use(failFirstAttempt);
+    impatient.use(failFirstAttempt);
+    return Promise.all([
+      patient.getAssetById("t1"),
+      impatient.getAssetById("t1").then(function() {
+        assert.fail('expected the request to fail without being retried');
+      }, function(err) {
+        return err;
+      }),
+      unaffected.getAssetById("t1")
+    ]).then(function(outcomes) {
+      assert.strictEqual(outcomes[0].name, "Revenue (dev)");
+      assert.strictEqual(outcomes[1].kind, 'server');
+      assert.strictEqual(outcomes[2].name, "Revenue (dev)");
+      assert.strictEqual(patient.getStats().totals.retries, 1);
+      assert.strictEqual(impatient.getStats().totals.retries, 0);
+    });
+  });
+
+  it('are independent of the default client', function() {
+    const client = igcrest.createClient(dev.getConnection(), { retry: { idempotent: { retries: 0 } } });
+    client.setDryRun(true);
+    client.use(failFirstAttempt);
+    assert.strictEqual(igcrest.getPlan(), null);
+    return client.getAssetById("t1").catch(function() {}).then(function() {
+      assert.strictEqual(igcrest.getStats().totals.calls, 0);
+    });
+  });
+
+});
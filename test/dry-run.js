@@ -0,0 +1,172 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Dry-run plans', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "cat1", _type: "category", name: "Finance" },
+      { _id: "t1", _type: "term", name: "Revenue", parent_category: "cat1" }
+    ]
+  });
+  let client = null;
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    client.setDryRun(true);
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  // Record a category, a term within it, and changes to both the new and an existing term
+  const recordPlan = function() {
+    return client.create("category", { name: "Sales" }).then(function(categoryRID) {
+      return client.create("term", { name: "Bookings", parent_category: categoryRID }).then(function(termRID) {
+        return client.update(termRID, { _type: "term", short_description: "Orders received" });
+      });
+    }).then(function() {
+      return client.update("t1", { _type: "term", short_description: "Income" });
+    });
+  };
+
+  it('records changes into the plan, rather than making them', function() {
+    return recordPlan().then(function() {
+      const plan = client.getPlan();
+      assert.deepStrictEqual(plan.requests.map(function(request) { return request.method + " " + request.path.replace(/^.*\/v1/, ""); }), [
+        "POST /assets",
+        "POST /assets",
+        "PUT /assets/dryrun-2",
+        "PUT /assets/t1"
+      ]);
+      assert.strictEqual(plan.requests[1].body.parent_category, "dryrun-1");
+      assert.ok(/^4 change\(s\) would be made:/.test(plan.summary()));
+      assert.strictEqual(server.requests.length, 0);
+      assert.strictEqual(server.getAsset("t1").short_description, undefined);
+    });
+  });
+
+  it('still sends requests that only read', function() {
+    return client.getAssetById("t1").then(function(asset) {
+      assert.strictEqual(asset.name, "Revenue");
+      assert.strictEqual(client.getPlan().requests.length, 0);
+      assert.strictEqual(server.requests.length, 1);
+    });
+  });
+
+  it('executes a plan, replacing placeholders by the RIDs of the assets it creates', function() {
+    return recordPlan().then(function() {
+      // ... as if the plan had been saved to a file and later loaded
+      const saved = JSON.parse(JSON.stringify(client.getPlan()));
+      client.setDryRun(false);
+      return client.executePlan(saved);
+    }).then(function(completed) {
+      assert.deepStrictEqual(completed.map(function(result) { return result.step; }), [ 1, 2, 3, 4 ]);
+      const categoryRID = completed[0].rid;
+      const termRID = completed[1].rid;
+      assert.strictEqual(server.getAsset(categoryRID).name, "Sales");
+      assert.strictEqual(server.getAsset(termRID).parent_category, categoryRID);
+      assert.strictEqual(server.getAsset(termRID).short_description, "Orders received");
+      assert.strictEqual(server.getAsset("t1").short_description, "Income");
+    });
+  });
+
+  it('replaces placeholders only where RIDs are given, not within other text', function() {
+    return client.create("label", { name: "Reviewed" }).then(function(labelRID) {
+      return client.update("t1", { _type: "term", short_description: "Labelled " + labelRID + " in the plan", labels: { items: [ labelRID ], mode: "append" } });
+    }).then(function() {
+      const plan = client.getPlan();
+      client.setDryRun(false);
+      return client.executePlan(plan);
+    }).then(function(completed) {
+      const t1 = server.getAsset("t1");
+      assert.deepStrictEqual(t1.labels, [ completed[0].rid ]);
+      assert.strictEqual(t1.short_description, "Labelled dryrun-1 in the plan");
+    });
+  });
+
+  it('journals the updates made by executing a plan, so that they can be undone', function() {
+    const journalFile = path.join(os.tmpdir(), "igc-plan-journal-" + Date.now() + ".jsonl");
+    return recordPlan().then(function() {
+      const plan = client.getPlan();
+      client.setDryRun(false);
+      client.setJournal(journalFile);
+      return client.executePlan(plan);
+    }).then(function() {
+      assert.strictEqual(server.getAsset("t1").short_description, "Income");
+      client.setJournal(null);
+      return client.undoJournal(journalFile);
+    }).then(function(report) {
+      // Both updates are journaled: the one to the term created by the plan, and the one to the existing term
+      assert.strictEqual(report.succeeded.length, 2);
+      assert.ok(!server.getAsset("t1").short_description);
+    }).then(function() {
+      fs.unlinkSync(journalFile);
+    });
+  });
+
+  it('stops executing a plan at the first request that fails', function() {
+    return client.update("missing", { _type: "term", name: "Nothing" }).then(function() {
+      return client.update("t1", { _type: "term", name: "Turnover" });
+    }).then(function() {
+      const plan = client.getPlan();
+      client.setDryRun(false);
+      return client.executePlan(plan);
+    }).then(function() {
+      assert.fail("The plan should have failed.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'not-found');
+      assert.strictEqual(err.step, 1);
+      assert.deepStrictEqual(err.completed, []);
+      assert.strictEqual(server.getAsset("t1").name, "Revenue");
+    });
+  });
+
+  it('rejects a plan that is not valid', function() {
+    client.setDryRun(false);
+    return client.executePlan({ requests: "none" }).then(function() {
+      assert.fail("The plan should have been rejected.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'validation');
+    });
+  });
+
+  it('records lineage detection, which changes IGC', function() {
+    return client.detectLineageForJob("job1").then(function() {
+      const requests = client.getPlan().requests;
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].expectedStatus, 202);
+      assert.strictEqual(requests[0].description, "Detect lineage for job job1");
+      assert.strictEqual(server.requests.length, 0);
+    });
+  });
+
+});
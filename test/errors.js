@@ -0,0 +1,162 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+const IGCRestError = require('../classes/igc-rest-error');
+
+describe('IGCRestError', function() {
+
+  const response = function(statusCode, body) {
+    return {
+      statusCode: statusCode,
+      body: body,
+      request: { method: "GET", uri: { protocol: "https:", host: "igc:9443", path: "/ibm/iis/igc-rest/v1/assets/x" }, headers: { Authorization: "Basic abc", Accept: "application/json" } }
+    };
+  };
+
+  it('classifies unsuccessful responses by their status code', function() {
+    const kinds = [ [ 404, 'not-found' ], [ 401, 'auth' ], [ 403, 'auth' ], [ 400, 'validation' ], [ 409, 'validation' ], [ 422, 'validation' ], [ 500, 'server' ], [ 503, 'server' ], [ 302, 'unexpected' ] ];
+    for (let i = 0; i < kinds.length; i++) {
+      const err = IGCRestError.fromResponse(response(kinds[i][0], {}));
+      assert.ok(err instanceof IGCRestError);
+      assert.strictEqual(err.kind, kinds[i][1], "Status " + kinds[i][0]);
+      assert.strictEqual(err.statusCode, kinds[i][0]);
+    }
+    assert.ok(IGCRestError.fromResponse(response(404, {})) instanceof IGCRestError.IGCNotFoundError);
+  });
+
+  it('includes the message from IGC, and the request without its credentials', function() {
+    const err = IGCRestError.fromResponse(response(400, { message: "Property 'nmae' does not exist." }));
+    assert.strictEqual(err.igcMessage, "Property 'nmae' does not exist.");
+    assert.strictEqual(err.message, "Unsuccessful request 400 (GET /ibm/iis/igc-rest/v1/assets/x): Property 'nmae' does not exist.");
+    assert.strictEqual(err.request.headers.Authorization, "<redacted>");
+    assert.strictEqual(err.request.headers.Accept, "application/json");
+    assert.strictEqual(JSON.parse(JSON.stringify(err)).kind, 'validation');
+  });
+
+  it('includes the request without the content of its body', function() {
+    const res = response(400, {});
+    res.request.body = JSON.stringify({ short_description: "Contact jane@example.com" });
+    const err = IGCRestError.fromResponse(res);
+    assert.strictEqual(err.request.body, "<redacted>");
+    assert.strictEqual(JSON.stringify(err).indexOf("jane@example.com"), -1);
+    assert.strictEqual(IGCRestError.fromResponse(response(400, {})).request.body, null);
+  });
+
+  it('parses the various forms of IGC error message', function() {
+    assert.strictEqual(IGCRestError.parseIGCMessage(""), null);
+    assert.strictEqual(IGCRestError.parseIGCMessage({}), null);
+    assert.strictEqual(IGCRestError.parseIGCMessage('{"errorMessage":"Bad"}'), "Bad");
+    assert.strictEqual(IGCRestError.parseIGCMessage({ messages: [ "One.", "Two." ] }), "One. Two.");
+    assert.strictEqual(IGCRestError.parseIGCMessage("<html>Oops</html>\n"), "<html>Oops</html>");
+  });
+
+  it('wraps socket errors as network errors', function() {
+    const cause = new Error("connect ECONNREFUSED");
+    cause.code = 'ECONNREFUSED';
+    const err = IGCRestError.fromRequestError(cause, "GET", "/ibm/iis/igc-rest/v1/types");
+    assert.strictEqual(err.kind, 'network');
+    assert.strictEqual(err.cause, cause);
+  });
+
+});
+
+describe('Error kinds', function() {
+
+  const server = new MockIGCServer({ assets: [ { _id: "t1", _type: "term", name: "Revenue" } ] });
+  let client = null;
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    client.setRetryPolicy({ idempotent: { retries: 0 }, mutating: { retries: 0 } });
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  const expectKind = function(promise, kind, ErrorClass) {
+    return promise.then(function() {
+      assert.fail("Expected a '" + kind + "' error.");
+    }, function(err) {
+      assert.strictEqual(err.kind, kind, err.message);
+      assert.ok(err instanceof ErrorClass);
+      return err;
+    });
+  };
+
+  it('rejects with not-found for an asset that does not exist', function() {
+    return expectKind(client.getAssetById("missing"), 'not-found', igcrest.IGCNotFoundError).then(function(err) {
+      assert.strictEqual(err.statusCode, 404);
+      assert.strictEqual(err.method, "GET");
+    });
+  });
+
+  it('rejects with auth for invalid credentials', function() {
+    const other = igcrest.createClient(server.getConnection("isadmin", "wrong"));
+    return expectKind(other.getAssetById("t1"), 'auth', igcrest.IGCAuthError);
+  });
+
+  it('rejects with validation for an invalid search or update', function() {
+    return expectKind(client.search({ properties: [ "nmae" ], types: [ "term" ] }), 'validation', igcrest.IGCValidationError).then(function() {
+      return expectKind(client.update("t1", { nmae: "Turnover" }), 'validation', igcrest.IGCValidationError);
+    });
+  });
+
+  it('rejects with server for a failure within IGC', function() {
+    client.use(function() {
+      return { statusCode: 500, body: { message: "Internal error" } };
+    });
+    return expectKind(client.getAssetById("t1"), 'server', igcrest.IGCServerError).then(function(err) {
+      assert.strictEqual(err.igcMessage, "Internal error");
+    });
+  });
+
+  it('rejects with network when no response is received', function() {
+    client.use(function() {
+      const err = new Error("connect ECONNREFUSED");
+      err.code = 'ECONNREFUSED';
+      throw err;
+    });
+    return expectKind(client.getAssetById("t1"), 'network', igcrest.IGCNetworkError).then(function(err) {
+      assert.strictEqual(err.cause.code, 'ECONNREFUSED');
+    });
+  });
+
+  it('rejects with timeout when a request takes too long', function() {
+    client.use(function(req, next) {
+      return new Promise(function(resolve) { setTimeout(resolve, 100); }).then(function() { return next(req); });
+    });
+    return expectKind(client.withOptions({ timeout: 20 }).getAssetById("t1"), 'timeout', igcrest.IGCTimeoutError);
+  });
+
+  it('also passes errors to any callback', function(done) {
+    client.getAssetById("missing", function(err) {
+      assert.strictEqual(err.kind, 'not-found');
+      done();
+    }).catch(function() {});
+  });
+
+});
@@ -0,0 +1,188 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+const Interceptors = igcrest.Interceptors;
+
+describe('Interceptors', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "t1", _type: "term", name: "Revenue" }
+    ]
+  });
+  let client = null;
+
+  // Captures the headers of each request as it reaches the end of the chain
+  function captureHeaders() {
+    const captured = [];
+    client.use(function(req, next) {
+      captured.push(req.headers);
+      return next(req);
+    });
+    return captured;
+  }
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('are run in the order they were added, and can rewrite responses', function() {
+    const order = [];
+    client.use(function(req, next) {
+      order.push("first");
+      return next(req).then(function(res) {
+        res.body = Object.assign({}, res.body, { _name: res.body._name.toUpperCase() });
+        return res;
+      });
+    });
+    client.use(function(req, next) {
+      order.push("second");
+      return next(req);
+    });
+    return client.getAssetById("t1").then(function(asset) {
+      assert.deepStrictEqual(order, [ "first", "second" ]);
+      assert.strictEqual(asset._name, "REVENUE");
+    });
+  });
+
+  it('can respond without sending the request to IGC', function() {
+    client.use(function() {
+      return { statusCode: 200, headers: {}, body: { _id: "t1", _type: "term", _name: "Canned" } };
+    });
+    return client.getAssetById("t1").then(function(asset) {
+      assert.strictEqual(asset._name, "Canned");
+      assert.strictEqual(server.requests.length, 0);
+    });
+  });
+
+  it('can be removed', function() {
+    const interceptor = function() {
+      return { statusCode: 404, headers: {}, body: "" };
+    };
+    client.use(interceptor);
+    client.removeInterceptor(interceptor);
+    return client.getAssetById("t1").then(function(asset) {
+      assert.strictEqual(asset._name, "Revenue");
+    });
+  });
+
+  it('must be functions', function() {
+    assert.throws(function() { client.use({}); }, /An interceptor must be a function/);
+  });
+
+  describe('headers', function() {
+
+    it('adds the same headers to every request', function() {
+      client.use(Interceptors.headers({ "X-Forwarded-Host": "igc.example.com" }));
+      const captured = captureHeaders();
+      return client.getAssetById("t1").then(function() {
+        assert.ok(captured.length > 0);
+        captured.forEach(function(headers) {
+          assert.strictEqual(headers["X-Forwarded-Host"], "igc.example.com");
+        });
+      });
+    });
+
+    it('adds the headers returned for each request', function() {
+      let count = 0;
+      client.use(Interceptors.headers(function(req) {
+        return { "X-Correlation-ID": req.method + "-" + (++count) };
+      }));
+      const captured = captureHeaders();
+      return client.getAssetById("t1").then(function() {
+        return client.getAssetById("t1");
+      }).then(function() {
+        const ids = captured.map(function(headers) { return headers["X-Correlation-ID"]; });
+        assert.strictEqual(ids.length, count);
+        assert.deepStrictEqual(ids.slice(-2), [ "GET-" + (count - 1), "GET-" + count ]);
+      });
+    });
+
+    it('does not change the headers seen by earlier interceptors', function() {
+      let before = null;
+      client.use(function(req, next) {
+        before = req.headers;
+        return next(req);
+      });
+      client.use(Interceptors.headers({ "X-Extra": "yes" }));
+      return client.getAssetById("t1").then(function() {
+        assert.ok(!before.hasOwnProperty("X-Extra"));
+      });
+    });
+
+  });
+
+  describe('logging', function() {
+
+    it('logs each request and the status of its response', function() {
+      const lines = [];
+      client.use(Interceptors.logging({ log: function(line) { lines.push(line); } }));
+      return client.getAssetById("t1").then(function() {
+        const requested = lines.filter(function(line) { return /^IGC request: GET \S*\/assets\/t1$/.test(line); });
+        const responded = lines.filter(function(line) { return /^IGC response: 200 to GET \S*\/assets\/t1 in \d+ms$/.test(line); });
+        assert.strictEqual(requested.length, 1);
+        assert.strictEqual(responded.length, 1);
+        assert.ok(!lines.some(function(line) { return /^ {2}(headers|body):/.test(line); }));
+      });
+    });
+
+    it('logs headers, other than any authorisation, and bodies when asked to', function() {
+      const lines = [];
+      client.use(Interceptors.headers({ "Authorization": "Basic c2VjcmV0", "Cookie": "LtpaToken2=secret", "X-Visible": "shown" }));
+      client.use(Interceptors.logging({ headers: true, bodies: true, log: function(line) { lines.push(line); } }));
+      return client.update("t1", { short_description: "Finance" }).then(function() {
+        const text = lines.join("\n");
+        assert.strictEqual(text.indexOf("c2VjcmV0"), -1);
+        assert.strictEqual(text.indexOf("secret"), -1);
+        const logged = lines.filter(function(line) { return line.indexOf("  headers: ") === 0; }).pop();
+        const headers = JSON.parse(logged.substring("  headers: ".length));
+        assert.strictEqual(headers.Authorization, "<redacted>");
+        assert.strictEqual(headers.Cookie, "<redacted>");
+        assert.strictEqual(headers["X-Visible"], "shown");
+        assert.ok(/ {2}body: \{"short_description":"Finance"\}/.test(text));
+      });
+    });
+
+    it('logs requests that fail', function() {
+      const lines = [];
+      client.use(Interceptors.logging({ log: function(line) { lines.push(line); } }));
+      client.use(function() {
+        return Promise.reject(new Error("connection reset"));
+      });
+      return client.getAssetById("t1").then(function() {
+        assert.fail('expected the request to fail');
+      }, function() {
+        assert.ok(lines.some(function(line) { return /^IGC request failed: GET \S*\/assets\/t1 after \d+ms: connection reset$/.test(line); }));
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,155 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Journaling and undoing changes', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "l1", _type: "label", name: "Critical" },
+      { _id: "l2", _type: "label", name: "Sensitive" },
+      { _id: "t1", _type: "term", name: "Revenue", status: "CANDIDATE", labels: [ "l1" ] },
+      { _id: "t2", _type: "term", name: "Cost", status: "CANDIDATE" }
+    ]
+  });
+  let directory = null;
+  let journalFile = null;
+  let client = null;
+
+  const labelsOf = function(rid) {
+    return (server.getAsset(rid).labels || []).slice().sort();
+  };
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "igc-journal-"));
+    return server.start();
+  });
+  beforeEach(function() {
+    journalFile = path.join(directory, "journal-" + Date.now() + ".jsonl");
+    client = igcrest.createClient(server.getConnection());
+    client.setJournal(journalFile);
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+    return server.stop();
+  });
+
+  it('restores the values from before each change, most recent first', function() {
+    return client.update("t1", { status: "ACCEPTED" }).then(function() {
+      return client.update("t1", { _type: "term", name: "Turnover", status: "STANDARD" });
+    }).then(function() {
+      return client.update("t2", { _type: "term", short_description: "Money out" });
+    }).then(function() {
+      assert.strictEqual(server.getAsset("t1").name, "Turnover");
+      client.setJournal(null);
+      return client.undoJournal(journalFile);
+    }).then(function(report) {
+      assert.deepStrictEqual(report.succeeded.map(function(success) { return success.rid; }), [ "t2", "t1", "t1" ]);
+      assert.strictEqual(report.failed.length, 0);
+      const t1 = server.getAsset("t1");
+      assert.strictEqual(t1.name, "Revenue");
+      assert.strictEqual(t1.status, "CANDIDATE");
+      assert.ok(!server.getAsset("t2").short_description);
+    });
+  });
+
+  it('captures the values from before a change by searching only for the properties changed', function() {
+    return client.update("t1", { status: "ACCEPTED" }).then(function() {
+      const requests = server.requests;
+      assert.ok(requests.every(function(request) { return request.method !== "GET"; }));
+      const capture = requests[requests.length - 2];
+      assert.strictEqual(capture.method, "POST");
+      assert.deepStrictEqual(capture.body.properties, [ "status" ]);
+    });
+  });
+
+  it('skips changes that have already been undone', function() {
+    return client.update("t1", { _type: "term", name: "Turnover" }).then(function() {
+      client.setJournal(null);
+      return client.undoJournal(journalFile);
+    }).then(function() {
+      return client.update("t1", { _type: "term", name: "Income" });
+    }).then(function() {
+      return client.undoJournal(journalFile);
+    }).then(function(report) {
+      assert.strictEqual(report.succeeded.length, 0);
+      assert.strictEqual(report.skipped.length, 1);
+      // ... so leaves the later (unjournaled) change in place
+      assert.strictEqual(server.getAsset("t1").name, "Income");
+    });
+  });
+
+  it('skips changes that failed', function() {
+    client.use(function(req, next) {
+      return (req.method === "PUT") ? { statusCode: 500, body: { message: "Unable to update." } } : next(req);
+    });
+    return client.update("t1", { _type: "term", name: "Turnover" }).then(function() {
+      assert.fail("The update should have failed.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'server');
+      client.setJournal(null);
+      return client.undoJournal(journalFile);
+    }).then(function(report) {
+      assert.strictEqual(report.succeeded.length, 0);
+      assert.strictEqual(report.skipped.length, 1);
+    });
+  });
+
+  it('removes relationships that were added', function() {
+    return client.getAssetById("t1").then(function(asset) {
+      return client.addRelationshipToAsset(asset, [ "l2" ], "labels", "APPEND");
+    }).then(function() {
+      assert.deepStrictEqual(labelsOf("t1"), [ "l1", "l2" ]);
+      client.setJournal(null);
+      return client.undoJournal(journalFile);
+    }).then(function(report) {
+      assert.strictEqual(report.succeeded.length, 1);
+      assert.deepStrictEqual(labelsOf("t1"), [ "l1" ]);
+    });
+  });
+
+  it('re-creates relationships that were replaced', function() {
+    return client.getAssetById("t1").then(function(asset) {
+      return client.addRelationshipToAsset(asset, [ "l2" ], "labels", "REPLACE_ALL");
+    }).then(function() {
+      assert.deepStrictEqual(labelsOf("t1"), [ "l2" ]);
+      client.setJournal(null);
+      return client.undoJournal(journalFile);
+    }).then(function() {
+      assert.deepStrictEqual(labelsOf("t1"), [ "l1" ]);
+    });
+  });
+
+  it('rejects a journal that cannot be read', function() {
+    return client.undoJournal(path.join(directory, "missing.jsonl")).then(function() {
+      assert.fail("The journal should have been rejected.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'validation');
+    });
+  });
+
+});
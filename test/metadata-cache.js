@@ -0,0 +1,143 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+const MetadataCache = require('../classes/metadata-cache');
+
+describe('Type metadata caching', function() {
+
+  const server = new MockIGCServer();
+  let directory = null;
+
+  const requestsFor = function(fragment) {
+    return server.requests.filter(function(request) { return request.path.indexOf(fragment) !== -1; }).length;
+  };
+  const cachedVersion = function() {
+    return JSON.parse(fs.readFileSync(path.join(directory, "latest.json"), 'utf8')).version;
+  };
+  const addAttribute = function(client, name) {
+    return client.makeRequest("POST", "/ibm/iis/igc-rest/v1/administration/attributes/", { name: name, appliesTo: [ "term" ], attributeType: "STRING" }, "application/json");
+  };
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "igc-metadata-"));
+  });
+  afterEach(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('retrieves type metadata every time it is needed, unless a cache is configured', function() {
+    const client = igcrest.createClient(server.getConnection());
+    return client.getTypeDetails("term").then(function() {
+      return client.getTypeDetails("term");
+    }).then(function() {
+      assert.strictEqual(requestsFor("/types/term"), 2);
+    });
+  });
+
+  it('caches type metadata on disk, for re-use by later clients', function() {
+    const first = igcrest.createClient(server.getConnection(), { metadataCache: { directory: directory } });
+    return first.getTypeDetails("term").then(function() {
+      return first.getTypeDetails("term");
+    }).then(function() {
+      assert.strictEqual(requestsFor("/types/term"), 1);
+      const second = igcrest.createClient(server.getConnection(), { metadataCache: { directory: directory } });
+      return second.getTypeDetails("term");
+    }).then(function() {
+      assert.strictEqual(requestsFor("/types/term"), 1);
+    });
+  });
+
+  it('detects a new version of the type model when a custom attribute is defined', function() {
+    const client = igcrest.createClient(server.getConnection(), { metadataCache: { directory: directory } });
+    let before = null;
+    return client.getTypeDetails("term").then(function() {
+      before = cachedVersion();
+      return addAttribute(client, "Owner");
+    }).then(function() {
+      const later = igcrest.createClient(server.getConnection(), { metadataCache: { directory: directory } });
+      return later.getTypeDetails("term");
+    }).then(function(details) {
+      assert.notStrictEqual(cachedVersion(), before);
+      assert.ok(details.viewInfo.properties.some(function(property) { return property.name === "custom_owner"; }));
+      assert.strictEqual(requestsFor("/types/term"), 2);
+    });
+  });
+
+  it('treats custom attributes it is not permitted to list as none', function() {
+    const client = igcrest.createClient(server.getConnection(), { metadataCache: { directory: directory } });
+    client.use(function(req, next) {
+      return (req.uri.indexOf("/administration/attributes") !== -1) ? { statusCode: 403, body: {} } : next(req);
+    });
+    return client.getTypeDetails("term").then(function(details) {
+      assert.strictEqual(details._id, "term");
+      // ... the same version as is detected when there are no custom attributes to list
+      return client.getTypes();
+    }).then(function(types) {
+      assert.strictEqual(cachedVersion(), MetadataCache.fingerprint(types, []));
+    });
+  });
+
+  it('does not cache against a version detected while the custom attributes could not be retrieved', function() {
+    const client = igcrest.createClient(server.getConnection(), { metadataCache: { directory: directory } });
+    client.setRetryPolicy({ idempotent: { retries: 0 } });
+    client.use(function(req, next) {
+      return (req.uri.indexOf("/administration/attributes") !== -1) ? { statusCode: 503, body: {} } : next(req);
+    });
+    return client.getTypeDetails("term").then(function() {
+      assert.fail("The type details should not have been retrieved.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'server');
+      assert.ok(!fs.existsSync(path.join(directory, "latest.json")));
+    });
+  });
+
+  it('keeps cached type metadata when a custom attribute is only recorded in dry-run mode', function() {
+    const client = igcrest.createClient(server.getConnection(), { metadataCache: {} });
+    return client.getTypeDetails("term").then(function() {
+      client.setDryRun(true);
+      return client.createCustomAttribute({ name: "Owner", appliesTo: [ "term" ], attributeType: "STRING" });
+    }).then(function() {
+      return client.getTypeDetails("term");
+    }).then(function() {
+      assert.strictEqual(client.getPlan().requests.length, 1);
+      assert.strictEqual(requestsFor("/types/term"), 1);
+    });
+  });
+
+  it('fingerprints the same types and attributes identically, whatever their order', function() {
+    const types = [ { _id: "term" }, { _id: "category" } ];
+    const attributes = [ { name: "Owner", appliesTo: [ "term" ] }, { name: "Steward", appliesTo: [ "term" ] } ];
+    assert.strictEqual(MetadataCache.fingerprint(types, attributes), MetadataCache.fingerprint(types.slice().reverse(), attributes.slice().reverse()));
+    assert.notStrictEqual(MetadataCache.fingerprint(types, attributes), MetadataCache.fingerprint(types, attributes.slice(1)));
+    assert.strictEqual(MetadataCache.fingerprint(types, []), MetadataCache.fingerprint(types));
+  });
+
+});
@@ -0,0 +1,122 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const http = require('http');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('MockIGCServer', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "cat1", _type: "category", name: "Finance" },
+      { _id: "t1", _type: "term", name: "Revenue", parent_category: "cat1", status: "ACCEPTED" },
+      { _id: "t2", _type: "term", name: "Cost", parent_category: "cat1", status: "CANDIDATE" }
+    ]
+  });
+  let client = null;
+
+  // Send a request to the server directly, bypassing the client
+  const send = function(path) {
+    return new Promise(function(resolve, reject) {
+      http.get({
+        host: "127.0.0.1",
+        port: server.port,
+        path: "/ibm/iis/igc-rest/v1" + path,
+        auth: "isadmin:isadmin"
+      }, function(res) {
+        let body = "";
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) { body += chunk; });
+        res.on('end', function() { resolve({ statusCode: res.statusCode, body: JSON.parse(body) }); });
+      }).on('error', reject);
+    });
+  };
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('is also available from the module itself', function() {
+    assert.strictEqual(igcrest.MockIGCServer, MockIGCServer);
+  });
+
+  it('searches the seeded assets', function() {
+    return client.search({
+      properties: [ "name" ],
+      types: [ "term" ],
+      where: { operator: "and", conditions: [ { property: "status", operator: "=", value: "ACCEPTED" } ] }
+    }).then(function(results) {
+      assert.deepStrictEqual(results.items.map(function(item) { return item._id; }), [ "t1" ]);
+      assert.strictEqual(results.items[0].name, "Revenue");
+    });
+  });
+
+  it('creates, updates and deletes assets', function() {
+    return client.create("term", { name: "Margin", parent_category: "cat1" }).then(function(rid) {
+      assert.strictEqual(server.getAsset(rid).name, "Margin");
+      return client.update(rid, { short_description: "Revenue less cost" }).then(function() {
+        assert.strictEqual(server.getAsset(rid).short_description, "Revenue less cost");
+        return client.deleteAssetById(rid);
+      }).then(function() {
+        assert.strictEqual(server.getAsset(rid), null);
+      });
+    });
+  });
+
+  it('rejects requests without valid credentials', function() {
+    const other = igcrest.createClient(server.getConnection("isadmin", "wrong"));
+    return other.getAssetById("t1").then(function() {
+      assert.fail("The request should have been rejected.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'auth');
+    });
+  });
+
+  it('responds with a 400 to a page request without a valid query', function() {
+    return send("/search/?begin=10").then(function(res) {
+      assert.strictEqual(res.statusCode, 400);
+      return send("/search/?begin=10&query=" + encodeURIComponent("{not json"));
+    }).then(function(res) {
+      assert.strictEqual(res.statusCode, 400);
+      return send("/assets/t1");
+    }).then(function(res) {
+      // ... and carries on serving requests afterwards
+      assert.strictEqual(res.statusCode, 200);
+    });
+  });
+
+  it('records the requests it receives, until reset', function() {
+    return client.getAssetById("t1").then(function() {
+      assert.deepStrictEqual(server.requests.map(function(request) { return request.method + " " + request.path; }), [ "GET /ibm/iis/igc-rest/v1/assets/t1" ]);
+      server.reset();
+      assert.strictEqual(server.requests.length, 0);
+    });
+  });
+
+});
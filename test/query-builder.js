@@ -0,0 +1,130 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+const QueryBuilder = igcrest.QueryBuilder;
+
+describe('QueryBuilder', function() {
+
+  it('builds the JSON of a search', function() {
+    const json = igcrest.query('term', 'category')
+      .select('name', 'parent_category.name')
+      .where('name', 'like {0}%', 'Rev')
+      .sortBy('name')
+      .sortBy('modified_on', false)
+      .pageSize(50)
+      .build();
+    assert.deepStrictEqual(json, {
+      properties: [ 'name', 'parent_category.name' ],
+      types: [ 'term', 'category' ],
+      where: { conditions: [ { property: 'name', operator: 'like {0}%', value: 'Rev' } ], operator: 'and' },
+      sorts: [ { property: 'name', ascending: true }, { property: 'modified_on', ascending: false } ],
+      pageSize: 50
+    });
+  });
+
+  it('combines conditions from left to right, and groups them when given a function', function() {
+    const json = igcrest.query('term')
+      .where('status', '=', 'ACCEPTED')
+      .and('name', 'isNull')
+      .or(function(group) {
+        group.where('status', '=', 'CANDIDATE').andNot('short_description', 'isNull');
+      })
+      .build();
+    assert.deepStrictEqual(json.where, {
+      operator: 'or',
+      conditions: [
+        { operator: 'and', conditions: [ { property: 'status', operator: '=', value: 'ACCEPTED' }, { property: 'name', operator: 'isNull' } ] },
+        { operator: 'and', conditions: [ { property: 'status', operator: '=', value: 'CANDIDATE' }, { property: 'short_description', operator: 'isNull', negated: true } ] }
+      ]
+    });
+  });
+
+  it('expands between into a minimum and maximum', function() {
+    const condition = igcrest.query('term').where('modified_on', 'between', [ 1, 2 ]).build().where.conditions[0];
+    assert.strictEqual(condition.min, 1);
+    assert.strictEqual(condition.max, 2);
+    assert.ok(!condition.hasOwnProperty('value'));
+  });
+
+  it('rejects unknown operators, and invalid values for in and between', function() {
+    assert.throws(function() { igcrest.query('term').where('name', '==', 'x'); }, /Unknown operator '=='/);
+    assert.throws(function() { igcrest.query('term').where('name', 'in', 'x'); }, /requires an array/);
+    assert.throws(function() { igcrest.query('term').where('modified_on', 'between', [ 1 ]); }, /\[ min, max \]/);
+    assert.throws(function() { igcrest.query('term').where(function() {}); }, /at least one condition/);
+  });
+
+  it('replaces variables by the values bound to them', function() {
+    const builder = igcrest.query('term')
+      .where('name', '=', QueryBuilder.variable('name'))
+      .and('status', 'in', [ 'ACCEPTED', QueryBuilder.variable('status') ])
+      .bind({ name: 'Revenue', status: 'STANDARD' });
+    assert.deepStrictEqual(builder.build().where.conditions.map(function(condition) { return condition.value; }), [ 'Revenue', [ 'ACCEPTED', 'STANDARD' ] ]);
+    // values given when building take precedence, for that build only
+    assert.strictEqual(builder.build({ name: 'Cost' }).where.conditions[0].value, 'Cost');
+    assert.strictEqual(builder.build().where.conditions[0].value, 'Revenue');
+  });
+
+  it('requires a value for every variable', function() {
+    const builder = igcrest.query('term').where('name', '=', QueryBuilder.variable('name'));
+    assert.throws(function() { builder.build(); }, /No value has been bound to the variable 'name'/);
+    assert.throws(function() { QueryBuilder.variable(''); }, /must be given a name/);
+  });
+
+  it('treats strings that start with $ as plain values', function() {
+    const json = igcrest.query('term').where('name', '=', '$USER').and('status', 'in', [ '$A', '$B' ]).build();
+    assert.strictEqual(json.where.conditions[0].value, '$USER');
+    assert.deepStrictEqual(json.where.conditions[1].value, [ '$A', '$B' ]);
+  });
+
+  describe('when searching', function() {
+
+    const server = new MockIGCServer({
+      assets: [
+        { _id: "t1", _type: "term", name: "$USER" },
+        { _id: "t2", _type: "term", name: "Revenue" }
+      ]
+    });
+    let client = null;
+
+    before(function() {
+      return server.start().then(function() {
+        client = igcrest.createClient(server.getConnection());
+      });
+    });
+    after(function() {
+      return server.stop();
+    });
+
+    it('can be passed directly to search', function() {
+      return client.search(client.query('term').select('name').where('name', '=', QueryBuilder.variable('name')).bind({ name: 'Revenue' })).then(function(results) {
+        assert.deepStrictEqual(results.items.map(function(item) { return item._id; }), [ 't2' ]);
+      });
+    });
+
+    it('finds values that start with $', function() {
+      return client.search(client.query('term').select('name').where('name', '=', '$USER')).then(function(results) {
+        assert.deepStrictEqual(results.items.map(function(item) { return item._id; }), [ 't1' ]);
+      });
+    });
+
+  });
+
+});
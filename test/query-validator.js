@@ -0,0 +1,152 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Query validation', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "t1", _type: "term", name: "Revenue", status: "ACCEPTED" }
+    ]
+  });
+  let client = null;
+
+  function validate(query) {
+    return client.validateQuery(query).then(function(result) {
+      return result.errors.map(function(error) { return error.location + ": " + error.message; });
+    });
+  }
+
+  function where() {
+    return { operator: "and", conditions: Array.prototype.slice.call(arguments) };
+  }
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('accepts a valid query', function() {
+    return client.validateQuery({
+      types: [ "term" ],
+      properties: [ "name", "parent_category.name", "modified_on" ],
+      where: where({ property: "status", operator: "in", value: [ "ACCEPTED", "STANDARD" ] }, { property: "labels.name", operator: "like %{0}%", value: "PII" }),
+      sorts: [ { property: "name", ascending: true } ]
+    }).then(function(result) {
+      assert.deepStrictEqual(result, { valid: true, errors: [] });
+    });
+  });
+
+  it('requires at least one type', function() {
+    return validate({ properties: [ "name" ] }).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "types: The query must specify at least one type to search." ]);
+    });
+  });
+
+  it('reports unknown types', function() {
+    return validate({ types: [ "term", "nosuch" ], properties: [ "name" ] }).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "types: Unknown type 'nosuch'." ]);
+    });
+  });
+
+  it('reports unknown properties, suggesting the closest match', function() {
+    return validate({ types: [ "term" ], properties: [ "nmae", "parent_category.nmae", "zzzzzzzz" ] }).then(function(errors) {
+      assert.deepStrictEqual(errors, [
+        "properties[0]: Property 'nmae' does not exist on type 'term' -- did you mean 'name'?",
+        "properties[1]: Property 'nmae' does not exist on type 'category' (in path 'parent_category.nmae') -- did you mean 'name'?",
+        "properties[2]: Property 'zzzzzzzz' does not exist on type 'term'."
+      ]);
+    });
+  });
+
+  it('reports paths that follow properties which are not relationships', function() {
+    return validate({ types: [ "term" ], sorts: [ { property: "name.x" } ] }).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "sorts[0].property: Property 'name' of type 'term' is not a relationship, so cannot be followed (in path 'name.x')." ]);
+    });
+  });
+
+  it('accepts a property that is valid for any one of the types searched', function() {
+    return validate({ types: [ "term", "category" ], properties: [ "status" ] }).then(function(errors) {
+      assert.deepStrictEqual(errors, []);
+    });
+  });
+
+  it('reports operators that cannot be used with the data type of their property', function() {
+    return validate({ types: [ "term" ], where: where({ property: "name", operator: ">", value: 1 }) }).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "where.conditions[0]: Operator '>' cannot be used with property 'name', which is of type 'string' (only with: number, datetime)." ]);
+    });
+  });
+
+  it('reports values of the wrong data type, and missing values', function() {
+    return validate({ types: [ "term" ], where: where(
+      { property: "modified_on", operator: "between", min: "yesterday", max: 2 },
+      { property: "status", operator: "in", value: "ACCEPTED" },
+      { property: "name", operator: "=" }
+    ) }).then(function(errors) {
+      assert.deepStrictEqual(errors, [
+        "where.conditions[0]: Value 'yesterday' is not a date-time (milliseconds since the epoch), as required by property 'modified_on'.",
+        "where.conditions[1]: Operator 'in' requires an array of values.",
+        "where.conditions[2]: Operator '=' requires a value."
+      ]);
+    });
+  });
+
+  it('reports enumerated values that are not amongst the valid values', function() {
+    return validate({ types: [ "term" ], where: where({ operator: "or", conditions: [ { property: "status", operator: "=", value: "APPROVED" } ] }) }).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "where.conditions[0].conditions[0]: Value 'APPROVED' is not valid for property 'status' -- must be one of: CANDIDATE, ACCEPTED, STANDARD, DEPRECATED." ]);
+    });
+  });
+
+  it('reports conditions that are not combined with and or or', function() {
+    return validate({ types: [ "term" ], where: { operator: "xor", conditions: [] } }).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "where.operator: Conditions must be combined with an operator of 'and' or 'or' (not 'xor')." ]);
+    });
+  });
+
+  it('validates a query builder', function() {
+    return validate(client.query('term').select('nmae')).then(function(errors) {
+      assert.deepStrictEqual(errors, [ "properties[0]: Property 'nmae' does not exist on type 'term' -- did you mean 'name'?" ]);
+    });
+  });
+
+  it('rejects invalid searches in strict mode, without sending them', function() {
+    client.setStrictMode(true);
+    return client.search({ types: [ "term" ], properties: [ "nmae" ] }).then(function() {
+      assert.fail('expected the search to be rejected');
+    }, function(err) {
+      assert.strictEqual(err.kind, 'validation');
+      assert.strictEqual(err.validationErrors.length, 1);
+      assert.ok(!server.requests.some(function(request) { return request.path.indexOf('/search') !== -1; }));
+      return client.search({ types: [ "term" ], properties: [ "name" ] });
+    }).then(function(results) {
+      assert.strictEqual(results.items.length, 1);
+    });
+  });
+
+});
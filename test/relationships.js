@@ -0,0 +1,86 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Adding relationships', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "l1", _type: "label", name: "Critical" },
+      { _id: "l2", _type: "label", name: "Obsolete" },
+      { _id: "l3", _type: "label", name: "Sensitive" },
+      { _id: "l4", _type: "label", name: "Obsolete" },
+      { _id: "t1", _type: "term", name: "Revenue", labels: [ "l1", "l2", "l4" ] }
+    ]
+  });
+  let client = null;
+  let term = null;
+
+  const labelsOf = function(rid) {
+    return (server.getAsset(rid).labels || []).slice().sort();
+  };
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    return client.getAssetById("t1").then(function(asset) {
+      term = asset;
+    });
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('appends relationships', function() {
+    return client.addRelationshipToAsset(term, [ "l3" ], "labels", "APPEND").then(function() {
+      assert.deepStrictEqual(labelsOf("t1"), [ "l1", "l2", "l3", "l4" ]);
+    });
+  });
+
+  it('replaces all relationships', function() {
+    return client.addRelationshipToAsset(term, [ "l3" ], "labels", "REPLACE_ALL").then(function() {
+      assert.deepStrictEqual(labelsOf("t1"), [ "l3" ]);
+    });
+  });
+
+  it('replaces only the relationships that meet the conditions, by the new ones', function() {
+    const conditions = [ { property: "name", operator: "=", value: "Obsolete" } ];
+    return client.addRelationshipToAsset(term, [ "l3" ], "labels", "REPLACE_SOME", "label", conditions).then(function() {
+      // l2 and l4 are dropped, l1 is kept and l3 is added
+      assert.deepStrictEqual(labelsOf("t1"), [ "l1", "l3" ]);
+    });
+  });
+
+  it('does not duplicate a new relationship that already exists', function() {
+    const conditions = [ { property: "name", operator: "=", value: "Obsolete" } ];
+    return client.addRelationshipToAsset(term, [ "l1", "l3" ], "labels", "REPLACE_SOME", "label", conditions).then(function() {
+      const update = server.requests.filter(function(request) { return request.method === "PUT"; })[0];
+      assert.deepStrictEqual(update.body.labels.items.slice().sort(), [ "l1", "l3" ]);
+      assert.deepStrictEqual(labelsOf("t1"), [ "l1", "l3" ]);
+    });
+  });
+
+});
@@ -0,0 +1,238 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+const RequestMetrics = require('../classes/request-metrics');
+
+describe('Request metrics', function() {
+
+  const rid = "b1c497ce.54bd3a08.001mts4ib.pss3ckt.3e2bpa.cs9ejsb1fj7u0le0obc0i";
+  const server = new MockIGCServer({
+    assets: [
+      { _id: rid, _type: "term", name: "Revenue" },
+      { _id: "t2", _type: "term", name: "Cost" }
+    ]
+  });
+  let client = null;
+
+  function endpoint(method, path) {
+    return client.getStats().endpoints.find(function(stats) {
+      return stats.method === method && stats.endpoint === path;
+    });
+  }
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('groups requests by end-point, replacing RIDs and removing any query string', function() {
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "/ibm/iis/igc-rest/v1/assets/" + rid), "GET /assets/{rid}");
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "https://igc:9443/ibm/iis/igc-rest/v1/search/?begin=10&pageSize=10"), "GET /search/");
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "/ibm/iis/igc-rest/v1"), "GET /");
+  });
+
+  it('replaces every segment of the path that identifies an asset, type or property', function() {
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "/ibm/iis/igc-rest/v1/assets/t2/labels?begin=10&pageSize=10"), "GET /assets/{rid}/{property}");
+    assert.strictEqual(RequestMetrics.getEndpoint('PUT', "/ibm/iis/igc-rest/v1/assets/dryrun-1"), "PUT /assets/{rid}");
+    assert.strictEqual(RequestMetrics.getEndpoint('POST', "/ibm/iis/igc-rest/v1/assets"), "POST /assets");
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "/ibm/iis/igc-rest/v1/types/term?showViewProperties=true"), "GET /types/{type}");
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "/ibm/iis/igc-rest/v1/types/"), "GET /types/");
+    assert.strictEqual(RequestMetrics.getEndpoint('DELETE', "/ibm/iis/igc-rest/v1/administration/attributes/ca1"), "DELETE /administration/attributes/{rid}");
+    assert.strictEqual(RequestMetrics.getEndpoint('GET', "/ibm/iis/igc-rest/v1/flows/detectFlows/dsjob/j1"), "GET /flows/detectFlows/dsjob/{rid}");
+    assert.strictEqual(RequestMetrics.getEndpoint('POST', "/ibm/iis/igc-rest/v1/bundles/assets"), "POST /bundles/assets");
+  });
+
+  it('keeps the number of end-points bounded, whatever the assets and queries', function() {
+    const requests = [ "t1", "t2", "Revenue%20Term", rid ].map(function(id) {
+      return client.getAssetById(id).catch(function() {}).then(function() {
+        return client.getAssetPropertyById(id, "labels").catch(function() {});
+      });
+    });
+    return Promise.all(requests).then(function() {
+      const endpoints = client.getStats().endpoints.map(function(stats) { return stats.method + " " + stats.endpoint; });
+      assert.deepStrictEqual(endpoints.filter(function(e) { return e.indexOf("/assets/") !== -1; }), [ "GET /assets/{rid}", "GET /assets/{rid}/{property}" ]);
+    });
+  });
+
+  it('collects statistics about each call', function() {
+    return client.getAssetById(rid).then(function() {
+      return client.getAssetById(rid);
+    }).then(function() {
+      const stats = endpoint('GET', "/assets/{rid}");
+      assert.strictEqual(stats.calls, 2);
+      assert.strictEqual(stats.errors, 0);
+      assert.strictEqual(stats.errorRate, 0);
+      assert.strictEqual(stats.retries, 0);
+      assert.deepStrictEqual(stats.statusCodes, { 200: 2 });
+      assert.deepStrictEqual(stats.errorKinds, {});
+      assert.ok(stats.bytesReceived > 0);
+      assert.strictEqual(stats.latencyMs.count, 2);
+      assert.strictEqual(stats.durationMs.count, 2);
+      assert.ok(stats.durationMs.p50 >= stats.durationMs.min && stats.durationMs.p99 <= stats.durationMs.max);
+      const totals = client.getStats().totals;
+      assert.ok(totals.calls >= 2);
+      assert.ok(totals.bytesReceived >= stats.bytesReceived);
+    });
+  });
+
+  it('counts the bytes sent, and the attempts of retried calls', function() {
+    client.setRetryPolicy({ mutating: { retries: 2, minDelay: 1, maxDelay: 1 } });
+    let failures = 1;
+    client.use(function(req, next) {
+      if (req.method === 'PUT' && failures-- > 0) {
+        return { statusCode: 503, headers: {}, body: "" };
+      }
+      return next(req);
+    });
+    return client.update("t2", { short_description: "Finance" }).then(function() {
+      const stats = endpoint('PUT', "/assets/{rid}");
+      assert.strictEqual(stats.calls, 1);
+      assert.strictEqual(stats.retries, 1);
+      assert.strictEqual(stats.latencyMs.count, 1);
+      assert.strictEqual(stats.bytesSent, Buffer.byteLength(JSON.stringify({ short_description: "Finance" })));
+    });
+  });
+
+  it('counts calls that fail without a response by the kind of error', function() {
+    client.setRetryPolicy({ idempotent: { retries: 0 } });
+    client.use(function() {
+      return Promise.reject(new Error("connection reset"));
+    });
+    return client.getAssetById(rid).then(function() {
+      assert.fail('expected the request to fail');
+    }, function() {
+      const stats = endpoint('GET', "/assets/{rid}");
+      assert.strictEqual(stats.errors, 1);
+      assert.strictEqual(stats.errorRate, 1);
+      assert.deepStrictEqual(stats.errorKinds, { network: 1 });
+    });
+  });
+
+  it('counts calls that fail by the status of their response as errors, by kind', function() {
+    client.setRetryPolicy({ idempotent: { retries: 0 } });
+    client.use(function(req, next) {
+      if (req.uri.indexOf("/assets/t2") !== -1) {
+        return { statusCode: 503, headers: {}, body: "" };
+      }
+      return next(req);
+    });
+    return Promise.all([ client.getAssetById("missing"), client.getAssetById("t2"), client.getAssetById(rid) ].map(function(request) {
+      return request.catch(function() {});
+    })).then(function() {
+      const stats = endpoint('GET', "/assets/{rid}");
+      assert.strictEqual(stats.calls, 3);
+      assert.strictEqual(stats.errors, 2);
+      assert.deepStrictEqual(stats.statusCodes, { 200: 1, 404: 1, 503: 1 });
+      assert.deepStrictEqual(stats.errorKinds, { "not-found": 1, server: 1 });
+      const text = client.getStats("prometheus");
+      assert.ok(text.indexOf('igc_rest_errors_total{method="GET",endpoint="/assets/{rid}",kind="not-found"} 1\n') !== -1);
+      assert.ok(text.indexOf('igc_rest_errors_total{method="GET",endpoint="/assets/{rid}",kind="server"} 1\n') !== -1);
+    });
+  });
+
+  it('emits the statistics of each call as it completes', function() {
+    const events = [];
+    client.on('request', function(event) {
+      events.push(event);
+    });
+    return client.getAssetById(rid).then(function() {
+      const event = events.filter(function(e) { return e.path === "/ibm/iis/igc-rest/v1/assets/" + rid; })[0];
+      assert.strictEqual(event.method, 'GET');
+      assert.strictEqual(event.path, "/ibm/iis/igc-rest/v1/assets/" + rid);
+      assert.strictEqual(event.statusCode, 200);
+      assert.strictEqual(event.errorKind, null);
+      assert.strictEqual(event.attempts, 1);
+      assert.strictEqual(event.retries, 0);
+      assert.ok(event.durationMs >= 0 && event.bytesReceived > 0);
+    });
+  });
+
+  it('discards the statistics collected so far when reset', function() {
+    return client.getAssetById(rid).then(function() {
+      const since = client.getStats().since;
+      client.resetStats();
+      const stats = client.getStats();
+      assert.deepStrictEqual(stats.endpoints, []);
+      assert.strictEqual(stats.totals.calls, 0);
+      assert.ok(stats.since >= since);
+    });
+  });
+
+  it('keeps statistics separately for each client', function() {
+    const other = igcrest.createClient(server.getConnection());
+    return client.getAssetById(rid).then(function() {
+      assert.strictEqual(other.getStats().totals.calls, 0);
+    });
+  });
+
+  it('calculates percentiles over the most recent samples', function() {
+    const metrics = new RequestMetrics({ sampleSize: 3 });
+    [ 100, 1, 2, 3 ].forEach(function(duration) {
+      metrics.recordCall('GET', "/ibm/iis/igc-rest/v1/types/", { duration: duration, retries: 0, statusCode: 200 });
+    });
+    const durations = metrics.getStats().endpoints[0].durationMs;
+    assert.deepStrictEqual(durations, { count: 4, min: 1, max: 100, mean: 27, p50: 2, p90: 3, p99: 3 });
+  });
+
+  it('provides the statistics in Prometheus\' text exposition format', function() {
+    const metrics = new RequestMetrics();
+    metrics.recordAttempt('GET', "/ibm/iis/igc-rest/v1/types/", 250, 0, 100);
+    metrics.recordCall('GET', "/ibm/iis/igc-rest/v1/types/", { duration: 500, retries: 0, statusCode: 200 });
+    metrics.recordCall('GET', "/ibm/iis/igc-rest/v1/types/", { duration: 1500, retries: 0, errorKind: 'timeout' });
+    const lines = metrics.toPrometheus("igc").split("\n");
+    const labels = 'method="GET",endpoint="/types/"';
+    [
+      "# HELP igc_requests_total Calls to IGC's REST API, by the status code of their final response",
+      "# TYPE igc_requests_total counter",
+      "igc_requests_total{" + labels + ',status="200"} 1',
+      "igc_errors_total{" + labels + ',kind="timeout"} 1',
+      "igc_retries_total{" + labels + "} 0",
+      "igc_sent_bytes_total{" + labels + "} 0",
+      "igc_received_bytes_total{" + labels + "} 100",
+      "# TYPE igc_latency_seconds summary",
+      "igc_latency_seconds{" + labels + ',quantile="0.5"} 0.25',
+      "igc_latency_seconds_count{" + labels + "} 1",
+      "igc_duration_seconds{" + labels + ',quantile="0.99"} 1.5',
+      "igc_duration_seconds_sum{" + labels + "} 2",
+      "igc_duration_seconds_count{" + labels + "} 2"
+    ].forEach(function(line) {
+      assert.ok(lines.indexOf(line) !== -1, "missing: " + line);
+    });
+    assert.strictEqual(lines[lines.length - 1], "");
+  });
+
+  it('provides the statistics of a client in Prometheus\' text exposition format', function() {
+    return client.getAssetById(rid).then(function() {
+      const text = client.getStats("prometheus");
+      assert.ok(text.indexOf('igc_rest_requests_total{method="GET",endpoint="/assets/{rid}",status="200"} 1\n') !== -1);
+      assert.strictEqual(text.indexOf(rid), -1);
+    });
+  });
+
+});
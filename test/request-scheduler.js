@@ -0,0 +1,185 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+const RequestScheduler = require('../classes/request-scheduler');
+
+// A task that completes only when released, recording when it started
+const deferredTask = function(name, started) {
+  let release = null;
+  const task = function() {
+    started.push(name);
+    return new Promise(function(resolve) {
+      release = resolve;
+    });
+  };
+  return { task: task, release: function(value) { release(value); } };
+};
+
+describe('RequestScheduler', function() {
+
+  it('limits the tasks in-flight at once', function() {
+    const scheduler = new RequestScheduler({ maxInFlight: 2 });
+    const started = [];
+    const tasks = [ "a", "b", "c" ].map(function(name) { return deferredTask(name, started); });
+    const done = tasks.map(function(t) { return scheduler.schedule(t.task); });
+    assert.deepStrictEqual(started, [ "a", "b" ]);
+    assert.strictEqual(scheduler.getStats().queued, 1);
+    tasks[0].release("A");
+    return done[0].then(function(result) {
+      assert.strictEqual(result, "A");
+      assert.deepStrictEqual(started, [ "a", "b", "c" ]);
+      tasks[1].release();
+      tasks[2].release();
+      return Promise.all(done);
+    }).then(function() {
+      assert.strictEqual(scheduler.getStats().totalCompleted, 3);
+    });
+  });
+
+  it('starts higher priority tasks first, and equal priorities in the order queued', function() {
+    const scheduler = new RequestScheduler({ maxInFlight: 1 });
+    const started = [];
+    const blocker = deferredTask("blocker", started);
+    const done = [ scheduler.schedule(blocker.task) ];
+    [ [ "low1", 0 ], [ "high1", 5 ], [ "mid", 1 ], [ "high2", 5 ], [ "low2", 0 ] ].forEach(function(spec) {
+      done.push(scheduler.schedule(function() {
+        started.push(spec[0]);
+        return Promise.resolve();
+      }, spec[1]));
+    });
+    assert.deepStrictEqual(scheduler.getStats().queuedByPriority, { 0: 2, 1: 1, 5: 2 });
+    blocker.release();
+    return Promise.all(done).then(function() {
+      assert.deepStrictEqual(started, [ "blocker", "high1", "high2", "mid", "low1", "low2" ]);
+    });
+  });
+
+  it('cancels queued tasks, but not those already started', function() {
+    const scheduler = new RequestScheduler({ maxInFlight: 1 });
+    const started = [];
+    const running = deferredTask("running", started);
+    const queued = deferredTask("queued", started);
+    const runningHandle = {};
+    const queuedHandle = {};
+    const first = scheduler.schedule(running.task, 0, runningHandle);
+    const second = scheduler.schedule(queued.task, 0, queuedHandle);
+    assert.strictEqual(runningHandle.cancel(new Error("too late")), false);
+    assert.strictEqual(queuedHandle.cancel(new Error("no longer needed")), true);
+    assert.strictEqual(scheduler.getStats().queued, 0);
+    running.release();
+    return second.then(function() {
+      assert.fail("The cancelled task should have been rejected.");
+    }, function(err) {
+      assert.strictEqual(err.message, "no longer needed");
+      return first;
+    }).then(function() {
+      assert.deepStrictEqual(started, [ "running" ]);
+      assert.strictEqual(scheduler.getStats().totalScheduled, 1);
+    });
+  });
+
+  it('starts tasks no faster than the rate allowed', function() {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 50 });
+    const startedAt = [];
+    const done = [];
+    for (let i = 0; i < 3; i++) {
+      done.push(scheduler.schedule(function() {
+        startedAt.push(Date.now());
+        return Promise.resolve();
+      }));
+    }
+    return Promise.all(done).then(function() {
+      // 20ms apart (allowing for timers firing a little early)
+      assert.ok(startedAt[2] - startedAt[0] >= 35, "Tasks were started " + (startedAt[2] - startedAt[0]) + "ms apart.");
+    });
+  });
+
+});
+
+describe('Request queueing', function() {
+
+  const server = new MockIGCServer({ assets: [ { _id: "t1", _type: "term", name: "Revenue" } ] });
+  let client = null;
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    client.setConcurrency({ maxInFlight: 1 });
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  // Holds the first request sent until released, so that others queue up behind it
+  const holdFirstRequest = function() {
+    let release = null;
+    const gate = new Promise(function(resolve) { release = resolve; });
+    let bHeld = false;
+    client.use(function(req, next) {
+      if (!bHeld) {
+        bHeld = true;
+        return gate.then(function() { return next(req); });
+      }
+      return next(req);
+    });
+    return release;
+  };
+
+  it('sends queued writes before queued reads', function() {
+    const release = holdFirstRequest();
+    const pending = [
+      client.getAssetById("t1"),
+      client.getAssetById("t1"),
+      client.update("t1", { _type: "term", name: "Turnover" })
+    ];
+    assert.deepStrictEqual(client.getQueueStats().queuedByPriority, { 0: 1, 1: 1 });
+    release();
+    return Promise.all(pending).then(function(results) {
+      assert.deepStrictEqual(server.requests.map(function(request) { return request.method; }), [ "GET", "PUT", "GET" ]);
+      assert.strictEqual(results[1].name, "Turnover");
+    });
+  });
+
+  it('removes a cancelled request from the queue, without sending it', function() {
+    const release = holdFirstRequest();
+    const controller = new AbortController();
+    const first = client.getAssetById("t1");
+    const cancelled = client.withOptions({ signal: controller.signal }).update("t1", { _type: "term", name: "Turnover" });
+    controller.abort();
+    return cancelled.then(function() {
+      assert.fail("The update should have been cancelled.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'cancelled');
+      assert.strictEqual(client.getQueueStats().queued, 0);
+      release();
+      return first;
+    }).then(function() {
+      assert.deepStrictEqual(server.requests.map(function(request) { return request.method; }), [ "GET" ]);
+      assert.strictEqual(server.getAsset("t1").name, "Revenue");
+    });
+  });
+
+});
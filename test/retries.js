@@ -0,0 +1,130 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Retries', function() {
+
+  const server = new MockIGCServer({ assets: [ { _id: "t1", _type: "term", name: "Revenue" } ] });
+  let client = null;
+  let retries = null;
+
+  // An interceptor that fails the first few attempts of every request with the provided response (or error)
+  const failFirst = function(count, failure) {
+    return function(req, next) {
+      if (req.attempt <= count) {
+        if (failure instanceof Error) {
+          throw failure;
+        }
+        return failure;
+      }
+      return next(req);
+    };
+  };
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    retries = [];
+    client.setRetryPolicy({
+      idempotent: { minDelay: 5, maxDelay: 40, factor: 2, jitter: 0 },
+      mutating: { minDelay: 5, maxDelay: 40, factor: 2, jitter: 0 },
+      onRetry: function(info) { retries.push(info); }
+    });
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('retries transient failures of idempotent requests, backing-off exponentially', function() {
+    client.use(failFirst(3, { statusCode: 503 }));
+    return client.getAssetById("t1").then(function(asset) {
+      assert.strictEqual(asset.name, "Revenue");
+      assert.deepStrictEqual(retries.map(function(info) { return info.attempt; }), [ 1, 2, 3 ]);
+      assert.deepStrictEqual(retries.map(function(info) { return info.delay; }), [ 5, 10, 20 ]);
+      assert.deepStrictEqual(retries.map(function(info) { return info.statusCode; }), [ 503, 503, 503 ]);
+    });
+  });
+
+  it('gives up once the retries are exhausted', function() {
+    client.use(failFirst(10, { statusCode: 503 }));
+    return client.getAssetById("t1").then(function() {
+      assert.fail("The request should have failed.");
+    }, function(err) {
+      assert.strictEqual(err.kind, 'server');
+      assert.strictEqual(err.statusCode, 503);
+      assert.strictEqual(retries.length, 3);
+    });
+  });
+
+  it('caps the back-off at the maximum delay', function() {
+    client.setRetryPolicy({ idempotent: { retries: 5 } });
+    client.use(failFirst(5, { statusCode: 502 }));
+    return client.getAssetById("t1").then(function() {
+      assert.deepStrictEqual(retries.map(function(info) { return info.delay; }), [ 5, 10, 20, 40, 40 ]);
+    });
+  });
+
+  it('honours Retry-After, but no longer than the maximum delay', function() {
+    client.use(failFirst(1, { statusCode: 429, headers: { "retry-after": "120" } }));
+    return client.getAssetById("t1").then(function() {
+      assert.strictEqual(retries.length, 1);
+      assert.strictEqual(retries[0].delay, 40);
+    });
+  });
+
+  it('retries transient socket errors', function() {
+    const reset = new Error("socket hang up");
+    reset.code = 'ECONNRESET';
+    client.use(failFirst(1, reset));
+    return client.getAssetById("t1").then(function(asset) {
+      assert.strictEqual(asset.name, "Revenue");
+      assert.strictEqual(retries[0].error.code, 'ECONNRESET');
+    });
+  });
+
+  it('retries mutating requests only under their own policy', function() {
+    client.use(failFirst(1, { statusCode: 502 }));
+    return client.update("t1", { name: "Turnover" }).then(function() {
+      assert.fail("The update should not have been retried.");
+    }, function(err) {
+      assert.strictEqual(err.statusCode, 502);
+      assert.strictEqual(retries.length, 0);
+      assert.strictEqual(server.getAsset("t1").name, "Revenue");
+    });
+  });
+
+  it('does not retry when the policy allows no retries', function() {
+    client.setRetryPolicy({ idempotent: { retries: 0 } });
+    client.use(failFirst(1, { statusCode: 503 }));
+    return client.getAssetById("t1").then(function() {
+      assert.fail("The request should have failed.");
+    }, function(err) {
+      assert.strictEqual(err.statusCode, 503);
+      assert.strictEqual(retries.length, 0);
+    });
+  });
+
+});
@@ -0,0 +1,163 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('SearchIterator', function() {
+
+  const names = [ 'A', 'B', 'C', 'D', 'E', 'F', 'G' ];
+  const server = new MockIGCServer({
+    assets: names.map(function(name, i) {
+      return { _id: "t" + i, _type: "term", name: name };
+    })
+  });
+  const query = { types: [ 'term' ], properties: [ 'name' ], sorts: [ { property: 'name', ascending: true } ], pageSize: 3 };
+  let client = null;
+
+  // Collects the names of all the items remaining in the iterator
+  function drain(it, collected) {
+    collected = collected || [];
+    return it.next().then(function(result) {
+      if (result.done) {
+        return collected;
+      }
+      collected.push(result.value._name);
+      return drain(it, collected);
+    });
+  }
+
+  function searches() {
+    return server.requests.filter(function(request) {
+      return request.path.indexOf('/search') !== -1 || request.query.hasOwnProperty('begin');
+    });
+  }
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('is an async iterable', function() {
+    const it = client.searchIterator(query);
+    assert.strictEqual(it[Symbol.asyncIterator](), it);
+  });
+
+  it('walks through every page of results, one item at a time', function() {
+    return drain(client.searchIterator(query)).then(function(collected) {
+      assert.deepStrictEqual(collected, names);
+      assert.strictEqual(searches().length, 3);
+    });
+  });
+
+  it('accepts a query builder', function() {
+    return drain(client.searchIterator(client.query('term').select('name').where('name', 'in', [ 'B', 'F' ]).sortBy('name'))).then(function(collected) {
+      assert.deepStrictEqual(collected, [ 'B', 'F' ]);
+    });
+  });
+
+  it('stops after the maximum number of items, without retrieving pages it does not need', function() {
+    return drain(client.searchIterator(Object.assign({}, query, { pageSize: 100 }), { maxItems: 2 })).then(function(collected) {
+      assert.deepStrictEqual(collected, [ 'A', 'B' ]);
+      assert.strictEqual(searches().length, 1);
+      assert.strictEqual(searches()[0].body.pageSize, 2);
+    });
+  });
+
+  it('reports progress as each page is retrieved', function() {
+    const progress = [];
+    return drain(client.searchIterator(query, { onProgress: function(p) { progress.push(p); } })).then(function() {
+      assert.deepStrictEqual(progress, [
+        { fetched: 3, numTotal: 7, pages: 1 },
+        { fetched: 6, numTotal: 7, pages: 2 },
+        { fetched: 7, numTotal: 7, pages: 3 }
+      ]);
+    });
+  });
+
+  it('retrieves each page only once, when next is called concurrently', function() {
+    const it = client.searchIterator(query);
+    return Promise.all(names.map(function() { return it.next(); })).then(function(results) {
+      assert.deepStrictEqual(results.map(function(result) { return result.value._name; }), names);
+      assert.strictEqual(searches().length, 3);
+    });
+  });
+
+  it('retrieves no further pages once returned', function() {
+    const it = client.searchIterator(query);
+    return it.next().then(function() {
+      return it.return();
+    }).then(function(result) {
+      assert.strictEqual(result.done, true);
+      return it.next();
+    }).then(function(result) {
+      assert.strictEqual(result.done, true);
+      assert.strictEqual(searches().length, 1);
+    });
+  });
+
+  it('rejects when a page cannot be retrieved', function() {
+    const it = client.searchIterator(query);
+    return it.next().then(function() {
+      client.use(function(req, next) {
+        if (req.uri.indexOf('begin=') !== -1) {
+          return { statusCode: 404, headers: {}, body: "" };
+        }
+        return next();
+      });
+      return drain(it);
+    }).then(function() {
+      assert.fail('expected the iterator to reject');
+    }, function(err) {
+      assert.strictEqual(err.kind, 'not-found');
+    });
+  });
+
+  it('provides the results as a stream', function(done) {
+    const collected = [];
+    client.searchStream(query).on('data', function(item) {
+      collected.push(item._name);
+    }).on('error', done).on('end', function() {
+      assert.deepStrictEqual(collected, names);
+      done();
+    });
+  });
+
+  it('stops retrieving pages once the stream is destroyed', function(done) {
+    const stream = client.searchStream(query);
+    stream.once('data', function() {
+      stream.destroy();
+    });
+    stream.on('close', function() {
+      setTimeout(function() {
+        assert.strictEqual(searches().length, 1);
+        done();
+      }, 50);
+    });
+  });
+
+});
@@ -0,0 +1,120 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Session renewal', function() {
+
+  const server = new MockIGCServer({
+    assets: [
+      { _id: "t1", _type: "term", name: "Revenue" },
+      { _id: "t2", _type: "term", name: "Cost" }
+    ]
+  });
+  let client = null;
+  let renewals = null;
+
+  // The searches sent to open a session
+  const sessionsOpened = function() {
+    return server.requests.filter(function(request) {
+      return request.method === "POST" && request.body.types && request.body.types[0] === "label";
+    }).length;
+  };
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    renewals = [];
+    client.on('session-renewed', function(info) { renewals.push(info); });
+    return client.openSession();
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('renews an expired session, and re-sends the request', function() {
+    server.expireSessions();
+    return client.getAssetById("t1").then(function(asset) {
+      assert.strictEqual(asset.name, "Revenue");
+      assert.strictEqual(renewals.length, 1);
+      assert.strictEqual(renewals[0].path, "/ibm/iis/igc-rest/v1/assets/t1");
+    });
+  });
+
+  it('renews the session only once for concurrent requests that find it has expired', function() {
+    const ids = [ "t1", "t2", "t1", "t2", "t1", "t2" ];
+    return Promise.all(ids.map(function(rid) { return client.getAssetById(rid); })).then(function() {
+      server.expireSessions();
+      return Promise.all(ids.map(function(rid) { return client.getAssetById(rid); }));
+    }).then(function(assets) {
+      assert.deepStrictEqual(assets.map(function(asset) { return asset._id; }), ids);
+      assert.strictEqual(renewals.length, 1);
+      assert.strictEqual(sessionsOpened(), 2);
+      // ... and the renewed session then continues to be used
+      return client.getAssetById("t1");
+    }).then(function() {
+      assert.strictEqual(renewals.length, 1);
+    });
+  });
+
+  it('queues requests made while the session is being renewed', function() {
+    const wait = function(ms) {
+      return new Promise(function(resolve) { setTimeout(resolve, ms); });
+    };
+    // Slow down opening the new session, so that it is still being renewed when the next requests are made
+    client.use(function(req, next) {
+      if (req.body && req.body.types && req.body.types[0] === "label") {
+        return wait(100).then(function() { return next(req); });
+      }
+      return next(req);
+    });
+    server.expireSessions();
+    const first = client.getAssetById("t1");
+    return wait(30).then(function() {
+      return Promise.all([ first, client.getAssetById("t2"), client.update("t2", { _type: "term", name: "Costs" }) ]);
+    }).then(function(results) {
+      assert.strictEqual(results[2].name, "Costs");
+      assert.strictEqual(renewals.length, 1);
+      assert.strictEqual(sessionsOpened(), 2);
+    });
+  });
+
+  it('rejects every waiting request when the session cannot be renewed', function() {
+    client.use(function() {
+      return { statusCode: 401, body: { message: "Authentication is required." } };
+    });
+    return Promise.all([ client.getAssetById("t1"), client.getAssetById("t2") ].map(function(pending) {
+      return pending.then(function() {
+        assert.fail("The request should have been rejected.");
+      }, function(err) {
+        return err.kind;
+      });
+    })).then(function(kinds) {
+      assert.deepStrictEqual(kinds, [ 'auth', 'auth' ]);
+      assert.strictEqual(renewals.length, 0);
+    });
+  });
+
+});
@@ -0,0 +1,107 @@
+/***
+ * Copyright 2019 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const assert = require('assert');
+const igcrest = require('../');
+const MockIGCServer = require('../mock');
+
+describe('Timeouts and cancellation', function() {
+
+  const server = new MockIGCServer({ assets: [ { _id: "t1", _type: "term", name: "Revenue" } ] });
+  const assetPath = "/ibm/iis/igc-rest/v1/assets/t1";
+  let client = null;
+
+  const wait = function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+  };
+  const outcome = function(pending) {
+    return pending.then(function(results) {
+      return results.res.statusCode;
+    }, function(err) {
+      return err.kind;
+    });
+  };
+
+  before(function() {
+    return server.start();
+  });
+  beforeEach(function() {
+    client = igcrest.createClient(server.getConnection());
+    // Every request takes a while to be answered
+    client.use(function(req, next) {
+      return wait(60).then(function() { return next(req); });
+    });
+  });
+  afterEach(function() {
+    server.reset();
+  });
+  after(function() {
+    return server.stop();
+  });
+
+  it('times out a request that takes too long once sent', function() {
+    return outcome(client.makeRequest("GET", assetPath, null, null, null, null, { timeout: 20 })).then(function(result) {
+      assert.strictEqual(result, 'timeout');
+    });
+  });
+
+  it('does not count the time a request spends queued against its timeout', function() {
+    client.setConcurrency({ maxInFlight: 1 });
+    const pending = [];
+    for (let i = 0; i < 3; i++) {
+      pending.push(outcome(client.makeRequest("GET", assetPath, null, null, null, null, { timeout: 100 })));
+    }
+    return Promise.all(pending).then(function(results) {
+      // The last request waits ~120ms in the queue, but is answered within 100ms of being sent
+      assert.deepStrictEqual(results, [ 200, 200, 200 ]);
+    });
+  });
+
+  it('applies per-call options to only that request', function() {
+    client.setRequestTimeout(20);
+    return Promise.all([
+      outcome(client.makeRequest("GET", assetPath)),
+      outcome(client.makeRequest("GET", assetPath, null, null, null, null, { timeout: 0 }))
+    ]).then(function(results) {
+      assert.deepStrictEqual(results, [ 'timeout', 200 ]);
+    });
+  });
+
+  it('aborts a request that has already been sent', function() {
+    const controller = new AbortController();
+    const pending = outcome(client.withOptions({ signal: controller.signal }).makeRequest("GET", assetPath));
+    return wait(10).then(function() {
+      controller.abort();
+      return pending;
+    }).then(function(result) {
+      assert.strictEqual(result, 'cancelled');
+    });
+  });
+
+  it('rejects a request whose signal has already been aborted, without sending it', function() {
+    const controller = new AbortController();
+    controller.abort();
+    return outcome(client.makeRequest("GET", assetPath, null, null, null, null, { signal: controller.signal })).then(function(result) {
+      assert.strictEqual(result, 'cancelled');
+      return wait(80);
+    }).then(function() {
+      assert.strictEqual(server.requests.length, 0);
+    });
+  });
+
+});